@@ -0,0 +1,93 @@
+/**
+ * LOST Protocol deployment description.
+ *
+ * Every UUPS proxy is declared once here. deploy.js, upgrade.js and verify.js all read this
+ * file; the deployment order is worked out from the contract references in `args`
+ * (plus any explicit `dependsOn`), so entries can be listed in any order.
+ *
+ * Initializer arguments use the helpers from scripts/lib/deployment-graph.js:
+ * - deployer()        the deploying account (admin of every contract)
+ * - contract("Name")  the proxy address of another contract in this file
+ * - param("name")     a value from `params` below
+ */
+const { deployer, contract, param } = require("../scripts/lib/deployment-graph");
+
+const DEFAULT_USDC_TOKEN_ADDRESS = "0xa0b86a33e6417efE68308F44A32B32BbceFE18E4"; // Official USDC on Hedera testnet
+const DEFAULT_NFT_METADATA_BASE_URI = "https://api.lost-protocol.com/metadata/";
+
+const params = {
+    usdcTokenAddress: process.env.USDC_TOKEN_ADDRESS || DEFAULT_USDC_TOKEN_ADDRESS,
+    nftBaseUri: process.env.NFT_METADATA_BASE_URI || DEFAULT_NFT_METADATA_BASE_URI
+};
+
+// `views` are read-only calls verify.js uses to check a proxy responds.
+// format: "LOST" (18 decimals), "bps" (basis points as %), "hours" (seconds as hours)
+const contracts = {
+    LOSTToken: {
+        id: "LOST_TOKEN_CONTRACT_ID",
+        label: "LOST Token",
+        args: [deployer()],
+        views: [{ fn: "name" }, { fn: "symbol" }, { fn: "totalSupply", format: "LOST" }]
+    },
+    Treasury: {
+        id: "TREASURY_CONTRACT_ID",
+        label: "Treasury",
+        args: [deployer(), contract("LOSTToken"), param("usdcTokenAddress")],
+        views: [{ fn: "lostTokenAddress" }, { fn: "usdcTokenAddress" }]
+    },
+    LOSTAchievementNFT: {
+        id: "ACHIEVEMENT_NFT_CONTRACT_ID",
+        label: "Achievement NFT",
+        args: [deployer(), param("nftBaseUri")],
+        views: [{ fn: "name" }, { fn: "symbol" }]
+    },
+    GameplayVerification: {
+        id: "GAMEPLAY_VERIFICATION_CONTRACT_ID",
+        label: "Gameplay Verification",
+        args: [deployer()],
+        views: [{ fn: "MAX_VIOLATIONS" }, { fn: "SESSION_TIMEOUT", format: "hours" }]
+    },
+    DecentralizedLeaderboard: {
+        id: "LEADERBOARD_CONTRACT_ID",
+        label: "Decentralized Leaderboard",
+        args: [deployer()],
+        views: [{ fn: "currentSeason" }, { fn: "totalPlayers" }]
+    },
+    Tournament: {
+        id: "TOURNAMENT_CONTRACT_ID",
+        label: "Tournament",
+        args: [deployer(), contract("Treasury"), contract("LOSTToken")],
+        views: [{ fn: "nextTournamentId" }, { fn: "protocolFeePercentage", format: "bps" }]
+    },
+    Marketplace: {
+        id: "MARKETPLACE_CONTRACT_ID",
+        label: "Marketplace",
+        args: [deployer(), contract("LOSTAchievementNFT"), contract("LOSTToken"), contract("Treasury")],
+        views: [{ fn: "nextListingId" }, { fn: "marketplaceFeePercentage", format: "bps" }]
+    },
+    USDCPaymentBridge: {
+        id: "PAYMENT_BRIDGE_CONTRACT_ID",
+        label: "USDC Payment Bridge",
+        args: [deployer(), param("usdcTokenAddress"), contract("LOSTToken"), contract("Treasury")],
+        views: [{ fn: "nextWithdrawalId" }, { fn: "lostToUsdcRate" }]
+    },
+    DataMonetization: {
+        id: "DATA_MONETIZATION_CONTRACT_ID",
+        label: "Data Monetization",
+        args: [deployer(), contract("LOSTToken"), contract("Treasury")],
+        views: [{ fn: "nextPackageId" }, { fn: "revenueSharePercentage", format: "bps" }]
+    },
+    Staking: {
+        id: "STAKING_CONTRACT_ID",
+        label: "Staking",
+        args: [deployer(), contract("LOSTToken"), contract("Treasury")],
+        views: [{ fn: "nextProposalId" }, { fn: "totalStaked", format: "LOST" }]
+    }
+};
+
+module.exports = {
+    DEFAULT_USDC_TOKEN_ADDRESS,
+    DEFAULT_NFT_METADATA_BASE_URI,
+    params,
+    contracts
+};
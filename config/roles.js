@@ -0,0 +1,105 @@
+/**
+ * LOST Protocol permissions.
+ *
+ * The complete set of role holders for every contract in config/contracts.js, plus the
+ * Treasury's list of approved protocol contracts. scripts/initialize-contracts.js grants
+ * whatever is missing and, with REVOKE_UNLISTED=true, revokes holders not listed here.
+ *
+ * Holders use the helpers from scripts/lib/deployment-graph.js:
+ * - deployer()        the account that deployed the manifest
+ * - contract("Name")  the proxy address of another contract
+ * - account("name")   an operator address from `accounts` below
+ */
+const { deployer, contract, account } = require("../scripts/lib/deployment-graph");
+
+// Operator keys differ per network, so they come from the environment.
+// Holders whose account is not set are skipped with a warning.
+const accounts = {
+    gameServer: process.env.GAME_SERVER_ADDRESS,
+    bridgeOperator: process.env.BRIDGE_OPERATOR_ADDRESS,
+    compliance: process.env.COMPLIANCE_ADDRESS,
+    rewardsDistributor: process.env.REWARDS_DISTRIBUTOR_ADDRESS,
+    tournamentOrganizer: process.env.TOURNAMENT_ORGANIZER_ADDRESS,
+    dataProcessor: process.env.DATA_PROCESSOR_ADDRESS
+};
+
+const roles = {
+    LOSTToken: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        MINTER_ROLE: [deployer()],
+        UPGRADER_ROLE: [deployer()],
+        GAME_CONTROLLER_ROLE: [deployer(), contract("GameplayVerification"), contract("Treasury")],
+        TOURNAMENT_ROLE: [contract("Tournament")]
+    },
+    Treasury: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        TREASURER_ROLE: [deployer()],
+        // The rewards keeper pays the staking fund out through distributeFunds. The role is not scoped to
+        // a fund, recipient or amount, so the rewardsDistributor key can pay any fund to any address.
+        // Leave REWARDS_DISTRIBUTOR_ADDRESS unset to keep it with the deployer (see the README).
+        ALLOCATOR_ROLE: [deployer(), account("rewardsDistributor")],
+        UPGRADER_ROLE: [deployer()]
+    },
+    LOSTAchievementNFT: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        MINTER_ROLE: [deployer()],
+        UPGRADER_ROLE: [deployer()],
+        GAME_CONTROLLER_ROLE: [deployer(), contract("GameplayVerification")]
+    },
+    GameplayVerification: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        VERIFIER_ROLE: [deployer()],
+        GAME_SERVER_ROLE: [deployer(), account("gameServer")],
+        UPGRADER_ROLE: [deployer()]
+    },
+    DecentralizedLeaderboard: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        UPDATER_ROLE: [deployer(), account("gameServer")],
+        VALIDATOR_ROLE: [deployer()],
+        UPGRADER_ROLE: [deployer()]
+    },
+    Tournament: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        ORGANIZER_ROLE: [deployer(), account("tournamentOrganizer")],
+        VALIDATOR_ROLE: [deployer(), account("gameServer")],
+        UPGRADER_ROLE: [deployer()]
+    },
+    Marketplace: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        ADMIN_ROLE: [deployer()],
+        UPGRADER_ROLE: [deployer()]
+    },
+    USDCPaymentBridge: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        BRIDGE_OPERATOR_ROLE: [deployer(), account("bridgeOperator")],
+        COMPLIANCE_ROLE: [deployer(), account("compliance")],
+        UPGRADER_ROLE: [deployer()]
+    },
+    DataMonetization: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        DATA_PROCESSOR_ROLE: [deployer(), account("dataProcessor")],
+        RESEARCHER_ROLE: [],
+        UPGRADER_ROLE: [deployer()]
+    },
+    Staking: {
+        DEFAULT_ADMIN_ROLE: [deployer()],
+        STAKING_MANAGER_ROLE: [deployer()],
+        REWARDS_DISTRIBUTOR_ROLE: [deployer(), account("rewardsDistributor")],
+        UPGRADER_ROLE: [deployer()]
+    }
+};
+
+// Contracts allowed to call Treasury.collectRevenue (Treasury.updateProtocolContract)
+const protocolContracts = [
+    contract("Tournament"),
+    contract("Marketplace"),
+    contract("USDCPaymentBridge"),
+    contract("DataMonetization"),
+    contract("Staking")
+];
+
+module.exports = {
+    accounts,
+    roles,
+    protocolContracts
+};
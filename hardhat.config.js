@@ -16,7 +16,19 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      chainId: 1337
+      chainId: 1337,
+      // FORK_URL runs the in-process network (tests, `hardhat run`) on a fork of that chain
+      forking: {
+        url: process.env.FORK_URL || "http://127.0.0.1:8545",
+        blockNumber: process.env.FORK_BLOCK ? Number(process.env.FORK_BLOCK) : undefined,
+        enabled: Boolean(process.env.FORK_URL)
+      },
+      // Hardhat only knows the hardfork history of Ethereum chains, which forks of these need
+      chains: {
+        295: { hardforkHistory: { cancun: 0 } },
+        296: { hardforkHistory: { cancun: 0 } },
+        1337: { hardforkHistory: { cancun: 0 } }
+      }
     },
     localhost: {
       url: "http://127.0.0.1:8545",
@@ -24,9 +36,15 @@ module.exports = {
     },
     // Hedera testnet
     hedera: {
-      url: "https://testnet.hashio.io/api",
+      url: process.env.HEDERA_TESTNET_URL || "https://testnet.hashio.io/api",
       accounts: process.env.HEDERA_OPERATOR_KEY ? [process.env.HEDERA_OPERATOR_KEY] : [],
       chainId: 296
+    },
+    // Hedera mainnet
+    mainnet: {
+      url: process.env.HEDERA_MAINNET_URL || "https://mainnet.hashio.io/api",
+      accounts: process.env.HEDERA_OPERATOR_KEY ? [process.env.HEDERA_OPERATOR_KEY] : [],
+      chainId: 295
     }
   },
   paths: {
@@ -34,5 +52,11 @@ module.exports = {
     tests: "./test",
     cache: "./cache",
     artifacts: "./artifacts"
+  },
+  // Types for the client SDK (sdk/); the toolbox skips them for JavaScript projects by default
+  typechain: {
+    outDir: "typechain-types",
+    target: "ethers-v6",
+    dontOverrideCompile: false
   }
 };
\ No newline at end of file
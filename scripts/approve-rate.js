@@ -0,0 +1,43 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { formatRate, signRateApproval } = require("./lib/rate-feeder");
+require("dotenv").config();
+
+// Second sign-off for an exchange-rate change the feeder holds back. RATE_OLD and RATE_NEW are the
+// raw lostToUsdcRate values from the feeder's log; the approval is appended to RATE_APPROVALS_FILE.
+// Signs with APPROVER_KEY, or the network's first account. Run it on the network the feeder uses.
+async function main() {
+    const { RATE_OLD, RATE_NEW, RATE_APPROVALS_FILE } = process.env;
+    if (!RATE_OLD || !RATE_NEW || !RATE_APPROVALS_FILE) {
+        throw new Error("Set RATE_OLD, RATE_NEW and RATE_APPROVALS_FILE");
+    }
+    const forked = process.env.FORK_URL && hre.network.name === "hardhat";
+    const manifest = loadManifest(forked ? process.env.FORK_NETWORK || "hedera" : hre.network.name, { required: true });
+    const signer = process.env.APPROVER_KEY
+        ? new hre.ethers.Wallet(process.env.APPROVER_KEY, hre.ethers.provider)
+        : (await hre.ethers.getSigners())[0];
+
+    const change = {
+        // The chain the feeder runs against, which for a fork is the local chain id
+        chainId: (await hre.ethers.provider.getNetwork()).chainId,
+        bridge: manifest.contracts.USDCPaymentBridge.proxy,
+        oldRate: BigInt(RATE_OLD),
+        newRate: BigInt(RATE_NEW)
+    };
+    console.log(`✍️  Approving ${formatRate(change.oldRate)} → ${formatRate(change.newRate)} USDC per LOST on chain ${change.chainId}`);
+    const signature = await signRateApproval(signer, change);
+
+    const approvals = fs.existsSync(RATE_APPROVALS_FILE) ? JSON.parse(fs.readFileSync(RATE_APPROVALS_FILE, "utf8")) : [];
+    approvals.push({ oldRate: RATE_OLD, newRate: RATE_NEW, approver: await signer.getAddress(), signature });
+    fs.writeFileSync(RATE_APPROVALS_FILE, JSON.stringify(approvals, null, 2));
+    console.log(`✅ Approval by ${await signer.getAddress()} written to ${RATE_APPROVALS_FILE}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Approval failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { auditContract } = require("./lib/access-control");
+const { deploymentBlock } = require("./lib/events");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+const { accounts, roles: listedRoles } = require("../config/roles");
+
+// AUDIT_FORMAT=json prints the report as JSON instead of a table; AUDIT_OUTPUT also writes it to a file.
+// AUDIT_STRICT=true exits non-zero when a high severity finding is reported.
+const FORMAT = process.env.AUDIT_FORMAT || "table";
+const OUTPUT = process.env.AUDIT_OUTPUT;
+const STRICT = process.env.AUDIT_STRICT === "true";
+
+const SEVERITY_ICONS = { high: "🔴", medium: "🟡", low: "🔵" };
+
+function printTable(audit) {
+    console.log(`🔐 LOST Protocol access-control audit (${audit.network}, chainId ${audit.chainId})`);
+    for (const [name, contract] of Object.entries(audit.contracts)) {
+        console.log(`\n📋 ${contractSpecs[name].label} (${contract.address})`);
+        const width = Math.max(...Object.keys(contract.roles).map((role) => role.length));
+        for (const [role, holders] of Object.entries(contract.roles)) {
+            if (holders.length === 0) {
+                console.log(`  ${role.padEnd(width)}  -`);
+                continue;
+            }
+            holders.forEach((holder, i) => {
+                const label = i === 0 ? role.padEnd(width) : " ".repeat(width);
+                const unlisted = holder.listed === false ? "  (not in config/roles.js)" : "";
+                console.log(`  ${label}  ${holder.address} ${holder.type}${unlisted}`);
+            });
+        }
+    }
+
+    console.log("\n🚩 Findings:");
+    if (audit.findings.length === 0) {
+        console.log("  ✅ None");
+        return;
+    }
+    for (const finding of audit.findings) {
+        const who = finding.account ? ` ${finding.account}` : "";
+        console.log(`  ${SEVERITY_ICONS[finding.severity]} [${finding.severity}] ${finding.contract}.${finding.role}${who}: ${finding.message}`);
+    }
+}
+
+async function main() {
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const addresses = {};
+    for (const [name, record] of Object.entries(manifest.contracts)) {
+        addresses[name] = record.proxy;
+    }
+    const context = { deployer: manifest.deployer, addresses, accounts };
+
+    const audit = {
+        network: hre.network.name,
+        chainId: Number(chainId),
+        generatedAt: new Date().toISOString(),
+        contracts: {},
+        findings: []
+    };
+
+    for (const name of Object.keys(contractSpecs)) {
+        const record = manifest.contracts[name];
+        if (!record || !record.proxy) {
+            continue;
+        }
+        const instance = await hre.ethers.getContractAt(name, record.proxy);
+        const fromBlock = await deploymentBlock(hre.ethers.provider, record);
+        const { report, findings } = await auditContract(instance, { name, listed: listedRoles[name], context, fromBlock });
+        audit.contracts[name] = report;
+        audit.findings.push(...findings);
+    }
+
+    const order = ["high", "medium", "low"];
+    audit.findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+
+    if (FORMAT === "json") {
+        console.log(JSON.stringify(audit, null, 2));
+    } else {
+        printTable(audit);
+    }
+    if (OUTPUT) {
+        fs.writeFileSync(OUTPUT, JSON.stringify(audit, null, 2));
+        console.error(`\n💾 Audit written to ${OUTPUT}`);
+    }
+
+    if (STRICT && audit.findings.some((finding) => finding.severity === "high")) {
+        throw new Error("High severity access-control findings");
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Audit failed:");
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,55 @@
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const { createBridgeOperator } = require("./lib/bridge-operator");
+require("dotenv").config();
+
+// Processes pending USDCPaymentBridge withdrawals with BRIDGE_OPERATOR_ROLE until interrupted or
+// the bridge is paused. BRIDGE_OPERATOR_KEY selects the operator key (default: first account);
+// OPERATOR_DRY_RUN=true only reports what would be processed. See the README for the other variables.
+async function main() {
+    console.log("🌉 LOST Protocol bridge operator");
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.USDCPaymentBridge;
+    if (!record || !record.proxy) {
+        throw new Error(`USDCPaymentBridge is missing from the ${hre.network.name} manifest`);
+    }
+    const signer = process.env.BRIDGE_OPERATOR_KEY
+        ? new hre.ethers.Wallet(process.env.BRIDGE_OPERATOR_KEY, hre.ethers.provider)
+        : (await hre.ethers.getSigners())[0];
+    const bridge = await hre.ethers.getContractAt("USDCPaymentBridge", record.proxy, signer);
+
+    const dryRun = process.env.OPERATOR_DRY_RUN === "true";
+    const operator = createBridgeOperator({
+        bridge,
+        dryRun,
+        fromBlock: Number(process.env.OPERATOR_FROM_BLOCK || (await deploymentBlock(hre.ethers.provider, record))),
+        lowLiquidityThreshold: hre.ethers.parseUnits(process.env.OPERATOR_LOW_LIQUIDITY || "1000", 6),
+        pollInterval: Number(process.env.OPERATOR_POLL_INTERVAL || 15000),
+        log: (message) => console.log(message)
+    });
+    const { operator: address } = await operator.init();
+    console.log(`🔑 Operator: ${address}${dryRun ? " (dry run)" : ""}`);
+
+    process.on("SIGINT", () => {
+        console.log("\n🛑 Shutting down");
+        operator.stop();
+    });
+    const reason = await operator.run();
+
+    const status = operator.status();
+    console.log(`\n📊 ${status.seen} request(s) seen, ${status.processed} processed, ${status.held.length} held`);
+    if (reason === "paused") {
+        console.log("⏸️  Stopped because USDCPaymentBridge is paused; restart once it is unpaused");
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Bridge operator failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,81 @@
+const path = require("path");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadManifest, saveManifest, recordUpgrade } = require("./lib/manifest");
+const { loadProposal, latestProposal } = require("./lib/proposals");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+
+// Compares an upgrade proposal written by `UPGRADE_MODE=propose upgrade.js` with what is on chain.
+// PROPOSAL=path/to/proposal.json picks a proposal; defaults to the newest one for the network.
+async function main() {
+    const file = process.env.PROPOSAL || latestProposal(network.name);
+    if (!file) {
+        throw new Error(`No upgrade proposal found for network "${network.name}"`);
+    }
+    const proposal = loadProposal(file);
+    const { chainId } = await ethers.provider.getNetwork();
+    if (proposal.chainId !== Number(chainId)) {
+        throw new Error(`Proposal ${file} is for chainId ${proposal.chainId}, connected to ${chainId}`);
+    }
+
+    console.log("🔍 Checking upgrade proposal:", file);
+    console.log("Proposed at:", proposal.createdAt);
+
+    const manifest = loadManifest(network.name, { required: true });
+    const counts = { executed: 0, pending: 0, mismatch: 0 };
+
+    for (const entry of proposal.upgrades) {
+        const { label } = contractSpecs[entry.contract];
+        const onChain = ethers.getAddress(await upgrades.erc1967.getImplementationAddress(entry.proxy));
+        const proposed = ethers.getAddress(entry.newImplementation);
+
+        // The proposed implementation must still be the bytecode that was reviewed
+        const codeHash = ethers.keccak256(await ethers.provider.getCode(proposed));
+        if (codeHash !== entry.bytecodeHash) {
+            console.log(`❌ ${label}: bytecode at ${proposed} is ${codeHash}, proposal says ${entry.bytecodeHash}`);
+            counts.mismatch++;
+            continue;
+        }
+
+        if (onChain === proposed) {
+            console.log(`✅ ${label}: running the proposed implementation ${proposed}`);
+            counts.executed++;
+
+            const record = manifest.contracts[entry.contract];
+            if (ethers.getAddress(record.implementation || ethers.ZeroAddress) !== proposed) {
+                recordUpgrade(manifest, entry.contract, {
+                    from: entry.currentImplementation,
+                    to: proposed,
+                    bytecodeHash: entry.bytecodeHash,
+                    proposal: path.relative(process.cwd(), file)
+                });
+            }
+            delete record.pendingUpgrade;
+        } else if (onChain === ethers.getAddress(entry.currentImplementation)) {
+            console.log(`⏳ ${label}: not executed yet, still on ${onChain}`);
+            counts.pending++;
+        } else {
+            console.log(`❌ ${label}: on ${onChain}, expected ${proposed} (or ${entry.currentImplementation} before execution)`);
+            counts.mismatch++;
+        }
+    }
+
+    saveManifest(manifest);
+
+    console.log(`\n📋 Executed: ${counts.executed}, pending: ${counts.pending}, mismatched: ${counts.mismatch}`);
+    if (counts.mismatch > 0) {
+        throw new Error("On-chain implementations do not match the proposal");
+    }
+    if (counts.pending > 0) {
+        console.log("⏳ Proposal not fully executed yet");
+        process.exitCode = 2;
+    }
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ Upgrade check failed:");
+        console.error(error);
+        process.exit(1);
+    });
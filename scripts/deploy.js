@@ -1,196 +1,80 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+const { manifestPath, loadManifest, saveManifest, contractAddresses } = require("./lib/manifest");
+const { deploymentOrder } = require("./lib/deployment-graph");
+const { deployProtocol } = require("./lib/deploy");
 require("dotenv").config();
+const {
+    DEFAULT_USDC_TOKEN_ADDRESS,
+    DEFAULT_NFT_METADATA_BASE_URI,
+    params,
+    contracts: contractSpecs
+} = require("../config/contracts");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Local chains have no USDC at the Hedera address, so a MockUSDC is deployed (once) in its place
+async function localUsdc(manifest) {
+    if (!LOCAL_NETWORKS.includes(network.name) || (await ethers.provider.getCode(params.usdcTokenAddress)) !== "0x") {
+        return params.usdcTokenAddress;
+    }
+    const recorded = manifest.mocks && manifest.mocks.MockUSDC;
+    if (recorded && (await ethers.provider.getCode(recorded)) !== "0x") {
+        console.log("\n⏭️  MockUSDC already deployed at", recorded);
+        return recorded;
+    }
+    console.log("\n🧪 No USDC at", params.usdcTokenAddress, "on", network.name, "- deploying MockUSDC");
+    const usdc = await ethers.deployContract("MockUSDC");
+    await usdc.waitForDeployment();
+    manifest.mocks = { ...manifest.mocks, MockUSDC: await usdc.getAddress() };
+    saveManifest(manifest);
+    console.log("✅ MockUSDC deployed to:", manifest.mocks.MockUSDC);
+    return manifest.mocks.MockUSDC;
+}
 
 async function main() {
     const [deployer] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
     console.log("Deploying contracts with the account:", deployer.address);
-    console.log("Network: Hedera Testnet");
-    
-    // Configuration - using official Hedera testnet defaults
-    const usdcAddress = process.env.USDC_TOKEN_ADDRESS || "0xa0b86a33e6417efE68308F44A32B32BbceFE18E4"; // Official USDC on Hedera testnet
-    const nftBaseUri = process.env.NFT_METADATA_BASE_URI || "https://api.lost-protocol.com/metadata/";
-    
+    console.log("Network:", network.name, `(chainId ${chainId})`);
+
+    // Existing manifest entries are reused, so an interrupted run picks up where it stopped
+    const manifest = loadManifest(network.name, { chainId });
+    if (manifest.chainId !== undefined && manifest.chainId !== Number(chainId)) {
+        throw new Error(`Manifest ${manifestPath(network.name)} belongs to chainId ${manifest.chainId}, connected to ${chainId}`);
+    }
+    manifest.chainId = Number(chainId);
+    manifest.deployer = manifest.deployer || deployer.address;
+    console.log("\n📒 Manifest:", manifestPath(network.name));
+
+    const usdcTokenAddress = await localUsdc(manifest);
+    const usdcLabel = usdcTokenAddress !== params.usdcTokenAddress
+        ? "(MockUSDC)"
+        : usdcTokenAddress === DEFAULT_USDC_TOKEN_ADDRESS ? "(Official Hedera testnet USDC)" : "(Custom)";
+
+    // Configuration - see config/contracts.js for defaults
     console.log("\n📝 Configuration:");
-    console.log("  USDC Token Address:", usdcAddress, usdcAddress === "0xa0b86a33e6417efE68308F44A32B32BbceFE18E4" ? "(Official Hedera testnet USDC)" : "(Custom)");
-    console.log("  NFT Metadata Base URI:", nftBaseUri, nftBaseUri === "https://api.lost-protocol.com/metadata/" ? "(Default)" : "(Custom)");
-
-    const contractAddresses = {};
-
-    // Deploy LOST Token first
-    console.log("\n🚀 Deploying LOST Token...");
-    const LOSTToken = await ethers.getContractFactory("LOSTToken");
-    const lostToken = await upgrades.deployProxy(LOSTToken, [deployer.address], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await lostToken.waitForDeployment();
-    const lostTokenAddress = await lostToken.getAddress();
-    console.log("✅ LOST Token deployed to:", lostTokenAddress);
-    contractAddresses.LOST_TOKEN_CONTRACT_ID = lostTokenAddress;
-
-    // Deploy Treasury
-    console.log("\n🚀 Deploying Treasury...");
-    const Treasury = await ethers.getContractFactory("Treasury");
-    const treasury = await upgrades.deployProxy(Treasury, [
-        deployer.address,
-        lostTokenAddress,
-        usdcAddress
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await treasury.waitForDeployment();
-    const treasuryAddress = await treasury.getAddress();
-    console.log("✅ Treasury deployed to:", treasuryAddress);
-    contractAddresses.TREASURY_CONTRACT_ID = treasuryAddress;
-
-    // Deploy Achievement NFT
-    console.log("\n🚀 Deploying Achievement NFT...");
-    const LOSTAchievementNFT = await ethers.getContractFactory("LOSTAchievementNFT");
-    const achievementNFT = await upgrades.deployProxy(LOSTAchievementNFT, [
-        deployer.address,
-        nftBaseUri
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await achievementNFT.waitForDeployment();
-    const achievementNFTAddress = await achievementNFT.getAddress();
-    console.log("✅ Achievement NFT deployed to:", achievementNFTAddress);
-    contractAddresses.ACHIEVEMENT_NFT_CONTRACT_ID = achievementNFTAddress;
-
-    // Deploy Gameplay Verification
-    console.log("\n🚀 Deploying Gameplay Verification...");
-    const GameplayVerification = await ethers.getContractFactory("GameplayVerification");
-    const gameplayVerification = await upgrades.deployProxy(GameplayVerification, [
-        deployer.address
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await gameplayVerification.waitForDeployment();
-    const gameplayVerificationAddress = await gameplayVerification.getAddress();
-    console.log("✅ Gameplay Verification deployed to:", gameplayVerificationAddress);
-    contractAddresses.GAMEPLAY_VERIFICATION_CONTRACT_ID = gameplayVerificationAddress;
-
-    // Deploy Decentralized Leaderboard
-    console.log("\n🚀 Deploying Decentralized Leaderboard...");
-    const DecentralizedLeaderboard = await ethers.getContractFactory("DecentralizedLeaderboard");
-    const leaderboard = await upgrades.deployProxy(DecentralizedLeaderboard, [
-        deployer.address
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await leaderboard.waitForDeployment();
-    const leaderboardAddress = await leaderboard.getAddress();
-    console.log("✅ Decentralized Leaderboard deployed to:", leaderboardAddress);
-    contractAddresses.LEADERBOARD_CONTRACT_ID = leaderboardAddress;
-
-    // Deploy Tournament
-    console.log("\n🚀 Deploying Tournament...");
-    const Tournament = await ethers.getContractFactory("Tournament");
-    const tournament = await upgrades.deployProxy(Tournament, [
-        deployer.address,
-        treasuryAddress,
-        lostTokenAddress
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await tournament.waitForDeployment();
-    const tournamentAddress = await tournament.getAddress();
-    console.log("✅ Tournament deployed to:", tournamentAddress);
-    contractAddresses.TOURNAMENT_CONTRACT_ID = tournamentAddress;
+    console.log("  USDC Token Address:", usdcTokenAddress, usdcLabel);
+    console.log("  NFT Metadata Base URI:", params.nftBaseUri, params.nftBaseUri === DEFAULT_NFT_METADATA_BASE_URI ? "(Default)" : "(Custom)");
+    console.log("  Deployment order:", deploymentOrder(contractSpecs).join(" → "));
 
-    // Deploy Marketplace
-    console.log("\n🚀 Deploying Marketplace...");
-    const Marketplace = await ethers.getContractFactory("Marketplace");
-    const marketplace = await upgrades.deployProxy(Marketplace, [
-        deployer.address,
-        achievementNFTAddress,
-        lostTokenAddress,
-        treasuryAddress
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await marketplace.waitForDeployment();
-    const marketplaceAddress = await marketplace.getAddress();
-    console.log("✅ Marketplace deployed to:", marketplaceAddress);
-    contractAddresses.MARKETPLACE_CONTRACT_ID = marketplaceAddress;
+    await deployProtocol({ ethers, upgrades }, manifest, { save: saveManifest, params: { usdcTokenAddress } });
 
-    // Deploy USDC Payment Bridge
-    console.log("\n🚀 Deploying USDC Payment Bridge...");
-    const USDCPaymentBridge = await ethers.getContractFactory("USDCPaymentBridge");
-    const paymentBridge = await upgrades.deployProxy(USDCPaymentBridge, [
-        deployer.address,
-        usdcAddress,
-        lostTokenAddress,
-        treasuryAddress
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await paymentBridge.waitForDeployment();
-    const paymentBridgeAddress = await paymentBridge.getAddress();
-    console.log("✅ USDC Payment Bridge deployed to:", paymentBridgeAddress);
-    contractAddresses.PAYMENT_BRIDGE_CONTRACT_ID = paymentBridgeAddress;
-
-    // Deploy Data Monetization
-    console.log("\n🚀 Deploying Data Monetization...");
-    const DataMonetization = await ethers.getContractFactory("DataMonetization");
-    const dataMonetization = await upgrades.deployProxy(DataMonetization, [
-        deployer.address,
-        lostTokenAddress,
-        treasuryAddress
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await dataMonetization.waitForDeployment();
-    const dataMonetizationAddress = await dataMonetization.getAddress();
-    console.log("✅ Data Monetization deployed to:", dataMonetizationAddress);
-    contractAddresses.DATA_MONETIZATION_CONTRACT_ID = dataMonetizationAddress;
-
-    // Deploy Staking
-    console.log("\n🚀 Deploying Staking...");
-    const Staking = await ethers.getContractFactory("Staking");
-    const staking = await upgrades.deployProxy(Staking, [
-        deployer.address,
-        lostTokenAddress,
-        treasuryAddress
-    ], {
-        initializer: "initialize",
-        kind: "uups"
-    });
-    await staking.waitForDeployment();
-    const stakingAddress = await staking.getAddress();
-    console.log("✅ Staking deployed to:", stakingAddress);
-    contractAddresses.STAKING_CONTRACT_ID = stakingAddress;
+    const contractAddressMap = contractAddresses(manifest);
 
     // Output deployment summary
     console.log("\n📋 Deployment Summary:");
     console.log("=====================================");
-    Object.entries(contractAddresses).forEach(([name, address]) => {
+    Object.entries(contractAddressMap).forEach(([name, address]) => {
         console.log(`${name}: ${address}`);
     });
     console.log("=====================================");
 
-    // Save deployment info
-    const deploymentInfo = {
-        network: "hedera_testnet",
-        deployer: deployer.address,
-        timestamp: new Date().toISOString(),
-        contracts: contractAddresses
-    };
-
-    const fs = require("fs");
-    fs.writeFileSync("./deployment-info.json", JSON.stringify(deploymentInfo, null, 2));
-    console.log("✅ Deployment info saved to deployment-info.json");
+    manifest.completedAt = new Date().toISOString();
+    const savedTo = saveManifest(manifest);
+    console.log("✅ Deployment info saved to", savedTo);
 
     // Generate environment variables
-    const envUpdates = Object.entries(contractAddresses)
+    const envUpdates = Object.entries(contractAddressMap)
         .map(([key, value]) => `${key}=${value}`)
         .join('\n');
 
@@ -202,7 +86,7 @@ async function main() {
     console.log("\n🎉 LOST Protocol deployment completed successfully!");
     console.log("🚀 Ready to Make Gaming Great Again! #MGGA");
 
-    return contractAddresses;
+    return contractAddressMap;
 }
 
 main()
@@ -210,5 +94,6 @@ main()
     .catch((error) => {
         console.error("❌ Deployment failed:");
         console.error(error);
+        console.error("Contracts deployed so far are kept in the manifest; re-run to resume.");
         process.exit(1);
-    });
\ No newline at end of file
+    });
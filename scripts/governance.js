@@ -0,0 +1,149 @@
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const {
+    auditProposal,
+    checkDescription,
+    draftProposal,
+    formatSimulation,
+    formatTally,
+    loadGovernanceSpec,
+    loadRecord,
+    readProposal,
+    recordPath,
+    runExecution,
+    saveRecord,
+    simulateExecution,
+    submitProposal,
+    tallyProposal
+} = require("./lib/governance");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+
+// Staking and Treasury proposals from a YAML spec (see parseGovernanceSpec), one step per run:
+//
+//   GOVERNANCE_ACTION=draft     GOVERNANCE_SPEC=spec.yaml  writes the proposal record
+//   GOVERNANCE_ACTION=submit    posts it (GOVERNANCE_KEY proposes: voting power for Staking, TREASURER_ROLE for Treasury)
+//   GOVERNANCE_ACTION=tally     current votes, by voting power and token snapshot
+//   GOVERNANCE_ACTION=simulate  dry run of the execution as GOVERNANCE_EXECUTOR; needs a Hardhat
+//                               network, so run it with FORK_URL (and FORK_NETWORK) or on a local node
+//   GOVERNANCE_ACTION=execute   executeProposal and every action from GOVERNANCE_KEY
+//   GOVERNANCE_ACTION=audit     writes <record>.audit.json; GOVERNANCE_TXS adds executions made elsewhere
+//
+// Records live in deployments/governance/<network>/; GOVERNANCE_RECORD picks one.
+async function main() {
+    const action = process.env.GOVERNANCE_ACTION || "tally";
+    const forked = process.env.FORK_URL && hre.network.name === "hardhat";
+    console.log(`🏛️  LOST Protocol governance: ${action}`);
+    console.log("Network:", forked ? `hardhat (fork of ${process.env.FORK_URL})` : hre.network.name);
+
+    // A fork has no manifest of its own; FORK_NETWORK names the one describing the forked chain
+    const manifestNetwork = forked ? process.env.FORK_NETWORK || "hedera" : hre.network.name;
+    const manifest = loadManifest(manifestNetwork, { required: true });
+    const signer = process.env.GOVERNANCE_KEY
+        ? new hre.ethers.Wallet(process.env.GOVERNANCE_KEY, hre.ethers.provider)
+        : (await hre.ethers.getSigners())[0];
+
+    const contracts = {};
+    for (const name of Object.keys(contractSpecs)) {
+        const record = manifest.contracts[name];
+        if (record && record.proxy) {
+            contracts[name] = await hre.ethers.getContractAt(name, record.proxy, signer);
+        }
+    }
+    for (const name of ["LOSTToken", "Staking", "Treasury"]) {
+        if (!contracts[name]) {
+            throw new Error(`${name} is missing from the ${manifestNetwork} manifest`);
+        }
+    }
+    const fromBlock = await deploymentBlock(hre.ethers.provider, manifest.contracts.LOSTToken);
+
+    if (action === "draft") {
+        if (!process.env.GOVERNANCE_SPEC) {
+            throw new Error("Set GOVERNANCE_SPEC to the proposal spec");
+        }
+        const spec = loadGovernanceSpec(process.env.GOVERNANCE_SPEC);
+        const record = await draftProposal(spec, { contracts, chainId: manifest.chainId, network: manifestNetwork });
+        const file = saveRecord(record, process.env.GOVERNANCE_RECORD || recordPath(manifestNetwork, record.title));
+        console.log(`\n${record.description}\n`);
+        for (const { summary, target, data } of record.actions) {
+            console.log(`📦 ${summary}\n   to ${target}\n   data ${data}`);
+        }
+        console.log(`💾 Draft written to ${file}`);
+        return;
+    }
+
+    const file = process.env.GOVERNANCE_RECORD;
+    if (!file) {
+        throw new Error("Set GOVERNANCE_RECORD to a proposal record written by GOVERNANCE_ACTION=draft");
+    }
+    const record = loadRecord(file);
+    if (record.network !== manifestNetwork) {
+        throw new Error(`${file} was drafted for ${record.network}, not ${manifestNetwork}`);
+    }
+
+    switch (action) {
+    case "submit": {
+        const proposal = await submitProposal(record, { contracts, fromBlock });
+        saveRecord(record, file);
+        console.log(`✅ ${record.kind} proposal ${proposal.id} created in ${proposal.tx}`);
+        console.log(proposal.snapshotId ? `📸 Weighed against LOSTToken snapshot ${proposal.snapshotId}` : "📸 No LOSTToken snapshot to weigh votes against");
+        break;
+    }
+    case "tally": {
+        const problems = checkDescription(record, (await readProposal(record, contracts)).description);
+        for (const problem of problems) {
+            console.log(`❌ On-chain description: ${problem}`);
+        }
+        console.log(formatTally(await tallyProposal(record, { contracts, fromBlock })).join("\n"));
+        break;
+    }
+    case "simulate": {
+        if (!["hardhat", "localhost"].includes(hre.network.name)) {
+            throw new Error("Simulation impersonates the executor, which needs a Hardhat network; run it with FORK_URL set");
+        }
+        const executor = process.env.GOVERNANCE_EXECUTOR || await signer.getAddress();
+        const result = await simulateExecution(record, { contracts, provider: hre.ethers.provider, executor });
+        console.log(formatSimulation(result).join("\n"));
+        if (!result.ok) {
+            process.exitCode = 2;
+        }
+        break;
+    }
+    case "execute": {
+        const execution = await runExecution(record, { contracts, fromBlock, save: (updated) => saveRecord(updated, file) });
+        saveRecord(record, file);
+        for (const step of execution.steps) {
+            console.log(`✅ ${step.label}${step.tx ? ` in ${step.tx}` : ` (${step.note})`}`);
+        }
+        break;
+    }
+    case "audit": {
+        const txs = process.env.GOVERNANCE_TXS ? process.env.GOVERNANCE_TXS.split(",").map((hash) => hash.trim()) : [];
+        const audit = await auditProposal(record, { contracts, fromBlock, txs });
+        const auditFile = saveRecord(audit, file.replace(/\.json$/, ".audit.json"));
+        console.log(`📋 ${audit.kind} proposal ${audit.proposalId}: ${audit.verdict}`);
+        for (const step of audit.execution) {
+            console.log(`   ${step.status.padEnd(8)} ${step.label}${step.tx ? ` (${step.tx})` : ""}`);
+        }
+        for (const problem of audit.problems) {
+            console.log(`   ❌ ${problem}`);
+        }
+        console.log(`💾 Audit record written to ${auditFile}`);
+        if (audit.problems.length > 0) {
+            process.exitCode = 2;
+        }
+        break;
+    }
+    default:
+        throw new Error(`Unknown GOVERNANCE_ACTION "${action}"; use draft, submit, tally, simulate, execute or audit`);
+    }
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ Governance failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,59 @@
+const fs = require("fs");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { healthContext, runChecks } = require("./lib/health-checks");
+require("dotenv").config();
+
+// Asserts cross-contract invariants on a deployment; exits with 1 when any of them fails.
+// HEALTH_CHECKS=wiring,feeBounds runs a subset, HEALTH_OUTPUT=file.json also writes the results.
+async function main() {
+    console.log("🩺 LOST Protocol health check");
+    console.log("Network:", network.name);
+
+    const manifest = loadManifest(network.name, { required: true });
+    const context = await healthContext(manifest, { ethers, upgrades });
+    const selected = process.env.HEALTH_CHECKS
+        ? process.env.HEALTH_CHECKS.split(",").map((name) => name.trim())
+        : undefined;
+
+    const results = await runChecks(context, selected, (name, checkResults) => {
+        console.log(`\n🔍 ${name}`);
+        for (const entry of checkResults) {
+            const icon = { pass: "✅", warn: "⚠️ ", fail: "❌" }[entry.status];
+            console.log(`  ${icon} ${entry.name}`);
+            if (entry.status !== "pass") {
+                console.log(`     - expected: ${entry.expected}`);
+                console.log(`     + actual:   ${entry.actual}`);
+            }
+        }
+    });
+
+    const failed = results.filter((entry) => entry.status === "fail");
+    const warned = results.filter((entry) => entry.status === "warn");
+    console.log("\n📋 Health Summary:");
+    console.log("=====================================");
+    console.log(`Passed: ${results.length - failed.length - warned.length}, warnings: ${warned.length}, failed: ${failed.length}`);
+    console.log("=====================================");
+
+    if (process.env.HEALTH_OUTPUT) {
+        fs.writeFileSync(process.env.HEALTH_OUTPUT, JSON.stringify({
+            network: network.name,
+            checkedAt: new Date().toISOString(),
+            results
+        }, null, 2));
+        console.log("💾 Results written to", process.env.HEALTH_OUTPUT);
+    }
+
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} invariant(s) violated`);
+    }
+    console.log("🎉 All invariants hold");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Health check failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
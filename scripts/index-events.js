@@ -0,0 +1,58 @@
+const hre = require("hardhat");
+const { openNetworkIndex, DEFAULT_REORG_DEPTH } = require("./lib/indexer");
+const { createPollLoop } = require("./lib/poll-loop");
+require("dotenv").config();
+
+// Indexes protocol events into SQLite (deployments/<network>.sqlite unless INDEX_DB is set),
+// resuming from the last indexed block. INDEX_FOLLOW=true keeps polling for new blocks
+// every INDEX_POLL_INTERVAL ms until interrupted; a failed sync is logged and retried on the next poll.
+async function main() {
+    console.log("🗂️  LOST Protocol event indexer");
+    console.log("Network:", hre.network.name);
+
+    const { file, store, indexer } = await openNetworkIndex(hre, {
+        file: process.env.INDEX_DB,
+        reorgDepth: Number(process.env.INDEX_REORG_DEPTH || DEFAULT_REORG_DEPTH),
+        log: (message) => console.log(message)
+    });
+    console.log("Database:", file);
+
+    const sync = async () => {
+        const result = await indexer.sync();
+        if (result.toBlock >= result.fromBlock) {
+            console.log(`✅ Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} event(s)`);
+        }
+    };
+
+    if (process.env.INDEX_FOLLOW === "true") {
+        const loop = createPollLoop(sync, {
+            interval: Number(process.env.INDEX_POLL_INTERVAL || 5000),
+            onError: (error) => console.error("⚠️  Sync failed, retrying:", error.shortMessage || error.message)
+        });
+        process.on("SIGINT", () => {
+            console.log("\n🛑 Stopping after the current batch");
+            loop.stop();
+        });
+        await loop.run();
+    } else {
+        await sync();
+    }
+
+    const counts = store.all("SELECT contract, COUNT(*) AS events FROM events GROUP BY contract ORDER BY contract");
+    console.log("\n📋 Index Summary:");
+    console.log("=====================================");
+    console.log(`Last block: ${store.getMeta("lastBlock")}`);
+    for (const { contract, events } of counts) {
+        console.log(`${contract}: ${events} event(s)`);
+    }
+    console.log("=====================================");
+    store.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Indexing failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -1,61 +1,170 @@
 const hre = require("hardhat");
-const fs = require("fs");
+const { loadManifest, saveManifest } = require("./lib/manifest");
+const { resolveRef } = require("./lib/deployment-graph");
+const { DEFAULT_ADMIN_ROLE, declaredRoles, resolveHolders, getRoleMembers } = require("./lib/access-control");
+const { queryEvents, deploymentBlock } = require("./lib/events");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+const { accounts, roles, protocolContracts } = require("../config/roles");
+
+// Applies config/roles.js to the deployed contracts.
+// REVOKE_UNLISTED=true also removes holders that are not in the file; DRY_RUN=true only prints the plan.
+const REVOKE_UNLISTED = process.env.REVOKE_UNLISTED === "true";
+const DRY_RUN = process.env.DRY_RUN === "true";
 
 async function main() {
-    console.log("🔧 Initializing LOST Protocol contracts...");
-    
-    // Load deployment info
-    const deploymentInfo = JSON.parse(fs.readFileSync("./deployment-info.json", "utf8"));
-    const contracts = deploymentInfo.contracts;
-    
-    const [deployer] = await hre.ethers.getSigners();
-    console.log("Initializing with account:", deployer.address);
-    
-    // Connect to contracts
-    const LOSTToken = await hre.ethers.getContractAt("LOSTToken", contracts.LOST_TOKEN_CONTRACT_ID);
-    const GameplayVerification = await hre.ethers.getContractAt("GameplayVerification", contracts.GAMEPLAY_VERIFICATION_CONTRACT_ID);
-    const AchievementNFT = await hre.ethers.getContractAt("LOSTAchievementNFT", contracts.ACHIEVEMENT_NFT_CONTRACT_ID);
-    const Leaderboard = await hre.ethers.getContractAt("DecentralizedLeaderboard", contracts.LEADERBOARD_CONTRACT_ID);
-    
-    console.log("\n📝 Granting roles...");
-    
-    // Grant GAME_CONTROLLER_ROLE to API operator
-    const GAME_CONTROLLER_ROLE = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("GAME_CONTROLLER_ROLE"));
-    const MINTER_ROLE = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("MINTER_ROLE"));
-    const VERIFIER_ROLE = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("VERIFIER_ROLE"));
-    const GAME_SERVER_ROLE = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("GAME_SERVER_ROLE"));
-    const UPDATER_ROLE = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("UPDATER_ROLE"));
-    const VALIDATOR_ROLE = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("VALIDATOR_ROLE"));
-    
-    // Grant roles to deployer (who will act as the game controller)
-    console.log("Granting GAME_CONTROLLER_ROLE to deployer...");
-    await LOSTToken.grantRole(GAME_CONTROLLER_ROLE, deployer.address);
-    
-    console.log("Granting MINTER_ROLE to deployer...");
-    await LOSTToken.grantRole(MINTER_ROLE, deployer.address);
-    
-    console.log("Granting VERIFIER_ROLE for GameplayVerification...");
-    await GameplayVerification.grantRole(VERIFIER_ROLE, deployer.address);
-    
-    console.log("Granting GAME_SERVER_ROLE for GameplayVerification...");
-    await GameplayVerification.grantRole(GAME_SERVER_ROLE, deployer.address);
-    
-    console.log("Granting MINTER_ROLE for AchievementNFT...");
-    await AchievementNFT.grantRole(MINTER_ROLE, deployer.address);
-    
-    console.log("Granting UPDATER_ROLE for Leaderboard...");
-    await Leaderboard.grantRole(UPDATER_ROLE, deployer.address);
-    
-    console.log("Granting VALIDATOR_ROLE for Leaderboard...");
-    await Leaderboard.grantRole(VALIDATOR_ROLE, deployer.address);
-    
-    // Grant contract permissions
-    console.log("\nGranting inter-contract permissions...");
-    await LOSTToken.grantRole(GAME_CONTROLLER_ROLE, contracts.GAMEPLAY_VERIFICATION_CONTRACT_ID);
-    await LOSTToken.grantRole(GAME_CONTROLLER_ROLE, contracts.TREASURY_CONTRACT_ID);
-    
-    console.log("\n✅ Contract initialization complete!");
-    console.log("All roles have been granted successfully.");
+    console.log("🔧 Applying LOST Protocol permissions...");
+    if (DRY_RUN) {
+        console.log("🧪 Dry run - no transactions will be sent");
+    }
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const [signer] = await hre.ethers.getSigners();
+    console.log("Network:", hre.network.name);
+    console.log("Initializing with account:", signer.address);
+
+    const addresses = {};
+    for (const [name, record] of Object.entries(manifest.contracts)) {
+        addresses[name] = record.proxy;
+    }
+    const context = { deployer: manifest.deployer || signer.address, addresses, accounts };
+    const stats = { granted: 0, skipped: 0, revoked: 0, missing: 0 };
+
+    // Without every holder known, revoking would strip the unconfigured operators' roles
+    if (REVOKE_UNLISTED) {
+        const unconfigured = new Set();
+        for (const contractRoles of Object.values(roles)) {
+            for (const holders of Object.values(contractRoles)) {
+                resolveHolders(holders, context).missing.forEach((ref) => unconfigured.add(ref));
+            }
+        }
+        if (unconfigured.size > 0) {
+            throw new Error(`REVOKE_UNLISTED needs every account configured, missing: ${[...unconfigured].join(", ")}`);
+        }
+    }
+
+    async function send(description, txPromise) {
+        if (DRY_RUN) {
+            console.log(`  📝 would ${description}`);
+            return;
+        }
+        const tx = await txPromise();
+        await tx.wait();
+        console.log(`  ✅ ${description}`);
+    }
+
+    for (const [name, contractRoles] of Object.entries(roles)) {
+        if (!contractSpecs[name]) {
+            throw new Error(`config/roles.js lists unknown contract "${name}"`);
+        }
+        if (!addresses[name]) {
+            throw new Error(`${name} is not in the ${hre.network.name} manifest`);
+        }
+
+        console.log(`\n📝 ${contractSpecs[name].label} (${addresses[name]})`);
+        const instance = await hre.ethers.getContractAt(name, addresses[name]);
+        const available = declaredRoles(instance);
+
+        for (const roleName of Object.keys(contractRoles)) {
+            if (!available.includes(roleName)) {
+                throw new Error(`${name} has no ${roleName}`);
+            }
+        }
+        for (const roleName of available) {
+            if (!contractRoles[roleName]) {
+                console.log(`  ⚠️  ${roleName} is not listed in config/roles.js, leaving it untouched`);
+            }
+        }
+
+        const revocations = [];
+        const members = REVOKE_UNLISTED
+            ? await getRoleMembers(instance, await deploymentBlock(hre.ethers.provider, manifest.contracts[name]))
+            : null;
+
+        for (const [roleName, holders] of Object.entries(contractRoles)) {
+            const role = await instance[roleName]();
+            const { resolved, missing } = resolveHolders(holders, context);
+
+            for (const ref of missing) {
+                console.log(`  ⚠️  ${roleName}: ${ref} is not configured, skipping`);
+                stats.missing++;
+            }
+
+            for (const holder of resolved) {
+                if (await instance.hasRole(role, holder)) {
+                    console.log(`  ⏭️  ${roleName} already held by ${holder}`);
+                    stats.skipped++;
+                    continue;
+                }
+                await send(`grant ${roleName} to ${holder}`, () => instance.grantRole(role, holder));
+                stats.granted++;
+            }
+
+            if (!members) {
+                continue;
+            }
+            for (const holder of members.get(role) || []) {
+                if (resolved.includes(holder) || !(await instance.hasRole(role, holder))) {
+                    continue;
+                }
+                if (role === DEFAULT_ADMIN_ROLE && holder === signer.address) {
+                    console.log(`  ⚠️  Not revoking DEFAULT_ADMIN_ROLE from the account running this script`);
+                    continue;
+                }
+                revocations.push({ roleName, role, holder });
+            }
+        }
+
+        // Admin revocations go last so the other changes can still be made
+        revocations.sort((a, b) => (a.role === DEFAULT_ADMIN_ROLE) - (b.role === DEFAULT_ADMIN_ROLE));
+        for (const { roleName, role, holder } of revocations) {
+            await send(`revoke ${roleName} from ${holder}`, () => instance.revokeRole(role, holder));
+            stats.revoked++;
+        }
+    }
+
+    console.log("\n🏦 Treasury protocol contracts");
+    const treasury = await hre.ethers.getContractAt("Treasury", addresses.Treasury);
+    const approved = protocolContracts.map((ref) => hre.ethers.getAddress(resolveRef(ref, context)));
+    for (const address of approved) {
+        if (await treasury.protocolContracts(address)) {
+            console.log(`  ⏭️  ${address} already approved`);
+            stats.skipped++;
+            continue;
+        }
+        await send(`approve ${address}`, () => treasury.updateProtocolContract(address, true));
+        stats.granted++;
+    }
+
+    if (REVOKE_UNLISTED) {
+        const fromBlock = await deploymentBlock(hre.ethers.provider, manifest.contracts.Treasury);
+        const updates = await queryEvents(treasury, treasury.filters.ProtocolContractUpdated(), fromBlock);
+        const seen = new Set(updates.map((log) => hre.ethers.getAddress(log.args.contractAddress)));
+        for (const address of seen) {
+            if (approved.includes(address) || !(await treasury.protocolContracts(address))) {
+                continue;
+            }
+            await send(`remove ${address}`, () => treasury.updateProtocolContract(address, false));
+            stats.revoked++;
+        }
+    }
+
+    console.log("\n📋 Summary:");
+    console.log(`  Granted: ${stats.granted}, already in place: ${stats.skipped}, revoked: ${stats.revoked}`);
+    if (stats.missing > 0) {
+        console.log(`  ⚠️  ${stats.missing} holder(s) skipped because their account is not configured`);
+    }
+
+    if (!DRY_RUN) {
+        manifest.lastPermissionsSync = {
+            timestamp: new Date().toISOString(),
+            account: signer.address,
+            revokeUnlisted: REVOKE_UNLISTED,
+            ...stats
+        };
+        saveManifest(manifest);
+        console.log("\n✅ Contract initialization complete!");
+    }
 }
 
 main()
@@ -64,4 +173,4 @@ main()
         console.error("❌ Initialization failed:");
         console.error(error);
         process.exit(1);
-    });
\ No newline at end of file
+    });
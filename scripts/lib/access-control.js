@@ -0,0 +1,149 @@
+const { ethers } = require("ethers");
+const { queryEvents, compareLogs } = require("./events");
+const { isRef, resolveRef } = require("./deployment-graph");
+
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+function roleHash(roleName) {
+    return roleName === "DEFAULT_ADMIN_ROLE" ? DEFAULT_ADMIN_ROLE : ethers.id(roleName);
+}
+
+// Every bytes32 *_ROLE constant the contract exposes
+function declaredRoles(instance) {
+    return instance.interface.fragments
+        .filter((f) => f.type === "function" && f.name.endsWith("_ROLE") && f.inputs.length === 0)
+        .map((f) => f.name);
+}
+
+function describeRef(ref) {
+    return ref.name ? `${ref.ref}("${ref.name}")` : `${ref.ref}()`;
+}
+
+/**
+ * Resolve a config/roles.js holder list to checksummed addresses. Operator accounts
+ * that are not configured are returned separately rather than failing the whole run.
+ * @returns {{resolved: string[], missing: string[]}}
+ */
+function resolveHolders(holders, context) {
+    const resolved = [];
+    const missing = [];
+    for (const holder of holders) {
+        if (isRef(holder) && holder.ref === "account" && !(context.accounts && context.accounts[holder.name])) {
+            missing.push(describeRef(holder));
+            continue;
+        }
+        resolved.push(ethers.getAddress(resolveRef(holder, context)));
+    }
+    return { resolved: [...new Set(resolved)], missing };
+}
+
+/**
+ * Rebuild current role membership of an AccessControl contract from its
+ * RoleGranted / RoleRevoked history.
+ * @param {import("ethers").BaseContract} contract
+ * @param {number} [fromBlock]
+ * @returns {Promise<Map<string, Set<string>>>} Members keyed by role hash
+ */
+async function getRoleMembers(contract, fromBlock = 0) {
+    const granted = await queryEvents(contract, contract.filters.RoleGranted(), fromBlock);
+    const revoked = await queryEvents(contract, contract.filters.RoleRevoked(), fromBlock);
+    const history = [...granted, ...revoked].sort(compareLogs);
+
+    const members = new Map();
+    for (const log of history) {
+        const [role, account] = log.args;
+        if (!members.has(role)) {
+            members.set(role, new Set());
+        }
+        if (log.fragment.name === "RoleGranted") {
+            members.get(role).add(ethers.getAddress(account));
+        } else {
+            members.get(role).delete(ethers.getAddress(account));
+        }
+    }
+    return members;
+}
+
+/**
+ * Role membership of one contract, rebuilt from its events and checked against hasRole.
+ * @param {import("ethers").BaseContract} instance
+ * @param {object} options
+ * @param {string} options.name Contract name, as in config/contracts.js
+ * @param {object} [options.listed] The contract's entry in config/roles.js
+ * @param {object} options.context deployer, addresses and accounts to resolve `listed` with
+ * @param {number} [options.fromBlock]
+ * @returns {Promise<{ report: object, findings: object[] }>}
+ */
+async function auditContract(instance, { name, listed: listedRoles = null, context, fromBlock = 0 }) {
+    const provider = instance.runner.provider || instance.runner;
+    const members = await getRoleMembers(instance, fromBlock);
+
+    const roleNames = {};
+    for (const roleName of declaredRoles(instance)) {
+        roleNames[await instance[roleName]()] = roleName;
+    }
+
+    const findings = [];
+    const report = { address: await instance.getAddress(), roles: {} };
+    const codeCache = new Map();
+
+    async function accountType(address) {
+        if (!codeCache.has(address)) {
+            codeCache.set(address, (await provider.getCode(address)) === "0x" ? "EOA" : "contract");
+        }
+        return codeCache.get(address);
+    }
+
+    function flag(severity, rule, role, account, message) {
+        findings.push({ severity, rule, contract: name, role, account, message });
+    }
+
+    // Roles that never had a holder still show up, so an empty UPGRADER_ROLE is visible
+    const hashes = new Set([...Object.keys(roleNames), ...members.keys()]);
+    for (const role of hashes) {
+        const roleName = roleNames[role] || role;
+        const listed = listedRoles && listedRoles[roleName]
+            ? resolveHolders(listedRoles[roleName], context)
+            : null;
+
+        const holders = [];
+        for (const address of members.get(role) || []) {
+            if (!(await instance.hasRole(role, address))) {
+                flag("medium", "event-state-mismatch", roleName, address, "Events say this account holds the role but hasRole() returns false");
+                continue;
+            }
+            const type = await accountType(address);
+            const isListed = !listed ? null : listed.resolved.includes(address) ? true : listed.missing.length > 0 ? null : false;
+            holders.push({ address, type, listed: isListed });
+
+            if (roleName === "UPGRADER_ROLE" && type === "EOA") {
+                flag("high", "upgrader-eoa", roleName, address, "An externally owned account can upgrade this contract");
+            }
+            if (role === DEFAULT_ADMIN_ROLE && type === "EOA") {
+                flag("medium", "admin-eoa", roleName, address, "An externally owned account administers every role");
+            }
+            if (isListed === false) {
+                flag("low", "not-in-roles-file", roleName, address, "Holder is not listed in config/roles.js");
+            }
+        }
+        report.roles[roleName] = holders;
+    }
+
+    if (!report.roles.DEFAULT_ADMIN_ROLE || report.roles.DEFAULT_ADMIN_ROLE.length === 0) {
+        flag("high", "no-admin", "DEFAULT_ADMIN_ROLE", null, "No admin left - roles can no longer be granted or revoked");
+    }
+    if (report.roles.UPGRADER_ROLE && report.roles.UPGRADER_ROLE.length === 0) {
+        flag("medium", "no-upgrader", "UPGRADER_ROLE", null, "Nobody holds UPGRADER_ROLE - the proxy can no longer be upgraded");
+    }
+
+    return { report, findings };
+}
+
+module.exports = {
+    DEFAULT_ADMIN_ROLE,
+    roleHash,
+    declaredRoles,
+    resolveHolders,
+    getRoleMembers,
+    auditContract
+};
@@ -0,0 +1,294 @@
+const { ethers } = require("ethers");
+const { HttpError } = require("./http-error");
+const { ACHIEVEMENT_TYPES, STAKING_TIERS, TOURNAMENT_STATES, TOURNAMENT_TYPES, LISTING_TYPES, LISTING_STATUSES, RARITIES } = require("../../sdk/constants");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Responses mirror the structs in interfaces/: same field names, uint256 as decimal strings,
+// enums by name and addresses checksummed. Lists are paginated as { items, total, offset, limit }.
+
+function checksum(address) {
+    return address ? ethers.getAddress(address) : null;
+}
+
+// Struct result from a contract read → plain object, with enum fields mapped to their names
+function structToJson(result, enums = {}) {
+    const json = {};
+    for (const [key, value] of Object.entries(result.toObject())) {
+        const name = key.replace(/_$/, "");
+        if (enums[name]) {
+            json[name] = enums[name][Number(value)];
+        } else if (typeof value === "bigint") {
+            json[name] = value.toString();
+        } else if (Array.isArray(value)) {
+            json[name] = Array.from(value, (item) => (typeof item === "bigint" ? item.toString() : item));
+        } else {
+            json[name] = value;
+        }
+    }
+    return json;
+}
+
+function pageOf(query) {
+    const offset = query.has("offset") ? Number(query.get("offset")) : 0;
+    const limit = query.has("limit") ? Number(query.get("limit")) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new HttpError(400, "offset must be a non-negative integer");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new HttpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    return { offset, limit };
+}
+
+function enumFilter(query, name, values) {
+    const value = query.get(name);
+    if (value !== null && !values.includes(value)) {
+        throw new HttpError(400, `Unknown ${name} "${value}" (expected one of ${values.join(", ")})`);
+    }
+    return value;
+}
+
+function addressParam(value) {
+    if (!ethers.isAddress(value)) {
+        throw new HttpError(400, `Invalid address "${value}"`);
+    }
+    return value.toLowerCase();
+}
+
+function idParam(value) {
+    if (!/^\d+$/.test(value)) {
+        throw new HttpError(400, `Invalid id "${value}"`);
+    }
+    return value;
+}
+
+function paginate(store, sql, params, { offset, limit }) {
+    const { total } = store.get(`SELECT COUNT(*) AS total FROM (${sql})`, params);
+    const rows = store.all(`${sql} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { rows, total, offset, limit };
+}
+
+/**
+ * Read-only HTTP API over an index store (see ./index-store.js), with contract reads for values
+ * that change without an event.
+ *
+ * @param {object} options
+ * @param {object} options.store
+ * @param {import("ethers").Provider} options.provider
+ * @param {Record<string, import("ethers").BaseContract>} options.contracts Contracts by name
+ * @returns {(req: import("http").IncomingMessage, res: import("http").ServerResponse) => void}
+ */
+function createApi({ store, provider, contracts }) {
+    const {
+        DecentralizedLeaderboard: leaderboard,
+        Tournament: tournament,
+        Staking: staking,
+        Treasury: treasury,
+        LOSTAchievementNFT: nft
+    } = contracts;
+
+    async function tournamentInfo(id) {
+        const info = structToJson(await tournament.getTournamentInfo(id), { state: TOURNAMENT_STATES, tournamentType: TOURNAMENT_TYPES });
+        if (info.organizer === ethers.ZeroAddress) {
+            throw new HttpError(404, `Tournament ${id} not found`);
+        }
+        return { id, ...info };
+    }
+
+    // getTreasuryStatistics reverts when the configured USDC address has no token behind it
+    // (e.g. a local node deployed with the Hedera address); report the rest without it
+    async function treasuryStatistics() {
+        try {
+            return structToJson(await treasury.getTreasuryStatistics());
+        } catch (error) {
+            const lost = new ethers.Contract(await treasury.lostTokenAddress(), ["function balanceOf(address) view returns (uint256)"], provider);
+            return {
+                revenue: (await treasury.totalRevenue()).toString(),
+                distributed: (await treasury.totalDistributed()).toString(),
+                burned: (await treasury.totalBurned()).toString(),
+                lostBalance: (await lost.balanceOf(treasury.target)).toString(),
+                usdcBalance: null
+            };
+        }
+    }
+
+    const routes = [
+        ["/status", async () => ({
+            chainId: store.getMeta("chainId"),
+            lastIndexedBlock: Number(store.getMeta("lastBlock")),
+            headBlock: await provider.getBlockNumber()
+        })],
+
+        // Ranked by best score from the index; entry details come from the contract
+        ["/leaderboard", async (params, query) => {
+            const page = paginate(store, "SELECT player, score, updated_at FROM leaderboard ORDER BY score_sort DESC, updated_block", [], pageOf(query));
+            const items = [];
+            for (const [index, row] of page.rows.entries()) {
+                const rank = await leaderboard.getPlayerRank(row.player);
+                const entry = structToJson(await leaderboard.getLeaderboardEntry(rank));
+                items.push(entry.player.toLowerCase() === row.player
+                    ? { rank: page.offset + index + 1, ...entry }
+                    : { rank: page.offset + index + 1, player: checksum(row.player), score: row.score, timestamp: String(row.updated_at) });
+            }
+            return { items, total: page.total, offset: page.offset, limit: page.limit };
+        }],
+
+        ["/tournaments", async (params, query) => {
+            const state = enumFilter(query, "state", TOURNAMENT_STATES);
+            const page = paginate(
+                store,
+                `SELECT id FROM tournaments ${state ? "WHERE state = ?" : ""} ORDER BY CAST(id AS INTEGER) DESC`,
+                state ? [state] : [],
+                pageOf(query)
+            );
+            const items = [];
+            for (const { id } of page.rows) {
+                items.push(await tournamentInfo(id));
+            }
+            return { items, total: page.total, offset: page.offset, limit: page.limit };
+        }],
+
+        ["/tournaments/:id", async ({ id }) => tournamentInfo(idParam(id))],
+
+        // Every entrant with their live ParticipantData, ranked players first
+        ["/tournaments/:id/bracket", async ({ id }) => {
+            const info = await tournamentInfo(idParam(id));
+            let players = store.all("SELECT player FROM tournament_players WHERE tournament_id = ? ORDER BY joined_block", [id])
+                .map(({ player }) => player);
+            if (players.length < Number(info.currentParticipants)) {
+                players = await tournament.getTournamentPlayers(id);
+            }
+            const participants = [];
+            for (const player of players) {
+                participants.push({ player: checksum(player), ...structToJson(await tournament.getParticipantData(id, player)) });
+            }
+            participants.sort((a, b) => (Number(a.rank) || Infinity) - (Number(b.rank) || Infinity) || Number(b.score) - Number(a.score));
+            return { tournament: info, participants };
+        }],
+
+        ["/listings", async (params, query) => {
+            const status = query.get("status") === "ALL" ? null : enumFilter(query, "status", LISTING_STATUSES) || "ACTIVE";
+            const filters = {
+                "l.status": status,
+                "l.rarity": enumFilter(query, "rarity", RARITIES),
+                "l.listing_type": enumFilter(query, "listingType", LISTING_TYPES),
+                "a.achievement_type": enumFilter(query, "achievementType", ACHIEVEMENT_TYPES),
+                "l.seller": query.has("seller") ? addressParam(query.get("seller")) : null
+            };
+            const where = Object.entries(filters).filter(([, value]) => value !== null);
+            const page = paginate(
+                store,
+                `SELECT l.*, a.achievement_type FROM listings l
+                 LEFT JOIN achievements a ON a.token_id = l.token_id AND l.nft_contract = ?
+                 ${where.length ? `WHERE ${where.map(([column]) => `${column} = ?`).join(" AND ")}` : ""}
+                 ORDER BY CAST(l.id AS INTEGER) DESC`,
+                [String(nft.target).toLowerCase(), ...where.map(([, value]) => value)],
+                pageOf(query)
+            );
+            const items = page.rows.map((row) => ({
+                id: row.id,
+                seller: checksum(row.seller),
+                nftContract: checksum(row.nft_contract),
+                tokenId: row.token_id,
+                listingType: row.listing_type,
+                status: row.status,
+                price: row.price,
+                isActive: row.status === "ACTIVE",
+                createdAt: row.created_at === null ? null : String(row.created_at),
+                expiresAt: row.expires_at === null ? null : String(row.expires_at),
+                ipfsHash: row.ipfs_hash,
+                rarity: row.rarity,
+                achievementType: row.achievement_type,
+                highestBid: row.highest_bid,
+                buyer: checksum(row.buyer)
+            }));
+            return { items, total: page.total, offset: page.offset, limit: page.limit };
+        }],
+
+        ["/staking", async () => structToJson(await staking.getGlobalStats())],
+
+        // Totals and every stake the index knows of, with their live StakeInfo
+        ["/staking/:address", async ({ address }) => {
+            const user = addressParam(address);
+            const stats = structToJson(await staking.getUserStakingStats(user));
+            const stakes = [];
+            for (const { stake_id: stakeId } of store.all("SELECT stake_id FROM stakes WHERE user = ? ORDER BY CAST(stake_id AS INTEGER)", [user])) {
+                stakes.push({ stakeId, ...structToJson(await staking.getUserStakeInfo(user, stakeId), { tier: STAKING_TIERS }) });
+            }
+            return { user: checksum(user), ...stats, stakes };
+        }],
+
+        // Live totals and allocations, plus revenue per source summed from indexed events
+        ["/treasury", async () => {
+            const revenueBySource = {};
+            const rows = store.all(
+                "SELECT args FROM events WHERE contract = 'Treasury' AND event IN ('RevenueCollected', 'FundsReceived')"
+            );
+            for (const { args } of rows) {
+                const { source, amount } = JSON.parse(args);
+                revenueBySource[source] = (BigInt(revenueBySource[source] || 0) + BigInt(amount)).toString();
+            }
+            let distributed = 0n;
+            const distributions = store.all("SELECT args FROM events WHERE contract = 'Treasury' AND event = 'FundsDistributed'");
+            for (const { args } of distributions) {
+                distributed += BigInt(JSON.parse(args).amount);
+            }
+            return {
+                statistics: await treasuryStatistics(),
+                allocations: structToJson(await treasury.getAllocations()),
+                revenueBySource,
+                distributions: { count: distributions.length, total: distributed.toString() }
+            };
+        }]
+    ].map(([pattern, handler]) => {
+        const names = [];
+        const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (match, name) => {
+            names.push(name);
+            return "([^/]+)";
+        })}/?$`);
+        return { regex, names, handler };
+    });
+
+    function send(res, status, body) {
+        res.writeHead(status, {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*"
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    return async function handle(req, res) {
+        const url = new URL(req.url, "http://localhost");
+        try {
+            if (req.method !== "GET") {
+                throw new HttpError(405, "Only GET is supported");
+            }
+            for (const { regex, names, handler } of routes) {
+                const match = url.pathname.match(regex);
+                if (match) {
+                    const params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+                    send(res, 200, await handler(params, url.searchParams));
+                    return;
+                }
+            }
+            throw new HttpError(404, `No route for ${url.pathname}`);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                send(res, error.status, { error: error.message });
+            } else if (error.code) {
+                // ethers errors carry a code; anything else is a bug here
+                send(res, 502, { error: `Contract read failed: ${error.shortMessage || error.message}` });
+            } else {
+                send(res, 500, { error: error.message });
+            }
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    createApi
+};
@@ -0,0 +1,294 @@
+const { ethers } = require("ethers");
+const { LostProtocolError, decodeError } = require("../../sdk/errors");
+const { queryEvents } = require("./events");
+const { createPollLoop } = require("./poll-loop");
+
+// Works through USDCPaymentBridge withdrawal requests with BRIDGE_OPERATOR_ROLE.
+//
+// processWithdrawal only re-checks the blacklist and the bridge balance, so everything else the
+// bridge enforced at request time (KYC, min/max, daily limit) is checked again here against the
+// current on-chain settings. Requests failing those checks are held and re-checked every poll.
+// Eligible requests are paid strictly in request order: when the oldest one cannot be covered
+// the queue stops there rather than paying later, smaller ones ahead of it.
+
+const WITHDRAWAL_STATUS = ["PENDING", "PROCESSING", "COMPLETED", "FAILED", "CANCELLED"];
+
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * @param {object} options
+ * @param {import("ethers").BaseContract} options.bridge USDCPaymentBridge, connected to the operator key
+ * @param {import("ethers").BaseContract} [options.usdc] Token paid out; read from usdcTokenAddress() when left out
+ * @param {boolean} [options.dryRun] Report what would be processed without sending transactions
+ * @param {number} [options.fromBlock] First block to scan for WithdrawalRequested. Daily totals only
+ *   include requests seen from here on, so start at the bridge's deployment block.
+ * @param {bigint} [options.lowLiquidityThreshold] Alert when available liquidity drops below this
+ * @param {number} [options.pollInterval] ms between polls in run()
+ * @param {(message: string) => void} [options.log]
+ * @param {(alert: { kind: string, message: string }) => void} [options.onAlert] Defaults to log
+ */
+function createBridgeOperator({
+    bridge,
+    usdc = null,
+    dryRun = false,
+    fromBlock = 0,
+    lowLiquidityThreshold = 0n,
+    pollInterval = 5000,
+    log = () => {},
+    onAlert = null
+}) {
+    const provider = bridge.runner.provider || bridge.runner;
+    const requests = new Map();
+    const counters = { seen: 0, processed: 0, amountProcessed: 0n, failed: 0 };
+    let token = usdc;
+    let nextBlock = fromBlock;
+    let lowLiquidity = false;
+    let last = null;
+    const loop = createPollLoop(poll, { interval: pollInterval });
+
+    function alert(kind, message, details = {}) {
+        const entry = { kind, message, ...details };
+        if (onAlert) {
+            onAlert(entry);
+        } else {
+            log(`🚨 ${message}`);
+        }
+    }
+
+    async function init() {
+        if (!token) {
+            token = new ethers.Contract(await bridge.usdcTokenAddress(), ERC20_ABI, bridge.runner);
+        }
+        const operator = await bridge.runner.getAddress();
+        const role = await bridge.BRIDGE_OPERATOR_ROLE();
+        if (!(await bridge.hasRole(role, operator))) {
+            if (!dryRun) {
+                throw new Error(`${operator} does not hold BRIDGE_OPERATOR_ROLE on USDCPaymentBridge`);
+            }
+            log(`⚠️  ${operator} does not hold BRIDGE_OPERATOR_ROLE; dry run only`);
+        }
+        return { operator, dryRun };
+    }
+
+    // Amount as passed to requestWithdrawal; the stored request only keeps the USDC amount
+    // after fees. Requests made through another contract cannot be decoded and yield null.
+    async function requestedAmount(event) {
+        const tx = await event.getTransaction();
+        if (!tx || !tx.to || tx.to.toLowerCase() !== String(bridge.target).toLowerCase()) {
+            return null;
+        }
+        const call = bridge.interface.parseTransaction({ data: tx.data, value: tx.value });
+        return call && call.name === "requestWithdrawal" ? call.args.amount : null;
+    }
+
+    async function sync() {
+        const latest = await provider.getBlockNumber();
+        if (latest < nextBlock) {
+            return;
+        }
+        const events = await queryEvents(bridge, "WithdrawalRequested", nextBlock, latest);
+        for (const event of events) {
+            const requestId = event.args.requestId;
+            if (requests.has(requestId)) {
+                continue;
+            }
+            const request = await bridge.withdrawalRequests(requestId);
+            const requested = await requestedAmount(event);
+            requests.set(requestId, {
+                requestId,
+                player: event.args.player,
+                amount: event.args.amount,
+                requested: requested === null ? event.args.amount : requested,
+                day: Math.floor(Number(request.timestamp) / DAY),
+                blockNumber: event.blockNumber,
+                status: WITHDRAWAL_STATUS[Number(request.status)],
+                hold: null,
+                planned: false
+            });
+            counters.seen++;
+        }
+        nextBlock = latest + 1;
+    }
+
+    async function refreshStatuses() {
+        for (const request of requests.values()) {
+            if (request.status === "PENDING") {
+                request.status = WITHDRAWAL_STATUS[Number((await bridge.withdrawalRequests(request.requestId)).status)];
+            }
+        }
+    }
+
+    // Requested so far that day by the player, as the bridge's dailyWithdrawn counts it
+    function dailyTotal(request) {
+        let total = 0n;
+        for (const other of requests.values()) {
+            if (other.player === request.player && other.day === request.day && other.status !== "CANCELLED" && other.requestId <= request.requestId) {
+                total += other.requested;
+            }
+        }
+        return total;
+    }
+
+    // Reason the request may not be paid right now, worded like the bridge's own reverts
+    async function ineligibility(request, limits) {
+        if (await bridge.blacklisted(request.player)) {
+            return "User blacklisted";
+        }
+        if (!(await bridge.kycVerified(request.player))) {
+            return "KYC not verified";
+        }
+        if (request.requested < limits.min) {
+            return "Below minimum withdrawal";
+        }
+        if (request.requested > limits.max) {
+            return "Exceeds maximum withdrawal";
+        }
+        if (dailyTotal(request) > limits.daily) {
+            return "Exceeds daily limit";
+        }
+        return null;
+    }
+
+    function hold(request, reason) {
+        if (request.hold !== reason) {
+            log(`⏸️  Holding withdrawal #${request.requestId} for ${request.player}: ${reason}`);
+        }
+        request.hold = reason;
+    }
+
+    // Bridge balance less the fees it owes the treasury, which withdrawCollectedFees pays out of it
+    async function availableLiquidity() {
+        const balance = await token.balanceOf(bridge.target);
+        const fees = await bridge.totalFeesCollected();
+        return balance > fees ? balance - fees : 0n;
+    }
+
+    async function processRequest(request) {
+        try {
+            const tx = await bridge.processWithdrawal(request.requestId);
+            const receipt = await tx.wait();
+            request.status = "COMPLETED";
+            request.hold = null;
+            request.txHash = receipt.hash;
+            counters.processed++;
+            counters.amountProcessed += request.amount;
+            log(`✅ Withdrawal #${request.requestId}: ${ethers.formatUnits(request.amount, 6)} USDC to ${request.player} (${receipt.hash})`);
+            return true;
+        } catch (error) {
+            const decoded = decodeError(error, { interfaces: [bridge.interface], contract: "USDCPaymentBridge", method: "processWithdrawal" });
+            if (!(decoded instanceof LostProtocolError)) {
+                throw error;
+            }
+            counters.failed++;
+            hold(request, decoded.reason || decoded.message);
+            return false;
+        }
+    }
+
+    /**
+     * One pass over the queue. Stops the operator instead when the bridge is paused.
+     * @returns {Promise<object>} What happened: processed and held request ids, the request blocking
+     *   the queue (if any) and the liquidity left
+     */
+    async function poll() {
+        if (loop.stopped()) {
+            return { stopped: loop.stopped() };
+        }
+        if (await bridge.paused()) {
+            loop.stop("paused");
+            alert("paused", "USDCPaymentBridge is paused; bridge operator stopping");
+            return { stopped: loop.stopped() };
+        }
+
+        await sync();
+        await refreshStatuses();
+        const limits = {
+            min: await bridge.minWithdrawalAmount(),
+            max: await bridge.maxWithdrawalAmount(),
+            daily: await bridge.dailyWithdrawalLimit()
+        };
+        const queue = [...requests.values()]
+            .filter(({ status }) => status === "PENDING")
+            .sort((a, b) => (a.requestId < b.requestId ? -1 : 1));
+
+        let available = await availableLiquidity();
+        const result = { processed: [], held: [], blocked: null, available: 0n, queued: 0n, dryRun };
+        for (const request of queue) {
+            const reason = await ineligibility(request, limits);
+            if (reason) {
+                hold(request, reason);
+                result.held.push({ requestId: request.requestId, reason });
+                continue;
+            }
+            if (available < request.amount) {
+                result.blocked = { requestId: request.requestId, amount: request.amount };
+                break;
+            }
+            if (dryRun) {
+                if (!request.planned) {
+                    log(`📝 Would process withdrawal #${request.requestId}: ${ethers.formatUnits(request.amount, 6)} USDC to ${request.player}`);
+                }
+                request.planned = true;
+                request.hold = null;
+            } else if (!(await processRequest(request))) {
+                result.held.push({ requestId: request.requestId, reason: request.hold });
+                continue;
+            }
+            available -= request.amount;
+            result.processed.push(request.requestId);
+        }
+
+        result.available = available;
+        result.queued = queue
+            .filter(({ status, planned }) => status === "PENDING" && !planned)
+            .reduce((sum, { amount }) => sum + amount, 0n);
+        checkLiquidity(result);
+        last = result;
+        return result;
+    }
+
+    function checkLiquidity({ available, blocked }) {
+        const low = blocked !== null || available < lowLiquidityThreshold;
+        if (low && !lowLiquidity) {
+            const message = blocked
+                ? `Insufficient liquidity for withdrawal #${blocked.requestId}: needs ${ethers.formatUnits(blocked.amount, 6)} USDC, ${ethers.formatUnits(available, 6)} available`
+                : `Bridge liquidity low: ${ethers.formatUnits(available, 6)} USDC available, threshold ${ethers.formatUnits(lowLiquidityThreshold, 6)}`;
+            alert("low-liquidity", message, { available, blocked });
+        } else if (!low && lowLiquidity) {
+            log(`💧 Bridge liquidity back to ${ethers.formatUnits(available, 6)} USDC`);
+        }
+        lowLiquidity = low;
+    }
+
+    function status() {
+        const byStatus = {};
+        const held = [];
+        for (const request of requests.values()) {
+            byStatus[request.status] = (byStatus[request.status] || 0) + 1;
+            if (request.status === "PENDING" && request.hold) {
+                held.push({ requestId: request.requestId, player: request.player, reason: request.hold });
+            }
+        }
+        return {
+            dryRun,
+            stopped: loop.stopped(),
+            lowLiquidity,
+            nextBlock,
+            ...counters,
+            byStatus,
+            held,
+            available: last ? last.available : null,
+            queued: last ? last.queued : null
+        };
+    }
+
+    // run() polls until stop() is called or the bridge is paused, and resolves with the reason
+    return { init, poll, run: loop.run, stop: loop.stop, status };
+}
+
+module.exports = {
+    WITHDRAWAL_STATUS,
+    createBridgeOperator
+};
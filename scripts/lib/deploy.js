@@ -0,0 +1,87 @@
+const { getContractRecord, recordContract } = require("./manifest");
+const { deploymentOrder, resolveArgs } = require("./deployment-graph");
+const { params: defaultParams, contracts: defaultSpecs } = require("../../config/contracts");
+
+/**
+ * Deploy every proxy in the contract graph that the manifest does not already hold.
+ * Shared by deploy.js and the test fixtures, so both run the same deployment.
+ *
+ * @param {object} hre Hardhat runtime (only `ethers` and `upgrades` are used)
+ * @param {object} manifest Manifest to reuse and record into (see lib/manifest.js)
+ * @param {object} [options]
+ * @param {object} [options.params] Overrides for `params` in config/contracts.js
+ * @param {object} [options.contracts] Contract graph, defaults to config/contracts.js
+ * @param {function} [options.save] Called with the manifest after every deployed proxy
+ * @param {function} [options.log] Progress output, defaults to console.log
+ * @returns {Promise<object>} Proxy addresses keyed by contract name
+ */
+async function deployProtocol({ ethers, upgrades }, manifest, options = {}) {
+    const params = { ...defaultParams, ...options.params };
+    const contractSpecs = options.contracts || defaultSpecs;
+    const save = options.save || (() => {});
+    const log = options.log || console.log;
+    const [deployer] = await ethers.getSigners();
+    // The values the contracts are initialized with; health-check.js checks the wiring against them.
+    // A resumed run skips contracts that were initialized with the recorded values, so it may not
+    // change them. Manifests from before params were recorded get none: their values are unknown.
+    if (manifest.params) {
+        const changed = Object.keys({ ...manifest.params, ...params }).filter((key) => manifest.params[key] !== params[key]);
+        if (changed.length > 0) {
+            throw new Error(`The ${manifest.network} manifest was deployed with different ${changed.join(", ")}; ` +
+                "restore the recorded values or start from a new manifest");
+        }
+    } else if (Object.keys(manifest.contracts).length === 0) {
+        manifest.params = params;
+    }
+
+    async function deployContract(name, label, args) {
+        const existing = getContractRecord(manifest, name);
+        if (existing && existing.proxy) {
+            const code = await ethers.provider.getCode(existing.proxy);
+            if (code !== "0x") {
+                log(`\n⏭️  ${label} already deployed at ${existing.proxy}, skipping`);
+                return existing.proxy;
+            }
+            log(`\n⚠️  ${label} recorded at ${existing.proxy} but no code found there, redeploying`);
+        }
+
+        log(`\n🚀 Deploying ${label}...`);
+        const factory = await ethers.getContractFactory(name);
+        const proxy = await upgrades.deployProxy(factory, args, {
+            initializer: "initialize",
+            kind: "uups"
+        });
+        await proxy.waitForDeployment();
+        const proxyAddress = await proxy.getAddress();
+        const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+        const deployTx = proxy.deploymentTransaction();
+        const receipt = deployTx ? await deployTx.wait() : null;
+
+        // Record immediately so a failure further down does not lose this proxy
+        recordContract(manifest, name, {
+            id: contractSpecs[name].id,
+            proxy: proxyAddress,
+            implementation,
+            txHash: deployTx ? deployTx.hash : undefined,
+            blockNumber: receipt ? receipt.blockNumber : undefined,
+            deployer: deployer.address,
+            deployedAt: new Date().toISOString()
+        });
+        save(manifest);
+
+        log(`✅ ${label} deployed to:`, proxyAddress);
+        return proxyAddress;
+    }
+
+    const addresses = {};
+    for (const name of deploymentOrder(contractSpecs)) {
+        const spec = contractSpecs[name];
+        const args = resolveArgs(spec, { deployer: deployer.address, addresses, params });
+        addresses[name] = await deployContract(name, spec.label, args);
+    }
+    return addresses;
+}
+
+module.exports = {
+    deployProtocol
+};
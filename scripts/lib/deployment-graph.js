@@ -0,0 +1,128 @@
+// Argument references used in config/contracts.js and config/roles.js
+function deployer() {
+    return { ref: "deployer" };
+}
+
+function contract(name) {
+    return { ref: "contract", name };
+}
+
+function param(name) {
+    return { ref: "param", name };
+}
+
+// Operator address supplied per network, see `accounts` in config/roles.js
+function account(name) {
+    return { ref: "account", name };
+}
+
+function isRef(value) {
+    return value !== null && typeof value === "object" && typeof value.ref === "string";
+}
+
+/**
+ * Names of the contracts whose addresses `spec` needs before it can be deployed.
+ */
+function dependenciesOf(spec) {
+    const deps = new Set(spec.dependsOn || []);
+    for (const arg of spec.args || []) {
+        if (isRef(arg) && arg.ref === "contract") {
+            deps.add(arg.name);
+        }
+    }
+    return [...deps];
+}
+
+/**
+ * Order contracts so every contract comes after the ones it references.
+ * Ties keep the order of declaration, so the result is stable between runs.
+ * @param {Object<string, object>} contracts The `contracts` map from config/contracts.js
+ * @returns {string[]} Contract names in deployment order
+ */
+function deploymentOrder(contracts) {
+    const names = Object.keys(contracts);
+    const remaining = new Map();
+    for (const name of names) {
+        const deps = dependenciesOf(contracts[name]);
+        for (const dep of deps) {
+            if (!contracts[dep]) {
+                throw new Error(`${name} depends on unknown contract "${dep}"`);
+            }
+            if (dep === name) {
+                throw new Error(`${name} depends on itself`);
+            }
+        }
+        remaining.set(name, new Set(deps));
+    }
+
+    const order = [];
+    while (remaining.size > 0) {
+        const ready = names.find((name) => remaining.has(name) && remaining.get(name).size === 0);
+        if (!ready) {
+            throw new Error(`Dependency cycle between: ${[...remaining.keys()].join(", ")}`);
+        }
+        order.push(ready);
+        remaining.delete(ready);
+        for (const deps of remaining.values()) {
+            deps.delete(ready);
+        }
+    }
+    return order;
+}
+
+/**
+ * Replace a single reference with its concrete value; other values are returned as-is.
+ * @param {*} value
+ * @param {object} context
+ * @param {string} context.deployer Deployer address
+ * @param {Object<string, string>} context.addresses Proxy addresses keyed by contract name
+ * @param {Object<string, *>} [context.params] The `params` map from config/contracts.js
+ * @param {Object<string, string>} [context.accounts] The `accounts` map from config/roles.js
+ */
+function resolveRef(value, context) {
+    if (!isRef(value)) {
+        return value;
+    }
+    switch (value.ref) {
+        case "deployer":
+            return context.deployer;
+        case "contract":
+            if (!context.addresses[value.name]) {
+                throw new Error(`Address of ${value.name} is not known yet`);
+            }
+            return context.addresses[value.name];
+        case "param":
+            if (!context.params || context.params[value.name] === undefined) {
+                throw new Error(`Missing deployment parameter "${value.name}"`);
+            }
+            return context.params[value.name];
+        case "account":
+            if (!context.accounts || !context.accounts[value.name]) {
+                throw new Error(`Account "${value.name}" is not configured`);
+            }
+            return context.accounts[value.name];
+        default:
+            throw new Error(`Unknown argument reference "${value.ref}"`);
+    }
+}
+
+/**
+ * Replace the references in a contract's `args` with concrete values.
+ * @param {object} spec Contract entry from config/contracts.js
+ * @param {object} context See resolveRef
+ */
+function resolveArgs(spec, context) {
+    return (spec.args || []).map((arg) => resolveRef(arg, context));
+}
+
+module.exports = {
+    deployer,
+    contract,
+    param,
+    account,
+    isRef,
+    dependenciesOf,
+    deploymentOrder,
+    resolveRef,
+    resolveArgs
+};
@@ -0,0 +1,49 @@
+// Hedera's JSON-RPC relay rejects eth_getLogs over wide block ranges, so logs are fetched in windows
+const DEFAULT_BLOCK_RANGE = Number(process.env.LOG_BLOCK_RANGE || 10000);
+
+/**
+ * queryFilter over [fromBlock, toBlock] in fixed-size windows.
+ * @param {import("ethers").BaseContract} contract
+ * @param {import("ethers").ContractEventName} filter Event name or filter
+ * @param {number} fromBlock
+ * @param {number|string} [toBlock] Defaults to the latest block
+ * @param {number} [blockRange]
+ * @returns {Promise<Array<import("ethers").EventLog>>} Logs in chain order
+ */
+async function queryEvents(contract, filter, fromBlock = 0, toBlock = "latest", blockRange = DEFAULT_BLOCK_RANGE) {
+    const provider = contract.runner.provider || contract.runner;
+    const lastBlock = toBlock === "latest" ? await provider.getBlockNumber() : Number(toBlock);
+    const logs = [];
+    for (let start = Number(fromBlock); start <= lastBlock; start += blockRange) {
+        const end = Math.min(start + blockRange - 1, lastBlock);
+        logs.push(...(await contract.queryFilter(filter, start, end)));
+    }
+    return logs.sort(compareLogs);
+}
+
+function compareLogs(a, b) {
+    return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+/**
+ * First block worth scanning for a contract's events, taken from its manifest record.
+ */
+async function deploymentBlock(provider, record) {
+    if (record && record.blockNumber !== undefined) {
+        return record.blockNumber;
+    }
+    if (record && record.txHash) {
+        const receipt = await provider.getTransactionReceipt(record.txHash);
+        if (receipt) {
+            return receipt.blockNumber;
+        }
+    }
+    return 0;
+}
+
+module.exports = {
+    DEFAULT_BLOCK_RANGE,
+    queryEvents,
+    compareLogs,
+    deploymentBlock
+};
@@ -0,0 +1,880 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { LostProtocolError, decodeError } = require("../../sdk/errors");
+const { formatLost, parseLost } = require("../../sdk/units");
+const { getRoleMembers } = require("./access-control");
+const { queryEvents } = require("./events");
+const { toJson } = require("./json");
+const { parseDuration } = require("./units");
+
+// Drafting, tallying, dry-running and auditing of Staking and Treasury proposals.
+//
+// Neither contract acts on a passed proposal: Staking.executeProposal only marks it executed and
+// Treasury.executeProposal only pays its amount out of the ecosystem fund. What a proposal is
+// really about, say a new reward rate or tier config, is a list of calls that a role holder makes
+// once the vote has passed. The draft pins those calls down as target + calldata, and the
+// description posted on chain ends with a `lost-governance: <hash>` line committing to them (and to
+// the Treasury payment), so voters can check what they vote on and the audit can check that what
+// was executed afterwards is exactly that.
+//
+// Staking weighs each vote with getUserVotingPower at the moment it is cast; there is no snapshot.
+// For comparison every tally also weighs voters by their LOSTToken balance at a token snapshot.
+// LOSTToken.balanceOfAt is only reliable for the newest snapshot: an account that has not moved
+// since an older one gets its current balance back. Those balances are re-read at the snapshot
+// block instead, where the node keeps history, and reported as unverified where it does not.
+
+const GOVERNANCE_DIR = path.join(__dirname, "..", "..", "deployments", "governance");
+
+const KINDS = ["staking", "treasury"];
+const MARKER = "lost-governance:";
+const BPS = 10000n;
+
+function slug(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "proposal";
+}
+
+function recordPath(networkName, title) {
+    return path.join(GOVERNANCE_DIR, networkName, `${slug(title)}.json`);
+}
+
+function saveRecord(record, file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(toJson(record), null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    return file;
+}
+
+function loadRecord(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Validated proposal spec from YAML:
+ *
+ *     kind: staking              # staking (Staking.createProposal) or treasury (Treasury.createProposal)
+ *     title: Longer GOLD lock
+ *     summary: |
+ *       Why, in prose. Goes into the on-chain description.
+ *     snapshot: current          # LOSTToken snapshot to weigh voters by: current, new or an id
+ *     actions:                   # calls to make once the vote has passed, in order
+ *       - contract: Staking      # a contract from the manifest
+ *         method: updateTierConfig
+ *         args: [2, 120d, 150, 150, "1000 LOST", 1000]   # or a map by parameter name
+ *     # treasury only: what executeProposal pays out of the ecosystem fund
+ *     amount: "5000"             # LOST, at least 1000
+ *     recipient: "0x…"           # address or contract name
+ *     proposalType: 0
+ *
+ * Argument values are checked against the ABI when the proposal is drafted; uint arguments also
+ * take "<n> LOST" amounts and 30d-style durations.
+ */
+function parseGovernanceSpec(text) {
+    const raw = yaml.load(text) || {};
+    const problems = [];
+
+    if (!KINDS.includes(raw.kind)) {
+        problems.push(`kind must be one of ${KINDS.join(", ")}`);
+    }
+    if (typeof raw.title !== "string" || raw.title.trim() === "") {
+        problems.push("title is required");
+    }
+    const snapshot = raw.snapshot === undefined ? "current" : raw.snapshot;
+    if (!["current", "new"].includes(snapshot) && !(Number.isInteger(snapshot) && snapshot > 0)) {
+        problems.push("snapshot must be current, new or a snapshot id");
+    }
+
+    const actions = raw.actions === undefined ? [] : raw.actions;
+    if (!Array.isArray(actions)) {
+        problems.push("actions must be a list");
+    } else {
+        actions.forEach((action, index) => {
+            if (!action || typeof action.contract !== "string" || typeof action.method !== "string") {
+                problems.push(`actions[${index}] needs a contract and a method`);
+            } else if (action.args !== undefined && (typeof action.args !== "object" || action.args === null)) {
+                problems.push(`actions[${index}].args must be a list or a map`);
+            }
+        });
+    }
+
+    const spec = {
+        kind: raw.kind,
+        title: typeof raw.title === "string" ? raw.title.trim() : raw.title,
+        summary: typeof raw.summary === "string" ? raw.summary.trim() : "",
+        snapshot,
+        actions: Array.isArray(actions) ? actions.map(({ contract, method, args }) => ({ contract, method, args: args === undefined ? [] : args })) : []
+    };
+
+    if (raw.kind === "treasury") {
+        let amount;
+        try {
+            amount = parseLost(raw.amount);
+            if (amount < parseLost("1000")) {
+                problems.push("amount must be at least 1000 LOST (Treasury MINIMUM_PROPOSAL_AMOUNT)");
+            }
+        } catch (error) {
+            problems.push(`amount "${raw.amount}" is not a LOST amount`);
+        }
+        if (typeof raw.recipient !== "string" || raw.recipient === "") {
+            problems.push("recipient is required for a treasury proposal");
+        }
+        const proposalType = raw.proposalType === undefined ? 0 : raw.proposalType;
+        if (!Number.isInteger(proposalType) || proposalType < 0) {
+            problems.push("proposalType must be a whole number");
+        }
+        spec.payment = { amount, recipient: raw.recipient, proposalType };
+    } else if (raw.amount !== undefined || raw.recipient !== undefined) {
+        problems.push("amount and recipient only apply to treasury proposals");
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid proposal spec:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    }
+    return spec;
+}
+
+function loadGovernanceSpec(file) {
+    return parseGovernanceSpec(fs.readFileSync(file, "utf8"));
+}
+
+async function addressOf(value, contracts) {
+    if (contracts[value]) {
+        return contracts[value].getAddress();
+    }
+    if (!ethers.isAddress(value)) {
+        throw new Error(`"${value}" is neither an address nor a known contract`);
+    }
+    return ethers.getAddress(value);
+}
+
+// Spec value → ABI value. Anything ethers cannot take is left for encodeFunctionData to reject.
+async function argValue(param, value, contracts) {
+    if (param.baseType === "address") {
+        return addressOf(String(value), contracts);
+    }
+    if (param.baseType === "array") {
+        if (!Array.isArray(value)) {
+            throw new Error(`${param.name || param.type} must be a list`);
+        }
+        return Promise.all(value.map((item) => argValue(param.arrayChildren, item, contracts)));
+    }
+    if (/^u?int/.test(param.type) && typeof value === "string") {
+        const text = value.trim();
+        const amount = text.match(/^(\d+(?:\.\d+)?)\s*LOST$/i);
+        if (amount) {
+            return parseLost(amount[1]);
+        }
+        if (/^\d+\s*[smhd]$/.test(text)) {
+            return BigInt(parseDuration(text));
+        }
+        return BigInt(text);
+    }
+    return value;
+}
+
+function displayValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(displayValue).join(", ")}]`;
+    }
+    return String(value);
+}
+
+async function encodeAction(action, contracts) {
+    const contract = contracts[action.contract];
+    if (!contract) {
+        throw new Error(`unknown contract ${action.contract}`);
+    }
+    let fragment;
+    try {
+        fragment = contract.interface.getFunction(action.method);
+    } catch (error) {
+        throw new Error(`${action.contract}.${action.method}: ${error.shortMessage || error.message}`);
+    }
+    if (!fragment) {
+        throw new Error(`${action.contract} has no function ${action.method}`);
+    }
+    if (fragment.constant) {
+        throw new Error(`${action.contract}.${fragment.name} is a view function`);
+    }
+
+    const given = Array.isArray(action.args)
+        ? action.args
+        : fragment.inputs.map((input) => action.args[input.name]);
+    if (given.length !== fragment.inputs.length || given.some((value) => value === undefined)) {
+        const expected = fragment.inputs.map((input) => `${input.type} ${input.name}`).join(", ");
+        throw new Error(`${action.contract}.${fragment.name} takes (${expected})`);
+    }
+    if (!Array.isArray(action.args)) {
+        const extra = Object.keys(action.args).filter((name) => !fragment.inputs.some((input) => input.name === name));
+        if (extra.length > 0) {
+            throw new Error(`${action.contract}.${fragment.name} has no parameter ${extra.join(", ")}`);
+        }
+    }
+
+    const values = [];
+    for (const [index, input] of fragment.inputs.entries()) {
+        try {
+            values.push(await argValue(input, given[index], contracts));
+        } catch (error) {
+            throw new Error(`${action.contract}.${fragment.name} ${input.name}: ${error.message}`);
+        }
+    }
+    let data;
+    try {
+        data = contract.interface.encodeFunctionData(fragment, values);
+    } catch (error) {
+        throw new Error(`${action.contract}.${fragment.name}: ${error.shortMessage || error.message}`);
+    }
+
+    const readable = fragment.inputs.map((input, index) => `${input.name || index}: ${displayValue(given[index])}`).join(", ");
+    return {
+        contract: action.contract,
+        target: await contract.getAddress(),
+        method: fragment.name,
+        signature: fragment.format("sighash"),
+        args: values.map((value) => toJson(value)),
+        data,
+        summary: `${action.contract}.${fragment.name}(${readable})`
+    };
+}
+
+/**
+ * Hash the on-chain description commits to: the chain, the kind, the Treasury payment (zero for
+ * Staking) and every action's target and calldata, in order.
+ */
+function actionsHash(record) {
+    const payment = record.payment || { amount: "0", recipient: ethers.ZeroAddress };
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "string", "uint256", "address", "address[]", "bytes[]"],
+        [
+            record.chainId,
+            record.kind,
+            payment.amount,
+            payment.recipient,
+            record.actions.map(({ target }) => target),
+            record.actions.map(({ data }) => data)
+        ]
+    ));
+}
+
+function describe(record) {
+    const lines = [record.title];
+    if (record.summary) {
+        lines.push("", record.summary);
+    }
+    if (record.payment) {
+        lines.push("", `Pays ${formatLost(BigInt(record.payment.amount))} LOST from the ecosystem fund to ${record.payment.recipient}.`);
+    }
+    if (record.actions.length > 0) {
+        lines.push("", "Once passed:");
+        record.actions.forEach((action, index) => {
+            lines.push(`${index + 1}. ${action.summary} at ${action.target}`);
+        });
+    }
+    lines.push("", `${MARKER} ${record.actionsHash}`);
+    return lines.join("\n");
+}
+
+/**
+ * Turns a spec into a proposal record: calldata for every action and the exact description to
+ * post. Every problem with the actions is reported at once.
+ * @param {object} spec From parseGovernanceSpec()
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts Contracts by manifest name
+ * @param {bigint|number} options.chainId
+ * @param {string} options.network
+ */
+async function draftProposal(spec, { contracts, chainId, network }) {
+    const problems = [];
+    const actions = [];
+    for (const [index, action] of spec.actions.entries()) {
+        try {
+            actions.push(await encodeAction(action, contracts));
+        } catch (error) {
+            problems.push(`actions[${index}]: ${error.message}`);
+        }
+    }
+    let payment;
+    if (spec.payment) {
+        try {
+            payment = {
+                amount: spec.payment.amount.toString(),
+                recipient: await addressOf(spec.payment.recipient, contracts),
+                proposalType: spec.payment.proposalType
+            };
+        } catch (error) {
+            problems.push(`recipient: ${error.message}`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Cannot draft "${spec.title}":\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    }
+
+    const record = {
+        kind: spec.kind,
+        network,
+        chainId: Number(chainId),
+        title: spec.title,
+        summary: spec.summary,
+        createdAt: new Date().toISOString(),
+        snapshot: spec.snapshot,
+        actions
+    };
+    if (payment) {
+        record.payment = payment;
+    }
+    record.actionsHash = actionsHash(record);
+    record.description = describe(record);
+    return record;
+}
+
+/**
+ * Problems with an on-chain description against the record; empty when it is the drafted text
+ * and still commits to the record's actions.
+ */
+function checkDescription(record, description) {
+    const problems = [];
+    const expected = actionsHash(record);
+    if (expected !== record.actionsHash) {
+        problems.push(`the record's actions hash to ${expected}, not the ${record.actionsHash} it was drafted with`);
+    }
+    const marker = description.split("\n").reverse().find((line) => line.startsWith(MARKER));
+    if (!marker) {
+        problems.push(`the description has no "${MARKER}" line`);
+    } else if (marker.slice(MARKER.length).trim() !== expected) {
+        problems.push(`the description commits to ${marker.slice(MARKER.length).trim()}, the record's actions hash to ${expected}`);
+    } else if (description !== record.description) {
+        problems.push("the description text differs from the drafted one");
+    }
+    return problems;
+}
+
+function governor(record, contracts) {
+    const contract = record.kind === "staking" ? contracts.Staking : contracts.Treasury;
+    if (!contract) {
+        throw new Error(`${record.kind === "staking" ? "Staking" : "Treasury"} is needed for a ${record.kind} proposal`);
+    }
+    return contract;
+}
+
+function proposalId(record) {
+    if (!record.proposal) {
+        throw new Error(`"${record.title}" has not been submitted`);
+    }
+    return BigInt(record.proposal.id);
+}
+
+async function snapshotBlock(token, id, fromBlock) {
+    const [created] = await queryEvents(token, token.filters.SnapshotCreated(id), fromBlock);
+    return created ? created.blockNumber : null;
+}
+
+/**
+ * Posts the proposal and records its id, and the token snapshot its tally is weighed with. A
+ * `snapshot: new` spec takes that snapshot first, which needs LOSTToken DEFAULT_ADMIN_ROLE.
+ * @param {object} record From draftProposal(); updated in place
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts Connected to the proposer
+ * @param {number} [options.fromBlock] Where to look for the snapshot's SnapshotCreated
+ */
+async function submitProposal(record, { contracts, fromBlock = 0 }) {
+    if (record.proposal) {
+        throw new Error(`"${record.title}" is already ${record.kind} proposal ${record.proposal.id}`);
+    }
+    const contract = governor(record, contracts);
+    const token = contracts.LOSTToken;
+
+    let snapshotId = 0n;
+    if (record.snapshot === "new") {
+        const receipt = await (await token.snapshot()).wait();
+        snapshotId = receipt.logs.map((log) => token.interface.parseLog(log)).find((log) => log && log.name === "SnapshotCreated").args.snapshotId;
+    } else if (record.snapshot === "current") {
+        snapshotId = await token.getCurrentSnapshotId();
+    } else {
+        snapshotId = BigInt(record.snapshot);
+        if (snapshotId > (await token.getCurrentSnapshotId())) {
+            throw new Error(`LOSTToken snapshot ${snapshotId} does not exist yet`);
+        }
+    }
+
+    const tx = record.kind === "staking"
+        ? await contract.createProposal(record.description)
+        : await contract.createProposal(record.title, record.description, record.payment.proposalType, record.payment.amount, record.payment.recipient);
+    const receipt = await tx.wait();
+    const created = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((log) => log && log.name === "ProposalCreated");
+    record.proposal = {
+        id: created.args.proposalId.toString(),
+        tx: receipt.hash,
+        block: receipt.blockNumber,
+        proposer: receipt.from,
+        snapshotId: snapshotId > 0n ? snapshotId.toString() : null,
+        snapshotBlock: snapshotId > 0n ? await snapshotBlock(token, snapshotId, fromBlock) : null
+    };
+    return record.proposal;
+}
+
+async function readProposal(record, contracts) {
+    const contract = governor(record, contracts);
+    const id = proposalId(record);
+    const proposal = await contract.proposals(id);
+    if (proposal.proposalId !== id) {
+        throw new Error(`${record.kind} proposal ${id} does not exist`);
+    }
+    return record.kind === "staking"
+        ? { description: proposal.description, votesFor: proposal.votesFor, votesAgainst: proposal.votesAgainst, endTime: Number(proposal.endTime), executed: proposal.executed, cancelled: proposal.cancelled }
+        : { description: proposal.purpose, votesFor: proposal.votesFor, votesAgainst: proposal.votesAgainst, endTime: Number(proposal.endTime), executed: proposal.executed, cancelled: proposal.cancelled, recipient: proposal.recipient, amount: proposal.amount };
+}
+
+// A voter's LOST at the proposal's snapshot, and how far that number can be trusted
+async function snapshotBalance(token, voter, snapshot) {
+    const reported = await token.balanceOfAt(voter, snapshot.id);
+    if (await token.accountSnapshotted(snapshot.id, voter)) {
+        return { balance: reported, source: "recorded" };
+    }
+    if (snapshot.id === snapshot.latest) {
+        // Untouched since the newest snapshot, so the current balance is the snapshot balance
+        return { balance: reported, source: "current" };
+    }
+    if (snapshot.block !== null) {
+        try {
+            return { balance: await token.balanceOf(voter, { blockTag: snapshot.block }), source: "archive" };
+        } catch (error) {
+            // No state that far back on this node
+        }
+    }
+    return { balance: reported, source: "unverified" };
+}
+
+function share(part, whole) {
+    return whole > 0n ? (part * BPS) / whole : 0n;
+}
+
+/**
+ * Where a proposal's vote stands. For Staking that is every VoteCast with the weight it counted,
+ * the voter's getUserVotingPower now and their LOST at the snapshot, against a quorum of 20% of
+ * the current totalVotingPower (executeProposal measures it when it runs, not when voting ends).
+ * Treasury votes are one per TREASURER_ROLE holder and emit nothing, so only who voted is known;
+ * castVote signals from token holders are tallied alongside with the same weights as Staking votes.
+ * @param {object} record A submitted proposal record
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts Staking/Treasury and LOSTToken
+ * @param {number} [options.fromBlock] Where to scan for votes and role grants
+ */
+async function tallyProposal(record, { contracts, fromBlock = 0 }) {
+    const contract = governor(record, contracts);
+    const token = contracts.LOSTToken;
+    const staking = contracts.Staking;
+    const id = proposalId(record);
+    const proposal = await readProposal(record, contracts);
+    const latest = await contract.runner.provider.getBlock("latest");
+    const warnings = [];
+
+    let snapshot = null;
+    if (record.proposal.snapshotId) {
+        snapshot = {
+            id: BigInt(record.proposal.snapshotId),
+            block: record.proposal.snapshotBlock,
+            latest: await token.getCurrentSnapshotId()
+        };
+        snapshot.totalSupply = await token.totalSupplyAt(snapshot.id);
+    }
+
+    // Staking counts every vote once; castVote can be called again, so a signal's last call counts
+    const logs = await queryEvents(contract, contract.filters.VoteCast(id), Math.max(fromBlock, record.proposal.block));
+    const byVoter = new Map();
+    for (const log of logs) {
+        byVoter.set(log.args.voter, log);
+    }
+
+    const votes = [];
+    for (const log of byVoter.values()) {
+        const { voter, support } = log.args;
+        const vote = {
+            voter,
+            support,
+            weight: log.args.weight === undefined ? null : log.args.weight,
+            power: staking ? await staking.getUserVotingPower(voter) : null,
+            block: log.blockNumber,
+            tx: log.transactionHash
+        };
+        if (snapshot) {
+            vote.snapshot = await snapshotBalance(token, voter, snapshot);
+        }
+        votes.push(vote);
+    }
+
+    const sum = (support, pick) => votes.filter((vote) => vote.support === support).reduce((total, vote) => total + (pick(vote) || 0n), 0n);
+    const totals = {
+        for: { power: sum(true, (vote) => vote.power), snapshot: sum(true, (vote) => vote.snapshot && vote.snapshot.balance) },
+        against: { power: sum(false, (vote) => vote.power), snapshot: sum(false, (vote) => vote.snapshot && vote.snapshot.balance) }
+    };
+
+    const tally = {
+        kind: record.kind,
+        id,
+        title: record.title,
+        block: latest.number,
+        timestamp: latest.timestamp,
+        endTime: proposal.endTime,
+        status: proposal.cancelled ? "cancelled" : proposal.executed ? "executed" : latest.timestamp < proposal.endTime ? "open" : "closed",
+        votesFor: proposal.votesFor,
+        votesAgainst: proposal.votesAgainst,
+        votes,
+        totals,
+        snapshot: snapshot && { id: snapshot.id, block: snapshot.block, totalSupply: snapshot.totalSupply },
+        warnings
+    };
+
+    if (record.kind === "staking") {
+        totals.for.weight = sum(true, (vote) => vote.weight);
+        totals.against.weight = sum(false, (vote) => vote.weight);
+        if (totals.for.weight !== proposal.votesFor || totals.against.weight !== proposal.votesAgainst) {
+            warnings.push(`VoteCast events add up to ${formatLost(totals.for.weight)} for / ${formatLost(totals.against.weight)} against, the proposal holds ${formatLost(proposal.votesFor)} / ${formatLost(proposal.votesAgainst)}`);
+        }
+        const totalVotingPower = await staking.totalVotingPower();
+        const required = (totalVotingPower * (await staking.GOVERNANCE_QUORUM())) / BPS;
+        tally.quorum = { totalVotingPower, required, reached: proposal.votesFor + proposal.votesAgainst >= required };
+        tally.passing = tally.quorum.reached && proposal.votesFor > proposal.votesAgainst;
+        if (tally.quorum.reached && proposal.votesFor <= proposal.votesAgainst) {
+            warnings.push("Quorum is reached but most voting power is against; executeProposal only checks quorum and would still accept it");
+        }
+        const drifted = votes.filter((vote) => vote.power !== vote.weight);
+        if (drifted.length > 0) {
+            warnings.push(`${drifted.length} voter(s) hold different voting power than they voted with; votes are not snapshotted`);
+        }
+    } else {
+        const members = await getRoleMembers(contract, fromBlock);
+        const treasurers = [...(members.get(await contract.TREASURER_ROLE()) || [])];
+        tally.treasurers = [];
+        for (const address of treasurers) {
+            tally.treasurers.push({ address, voted: await contract.hasVoted(id, address) });
+        }
+        const ecosystem = await contract.fundBalances("ecosystem");
+        tally.payment = { amount: proposal.amount, recipient: proposal.recipient, ecosystemFund: ecosystem };
+        tally.passing = proposal.votesFor > proposal.votesAgainst;
+        if (tally.passing && ecosystem < proposal.amount && !proposal.executed) {
+            tally.passing = false;
+            warnings.push(`The ecosystem fund holds ${formatLost(ecosystem)} LOST, less than the ${formatLost(proposal.amount)} LOST it pays; executeProposal would revert`);
+        }
+    }
+
+    if (snapshot) {
+        tally.snapshot.forBps = share(totals.for.snapshot, snapshot.totalSupply);
+        tally.snapshot.againstBps = share(totals.against.snapshot, snapshot.totalSupply);
+        const unverified = votes.filter((vote) => vote.snapshot.source === "unverified");
+        if (unverified.length > 0) {
+            warnings.push(`Snapshot ${snapshot.id} is no longer the newest and this node has no state at its block; ${unverified.length} snapshot balance(s) may be current balances`);
+        }
+    }
+    return tally;
+}
+
+function percent(bps) {
+    return `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+/** Report lines for tallyProposal() */
+function formatTally(tally) {
+    const side = (support) => (support ? "for" : "against");
+    const lines = [`🗳️  ${tally.kind === "staking" ? "Staking" : "Treasury"} proposal ${tally.id}: ${tally.title} (${tally.status}, voting ${tally.status === "open" ? "ends" : "ended"} ${new Date(tally.endTime * 1000).toISOString()})`];
+    if (tally.kind === "staking") {
+        lines.push(
+            `   For:     ${formatLost(tally.votesFor)} voting power`,
+            `   Against: ${formatLost(tally.votesAgainst)} voting power`,
+            `   Quorum:  ${formatLost(tally.quorum.required)} of ${formatLost(tally.quorum.totalVotingPower)} total, ${tally.quorum.reached ? "reached" : "not reached"}`
+        );
+    } else {
+        const voted = tally.treasurers.filter(({ voted: hasVoted }) => hasVoted).length;
+        lines.push(
+            `   Treasurers: ${tally.votesFor} for, ${tally.votesAgainst} against, ${voted} of ${tally.treasurers.length} voted`,
+            `   Pays ${formatLost(tally.payment.amount)} LOST to ${tally.payment.recipient} (ecosystem fund holds ${formatLost(tally.payment.ecosystemFund)})`
+        );
+        if (tally.votes.length > 0) {
+            lines.push(`   Token-holder signals (castVote): ${tally.votes.length}`);
+        }
+    }
+    for (const vote of tally.votes) {
+        const parts = [];
+        if (vote.weight !== null) {
+            parts.push(`voted with ${formatLost(vote.weight)}`);
+        }
+        if (vote.power !== null) {
+            parts.push(`power now ${formatLost(vote.power)}`);
+        }
+        if (vote.snapshot) {
+            parts.push(`snapshot ${formatLost(vote.snapshot.balance)} LOST (${vote.snapshot.source})`);
+        }
+        lines.push(`   ${vote.voter} ${side(vote.support).padEnd(7)} ${parts.join(", ")}`);
+    }
+    if (tally.snapshot) {
+        lines.push(`   Snapshot ${tally.snapshot.id}: ${formatLost(tally.totals.for.snapshot)} LOST for (${percent(tally.snapshot.forBps)}), ${formatLost(tally.totals.against.snapshot)} LOST against (${percent(tally.snapshot.againstBps)}) of ${formatLost(tally.snapshot.totalSupply)} supply`);
+    }
+    lines.push(`   ${tally.passing ? "✅ Passing" : "❌ Not passing"}`);
+    for (const warning of tally.warnings) {
+        lines.push(`   ⚠️  ${warning}`);
+    }
+    return lines;
+}
+
+// executeProposal followed by every action, as the transactions an executor sends
+function executionSteps(record, contracts) {
+    const contract = governor(record, contracts);
+    const name = record.kind === "staking" ? "Staking" : "Treasury";
+    return [
+        {
+            label: `${name}.executeProposal(${record.proposal.id})`,
+            contract: name,
+            method: "executeProposal",
+            target: contract.target,
+            data: contract.interface.encodeFunctionData("executeProposal", [proposalId(record)])
+        },
+        ...record.actions.map((action) => ({ label: action.summary, contract: action.contract, method: action.method, target: action.target, data: action.data }))
+    ];
+}
+
+function decodeLogs(logs, contracts) {
+    const events = [];
+    for (const log of logs) {
+        const [name, contract] = Object.entries(contracts).find(([, candidate]) => candidate.target.toLowerCase() === log.address.toLowerCase()) || [];
+        const parsed = contract && contract.interface.parseLog(log);
+        events.push(parsed ? `${name}.${parsed.name}(${parsed.args.map(displayValue).join(", ")})` : `${log.address} ${log.topics[0]}`);
+    }
+    return events;
+}
+
+/**
+ * Dry run of the execution on a Hardhat network, usually a fork of the live chain: jumps past the
+ * end of the vote if needed, impersonates the executor and sends executeProposal and every action,
+ * then reverts the chain to where it was. The executor needs STAKING_MANAGER_ROLE (Staking) or
+ * TREASURER_ROLE (Treasury) and whatever roles the actions need.
+ * @param {object} record A submitted proposal record
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts
+ * @param {object} options.provider Hardhat provider (needs evm_snapshot and hardhat_impersonateAccount)
+ * @param {string} options.executor
+ */
+async function simulateExecution(record, { contracts, provider, executor }) {
+    const proposal = await readProposal(record, contracts);
+    const interfaces = Object.values(contracts).map((contract) => contract.interface);
+    const checkpoint = await provider.send("evm_snapshot", []);
+    try {
+        const latest = await provider.getBlock("latest");
+        if (latest.timestamp < proposal.endTime) {
+            await provider.send("evm_setNextBlockTimestamp", [proposal.endTime]);
+            await provider.send("evm_mine", []);
+        }
+        await provider.send("hardhat_impersonateAccount", [executor]);
+        await provider.send("hardhat_setBalance", [executor, "0x56bc75e2d63100000"]);
+        const signer = await provider.getSigner(executor);
+
+        const steps = [];
+        for (const step of executionSteps(record, contracts)) {
+            try {
+                const receipt = await (await signer.sendTransaction({ to: step.target, data: step.data })).wait();
+                steps.push({ label: step.label, ok: true, gasUsed: receipt.gasUsed, events: decodeLogs(receipt.logs, contracts) });
+            } catch (error) {
+                const decoded = decodeError(error, { interfaces });
+                if (!(decoded instanceof LostProtocolError)) {
+                    throw error;
+                }
+                steps.push({ label: step.label, ok: false, reason: decoded.reason || "reverted without a reason" });
+                break;
+            }
+        }
+        const block = await provider.getBlock("latest");
+        return {
+            executor,
+            block: block.number,
+            timestamp: block.timestamp,
+            ok: steps.length === record.actions.length + 1 && steps.every((step) => step.ok),
+            steps
+        };
+    } finally {
+        await provider.send("hardhat_stopImpersonatingAccount", [executor]).catch(() => {});
+        await provider.send("evm_revert", [checkpoint]);
+    }
+}
+
+/** Report lines for simulateExecution() */
+function formatSimulation(result) {
+    const lines = [`🧪 Execution as ${result.executor} at block ${result.block}`];
+    for (const step of result.steps) {
+        if (step.ok) {
+            lines.push(`   ✅ ${step.label} (${step.gasUsed} gas)`);
+            for (const event of step.events) {
+                lines.push(`        ${event}`);
+            }
+        } else {
+            lines.push(`   ❌ ${step.label}: ${step.reason}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Executes a passed proposal for real: executeProposal, then every action, from the signer the
+ * contracts are connected to. Transaction hashes go into record.execution and through `save`
+ * before each is waited for, so a second run picks up after the last step that went through.
+ * @param {object} record A submitted proposal record; updated in place
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts Connected to the executor
+ * @param {number} [options.fromBlock]
+ * @param {function(object): void} [options.save] Called whenever the record changes
+ */
+async function runExecution(record, { contracts, fromBlock = 0, save = () => {} }) {
+    const contract = governor(record, contracts);
+    const signer = contract.runner;
+    const provider = signer.provider;
+    const interfaces = Object.values(contracts).map((item) => item.interface);
+    const steps = executionSteps(record, contracts);
+    record.execution = record.execution || { executor: await signer.getAddress(), steps: [] };
+
+    const proposal = await readProposal(record, contracts);
+    if (!proposal.executed) {
+        const tally = await tallyProposal(record, { contracts, fromBlock });
+        if (tally.status === "open") {
+            throw new Error(`Voting on ${record.kind} proposal ${record.proposal.id} is still open`);
+        }
+        if (!tally.passing) {
+            throw new Error(`${record.kind} proposal ${record.proposal.id} did not pass`);
+        }
+    }
+
+    for (const [index, step] of steps.entries()) {
+        const done = record.execution.steps[index];
+        if (done && done.tx) {
+            const receipt = await provider.getTransactionReceipt(done.tx);
+            if (receipt && receipt.status === 1) {
+                continue;
+            }
+        }
+        if (index === 0 && proposal.executed) {
+            record.execution.steps[0] = { label: step.label, tx: null, note: "already executed on chain" };
+            continue;
+        }
+        let tx;
+        try {
+            tx = await signer.sendTransaction({ to: step.target, data: step.data });
+        } catch (error) {
+            throw decodeError(error, { interfaces, contract: step.contract, method: step.method });
+        }
+        record.execution.steps[index] = { label: step.label, tx: tx.hash };
+        save(record);
+        const receipt = await tx.wait();
+        record.execution.steps[index].block = receipt.blockNumber;
+        save(record);
+    }
+    return record.execution;
+}
+
+/**
+ * Post-vote audit record: the final tally, whether the on-chain description still commits to the
+ * drafted actions, and for each action the transaction that carried it out. Actions are matched to
+ * the executions this tool recorded and to any `txs` executed by other means, by target and
+ * calldata; a successful call after the vote closed is the only thing that counts.
+ * @param {object} record A submitted proposal record
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts
+ * @param {number} [options.fromBlock]
+ * @param {string[]} [options.txs] Further transaction hashes to match against the actions
+ */
+async function auditProposal(record, { contracts, fromBlock = 0, txs = [] }) {
+    const provider = governor(record, contracts).runner.provider;
+    const proposal = await readProposal(record, contracts);
+    const tally = await tallyProposal(record, { contracts, fromBlock });
+    const problems = checkDescription(record, proposal.description).map((problem) => `Description: ${problem}`);
+
+    const hashes = [...((record.execution && record.execution.steps) || []).map((step) => step && step.tx), ...txs].filter(Boolean);
+    const candidates = [];
+    for (const hash of [...new Set(hashes)]) {
+        const [tx, receipt] = await Promise.all([provider.getTransaction(hash), provider.getTransactionReceipt(hash)]);
+        if (!tx || !receipt) {
+            problems.push(`Transaction ${hash} is not on chain`);
+            continue;
+        }
+        const block = await provider.getBlock(receipt.blockNumber);
+        candidates.push({ hash, to: tx.to, data: tx.data, from: tx.from, status: receipt.status, block: receipt.blockNumber, timestamp: block.timestamp });
+    }
+
+    const used = new Set();
+    const actions = executionSteps(record, contracts).map((step, index) => {
+        const matches = candidates.filter((tx) => !used.has(tx.hash) && tx.to && tx.to.toLowerCase() === step.target.toLowerCase() && tx.data === step.data);
+        const good = matches.find((tx) => tx.status === 1 && tx.timestamp >= proposal.endTime);
+        const entry = { step: index, label: step.label, target: step.target, data: step.data };
+        if (good) {
+            used.add(good.hash);
+            return { ...entry, status: "executed", tx: good.hash, from: good.from, block: good.block };
+        }
+        if (matches.length > 0) {
+            const [first] = matches;
+            return { ...entry, status: first.status === 1 ? "early" : "failed", tx: first.hash, from: first.from, block: first.block };
+        }
+        return { ...entry, status: index === 0 && proposal.executed ? "executed" : "missing" };
+    });
+    const unmatched = candidates.filter((tx) => !used.has(tx.hash) && !actions.some((action) => action.tx === tx.hash));
+    for (const tx of unmatched) {
+        problems.push(`Transaction ${tx.hash} to ${tx.to} is not one of the drafted calls`);
+    }
+
+    let approved = tally.passing;
+    if (record.kind === "treasury" && proposal.executed) {
+        const treasury = contracts.Treasury;
+        const [executed] = await queryEvents(treasury, treasury.filters["ProposalExecuted(uint256,bool)"](proposalId(record)), Math.max(fromBlock, record.proposal.block));
+        approved = executed ? executed.args.approved : approved;
+    }
+
+    let verdict;
+    const actionSteps = actions.slice(1);
+    if (!proposal.executed) {
+        verdict = tally.status === "open" ? "voting" : "not executed";
+    } else if (!approved) {
+        verdict = actionSteps.some((action) => action.status === "executed") ? "rejected, but actions were executed" : "rejected";
+    } else if (actionSteps.every((action) => action.status === "executed")) {
+        verdict = "executed as drafted";
+    } else {
+        verdict = actionSteps.some((action) => action.status === "executed") ? "partly executed" : "passed, actions not executed";
+    }
+    for (const action of actionSteps.filter(({ status }) => status === "early" || status === "failed")) {
+        problems.push(`${action.label}: ${action.status === "early" ? "ran before voting ended" : "reverted"} in ${action.tx}`);
+    }
+
+    const block = await provider.getBlock("latest");
+    return toJson({
+        kind: record.kind,
+        proposalId: record.proposal.id,
+        title: record.title,
+        network: record.network,
+        chainId: record.chainId,
+        auditedAt: new Date().toISOString(),
+        block: block.number,
+        actionsHash: record.actionsHash,
+        verdict,
+        approved,
+        problems,
+        tally,
+        execution: actions
+    });
+}
+
+module.exports = {
+    GOVERNANCE_DIR,
+    recordPath,
+    saveRecord,
+    loadRecord,
+    parseGovernanceSpec,
+    loadGovernanceSpec,
+    draftProposal,
+    actionsHash,
+    checkDescription,
+    submitProposal,
+    readProposal,
+    tallyProposal,
+    formatTally,
+    simulateExecution,
+    formatSimulation,
+    runExecution,
+    auditProposal
+};
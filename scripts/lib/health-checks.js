@@ -0,0 +1,227 @@
+const { ethers } = require("ethers");
+const { queryEvents, deploymentBlock } = require("./events");
+const { params: configParams, contracts: contractSpecs } = require("../../config/contracts");
+const { protocolContracts: approvedRefs } = require("../../config/roles");
+
+// Each check returns one or more results: { name, status: "pass"|"fail"|"warn", expected, actual, detail }
+
+function result(name, ok, expected, actual, detail) {
+    return { name, status: ok ? "pass" : "fail", expected: String(expected), actual: String(actual), detail };
+}
+
+function sameAddress(name, actual, expected) {
+    const ok = ethers.isAddress(actual) && ethers.isAddress(expected) && ethers.getAddress(actual) === ethers.getAddress(expected);
+    return result(name, ok, expected, actual);
+}
+
+function atMost(name, actual, max, unit = "bps") {
+    return result(name, BigInt(actual) <= BigInt(max), `<= ${max} ${unit}`, `${actual} ${unit}`);
+}
+
+function within(name, actual, min, max, unit = "bps") {
+    const value = BigInt(actual);
+    return result(name, value >= BigInt(min) && value <= BigInt(max), `${min}..${max} ${unit}`, `${actual} ${unit}`);
+}
+
+// Getter on a contract → contract it must point at (a name from config/contracts.js or a `params` key)
+const WIRING = {
+    Treasury: { lostTokenAddress: "LOSTToken", usdcTokenAddress: "param:usdcTokenAddress" },
+    Tournament: { treasuryAddress: "Treasury", lostTokenAddress: "LOSTToken" },
+    Marketplace: { achievementNFTAddress: "LOSTAchievementNFT", lostTokenAddress: "LOSTToken", treasuryAddress: "Treasury" },
+    USDCPaymentBridge: { usdcTokenAddress: "param:usdcTokenAddress", lostTokenAddress: "LOSTToken", treasuryAddress: "Treasury" },
+    DataMonetization: { lostTokenAddress: "LOSTToken", treasuryAddress: "Treasury" },
+    Staking: { lostTokenAddress: "LOSTToken", treasuryAddress: "Treasury" }
+};
+
+const TREASURY_SHARES = [
+    "REWARD_POOL_PERCENTAGE",
+    "DEVELOPMENT_PERCENTAGE",
+    "MARKETING_PERCENTAGE",
+    "LIQUIDITY_PERCENTAGE",
+    "STAKING_PERCENTAGE",
+    "ECOSYSTEM_PERCENTAGE",
+    "INSURANCE_PERCENTAGE"
+];
+
+async function wiring({ contracts, addresses, params }) {
+    const results = [];
+    for (const [name, getters] of Object.entries(WIRING)) {
+        for (const [getter, target] of Object.entries(getters)) {
+            const expected = target.startsWith("param:") ? params[target.slice("param:".length)] : addresses[target];
+            results.push(sameAddress(`${name}.${getter} is ${target.replace("param:", "params.")}`, await contracts[name][getter](), expected));
+        }
+    }
+    return results;
+}
+
+async function implementations({ manifest, upgrades }) {
+    const results = [];
+    for (const [name, record] of Object.entries(manifest.contracts)) {
+        if (!record.implementation) {
+            continue;
+        }
+        const onChain = await upgrades.erc1967.getImplementationAddress(record.proxy);
+        results.push(sameAddress(`${name} implementation matches the manifest`, onChain, record.implementation));
+    }
+    return results;
+}
+
+async function treasuryAllocations({ contracts }) {
+    const treasury = contracts.Treasury;
+    let total = 0n;
+    for (const share of TREASURY_SHARES) {
+        total += await treasury[share]();
+    }
+    const results = [result("Treasury allocation shares sum to 100%", total === 10000n, "10000 bps", `${total} bps`)];
+
+    // Allocated amounts come out of revenue after burns, rounded down per fund
+    const allocations = await treasury.getAllocations();
+    const allocated = allocations.reduce((sum, amount) => sum + amount, 0n);
+    const [revenue, burned] = [await treasury.totalRevenue(), await treasury.totalBurned()];
+    results.push(result(
+        "Treasury allocations do not exceed net revenue",
+        allocated <= revenue - burned,
+        `<= ${ethers.formatUnits(revenue - burned, 18)}`,
+        ethers.formatUnits(allocated, 18)
+    ));
+    return results;
+}
+
+async function feeBounds({ contracts }) {
+    const bridge = contracts.USDCPaymentBridge;
+    const [minWithdrawal, maxWithdrawal] = [await bridge.minWithdrawalAmount(), await bridge.maxWithdrawalAmount()];
+    return [
+        atMost("Treasury.burnRate", await contracts.Treasury.burnRate(), 2000),
+        atMost("Tournament.protocolFeePercentage", await contracts.Tournament.protocolFeePercentage(), 1000),
+        atMost("Marketplace.marketplaceFeePercentage", await contracts.Marketplace.marketplaceFeePercentage(), 1000),
+        atMost("USDCPaymentBridge.withdrawalFeePercentage", await bridge.withdrawalFeePercentage(), 500),
+        atMost("USDCPaymentBridge.channelFeePercentage", await bridge.channelFeePercentage(), 200),
+        within("DataMonetization.revenueSharePercentage", await contracts.DataMonetization.revenueSharePercentage(), 5000, 9000),
+        result("USDCPaymentBridge minimum withdrawal <= maximum", minWithdrawal <= maxWithdrawal, `<= ${maxWithdrawal}`, minWithdrawal)
+    ];
+}
+
+async function tokenSupply({ contracts }) {
+    const [currentSupply, maxSupply, minted, burned] = await contracts.LOSTToken.getTokenomics();
+    const format = (value) => `${ethers.formatUnits(value, 18)} LOST`;
+    return [
+        result("LOSTToken minted supply within cap", minted <= maxSupply, `<= ${format(maxSupply)}`, format(minted)),
+        result("LOSTToken total supply within cap", currentSupply <= maxSupply, `<= ${format(maxSupply)}`, format(currentSupply)),
+        result("LOSTToken burned does not exceed minted", burned <= minted, `<= ${format(minted)}`, format(burned))
+    ];
+}
+
+async function bridgeLiquidity({ contracts, manifest, provider }) {
+    const bridge = contracts.USDCPaymentBridge;
+    const fromBlock = await deploymentBlock(provider, manifest.contracts.USDCPaymentBridge);
+    const requests = await queryEvents(bridge, bridge.filters.WithdrawalRequested(), fromBlock);
+    const players = new Set(requests.map((log) => log.args.player));
+
+    let pending = 0n;
+    let count = 0;
+    for (const player of players) {
+        for (const requestId of await bridge.getPendingWithdrawals(player)) {
+            pending += (await bridge.withdrawalRequests(requestId)).amount;
+            count++;
+        }
+    }
+
+    const usdc = await bridge.usdcTokenAddress();
+    const format = (value) => `${ethers.formatUnits(value, 6)} USDC`;
+    if ((await provider.getCode(usdc)) === "0x") {
+        // Nothing can be owed without a token to request in, so only warn
+        const status = pending === 0n ? "warn" : "fail";
+        return [{ name: "USDCPaymentBridge liquidity covers pending withdrawals", status, expected: `>= ${format(pending)}`, actual: `no contract at ${usdc}` }];
+    }
+    const balance = await new ethers.Contract(usdc, ["function balanceOf(address) view returns (uint256)"], provider).balanceOf(await bridge.getAddress());
+    return [result(
+        "USDCPaymentBridge liquidity covers pending withdrawals",
+        balance >= pending,
+        `>= ${format(pending)} (${count} pending)`,
+        format(balance)
+    )];
+}
+
+async function protocolContracts({ contracts, approved }) {
+    const results = [];
+    for (const [name, address] of Object.entries(approved)) {
+        const approvedOnChain = await contracts.Treasury.protocolContracts(address);
+        results.push(result(`Treasury accepts revenue from ${name}`, approvedOnChain, true, approvedOnChain));
+    }
+    return results;
+}
+
+const checks = {
+    wiring,
+    implementations,
+    treasuryAllocations,
+    feeBounds,
+    tokenSupply,
+    bridgeLiquidity,
+    protocolContracts
+};
+
+/**
+ * What the checks read: every contract in the manifest, and the params deploy used.
+ * @param {object} manifest
+ * @param {object} hre Hardhat runtime (only `ethers` and `upgrades` are used)
+ */
+async function healthContext(manifest, { ethers: hreEthers, upgrades }) {
+    const addresses = {};
+    const contracts = {};
+    for (const name of Object.keys(contractSpecs)) {
+        const record = manifest.contracts[name];
+        if (!record || !record.proxy) {
+            throw new Error(`${name} is missing from the ${manifest.network} manifest`);
+        }
+        addresses[name] = record.proxy;
+        contracts[name] = await hreEthers.getContractAt(name, record.proxy);
+    }
+
+    const approved = {};
+    for (const ref of approvedRefs) {
+        approved[ref.name] = addresses[ref.name];
+    }
+
+    // Wiring is checked against what deploy used. Older manifests did not record it, and on local
+    // networks deploy swapped in the MockUSDC kept under `mocks`
+    const params = manifest.params || {
+        ...configParams,
+        ...(manifest.mocks && manifest.mocks.MockUSDC ? { usdcTokenAddress: manifest.mocks.MockUSDC } : {})
+    };
+    return { manifest, addresses, contracts, params, approved, upgrades, provider: hreEthers.provider };
+}
+
+/**
+ * Runs the named checks (default: all). A check that throws is reported as a failure.
+ * @param {object} context From healthContext
+ * @param {string[]} [names]
+ * @param {(name: string, results: object[]) => void} [onCheck] Called as each check finishes
+ * @returns {Promise<object[]>} Every result, tagged with its check
+ */
+async function runChecks(context, names = Object.keys(checks), onCheck = () => {}) {
+    for (const name of names) {
+        if (!checks[name]) {
+            throw new Error(`Unknown health check "${name}" (available: ${Object.keys(checks).join(", ")})`);
+        }
+    }
+    const results = [];
+    for (const name of names) {
+        let checkResults;
+        try {
+            checkResults = await checks[name](context);
+        } catch (error) {
+            checkResults = [{ name, status: "fail", expected: "check to run", actual: error.shortMessage || error.message }];
+        }
+        onCheck(name, checkResults);
+        results.push(...checkResults.map((entry) => ({ check: name, ...entry })));
+    }
+    return results;
+}
+
+module.exports = {
+    WIRING,
+    checks,
+    healthContext,
+    runChecks
+};
@@ -0,0 +1,11 @@
+// Thrown by the HTTP handlers in this directory; the handler answers with `status` and the message
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+module.exports = {
+    HttpError
+};
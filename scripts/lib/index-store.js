@@ -0,0 +1,204 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+// sql.js keeps the database in memory; save() writes it back to disk after each indexed batch
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+-- Hashes of recently indexed blocks, used to detect reorgs
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    timestamp INTEGER,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, event);
+
+-- Every address argument of every event, for per-account history
+CREATE TABLE IF NOT EXISTS event_accounts (
+    address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    arg TEXT NOT NULL,
+    PRIMARY KEY (address, block_number, log_index, arg)
+);
+`;
+
+// Tables derived from the events table. Bump PROJECTION_VERSION when they change: stores written
+// with an older version get these tables dropped and rebuilt from their events.
+const PROJECTION_VERSION = 3;
+const PROJECTION_SCHEMA = `
+CREATE TABLE IF NOT EXISTS tournaments (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    entry_fee TEXT NOT NULL,
+    max_participants INTEGER NOT NULL,
+    participants INTEGER NOT NULL DEFAULT 0,
+    state TEXT NOT NULL,
+    created_block INTEGER NOT NULL,
+    started_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS tournament_players (
+    tournament_id TEXT NOT NULL,
+    player TEXT NOT NULL,
+    joined_block INTEGER NOT NULL,
+    rank INTEGER,
+    prize TEXT,
+    PRIMARY KEY (tournament_id, player)
+);
+
+-- nft_contract, rarity, ipfs_hash and the timestamps are not in ListingCreated; the indexer
+-- reads them from Marketplace.listings() after indexing
+CREATE TABLE IF NOT EXISTS listings (
+    id TEXT PRIMARY KEY,
+    seller TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    price TEXT NOT NULL,
+    listing_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    highest_bid TEXT,
+    buyer TEXT,
+    nft_contract TEXT,
+    rarity TEXT,
+    ipfs_hash TEXT,
+    created_at INTEGER,
+    expires_at INTEGER,
+    created_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS listings_by_status ON listings (status, rarity);
+
+CREATE TABLE IF NOT EXISTS stakes (
+    user TEXT NOT NULL,
+    stake_id TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    tier TEXT NOT NULL,
+    lock_duration INTEGER NOT NULL,
+    staked_block INTEGER NOT NULL,
+    unstaked_block INTEGER,
+    penalty TEXT,
+    PRIMARY KEY (user, stake_id)
+);
+
+CREATE TABLE IF NOT EXISTS achievements (
+    token_id TEXT PRIMARY KEY,
+    player TEXT NOT NULL,
+    achievement_type TEXT NOT NULL,
+    completion_time INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    minted_block INTEGER NOT NULL
+);
+
+-- Best ranked score per player, from DecentralizedLeaderboard.LeaderboardUpdated
+CREATE TABLE IF NOT EXISTS leaderboard (
+    player TEXT PRIMARY KEY,
+    score TEXT NOT NULL,
+    score_sort INTEGER NOT NULL,
+    global_rank INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS leaderboard_by_score ON leaderboard (score_sort DESC, updated_block);
+`;
+
+const PROJECTION_TABLES = ["tournaments", "tournament_players", "listings", "stakes", "achievements", "leaderboard"];
+
+/**
+ * Open (or create) the SQLite index at `file`. Without a file the index lives only in memory.
+ * @param {string|null} file
+ */
+async function openStore(file = null) {
+    const SQL = await initSqlJs();
+    const db = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+    db.run(SCHEMA);
+
+    function all(sql, params = []) {
+        const statement = db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    const store = {
+        file,
+        db,
+        // Set when the projection tables were (re)created empty and must be replayed from events
+        rebuildNeeded: false,
+        run: (sql, params = []) => db.run(sql, params),
+        all,
+        get: (sql, params = []) => all(sql, params)[0] || null,
+
+        getMeta(key) {
+            const row = store.get("SELECT value FROM meta WHERE key = ?", [key]);
+            return row ? row.value : null;
+        },
+        setMeta(key, value) {
+            db.run("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value", [key, String(value)]);
+        },
+
+        transaction(fn) {
+            db.run("BEGIN");
+            try {
+                const result = fn();
+                db.run("COMMIT");
+                return result;
+            } catch (error) {
+                db.run("ROLLBACK");
+                throw error;
+            }
+        },
+
+        save() {
+            if (!file) {
+                return;
+            }
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            fs.writeFileSync(tmp, Buffer.from(db.export()));
+            fs.renameSync(tmp, file);
+        },
+
+        close() {
+            db.close();
+        }
+    };
+    const version = store.getMeta("projectionVersion");
+    if (version !== String(PROJECTION_VERSION)) {
+        for (const table of PROJECTION_TABLES) {
+            db.run(`DROP TABLE IF EXISTS ${table}`);
+        }
+        store.rebuildNeeded = store.get("SELECT 1 AS found FROM events LIMIT 1") !== null;
+    }
+    db.run(PROJECTION_SCHEMA);
+    store.setMeta("projectionVersion", PROJECTION_VERSION);
+    return store;
+}
+
+module.exports = {
+    PROJECTION_VERSION,
+    PROJECTION_TABLES,
+    openStore
+};
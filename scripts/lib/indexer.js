@@ -0,0 +1,404 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { DEFAULT_BLOCK_RANGE, deploymentBlock } = require("./events");
+const { PROJECTION_TABLES, openStore } = require("./index-store");
+const { toJson } = require("./json");
+const { loadManifest } = require("./manifest");
+const { contracts: contractSpecs } = require("../../config/contracts");
+const { ACHIEVEMENT_TYPES, STAKING_TIERS, LISTING_TYPES, LISTING_STATUSES, RARITIES } = require("../../sdk/constants");
+
+// Blocks kept in the `blocks` table and re-checked for reorgs on every sync
+const DEFAULT_REORG_DEPTH = 64;
+
+// Events are stored as JSON; uint256 values become decimal strings and addresses are lowercased
+function lowercaseAddress(item) {
+    return typeof item === "string" && ethers.isAddress(item) && item.length === 42 ? item.toLowerCase() : item;
+}
+
+function decodeArgs(parsed) {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+        args[input.name || String(index)] = toJson(parsed.args[index], lowercaseAddress);
+    });
+    return args;
+}
+
+// Projections: one handler per "<Contract>.<Event>", applied to each stored event in chain order.
+// `event` is { contract, event, args, blockNumber, logIndex, timestamp }.
+const PROJECTIONS = {
+    "Tournament.TournamentCreated": (store, { args, blockNumber }) => store.run(
+        "INSERT INTO tournaments (id, name, entry_fee, max_participants, state, created_block) VALUES (?, ?, ?, ?, 'REGISTRATION', ?)",
+        [args.tournamentId, args.name, args.entryFee, Number(args.maxParticipants), blockNumber]
+    ),
+    "Tournament.PlayerRegistered": joinTournament,
+    "Tournament.PlayerJoined": joinTournament,
+    "Tournament.TournamentStarted": (store, { args }) => store.run(
+        "UPDATE tournaments SET state = 'IN_PROGRESS', started_at = ? WHERE id = ?",
+        [Number(args.startTime), args.tournamentId]
+    ),
+    "Tournament.TournamentCompleted": completeTournament,
+    "Tournament.TournamentFinalized": completeTournament,
+    "Tournament.PrizeDistributed": (store, { args }) => store.run(
+        "UPDATE tournament_players SET rank = ?, prize = ? WHERE tournament_id = ? AND player = ?",
+        [Number(args.rank), args.amount, args.tournamentId, args.winner]
+    ),
+
+    "Marketplace.ListingCreated": (store, { args, blockNumber }) => store.run(
+        `INSERT INTO listings (id, seller, token_id, price, listing_type, status, created_block, updated_block)
+         VALUES (?, ?, ?, ?, ?, 'ACTIVE', ?, ?)`,
+        [args.listingId, args.seller, args.tokenId, args.price, LISTING_TYPES[Number(args.listingType)], blockNumber, blockNumber]
+    ),
+    "Marketplace.AuctionBid": (store, { args, blockNumber }) => store.run(
+        "UPDATE listings SET highest_bid = ?, updated_block = ? WHERE id = ?",
+        [args.bidAmount, blockNumber, args.listingId]
+    ),
+    "Marketplace.ListingSold": (store, { args, blockNumber }) => store.run(
+        "UPDATE listings SET status = 'SOLD', buyer = ?, price = ?, updated_block = ? WHERE id = ?",
+        [args.buyer, args.price, blockNumber, args.listingId]
+    ),
+
+    "Staking.TokensStaked": (store, { args, blockNumber }) => store.run(
+        "INSERT INTO stakes (user, stake_id, amount, tier, lock_duration, staked_block) VALUES (?, ?, ?, ?, ?, ?)",
+        [args.user, args.stakeId, args.amount, STAKING_TIERS[Number(args.tier)], Number(args.lockDuration), blockNumber]
+    ),
+    "Staking.TokensUnstaked": (store, { args, blockNumber }) => store.run(
+        "UPDATE stakes SET unstaked_block = ?, penalty = ? WHERE user = ? AND stake_id = ?",
+        [blockNumber, args.penalty, args.user, args.stakeId]
+    ),
+    // EmergencyUnstaked carries no stakeId and reports the amount after the penalty, so this closes the
+    // user's oldest open stake of amount + penalty; refreshStakes() moves it if the user had several
+    "Staking.EmergencyUnstaked": (store, { args, blockNumber }) => store.run(
+        `UPDATE stakes SET unstaked_block = ?, penalty = ? WHERE rowid = (
+             SELECT rowid FROM stakes WHERE user = ? AND amount = ? AND unstaked_block IS NULL
+             ORDER BY staked_block, CAST(stake_id AS INTEGER) LIMIT 1)`,
+        [blockNumber, args.penalty, args.user, (BigInt(args.amount) + BigInt(args.penalty)).toString()]
+    ),
+
+    "LOSTAchievementNFT.AchievementMinted": (store, { args, blockNumber }) => store.run(
+        `INSERT INTO achievements (token_id, player, achievement_type, completion_time, owner, minted_block)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [args.tokenId, args.player, ACHIEVEMENT_TYPES[Number(args.achievementType)], Number(args.completionTime), args.player, blockNumber]
+    ),
+    "LOSTAchievementNFT.Transfer": (store, { args }) => store.run(
+        "UPDATE achievements SET owner = ? WHERE token_id = ?",
+        [args.to, args.tokenId]
+    ),
+
+    // A player's best entry; their rank among all players is its position by score
+    "DecentralizedLeaderboard.LeaderboardUpdated": (store, { args, blockNumber }) => store.run(
+        `INSERT INTO leaderboard (player, score, score_sort, global_rank, updated_at, updated_block) VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (player) DO UPDATE SET score = excluded.score, score_sort = excluded.score_sort,
+             global_rank = excluded.global_rank, updated_at = excluded.updated_at, updated_block = excluded.updated_block
+         WHERE excluded.score_sort > leaderboard.score_sort`,
+        [args.player, args.score, Number(args.score), Number(args.globalRank), Number(args.timestamp), blockNumber]
+    )
+};
+
+function joinTournament(store, { args, blockNumber }) {
+    store.run(
+        "INSERT OR IGNORE INTO tournament_players (tournament_id, player, joined_block) VALUES (?, ?, ?)",
+        [args.tournamentId, args.player, blockNumber]
+    );
+    store.run(
+        "UPDATE tournaments SET participants = (SELECT COUNT(*) FROM tournament_players WHERE tournament_id = ?) WHERE id = ?",
+        [args.tournamentId, args.tournamentId]
+    );
+}
+
+function completeTournament(store, { args }) {
+    store.run("UPDATE tournaments SET state = 'COMPLETED' WHERE id = ?", [args.tournamentId]);
+}
+
+function applyProjection(store, event) {
+    const handler = PROJECTIONS[`${event.contract}.${event.event}`];
+    if (handler) {
+        handler(store, event);
+    }
+}
+
+/**
+ * Follows the events of every deployed protocol contract into an index store.
+ *
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {Record<string, import("ethers").BaseContract>} options.contracts Contracts by name, attached to their proxies
+ * @param {object} options.store Store from openStore()
+ * @param {number} [options.startBlock] First block to index when the store is empty
+ * @param {number} [options.reorgDepth]
+ * @param {number} [options.blockRange] Blocks per eth_getLogs request
+ * @param {(message: string) => void} [options.log]
+ */
+function createIndexer({ provider, contracts, store, startBlock = 0, reorgDepth = DEFAULT_REORG_DEPTH, blockRange = DEFAULT_BLOCK_RANGE, log = () => {} }) {
+    const byAddress = new Map();
+    for (const [name, contract] of Object.entries(contracts)) {
+        byAddress.set(String(contract.target).toLowerCase(), { name, contract });
+    }
+
+    if (store.rebuildNeeded) {
+        log("🔁 Index tables changed: rebuilding them from stored events");
+        store.transaction(rebuildProjections);
+        store.rebuildNeeded = false;
+    }
+
+    function cursor() {
+        const value = store.getMeta("lastBlock");
+        return value === null ? startBlock - 1 : Number(value);
+    }
+
+    // Walk back from the newest stored block until its hash matches the chain again; the blocks
+    // after it are the ones to drop. Returns null when nothing changed.
+    async function findReorg() {
+        const stored = store.all("SELECT number, hash FROM blocks ORDER BY number DESC");
+        for (const [index, { number, hash }] of stored.entries()) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === hash) {
+                return index === 0 ? null : number + 1;
+            }
+        }
+        // Deeper than reorgDepth: drop everything still on record
+        return stored.length > 0 ? stored[stored.length - 1].number : null;
+    }
+
+    function rollback(forkedFrom) {
+        store.transaction(() => {
+            store.run("DELETE FROM events WHERE block_number >= ?", [forkedFrom]);
+            store.run("DELETE FROM event_accounts WHERE block_number >= ?", [forkedFrom]);
+            store.run("DELETE FROM blocks WHERE number >= ?", [forkedFrom]);
+            store.setMeta("lastBlock", forkedFrom - 1);
+            rebuildProjections();
+        });
+    }
+
+    function rebuildProjections() {
+        for (const table of PROJECTION_TABLES) {
+            store.run(`DELETE FROM ${table}`);
+        }
+        for (const row of store.all("SELECT * FROM events ORDER BY block_number, log_index")) {
+            applyProjection(store, {
+                contract: row.contract,
+                event: row.event,
+                args: JSON.parse(row.args),
+                blockNumber: row.block_number,
+                logIndex: row.log_index,
+                timestamp: row.timestamp
+            });
+        }
+    }
+
+    async function fetchEvents(fromBlock, toBlock) {
+        const logs = await provider.getLogs({ address: [...byAddress.keys()].map((address) => ethers.getAddress(address)), fromBlock, toBlock });
+        const events = [];
+        for (const log of logs) {
+            const source = byAddress.get(log.address.toLowerCase());
+            const parsed = source && source.contract.interface.parseLog(log);
+            if (!parsed) {
+                continue;
+            }
+            events.push({
+                contract: source.name,
+                event: parsed.name,
+                args: decodeArgs(parsed),
+                addresses: parsed.fragment.inputs
+                    .map((input, index) => ({ arg: input.name || String(index), type: input.type, value: parsed.args[index] }))
+                    .filter(({ type }) => type === "address"),
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                logIndex: log.index,
+                txHash: log.transactionHash
+            });
+        }
+        return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    async function indexRange(fromBlock, toBlock) {
+        const events = await fetchEvents(fromBlock, toBlock);
+
+        // Hashes for the blocks that had events and for the last block of the range
+        const blocks = new Map();
+        for (const number of new Set([...events.map((event) => event.blockNumber), toBlock])) {
+            const block = await provider.getBlock(number);
+            blocks.set(number, { hash: block.hash, timestamp: block.timestamp });
+        }
+        for (const event of events) {
+            if (blocks.get(event.blockNumber).hash !== event.blockHash) {
+                throw new Error(`Block ${event.blockNumber} changed while indexing; retry`);
+            }
+            event.timestamp = blocks.get(event.blockNumber).timestamp;
+        }
+
+        store.transaction(() => {
+            for (const event of events) {
+                store.run(
+                    `INSERT INTO events (block_number, log_index, block_hash, tx_hash, timestamp, contract, event, args)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [event.blockNumber, event.logIndex, event.blockHash, event.txHash, event.timestamp, event.contract, event.event, JSON.stringify(event.args)]
+                );
+                for (const { arg, value } of event.addresses) {
+                    store.run(
+                        "INSERT OR IGNORE INTO event_accounts (address, block_number, log_index, arg) VALUES (?, ?, ?, ?)",
+                        [value.toLowerCase(), event.blockNumber, event.logIndex, arg]
+                    );
+                }
+                applyProjection(store, event);
+            }
+            for (const [number, { hash, timestamp }] of blocks) {
+                store.run("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)", [number, hash, timestamp]);
+            }
+            store.run("DELETE FROM blocks WHERE number < ?", [toBlock - reorgDepth]);
+            store.setMeta("lastBlock", toBlock);
+        });
+        return events.length;
+    }
+
+    // cancelListing and expiry emit no event, so active listings are re-read from the chain. New
+    // listings also get the details ListingCreated leaves out.
+    async function refreshListings() {
+        const marketplace = contracts.Marketplace;
+        if (!marketplace) {
+            return;
+        }
+        for (const { id } of store.all("SELECT id FROM listings WHERE status = 'ACTIVE' OR rarity IS NULL")) {
+            const listing = await marketplace.listings(id);
+            store.run(
+                `UPDATE listings SET status = ?, nft_contract = ?, rarity = ?, ipfs_hash = ?, created_at = ?, expires_at = ?
+                 WHERE id = ?`,
+                [
+                    LISTING_STATUSES[Number(listing.status)],
+                    listing.nftContract.toLowerCase(),
+                    RARITIES[Number(listing.rarity)],
+                    listing.ipfsHash,
+                    Number(listing.createdAt),
+                    Number(listing.expiresAt),
+                    id
+                ]
+            );
+        }
+    }
+
+    // When a user had several open stakes of the same amount, the EmergencyUnstaked projection may
+    // have closed the wrong one. Staking knows which are still active, so swap the closures over.
+    async function refreshStakes() {
+        const staking = contracts.Staking;
+        if (!staking) {
+            return;
+        }
+        const users = store.all("SELECT DISTINCT args FROM events WHERE contract = 'Staking' AND event = 'EmergencyUnstaked'")
+            .map(({ args }) => JSON.parse(args).user);
+        for (const user of new Set(users)) {
+            const misplaced = [];
+            const missed = [];
+            for (const row of store.all("SELECT stake_id, amount, unstaked_block, penalty FROM stakes WHERE user = ?", [user])) {
+                const { active } = await staking.getUserStakeInfo(user, row.stake_id);
+                if (active && row.unstaked_block !== null) {
+                    misplaced.push(row);
+                } else if (!active && row.unstaked_block === null) {
+                    missed.push(row);
+                }
+            }
+            for (const wrong of misplaced) {
+                const index = missed.findIndex(({ amount }) => amount === wrong.amount);
+                if (index === -1) {
+                    continue;
+                }
+                const [right] = missed.splice(index, 1);
+                store.run("UPDATE stakes SET unstaked_block = ?, penalty = ? WHERE user = ? AND stake_id = ?",
+                    [wrong.unstaked_block, wrong.penalty, user, right.stake_id]);
+                store.run("UPDATE stakes SET unstaked_block = NULL, penalty = NULL WHERE user = ? AND stake_id = ?", [user, wrong.stake_id]);
+            }
+        }
+    }
+
+    /**
+     * Index everything up to the current head, rolling back first if the chain reorganized.
+     * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorg: number|null }>}
+     */
+    async function sync() {
+        const forkedFrom = await findReorg();
+        if (forkedFrom !== null) {
+            log(`⚠️  Reorg detected: dropping blocks from ${forkedFrom}`);
+            rollback(forkedFrom);
+        }
+
+        const head = await provider.getBlockNumber();
+        const fromBlock = cursor() + 1;
+        let events = 0;
+        for (let start = fromBlock; start <= head; start += blockRange) {
+            const end = Math.min(start + blockRange - 1, head);
+            const count = await indexRange(start, end);
+            events += count;
+            log(`   Blocks ${start}-${end}: ${count} event(s)`);
+        }
+        await refreshListings();
+        await refreshStakes();
+        store.save();
+        return { fromBlock, toBlock: head, events, reorg: forkedFrom };
+    }
+
+    return { sync, rebuildProjections };
+}
+
+/**
+ * Open the index of a network's deployment (deployments/<network>.sqlite by default) and an
+ * indexer for it. Contracts missing from the manifest are skipped with a warning.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} [options]
+ * @param {string} [options.file] Database file
+ * @param {number} [options.reorgDepth]
+ * @param {(message: string) => void} [options.log]
+ */
+async function openNetworkIndex({ ethers: hardhatEthers, network }, { file, reorgDepth, log = () => {} } = {}) {
+    const manifest = loadManifest(network.name, { required: true });
+    const contracts = {};
+    const startBlocks = [];
+    for (const name of Object.keys(contractSpecs)) {
+        const record = manifest.contracts[name];
+        if (!record || !record.proxy) {
+            log(`⚠️  ${name} is missing from the manifest, not indexed`);
+            continue;
+        }
+        contracts[name] = await hardhatEthers.getContractAt(name, record.proxy);
+        startBlocks.push(await deploymentBlock(hardhatEthers.provider, record));
+    }
+
+    const dbFile = file || path.join(__dirname, "..", "..", "deployments", `${network.name}.sqlite`);
+    const store = await openStore(dbFile);
+    const { chainId } = await hardhatEthers.provider.getNetwork();
+    const indexedChain = store.getMeta("chainId");
+    if (indexedChain !== null && indexedChain !== chainId.toString()) {
+        throw new Error(`${dbFile} indexes chain ${indexedChain}, but ${network.name} is chain ${chainId}`);
+    }
+    store.setMeta("chainId", chainId);
+
+    const indexer = createIndexer({
+        provider: hardhatEthers.provider,
+        contracts,
+        store,
+        startBlock: startBlocks.length > 0 ? Math.min(...startBlocks) : 0,
+        reorgDepth,
+        log
+    });
+    return { file: dbFile, store, indexer, contracts };
+}
+
+/**
+ * Everything the index holds for one account, newest first.
+ * @param {object} store
+ * @param {string} address
+ */
+function accountHistory(store, address) {
+    return store.all(
+        `SELECT DISTINCT e.block_number, e.log_index, e.tx_hash, e.timestamp, e.contract, e.event, e.args
+         FROM event_accounts a JOIN events e ON e.block_number = a.block_number AND e.log_index = a.log_index
+         WHERE a.address = ? ORDER BY e.block_number DESC, e.log_index DESC`,
+        [address.toLowerCase()]
+    ).map((row) => ({ ...row, args: JSON.parse(row.args) }));
+}
+
+module.exports = {
+    DEFAULT_REORG_DEPTH,
+    PROJECTIONS,
+    createIndexer,
+    openNetworkIndex,
+    accountHistory
+};
@@ -0,0 +1,13 @@
+/**
+ * JSON-safe copy of `value` for the records and reports the scripts write: bigints become decimal
+ * strings, like every uint256 elsewhere in their output. `replace` maps any other value on the way.
+ * @param {unknown} value
+ * @param {(item: unknown) => unknown} [replace]
+ */
+function toJson(value, replace = (item) => item) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : replace(item))));
+}
+
+module.exports = {
+    toJson
+};
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { contracts: contractSpecs } = require("../../config/contracts");
+
+// One manifest per Hardhat network, e.g. deployments/hedera.json
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Single-file manifest written by deploy.js before manifests were split per network
+const LEGACY_MANIFEST = path.join(__dirname, "..", "..", "deployment-info.json");
+const LEGACY_NETWORKS = { hedera_testnet: "hedera" };
+
+// Environment variable names used for each contract in the legacy manifest and in .env
+const CONTRACT_IDS = Object.fromEntries(
+    Object.entries(contractSpecs).map(([name, spec]) => [name, spec.id])
+);
+
+function manifestPath(networkName) {
+    return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+function emptyManifest(networkName, chainId) {
+    return {
+        network: networkName,
+        chainId: chainId !== undefined ? Number(chainId) : undefined,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        contracts: {}
+    };
+}
+
+function fromLegacy(legacy, networkName) {
+    const manifest = emptyManifest(networkName);
+    manifest.deployer = legacy.deployer;
+    manifest.createdAt = legacy.timestamp || manifest.createdAt;
+    for (const [name, id] of Object.entries(CONTRACT_IDS)) {
+        if (legacy.contracts && legacy.contracts[id]) {
+            manifest.contracts[name] = { id, proxy: legacy.contracts[id], deployedAt: manifest.createdAt };
+        }
+    }
+    return manifest;
+}
+
+/**
+ * Load the deployment manifest for a network.
+ * Falls back to importing the legacy deployment-info.json when it belongs to this network.
+ * @param {string} networkName Hardhat network name
+ * @param {object} [options]
+ * @param {boolean} [options.required] Throw instead of returning an empty manifest when none exists
+ * @param {number|bigint} [options.chainId] Chain id recorded on a freshly created manifest
+ */
+function loadManifest(networkName, options = {}) {
+    const file = manifestPath(networkName);
+    if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+
+    if (fs.existsSync(LEGACY_MANIFEST)) {
+        const legacy = JSON.parse(fs.readFileSync(LEGACY_MANIFEST, "utf8"));
+        if ((LEGACY_NETWORKS[legacy.network] || legacy.network) === networkName) {
+            return fromLegacy(legacy, networkName);
+        }
+    }
+
+    if (options.required) {
+        throw new Error(`No deployment manifest for network "${networkName}" (expected ${file}). Run deploy.js first.`);
+    }
+    return emptyManifest(networkName, options.chainId);
+}
+
+/**
+ * Persist a manifest. Writes to a temporary file first so an interrupted run never
+ * leaves a truncated manifest behind.
+ */
+function saveManifest(manifest) {
+    const file = manifestPath(manifest.network);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    manifest.updatedAt = new Date().toISOString();
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tmp, file);
+    return file;
+}
+
+function getContractRecord(manifest, name) {
+    return manifest.contracts[name];
+}
+
+function recordContract(manifest, name, record) {
+    manifest.contracts[name] = { ...manifest.contracts[name], ...record };
+    return manifest.contracts[name];
+}
+
+/**
+ * Append an implementation change to a contract's history and make it the current implementation.
+ * @param {object} entry {from, to, bytecodeHash, txHash, account, timestamp}
+ */
+function recordUpgrade(manifest, name, entry) {
+    const record = manifest.contracts[name];
+    record.history = record.history || [];
+    record.history.push({ timestamp: new Date().toISOString(), ...entry });
+    record.implementation = entry.to;
+    return record;
+}
+
+/**
+ * Addresses keyed by their .env variable name (LOST_TOKEN_CONTRACT_ID, ...).
+ */
+function contractAddresses(manifest) {
+    const addresses = {};
+    for (const [name, record] of Object.entries(manifest.contracts)) {
+        addresses[record.id || CONTRACT_IDS[name] || name] = record.proxy;
+    }
+    return addresses;
+}
+
+module.exports = {
+    CONTRACT_IDS,
+    manifestPath,
+    emptyManifest,
+    loadManifest,
+    saveManifest,
+    getContractRecord,
+    recordContract,
+    recordUpgrade,
+    contractAddresses
+};
@@ -0,0 +1,396 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ACHIEVEMENT_TYPES } = require("../../sdk/constants");
+const { LostProtocolError, decodeError } = require("../../sdk/errors");
+
+// ERC-721 metadata for LOSTAchievementNFT, content-addressed and pinned to IPFS.
+//
+// Each token's JSON (and, optionally, an SVG card) is built from getAchievementDetails, its rarity
+// score and the current world record for its AchievementType. Files are addressed by CIDv1 (raw
+// codec, sha2-256, base32), computed locally: that is the CID `ipfs add --cid-version=1` gives a
+// file that fits in one chunk, so a pinning backend's answer can be checked against it.
+// updateMetadata is only sent for tokens whose stored URI differs from the new one, so a re-run
+// after a world record falls re-publishes the two tokens whose traits changed and nothing else.
+//
+// LOSTAchievementNFT.initialize takes NFT_METADATA_BASE_URI but never stores it, so tokenURI is
+// the stored value on its own and URIs are written in full (ipfs://<cid>).
+
+const ACHIEVEMENT_NAMES = {
+    PUZZLE_MASTER: "Puzzle Master",
+    SPEED_DEMON: "Speed Demon",
+    FIRST_BLOOD: "First Blood",
+    COLLECTOR: "Collector",
+    STRATEGIST: "Strategist",
+    WORLD_FIRST: "World First",
+    FLAWLESS_VICTORY: "Flawless Victory"
+};
+
+// Tiers over tokenRarityScore (_calculateRarity, 0 to 4750), named after Marketplace.AchievementRarity.
+// The thresholds are this pipeline's own: nothing on chain maps a score to a tier, and a listing's
+// rarity is whatever the seller passes to listForSale.
+const RARITY_TIERS = [
+    { name: "MYTHIC", minScore: 3000, color: "#e0457b" },
+    { name: "LEGENDARY", minScore: 2000, color: "#f5a623" },
+    { name: "EPIC", minScore: 1000, color: "#9b59d0" },
+    { name: "RARE", minScore: 500, color: "#3b82f6" },
+    { name: "COMMON", minScore: 0, color: "#8a94a6" }
+];
+
+// Kubo's default chunk size; larger files are split and no longer have a raw CID
+const MAX_RAW_BLOCK = 256 * 1024;
+
+const BASE32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+    let out = "";
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        out += BASE32[(buffer << (5 - bits)) & 31];
+    }
+    return out;
+}
+
+/**
+ * CIDv1 of `content` as a single raw block: version 1, raw codec (0x55), sha2-256 multihash.
+ * @param {Buffer|string} content
+ * @returns {string} base32 CID ("bafkrei…")
+ */
+function computeCid(content) {
+    const bytes = Buffer.from(content);
+    if (bytes.length > MAX_RAW_BLOCK) {
+        throw new Error(`${bytes.length} bytes do not fit in one IPFS block (${MAX_RAW_BLOCK}); the CID would depend on chunking`);
+    }
+    const digest = crypto.createHash("sha256").update(bytes).digest();
+    return `b${base32(Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]))}`;
+}
+
+function rarityTier(score) {
+    return RARITY_TIERS.find(({ minScore }) => Number(score) >= minScore);
+}
+
+function formatTime(seconds) {
+    const value = Number(seconds);
+    const hours = Math.floor(value / 3600);
+    const minutes = Math.floor((value % 3600) / 60);
+    const rest = value % 60;
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, "0")}m ${String(rest).padStart(2, "0")}s`;
+    }
+    return minutes > 0 ? `${minutes}m ${String(rest).padStart(2, "0")}s` : `${rest}s`;
+}
+
+/**
+ * "0-4,9" to [0, 1, 2, 3, 4, 9].
+ */
+function parseTokenIds(spec) {
+    const ids = new Set();
+    for (const part of spec.split(",").map((item) => item.trim()).filter(Boolean)) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+        if (!match || (match[2] !== undefined && Number(match[2]) < Number(match[1]))) {
+            throw new Error(`Invalid token id or range "${part}"`);
+        }
+        for (let id = Number(match[1]); id <= Number(match[2] ?? match[1]); id++) {
+            ids.add(id);
+        }
+    }
+    return [...ids].sort((a, b) => a - b);
+}
+
+/**
+ * Everything the metadata is built from, for one token.
+ * @param {import("ethers").BaseContract} nft LOSTAchievementNFT
+ * @param {number|bigint} tokenId
+ */
+async function readAchievement(nft, tokenId) {
+    const details = await nft.getAchievementDetails(tokenId);
+    const type = ACHIEVEMENT_TYPES[Number(details.achievementType)];
+    const [score, recordTokenId, recordTime] = await Promise.all([
+        nft.tokenRarityScore(tokenId),
+        nft.worldRecordTokenId(details.achievementType),
+        nft.worldRecordTime(details.achievementType)
+    ]);
+    let worldRecord = "None";
+    if (recordTokenId === BigInt(tokenId) && recordTime === details.completionTime) {
+        worldRecord = "Current";
+    } else if (details.isWorldFirst) {
+        worldRecord = "Former";
+    }
+    return {
+        tokenId: Number(tokenId),
+        type,
+        level: Number(details.level),
+        completionTime: Number(details.completionTime),
+        attempts: Number(details.attempts),
+        deaths: Number(details.deaths),
+        secretsFound: Number(details.secretsFound),
+        puzzlesSolved: Number(details.puzzlesSolved),
+        isWorldFirst: details.isWorldFirst,
+        worldRecord,
+        recordTime: Number(recordTime),
+        rarityScore: Number(score),
+        rarity: rarityTier(score).name,
+        gameplayHash: details.gameplayHash,
+        mintTimestamp: Number(details.mintTimestamp),
+        isTransferable: details.isTransferable,
+        uri: details.ipfsMetadata
+    };
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * A 350×350 card for the achievement, coloured by rarity tier. Deterministic, so the CID only
+ * changes when a trait shown on it does.
+ */
+function renderSvg(achievement) {
+    const { color } = RARITY_TIERS.find(({ name }) => name === achievement.rarity);
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350" font-family="monospace">`,
+        `<rect width="350" height="350" rx="18" fill="#11141c"/>`,
+        `<rect x="8" y="8" width="334" height="334" rx="14" fill="none" stroke="${color}" stroke-width="4"/>`,
+        `<text x="175" y="70" text-anchor="middle" font-size="26" fill="#ffffff">${escapeXml(ACHIEVEMENT_NAMES[achievement.type])}</text>`,
+        `<text x="175" y="100" text-anchor="middle" font-size="15" fill="${color}">${achievement.rarity} · ${achievement.rarityScore}</text>`,
+        `<text x="175" y="175" text-anchor="middle" font-size="40" fill="#ffffff">${formatTime(achievement.completionTime)}</text>`,
+        `<text x="175" y="215" text-anchor="middle" font-size="14" fill="#8a94a6">level ${achievement.level} · ${achievement.attempts} attempt(s) · ${achievement.deaths} death(s)</text>`
+    ];
+    if (achievement.worldRecord !== "None") {
+        const label = achievement.worldRecord === "Current" ? "WORLD RECORD" : "FORMER WORLD RECORD";
+        lines.push(`<text x="175" y="265" text-anchor="middle" font-size="16" fill="#f5a623">★ ${label} ★</text>`);
+    }
+    lines.push(`<text x="175" y="320" text-anchor="middle" font-size="13" fill="#8a94a6">LOST #${achievement.tokenId}</text>`, "</svg>", "");
+    return lines.join("\n");
+}
+
+/**
+ * ERC-721 metadata JSON for one achievement.
+ * @param {object} achievement From readAchievement
+ * @param {object} [options]
+ * @param {string} [options.image] Image URI
+ */
+function buildMetadata(achievement, { image } = {}) {
+    const name = ACHIEVEMENT_NAMES[achievement.type];
+    const record = {
+        Current: ` It holds the ${name} world record.`,
+        Former: ` It set a ${name} world record, since beaten.`,
+        None: ""
+    }[achievement.worldRecord];
+    const metadata = {
+        name: `${name} #${achievement.tokenId}`,
+        description: `LOST Protocol achievement: ${name}, completed at level ${achievement.level} in ${formatTime(achievement.completionTime)}.${record}`
+    };
+    if (image) {
+        metadata.image = image;
+    }
+    metadata.attributes = [
+        { trait_type: "Achievement Type", value: name },
+        { trait_type: "Rarity", value: achievement.rarity },
+        { trait_type: "Rarity Score", value: achievement.rarityScore, display_type: "number" },
+        { trait_type: "Level", value: achievement.level, display_type: "number" },
+        { trait_type: "Completion Time", value: achievement.completionTime, display_type: "number" },
+        { trait_type: "Attempts", value: achievement.attempts, display_type: "number" },
+        { trait_type: "Deaths", value: achievement.deaths, display_type: "number" },
+        { trait_type: "World Record", value: achievement.worldRecord },
+        { trait_type: "Minted", value: achievement.mintTimestamp, display_type: "date" }
+    ];
+    metadata.properties = { gameplayHash: achievement.gameplayHash, transferable: achievement.isTransferable };
+    return metadata;
+}
+
+/**
+ * The files for one token and the URI updateMetadata should store.
+ * @param {object} achievement From readAchievement
+ * @param {object} [options]
+ * @param {boolean} [options.render] Include an SVG card as the image
+ * @param {string} [options.imageTemplate] Image URI when not rendering; {tokenId}, {type} and
+ *   {rarity} are filled in
+ */
+function generateToken(achievement, { render = true, imageTemplate = null } = {}) {
+    const files = [];
+    let image = null;
+    if (render) {
+        const svg = renderSvg(achievement);
+        const cid = computeCid(svg);
+        files.push({ cid, name: `${achievement.tokenId}.svg`, content: Buffer.from(svg) });
+        image = `ipfs://${cid}`;
+    } else if (imageTemplate) {
+        image = imageTemplate
+            .replaceAll("{tokenId}", achievement.tokenId)
+            .replaceAll("{type}", achievement.type.toLowerCase())
+            .replaceAll("{rarity}", achievement.rarity.toLowerCase());
+    }
+    const metadata = buildMetadata(achievement, { image });
+    const json = `${JSON.stringify(metadata, null, 2)}\n`;
+    const cid = computeCid(json);
+    files.push({ cid, name: `${achievement.tokenId}.json`, content: Buffer.from(json) });
+    return { tokenId: achievement.tokenId, achievement, metadata, files, cid, uri: `ipfs://${cid}`, current: achievement.uri };
+}
+
+/**
+ * Pins into a directory, one file per CID. Serve it from a gateway or `ipfs add` it later; the
+ * CIDs will match.
+ */
+function createDirectoryPinner(dir) {
+    return {
+        name: `directory:${dir}`,
+        async pin({ cid, content }) {
+            const file = path.join(dir, cid);
+            if (!fs.existsSync(file)) {
+                fs.mkdirSync(dir, { recursive: true });
+                fs.writeFileSync(file, content);
+            }
+            return cid;
+        }
+    };
+}
+
+/**
+ * Pins through a Kubo RPC endpoint (an IPFS node or a hosted service exposing /api/v0/add).
+ * @param {string} url e.g. http://127.0.0.1:5001
+ * @param {object} [options]
+ * @param {string} [options.authorization] Authorization header for hosted endpoints
+ * @param {number} [options.timeout] ms
+ */
+function createKuboPinner(url, { authorization = null, timeout = 30000 } = {}) {
+    const endpoint = `${url.replace(/\/$/, "")}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`;
+    return {
+        name: `kubo:${new URL(url).host}`,
+        async pin({ name, content }) {
+            const form = new FormData();
+            form.append("file", new Blob([content]), name);
+            const response = await fetch(endpoint, {
+                method: "POST",
+                body: form,
+                headers: authorization ? { Authorization: authorization } : {},
+                signal: AbortSignal.timeout(timeout)
+            }).catch((error) => {
+                throw new Error(`Cannot reach ${url}: ${error.cause ? error.cause.message : error.message}`);
+            });
+            if (!response.ok) {
+                throw new Error(`${url} answered ${response.status}: ${(await response.text()).trim()}`);
+            }
+            return (await response.json()).Hash;
+        }
+    };
+}
+
+/**
+ * Pins every file to every backend, checking each backend addressed it the same way.
+ * A backend is `{ name, pin({ cid, name, content }) }` resolving with the CID it stored.
+ */
+async function pinFiles(files, pinners, { log = () => {} } = {}) {
+    for (const pinner of pinners) {
+        for (const file of files) {
+            const cid = await pinner.pin(file);
+            if (cid !== file.cid) {
+                throw new Error(`${pinner.name} stored ${file.name} as ${cid}, expected ${file.cid}`);
+            }
+        }
+        log(`📌 ${files.length} file(s) pinned to ${pinner.name}`);
+    }
+}
+
+/**
+ * Builds metadata for the given tokens (default: every minted token).
+ * @param {import("ethers").BaseContract} nft LOSTAchievementNFT
+ * @param {object} [options]
+ * @param {number[]} [options.tokenIds]
+ * @param {boolean} [options.render]
+ * @param {string} [options.imageTemplate]
+ * @returns {Promise<object[]>} One entry per token: files, metadata, new uri and current uri
+ */
+async function generateMetadata(nft, { tokenIds = null, render = true, imageTemplate = null } = {}) {
+    let ids = tokenIds;
+    if (!ids) {
+        const supply = Number(await nft.totalSupply());
+        ids = [];
+        for (let index = 0; index < supply; index++) {
+            ids.push(Number(await nft.tokenByIndex(index)));
+        }
+    }
+    const tokens = [];
+    for (const tokenId of ids) {
+        tokens.push(generateToken(await readAchievement(nft, tokenId), { render, imageTemplate }));
+    }
+    return tokens;
+}
+
+/**
+ * Pins the tokens whose URI changed and stores the new URIs with updateMetadata, `batchSize`
+ * transactions at a time: a batch is sent at consecutive nonces, then waited for as a whole.
+ * @param {object[]} tokens From generateMetadata
+ * @param {object} options
+ * @param {import("ethers").BaseContract} options.nft LOSTAchievementNFT, connected to a MINTER_ROLE key
+ * @param {object[]} options.pinners
+ * @param {number} [options.batchSize]
+ * @param {boolean} [options.dryRun] Report the changes without pinning or sending transactions
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{ unchanged: number, updated: object[], failed: object[] }>}
+ */
+async function publishMetadata(tokens, { nft, pinners, batchSize = 20, dryRun = false, log = () => {} }) {
+    const changed = tokens.filter(({ uri, current }) => uri !== current);
+    const result = { unchanged: tokens.length - changed.length, updated: [], failed: [] };
+    if (dryRun || changed.length === 0) {
+        return { ...result, pending: changed.map(({ tokenId, current, uri }) => ({ tokenId, from: current, to: uri })) };
+    }
+
+    const signer = nft.runner;
+    const minter = await nft.MINTER_ROLE();
+    if (!(await nft.hasRole(minter, await signer.getAddress()))) {
+        throw new Error(`${await signer.getAddress()} does not have MINTER_ROLE on LOSTAchievementNFT`);
+    }
+    await pinFiles(changed.flatMap(({ files }) => files), pinners, { log });
+
+    for (let start = 0; start < changed.length; start += batchSize) {
+        const batch = changed.slice(start, start + batchSize);
+        let nonce = await signer.getNonce("pending");
+        const sent = [];
+        for (const token of batch) {
+            try {
+                const tx = await nft.updateMetadata(token.tokenId, token.uri, { nonce });
+                nonce++;
+                sent.push({ token, tx });
+            } catch (error) {
+                const decoded = decodeError(error, { interfaces: [nft.interface], contract: "LOSTAchievementNFT", method: "updateMetadata" });
+                if (!(decoded instanceof LostProtocolError)) {
+                    throw error;
+                }
+                result.failed.push({ tokenId: token.tokenId, error: decoded.reason || decoded.message });
+            }
+        }
+        const receipts = await Promise.all(sent.map(({ tx }) => tx.wait()));
+        receipts.forEach((receipt, index) => {
+            const { token } = sent[index];
+            result.updated.push({ tokenId: token.tokenId, from: token.current, to: token.uri, tx: receipt.hash });
+        });
+        log(`✅ Batch ${start / batchSize + 1}: ${sent.length} token URI(s) updated`);
+    }
+    return result;
+}
+
+module.exports = {
+    RARITY_TIERS,
+    computeCid,
+    rarityTier,
+    parseTokenIds,
+    readAchievement,
+    renderSvg,
+    buildMetadata,
+    generateToken,
+    generateMetadata,
+    createDirectoryPinner,
+    createKuboPinner,
+    pinFiles,
+    publishMetadata
+};
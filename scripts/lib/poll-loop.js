@@ -0,0 +1,54 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs `round` every `interval` ms until stop() is called. Used by the long-running operator
+ * scripts; stop() also cuts the current wait short, so SIGINT does not wait out a poll interval.
+ *
+ * @param {() => Promise<unknown>} round
+ * @param {object} options
+ * @param {number} options.interval ms between rounds
+ * @param {(error: Error) => void} [options.onError] Called when a round throws, and the loop carries
+ *   on. Without it the error ends run().
+ */
+function createPollLoop(round, { interval, onError = null }) {
+    let stopped = null;
+    let wake = null;
+
+    /**
+     * @returns {Promise<string>} Why the loop stopped
+     */
+    async function run() {
+        while (!stopped) {
+            try {
+                await round();
+            } catch (error) {
+                if (!onError) {
+                    throw error;
+                }
+                onError(error);
+            }
+            if (!stopped) {
+                await new Promise((resolve) => {
+                    wake = resolve;
+                    sleep(interval).then(resolve);
+                });
+                wake = null;
+            }
+        }
+        return stopped;
+    }
+
+    function stop(reason = "stopped") {
+        stopped = stopped || reason;
+        if (wake) {
+            wake();
+        }
+    }
+
+    return { run, stop, stopped: () => stopped };
+}
+
+module.exports = {
+    sleep,
+    createPollLoop
+};
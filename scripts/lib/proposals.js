@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Upgrade proposals for a multisig or timelock, e.g. deployments/proposals/hedera/2025-01-01T00-00-00-000Z.json
+const PROPOSALS_DIR = path.join(__dirname, "..", "..", "deployments", "proposals");
+
+// The TimelockController functions a proposal needs; the timelock itself is not part of this repo
+const TIMELOCK_ABI = [
+    "function getMinDelay() view returns (uint256)",
+    "function scheduleBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt, uint256 delay)",
+    "function executeBatch(address[] targets, uint256[] values, bytes[] payloads, bytes32 predecessor, bytes32 salt)"
+];
+
+function proposalPath(networkName, createdAt) {
+    return path.join(PROPOSALS_DIR, networkName, `${createdAt.replace(/[:.]/g, "-")}.json`);
+}
+
+function saveProposal(proposal) {
+    const file = proposalPath(proposal.network, proposal.createdAt);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(proposal, null, 2));
+    return file;
+}
+
+function loadProposal(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Most recent proposal file for a network, or null when there is none.
+ */
+function latestProposal(networkName) {
+    const dir = path.join(PROPOSALS_DIR, networkName);
+    if (!fs.existsSync(dir)) {
+        return null;
+    }
+    const files = fs.readdirSync(dir).filter((file) => file.endsWith(".json")).sort();
+    return files.length > 0 ? path.join(dir, files[files.length - 1]) : null;
+}
+
+/**
+ * Calls that execute the upgrades through a TimelockController: scheduleBatch now,
+ * executeBatch once the delay has passed.
+ */
+function timelockCalls(timelockAddress, calls, minDelay, salt) {
+    const timelock = new ethers.Interface(TIMELOCK_ABI);
+    const targets = calls.map((call) => call.to);
+    const values = calls.map(() => 0);
+    const payloads = calls.map((call) => call.data);
+    const predecessor = ethers.ZeroHash;
+    return {
+        address: timelockAddress,
+        minDelay: minDelay.toString(),
+        predecessor,
+        salt,
+        schedule: timelock.encodeFunctionData("scheduleBatch", [targets, values, payloads, predecessor, salt, minDelay]),
+        execute: timelock.encodeFunctionData("executeBatch", [targets, values, payloads, predecessor, salt])
+    };
+}
+
+/**
+ * Batch in the Safe Transaction Builder JSON format, ready to import into the Safe UI.
+ */
+function safeBatch(chainId, name, description, safeAddress, calls) {
+    return {
+        version: "1.0",
+        chainId: chainId.toString(),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description,
+            createdFromSafeAddress: safeAddress || ""
+        },
+        transactions: calls.map((call) => ({
+            to: call.to,
+            value: "0",
+            data: call.data,
+            contractMethod: null,
+            contractInputsValues: null
+        }))
+    };
+}
+
+module.exports = {
+    PROPOSALS_DIR,
+    TIMELOCK_ABI,
+    proposalPath,
+    saveProposal,
+    loadProposal,
+    latestProposal,
+    timelockCalls,
+    safeBatch
+};
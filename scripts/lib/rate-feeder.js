@@ -0,0 +1,334 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { queryEvents } = require("./events");
+const { createPollLoop } = require("./poll-loop");
+
+// Keeps USDCPaymentBridge.lostToUsdcRate in line with external prices.
+//
+// lostToUsdcRate is USDC base units (6 decimals) per whole LOST, so 100000 is 0.10 USDC. The
+// feeder takes the median of its price sources and calls updateExchangeRate when the median has
+// moved past the deviation threshold, or when the heartbeat has passed since the last update.
+// A move larger than maxChangeBps is only sent with a second sign-off: a signature from one of
+// the approvers over the exact (old, new) rate pair.
+
+const RATE_DECIMALS = 6;
+
+const PAIR_ABI = [
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    "function getReserves() view returns (uint112, uint112, uint32)"
+];
+
+/**
+ * USDC per LOST as a decimal string or number ("0.12") to lostToUsdcRate units.
+ */
+function parseRate(value) {
+    if (value === undefined || value === null || value === "") {
+        throw new Error("Price source returned no rate");
+    }
+    const rate = ethers.parseUnits(String(value), RATE_DECIMALS);
+    if (rate <= 0n) {
+        throw new Error(`Invalid rate ${value}`);
+    }
+    return rate;
+}
+
+function formatRate(rate) {
+    return ethers.formatUnits(rate, RATE_DECIMALS);
+}
+
+/**
+ * Reads `{ "rate": "0.12" }` (or the given key) from a JSON file on every read.
+ */
+function createFileSource(file, { key = "rate" } = {}) {
+    return {
+        name: `file:${path.basename(file)}`,
+        async read() {
+            return parseRate(JSON.parse(fs.readFileSync(file, "utf8"))[key]);
+        }
+    };
+}
+
+/**
+ * Fetches a JSON price document and reads `key` from it.
+ */
+function createHttpSource(url, { key = "rate", timeout = 5000 } = {}) {
+    return {
+        name: `http:${new URL(url).host}`,
+        async read() {
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+            if (!response.ok) {
+                throw new Error(`${url} answered ${response.status}`);
+            }
+            return parseRate((await response.json())[key]);
+        }
+    };
+}
+
+/**
+ * Spot price from the reserves of a Uniswap V2 style LOST/USDC pool.
+ * @param {import("ethers").ContractRunner} runner
+ * @param {string} pair Pool address
+ * @param {object} options
+ * @param {string} options.lostToken Which side of the pool is LOST
+ * @param {number} [options.lostDecimals]
+ * @param {number} [options.usdcDecimals]
+ */
+function createPoolSource(runner, pair, { lostToken, lostDecimals = 18, usdcDecimals = 6 }) {
+    const pool = new ethers.Contract(pair, PAIR_ABI, runner);
+    return {
+        name: `pool:${pair}`,
+        async read() {
+            const [token0, token1] = [await pool.token0(), await pool.token1()];
+            const lostIs0 = token0.toLowerCase() === lostToken.toLowerCase();
+            if (!lostIs0 && token1.toLowerCase() !== lostToken.toLowerCase()) {
+                throw new Error(`Pool ${pair} does not hold LOST`);
+            }
+            const [reserve0, reserve1] = await pool.getReserves();
+            const [lostReserve, usdcReserve] = lostIs0 ? [reserve0, reserve1] : [reserve1, reserve0];
+            if (lostReserve === 0n || usdcReserve === 0n) {
+                throw new Error(`Pool ${pair} is empty`);
+            }
+            return (usdcReserve * 10n ** BigInt(lostDecimals + RATE_DECIMALS)) / (lostReserve * 10n ** BigInt(usdcDecimals));
+        }
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+/**
+ * Reads every source and takes the median of those that answered.
+ * @returns {Promise<{ rate: bigint, quotes: Array<{ source: string, rate: bigint }>, errors: Array<{ source: string, error: string }> }>}
+ */
+async function aggregateRate(sources, { minSources = 1 } = {}) {
+    const results = await Promise.allSettled(sources.map((source) => source.read()));
+    const quotes = [];
+    const errors = [];
+    results.forEach((result, index) => {
+        if (result.status === "fulfilled") {
+            quotes.push({ source: sources[index].name, rate: result.value });
+        } else {
+            errors.push({ source: sources[index].name, error: result.reason.message });
+        }
+    });
+    if (quotes.length < minSources) {
+        const detail = errors.map(({ source, error }) => `${source}: ${error}`).join("; ");
+        throw new Error(`${quotes.length} of ${sources.length} price source(s) answered, ${minSources} required${detail ? ` (${detail})` : ""}`);
+    }
+    return { rate: median(quotes.map(({ rate }) => rate)), quotes, errors };
+}
+
+/**
+ * Move from one rate to another in basis points of the first.
+ */
+function deviationBps(from, to) {
+    if (from === 0n) {
+        return Infinity;
+    }
+    const change = to > from ? to - from : from - to;
+    return Number((change * 10000n) / from);
+}
+
+function rateApprovalHash({ chainId, bridge, oldRate, newRate }) {
+    return ethers.solidityPackedKeccak256(
+        ["string", "uint256", "address", "uint256", "uint256"],
+        ["LOST exchange rate approval", chainId, bridge, oldRate, newRate]
+    );
+}
+
+/**
+ * Second sign-off for a rate change above maxChangeBps.
+ * @param {import("ethers").Signer} signer One of the feeder's approvers
+ * @param {{ chainId: bigint|number, bridge: string, oldRate: bigint, newRate: bigint }} change
+ */
+async function signRateApproval(signer, change) {
+    return signer.signMessage(ethers.getBytes(rateApprovalHash(change)));
+}
+
+function recoverRateApprover(change, signature) {
+    return ethers.verifyMessage(ethers.getBytes(rateApprovalHash(change)), signature);
+}
+
+/**
+ * @param {object} options
+ * @param {import("ethers").BaseContract} options.bridge USDCPaymentBridge, connected to a BRIDGE_OPERATOR_ROLE key
+ * @param {Array<{ name: string, read: () => Promise<bigint> }>} options.sources
+ * @param {number} [options.minSources] Sources that must answer for a round to go ahead
+ * @param {number} [options.deviationBps] Update when the median moves at least this far from the on-chain rate
+ * @param {number} [options.heartbeat] Seconds after which the rate is re-sent even if unchanged
+ * @param {number} [options.maxChangeBps] Larger moves need an approval
+ * @param {string[]} [options.approvers] Addresses whose approvals count; the feeder's own key never does
+ * @param {() => Promise<Array<{ oldRate: bigint|string, newRate: bigint|string, signature: string }>>} [options.approvals]
+ * @param {number} [options.fromBlock] Where to look for earlier ExchangeRateUpdated events
+ * @param {number} [options.pollInterval] ms between rounds in run()
+ * @param {(message: string) => void} [options.log]
+ * @param {(update: object) => void} [options.onUpdate] Called with every ExchangeRateUpdated the feeder causes
+ */
+function createRateFeeder({
+    bridge,
+    sources,
+    minSources = 1,
+    deviationBps: threshold = 100,
+    heartbeat = 24 * 60 * 60,
+    maxChangeBps = 1000,
+    approvers = [],
+    approvals = async () => [],
+    fromBlock = 0,
+    pollInterval = 60000,
+    log = () => {},
+    onUpdate = () => {}
+}) {
+    const provider = bridge.runner.provider || bridge.runner;
+    const allowed = new Set(approvers.map((address) => ethers.getAddress(address)));
+    const updates = [];
+    let operator = null;
+    let chainId = null;
+    let lastUpdatedAt = null;
+    let nextBlock = fromBlock;
+    let awaiting = null;
+    const loop = createPollLoop(round, { interval: pollInterval, onError: (error) => log(`❌ Round failed: ${error.message}`) });
+
+    async function init() {
+        operator = await bridge.runner.getAddress();
+        chainId = (await provider.getNetwork()).chainId;
+        const role = await bridge.BRIDGE_OPERATOR_ROLE();
+        if (!(await bridge.hasRole(role, operator))) {
+            throw new Error(`${operator} does not hold BRIDGE_OPERATOR_ROLE on USDCPaymentBridge`);
+        }
+        allowed.delete(operator);
+        await syncUpdates();
+        return { operator, lastUpdatedAt };
+    }
+
+    // Time of the latest ExchangeRateUpdated, whoever sent it
+    async function syncUpdates() {
+        const latest = await provider.getBlockNumber();
+        if (latest < nextBlock) {
+            return;
+        }
+        const events = await queryEvents(bridge, "ExchangeRateUpdated", nextBlock, latest);
+        if (events.length > 0) {
+            lastUpdatedAt = (await provider.getBlock(events[events.length - 1].blockNumber)).timestamp;
+        }
+        nextBlock = latest + 1;
+    }
+
+    async function findApproval(current, proposed) {
+        for (const approval of await approvals()) {
+            const change = { chainId, bridge: bridge.target, oldRate: BigInt(approval.oldRate), newRate: BigInt(approval.newRate) };
+            if (change.oldRate !== current || deviationBps(change.newRate, proposed) > threshold) {
+                continue;
+            }
+            let approver;
+            try {
+                approver = recoverRateApprover(change, approval.signature);
+            } catch (error) {
+                continue;
+            }
+            if (allowed.has(approver)) {
+                return { rate: change.newRate, approver };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Works out what the next round would do without sending anything.
+     * @returns {Promise<object>} `action` is "none", "update" or "needs-approval"
+     */
+    async function check() {
+        await syncUpdates();
+        const current = await bridge.lostToUsdcRate();
+        const { rate: proposed, quotes, errors } = await aggregateRate(sources, { minSources });
+        const now = (await provider.getBlock("latest")).timestamp;
+        const stale = lastUpdatedAt === null || now - lastUpdatedAt >= heartbeat;
+        const deviation = deviationBps(current, proposed);
+        const result = { current, proposed, deviation, stale, quotes, errors, action: "none", rate: null };
+
+        if (deviation < threshold && !stale) {
+            return result;
+        }
+        if (deviation <= maxChangeBps) {
+            return { ...result, action: "update", rate: deviation < threshold ? current : proposed };
+        }
+        const approval = await findApproval(current, proposed);
+        if (approval) {
+            return { ...result, action: "update", rate: approval.rate, approvedBy: approval.approver };
+        }
+        return {
+            ...result,
+            action: "needs-approval",
+            approvalHash: rateApprovalHash({ chainId, bridge: bridge.target, oldRate: current, newRate: proposed })
+        };
+    }
+
+    /**
+     * One check, followed by updateExchangeRate when it calls for one.
+     */
+    async function round() {
+        const result = await check();
+        for (const { source, error } of result.errors) {
+            log(`⚠️  ${source}: ${error}`);
+        }
+        if (result.action === "needs-approval") {
+            const key = `${result.current}:${result.proposed}`;
+            if (awaiting !== key) {
+                log(`✋ ${formatRate(result.current)} → ${formatRate(result.proposed)} USDC moves ${result.deviation / 100}%, above ${maxChangeBps / 100}%; needs an approval over (${result.current}, ${result.proposed})`);
+            }
+            awaiting = key;
+            return result;
+        }
+        awaiting = null;
+        if (result.action === "none") {
+            return result;
+        }
+
+        const receipt = await (await bridge.updateExchangeRate(result.rate)).wait();
+        for (const entry of receipt.logs) {
+            const parsed = bridge.interface.parseLog(entry);
+            if (parsed && parsed.name === "ExchangeRateUpdated") {
+                const update = {
+                    oldRate: parsed.args.oldRate,
+                    newRate: parsed.args.newRate,
+                    txHash: receipt.hash,
+                    blockNumber: receipt.blockNumber,
+                    reason: result.deviation >= threshold ? "deviation" : "heartbeat",
+                    approvedBy: result.approvedBy || null
+                };
+                updates.push(update);
+                log(`📈 ExchangeRateUpdated ${formatRate(update.oldRate)} → ${formatRate(update.newRate)} USDC (${update.reason}${update.approvedBy ? `, approved by ${update.approvedBy}` : ""}) in ${receipt.hash}`);
+                onUpdate(update);
+            }
+        }
+        lastUpdatedAt = (await provider.getBlock(receipt.blockNumber)).timestamp;
+        nextBlock = receipt.blockNumber + 1;
+        return { ...result, txHash: receipt.hash };
+    }
+
+    function status() {
+        return { operator, lastUpdatedAt, awaitingApproval: awaiting !== null, updates: [...updates] };
+    }
+
+    // run() calls round() every pollInterval until stop(); a failing round is logged and retried next time
+    return { init, check, round, run: loop.run, stop: loop.stop, status };
+}
+
+module.exports = {
+    RATE_DECIMALS,
+    parseRate,
+    formatRate,
+    createFileSource,
+    createHttpSource,
+    createPoolSource,
+    aggregateRate,
+    deviationBps,
+    rateApprovalHash,
+    signRateApproval,
+    recoverRateApprover,
+    createRateFeeder
+};
@@ -0,0 +1,597 @@
+const { ethers } = require("ethers");
+const { LostProtocolError, decodeError } = require("../../sdk/errors");
+const { HttpError } = require("./http-error");
+const { sleep } = require("./poll-loop");
+const { checkpointProof, computeMerkleRoot, merkleProof, verifiedSessionIdOf } = require("../../sdk/gameplay");
+
+// Submits GameplayVerification session operations from a pool of GAME_SERVER_ROLE keys.
+//
+// A session is pinned to one key so its operations land in nonce order. Moves are pipelined: up to
+// maxInFlight transactions per key are pending at once instead of one per block. Transactions that
+// are not mined within replaceAfter ms are replaced at the same nonce with bumped fees.
+
+const MODES = ["moves", "summary", "auto"];
+
+// Send errors worth another attempt; anything else (a revert) fails the operation
+const RETRYABLE_CODES = ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT", "UNKNOWN_ERROR", "NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"];
+
+function bump(value, percent) {
+    return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+const max = (a, b) => (a > b ? a : b);
+
+/**
+ * @param {object} options
+ * @param {import("ethers").BaseContract} options.gameplay GameplayVerification
+ * @param {import("ethers").Signer[]} options.signers Server keys; those without GAME_SERVER_ROLE are left out
+ * @param {number} [options.maxInFlight] Pending transactions per key
+ * @param {number} [options.maxAttempts] Sends per operation, counting retries and fee bumps. An operation
+ *   still not mined replaceAfter ms after its last fee bump is marked failed.
+ * @param {number} [options.replaceAfter] ms before a pending transaction is replaced with higher fees
+ * @param {number} [options.feeBumpPercent] Fee increase per replacement; nodes require at least 10
+ * @param {bigint} [options.maxFeePerGas] Fees are never bumped above this
+ * @param {number} [options.gasHeadroomPercent] Added on top of estimates
+ * @param {{ maxMoves?: number, maxGasPrice?: bigint }} [options.autoSummary] When "auto" sessions take the summary path
+ * @param {number} [options.pollInterval]
+ * @param {(message: string) => void} [options.log]
+ */
+function createRelayer({
+    gameplay,
+    signers,
+    maxInFlight = 16,
+    maxAttempts = 5,
+    replaceAfter = 30000,
+    feeBumpPercent = 20,
+    maxFeePerGas = null,
+    gasHeadroomPercent = 20,
+    autoSummary = { maxMoves: 200, maxGasPrice: null },
+    pollInterval = 1000,
+    log = () => {}
+}) {
+    const provider = gameplay.runner.provider || gameplay.runner;
+    const lanes = [];
+    const gasHighWater = {};
+    const sessions = new Map();
+    const counters = {
+        queued: 0,
+        sent: 0,
+        confirmed: 0,
+        failed: 0,
+        retries: 0,
+        replacements: 0,
+        gasUsed: 0n,
+        feesPaid: 0n
+    };
+
+    async function init() {
+        const role = await gameplay.GAME_SERVER_ROLE();
+        const skipped = [];
+        for (const signer of signers) {
+            const address = await signer.getAddress();
+            if (!(await gameplay.hasRole(role, address))) {
+                skipped.push(address);
+                continue;
+            }
+            lanes.push({
+                signer,
+                address,
+                contract: gameplay.connect(signer),
+                nextNonce: await provider.getTransactionCount(address, "pending"),
+                lock: Promise.resolve(),
+                inFlight: 0,
+                waiting: [],
+                sessions: 0,
+                sent: 0,
+                confirmed: 0
+            });
+        }
+        if (skipped.length > 0) {
+            log(`⚠️  Not using ${skipped.length} key(s) without GAME_SERVER_ROLE: ${skipped.join(", ")}`);
+        }
+        if (lanes.length === 0) {
+            throw new Error("No relayer key holds GAME_SERVER_ROLE");
+        }
+        return lanes.map(({ address }) => address);
+    }
+
+    // Serialise nonce assignment and sends per key
+    function withLock(lane, fn) {
+        const run = lane.lock.then(fn);
+        lane.lock = run.catch(() => {});
+        return run;
+    }
+
+    async function acquireSlot(lane) {
+        while (lane.inFlight >= maxInFlight) {
+            await new Promise((resolve) => lane.waiting.push(resolve));
+        }
+        lane.inFlight++;
+    }
+
+    function releaseSlot(lane) {
+        lane.inFlight--;
+        const next = lane.waiting.shift();
+        if (next) {
+            next();
+        }
+    }
+
+    const capped = (value) => (maxFeePerGas !== null && value > maxFeePerGas ? maxFeePerGas : value);
+
+    async function currentFees() {
+        const feeData = await provider.getFeeData();
+        if (feeData.maxFeePerGas !== null) {
+            return { maxFeePerGas: capped(feeData.maxFeePerGas), maxPriorityFeePerGas: capped(feeData.maxPriorityFeePerGas) };
+        }
+        return { gasPrice: capped(feeData.gasPrice) };
+    }
+
+    // Nodes only accept a replacement that outbids the pending transaction, so bump its own fees
+    // (or the current ones if those are higher). Null when the cap leaves no room to bump.
+    async function replacementFees(tx) {
+        const current = await currentFees();
+        const fees = tx.maxFeePerGas !== null
+            ? {
+                maxFeePerGas: capped(max(bump(tx.maxFeePerGas, feeBumpPercent), current.maxFeePerGas || 0n)),
+                maxPriorityFeePerGas: capped(max(bump(tx.maxPriorityFeePerGas, feeBumpPercent), current.maxPriorityFeePerGas || 0n))
+            }
+            : { gasPrice: capped(max(bump(tx.gasPrice, feeBumpPercent), current.gasPrice || 0n)) };
+        const outbids = tx.maxFeePerGas !== null
+            ? fees.maxFeePerGas > tx.maxFeePerGas && fees.maxPriorityFeePerGas > tx.maxPriorityFeePerGas
+            : fees.gasPrice > tx.gasPrice;
+        return outbids ? fees : null;
+    }
+
+    function describe(error, method) {
+        return decodeError(error, { interfaces: [gameplay.interface], contract: "GameplayVerification", method });
+    }
+
+    // Estimates run against mined state, which can trail a pipelined session; the largest gas used
+    // so far by the method covers moves estimated before their predecessor landed
+    async function gasLimitFor(lane, op) {
+        const estimate = await lane.contract[op.method].estimateGas(...op.args);
+        const base = gasHighWater[op.method] && gasHighWater[op.method] > estimate ? gasHighWater[op.method] : estimate;
+        return (base * BigInt(100 + gasHeadroomPercent)) / 100n;
+    }
+
+    // Send `op` at a fresh nonce, retrying transient errors. Resolves with the pending transaction.
+    function send(lane, op) {
+        return withLock(lane, async () => {
+            for (let attempt = 0; ; attempt++) {
+                const nonce = lane.nextNonce;
+                try {
+                    const gasLimit = await gasLimitFor(lane, op);
+                    const populated = await lane.contract[op.method].populateTransaction(...op.args);
+                    const tx = await lane.signer.sendTransaction({ ...populated, nonce, gasLimit, ...(await currentFees()) });
+                    lane.nextNonce = nonce + 1;
+                    lane.sent++;
+                    counters.sent++;
+                    op.nonce = nonce;
+                    op.hashes.push(tx.hash);
+                    op.tx = tx;
+                    op.sentAt = Date.now();
+                    return tx;
+                } catch (error) {
+                    const decoded = describe(error, op.method);
+                    // Reverts may still use the nonce (Hardhat mines failing transactions)
+                    lane.nextNonce = Math.max(nonce, await provider.getTransactionCount(lane.address, "pending"));
+                    if (decoded instanceof LostProtocolError || !RETRYABLE_CODES.includes(error.code) || attempt + 1 >= maxAttempts) {
+                        throw decoded;
+                    }
+                    counters.retries++;
+                    log(`🔁 ${op.method} send failed (${error.code}), retrying`);
+                    await sleep(Math.min(pollInterval * 2 ** attempt, 30000));
+                }
+            }
+        });
+    }
+
+    // Resubmit a pending transaction at its nonce with higher fees
+    function replace(lane, op) {
+        return withLock(lane, async () => {
+            op.sentAt = Date.now();
+            const fees = await replacementFees(op.tx);
+            if (!fees) {
+                return;
+            }
+            try {
+                const { to, data, value, gasLimit } = op.tx;
+                const replacement = await lane.signer.sendTransaction({ to, data, value, gasLimit, nonce: op.nonce, ...fees });
+                op.hashes.push(replacement.hash);
+                op.tx = replacement;
+                counters.replacements++;
+                log(`⛽ Replaced ${op.method} at nonce ${op.nonce} with higher fees`);
+            } catch (error) {
+                // Usually a previous version got mined in the meantime; the receipt poll picks it up
+            }
+        });
+    }
+
+    // Poll for a receipt of any version of `op`, replacing it every replaceAfter ms. Once maxAttempts
+    // versions have each had replaceAfter ms, it is given up on.
+    async function confirm(lane, op) {
+        for (let attempt = 1; ; ) {
+            for (const hash of op.hashes) {
+                const receipt = await provider.getTransactionReceipt(hash);
+                if (receipt) {
+                    return receipt;
+                }
+            }
+            if (Date.now() - op.sentAt >= replaceAfter) {
+                if (attempt >= maxAttempts) {
+                    throw new Error(`${op.method} at nonce ${op.nonce} was not mined after ${attempt} attempt(s)`);
+                }
+                attempt++;
+                await replace(lane, op);
+            }
+            await sleep(pollInterval);
+        }
+    }
+
+    function settle(lane, op, receipt) {
+        op.txHash = receipt.hash;
+        op.gasUsed = receipt.gasUsed.toString();
+        counters.gasUsed += receipt.gasUsed;
+        counters.feesPaid += receipt.gasUsed * (receipt.gasPrice || 0n);
+        if (receipt.status === 1) {
+            op.status = "confirmed";
+            counters.confirmed++;
+            lane.confirmed++;
+            if (!gasHighWater[op.method] || receipt.gasUsed > gasHighWater[op.method]) {
+                gasHighWater[op.method] = receipt.gasUsed;
+            }
+        } else {
+            op.status = "reverted";
+            op.error = "reverted";
+            counters.failed++;
+        }
+        return receipt;
+    }
+
+    /**
+     * Queue one contract call on a key. Resolves once it is sent, with `mined` resolving to its
+     * receipt (null when it failed).
+     */
+    async function dispatch(lane, session, method, args) {
+        const op = { method, args, status: "queued", hashes: [], tx: null, nonce: null, txHash: null, gasUsed: null, error: null };
+        session.operations.push(op);
+        await acquireSlot(lane);
+        try {
+            await send(lane, op);
+        } catch (error) {
+            counters.queued--;
+            releaseSlot(lane);
+            op.status = "failed";
+            op.error = error.reason || error.shortMessage || error.message;
+            counters.failed++;
+            return { op, mined: Promise.resolve(null) };
+        }
+        counters.queued--;
+        op.status = "pending";
+        // A transaction that was given up on keeps its nonce: a version of it may still be mined,
+        // and the key's later transactions queue behind it until then
+        const mined = confirm(lane, op)
+            .then((receipt) => settle(lane, op, receipt))
+            .catch((error) => {
+                op.status = "failed";
+                op.error = error.message;
+                counters.failed++;
+                log(`❌ ${error.message}`);
+                return null;
+            })
+            .finally(() => releaseSlot(lane));
+        return { op, mined };
+    }
+
+    function pickLane() {
+        return lanes.reduce((best, lane) => (lane.sessions + lane.inFlight < best.sessions + best.inFlight ? lane : best));
+    }
+
+    async function chooseMode(plan) {
+        if (plan.mode !== "auto") {
+            return plan.mode;
+        }
+        if (!plan.summary) {
+            return "moves";
+        }
+        if (plan.moves.length === 0 || (autoSummary.maxMoves !== undefined && plan.moves.length > autoSummary.maxMoves)) {
+            return "summary";
+        }
+        if (autoSummary.maxGasPrice) {
+            const { gasPrice, maxFeePerGas: maxFee } = await provider.getFeeData();
+            if ((maxFee || gasPrice) > autoSummary.maxGasPrice) {
+                return "summary";
+            }
+        }
+        return "moves";
+    }
+
+    async function runMoves(lane, session, plan) {
+        const { op: start, mined } = await dispatch(lane, session, "startSession", [plan.player, plan.nonce]);
+        const startReceipt = await mined;
+        if (!startReceipt || startReceipt.status !== 1) {
+            throw new Error(`startSession failed: ${start.error}`);
+        }
+        const started = startReceipt.logs
+            .map((entry) => gameplay.interface.parseLog(entry))
+            .find((event) => event && event.name === "SessionStarted");
+        session.sessionId = started.args.sessionId;
+
+        const pending = [];
+        for (const { movement, signature } of plan.moves) {
+            pending.push((await dispatch(lane, session, "recordMovement", [session.sessionId, movement, signature])).mined);
+        }
+        for (const checkpointId of plan.checkpoints) {
+            const proof = checkpointProof(session.sessionId, checkpointId, plan.player);
+            pending.push((await dispatch(lane, session, "passCheckpoint", [session.sessionId, checkpointId, proof])).mined);
+        }
+        const receipts = await Promise.all(pending);
+
+        // Root over the moves the contract actually recorded, in the order it recorded them
+        const recorded = [];
+        for (const receipt of receipts.filter((entry) => entry && entry.status === 1)) {
+            for (const entry of receipt.logs) {
+                const event = gameplay.interface.parseLog(entry);
+                if (event && event.name === "MovementRecorded") {
+                    recorded.push({ blockNumber: receipt.blockNumber, index: entry.index, hash: event.args.moveHash });
+                }
+            }
+        }
+        recorded.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        const leaves = recorded.map(({ hash }) => hash);
+        if (leaves.length === 0) {
+            throw new Error("No move was recorded; completeSession would revert");
+        }
+        session.merkleRoot = computeMerkleRoot(leaves);
+        const { mined: completed } = await dispatch(lane, session, "completeSession", [session.sessionId, session.merkleRoot, merkleProof(leaves, 0)]);
+        await completed;
+        session.verified = (await gameplay.getSessionData(session.sessionId)).verified;
+    }
+
+    async function runSummary(lane, session, plan) {
+        const { sessionHash, startTime, endTime, signature, level, score, gameplayHash } = plan.summary;
+        session.sessionId = sessionHash;
+        const pending = [(await dispatch(lane, session, "submitGameSession", [plan.player, sessionHash, startTime, endTime, signature])).mined];
+        if (gameplayHash) {
+            const completionTime = BigInt(endTime) - BigInt(startTime);
+            session.verifiedSessionId = verifiedSessionIdOf(plan.player, level, score, completionTime, gameplayHash);
+            pending.push((await dispatch(lane, session, "verifyGameplay", [plan.player, level, score, completionTime, gameplayHash])).mined);
+        }
+        await Promise.all(pending);
+    }
+
+    /**
+     * Queue a whole session. Per-move plans start the session, record every move, pass the
+     * checkpoints (proofs are derived once the session id is known) and complete it with a Merkle
+     * root over the moves that were recorded. Summary plans call submitGameSession and, with a
+     * gameplayHash, verifyGameplay.
+     *
+     * @param {object} plan
+     * @param {string} plan.player
+     * @param {"moves"|"summary"|"auto"} [plan.mode]
+     * @param {number|bigint|string} [plan.nonce] startSession nonce; required unless mode is "summary"
+     * @param {{ movement: object, signature: string }[]} [plan.moves] Signed moves, see sdk/gameplay.js
+     * @param {Array<number|bigint|string>} [plan.checkpoints]
+     * @param {{ sessionHash: string, startTime: any, endTime: any, signature: string, level?: any, score?: any, gameplayHash?: string }} [plan.summary]
+     * @returns {{ key: string, done: Promise<object> }} done resolves with the session's final status
+     */
+    function submitSession(plan) {
+        const normalized = { mode: "moves", moves: [], checkpoints: [], ...plan };
+        if (!MODES.includes(normalized.mode)) {
+            throw new Error(`Unknown mode "${normalized.mode}" (expected one of ${MODES.join(", ")})`);
+        }
+        if (!ethers.isAddress(normalized.player)) {
+            throw new Error("plan.player must be an address");
+        }
+        if (normalized.mode === "summary" && !normalized.summary) {
+            throw new Error("Summary sessions need plan.summary");
+        }
+        // "auto" can always fall back to per-move, so it needs the startSession nonce too
+        if (normalized.mode !== "summary" && normalized.nonce === undefined) {
+            throw new Error(`${normalized.mode === "auto" ? "Auto" : "Per-move"} sessions need plan.nonce`);
+        }
+        if (lanes.length === 0) {
+            throw new Error("Relayer not initialised; call init() first");
+        }
+
+        const key = `${normalized.player.toLowerCase()}-${normalized.nonce ?? normalized.summary.sessionHash}`;
+        if (sessions.has(key)) {
+            throw new Error(`Session ${key} was already submitted`);
+        }
+        const lane = pickLane();
+        lane.sessions++;
+        const session = {
+            key,
+            player: normalized.player,
+            mode: null,
+            relayer: lane.address,
+            status: "queued",
+            sessionId: null,
+            operations: [],
+            error: null
+        };
+        sessions.set(key, session);
+        // Planned operations, so queue depth covers what has not been sent yet
+        const planned = normalized.mode === "summary" ? 2 : normalized.moves.length + normalized.checkpoints.length + 2;
+        counters.queued += planned;
+
+        const done = (async () => {
+            session.mode = await chooseMode(normalized);
+            session.status = "running";
+            if (session.mode === "summary" && normalized.mode !== "summary") {
+                log(`💡 ${key}: ${normalized.moves.length} moves, using submitGameSession`);
+            }
+            try {
+                if (session.mode === "moves") {
+                    await runMoves(lane, session, normalized);
+                } else {
+                    await runSummary(lane, session, normalized);
+                }
+                session.status = session.operations.every((op) => op.status === "confirmed") ? "completed" : "partial";
+            } catch (error) {
+                session.status = "failed";
+                session.error = error.message;
+            } finally {
+                lane.sessions--;
+                // Whatever was planned but never dispatched leaves the queue
+                counters.queued -= Math.max(0, planned - session.operations.length);
+            }
+            return sessionStatus(key);
+        })();
+        return { key, done };
+    }
+
+    function sessionStatus(key) {
+        const session = sessions.get(key);
+        if (!session) {
+            return null;
+        }
+        return {
+            ...session,
+            operations: session.operations.map(({ method, status, nonce, txHash, hashes, gasUsed, error }) => ({
+                method,
+                status,
+                nonce,
+                txHash,
+                attempts: hashes.length,
+                gasUsed,
+                error
+            }))
+        };
+    }
+
+    function metrics() {
+        const statuses = {};
+        const modes = {};
+        for (const session of sessions.values()) {
+            statuses[session.status] = (statuses[session.status] || 0) + 1;
+            if (session.mode) {
+                modes[session.mode] = (modes[session.mode] || 0) + 1;
+            }
+        }
+        return {
+            queueDepth: counters.queued,
+            inFlight: lanes.reduce((sum, lane) => sum + lane.inFlight, 0),
+            sessions: { byStatus: statuses, byMode: modes },
+            transactions: {
+                sent: counters.sent,
+                confirmed: counters.confirmed,
+                failed: counters.failed,
+                retries: counters.retries,
+                replacements: counters.replacements
+            },
+            gasUsed: counters.gasUsed.toString(),
+            feesPaid: counters.feesPaid.toString(),
+            keys: lanes.map((lane) => ({
+                address: lane.address,
+                nextNonce: lane.nextNonce,
+                inFlight: lane.inFlight,
+                sessions: lane.sessions,
+                sent: lane.sent,
+                confirmed: lane.confirmed
+            }))
+        };
+    }
+
+    return { init, submitSession, sessionStatus, metrics };
+}
+
+/**
+ * Metrics in the Prometheus text format
+ * @returns {string}
+ */
+function formatMetrics(snapshot) {
+    const lines = [
+        "# TYPE lost_relayer_queue_depth gauge",
+        `lost_relayer_queue_depth ${snapshot.queueDepth}`,
+        "# TYPE lost_relayer_in_flight gauge",
+        `lost_relayer_in_flight ${snapshot.inFlight}`,
+        "# TYPE lost_relayer_transactions_total counter"
+    ];
+    for (const [result, count] of Object.entries(snapshot.transactions)) {
+        lines.push(`lost_relayer_transactions_total{result="${result}"} ${count}`);
+    }
+    lines.push("# TYPE lost_relayer_sessions gauge");
+    for (const [status, count] of Object.entries(snapshot.sessions.byStatus)) {
+        lines.push(`lost_relayer_sessions{status="${status}"} ${count}`);
+    }
+    lines.push("# TYPE lost_relayer_gas_used_total counter", `lost_relayer_gas_used_total ${snapshot.gasUsed}`);
+    lines.push("# TYPE lost_relayer_fees_paid_wei_total counter", `lost_relayer_fees_paid_wei_total ${snapshot.feesPaid}`);
+    lines.push("# TYPE lost_relayer_key_in_flight gauge");
+    for (const key of snapshot.keys) {
+        lines.push(`lost_relayer_key_in_flight{address="${key.address}"} ${key.inFlight}`);
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(body || "{}"));
+            } catch (error) {
+                reject(new HttpError(400, "Body must be JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+/**
+ * HTTP front for a relayer: POST /sessions queues a session plan (see submitSession) and answers
+ * 202 with its key, GET /sessions/:key reports progress, GET /metrics serves Prometheus metrics and
+ * GET /status the same numbers as JSON.
+ */
+function createRelayerHandler(relayer) {
+    function send(res, status, body, contentType = "application/json") {
+        res.writeHead(status, { "Content-Type": contentType });
+        res.end(contentType === "application/json" ? JSON.stringify(body) : body);
+    }
+
+    return async function handle(req, res) {
+        const { pathname } = new URL(req.url, "http://localhost");
+        try {
+            if (req.method === "POST" && pathname === "/sessions") {
+                let submitted;
+                try {
+                    submitted = relayer.submitSession(await readJson(req));
+                } catch (error) {
+                    throw error instanceof HttpError ? error : new HttpError(400, error.message);
+                }
+                send(res, 202, { key: submitted.key });
+                return;
+            }
+            if (req.method !== "GET") {
+                throw new HttpError(405, `${req.method} ${pathname} is not supported`);
+            }
+            const match = pathname.match(/^\/sessions\/([^/]+)$/);
+            if (match) {
+                const status = relayer.sessionStatus(decodeURIComponent(match[1]));
+                if (!status) {
+                    throw new HttpError(404, `Unknown session ${match[1]}`);
+                }
+                send(res, 200, status);
+            } else if (pathname === "/metrics") {
+                send(res, 200, formatMetrics(relayer.metrics()), "text/plain; version=0.0.4");
+            } else if (pathname === "/status") {
+                send(res, 200, relayer.metrics());
+            } else {
+                throw new HttpError(404, `No route for ${pathname}`);
+            }
+        } catch (error) {
+            send(res, error instanceof HttpError ? error.status : 500, { error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    MODES,
+    createRelayer,
+    createRelayerHandler,
+    formatMetrics
+};
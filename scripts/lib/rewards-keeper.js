@@ -0,0 +1,400 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { LostProtocolError, decodeError } = require("../../sdk/errors");
+const { formatLost } = require("../../sdk/units");
+const { queryEvents } = require("./events");
+const { toJson } = require("./json");
+const { createPollLoop } = require("./poll-loop");
+
+// Moves Treasury revenue into Staking rewards once per epoch.
+//
+// Treasury cannot call Staking itself, so an epoch is two transactions from the keeper key:
+// Treasury.distributeFunds pays the epoch's share of a fund to the keeper (ALLOCATOR_ROLE), then
+// Staking.distributeRewards passes it on to stakers (REWARDS_DISTRIBUTOR_ROLE).
+//
+// An epoch must never pay out twice, whatever point a restart happens at. Every transaction hash is
+// written to the epoch store before the keeper waits for it, and the withdrawal carries the epoch in
+// its purpose string, so the FundsDistributed event is the on-chain record of the epoch even when the
+// store is lost. A restart picks up where the epoch stopped: it never withdraws again once a
+// withdrawal exists, and only sends distributeRewards when no matching RewardsDistributed does.
+
+const FUNDS = ["reward_pool", "development", "marketing", "liquidity", "staking", "ecosystem", "insurance"];
+
+const ERC20_ABI = [
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+const DAY = 24 * 60 * 60;
+
+/** distributeFunds purpose marking an epoch's withdrawal */
+function epochPurpose(epoch) {
+    return `rewards-keeper epoch ${epoch}`;
+}
+
+/**
+ * Epoch records and reports on disk: `epochs.json` holds where every epoch got to, and each epoch
+ * that ran also gets `epoch-<n>.json` with its report. Writes go through a rename, so a crash never
+ * leaves a half-written state file.
+ * @param {string} dir
+ */
+function createEpochStore(dir) {
+    const stateFile = path.join(dir, "epochs.json");
+    const epochs = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, "utf8")) : {};
+
+    function write(file, data) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(toJson(data), null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    function revive(record) {
+        return record && { ...record, amount: record.amount === undefined ? undefined : BigInt(record.amount) };
+    }
+
+    return {
+        dir,
+        get: (epoch) => revive(epochs[epoch]) || null,
+        put(record) {
+            epochs[record.epoch] = toJson({ ...record, updatedAt: new Date().toISOString() });
+            write(stateFile, epochs);
+        },
+        all: () => Object.values(epochs).map(revive).sort((a, b) => a.epoch - b.epoch),
+        writeReport(epoch, report) {
+            const file = path.join(dir, `epoch-${epoch}.json`);
+            write(file, report);
+            return file;
+        }
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {import("ethers").BaseContract} options.treasury Treasury, connected to the keeper key
+ * @param {import("ethers").BaseContract} options.staking Staking, connected to the same key
+ * @param {object} options.store From createEpochStore()
+ * @param {string} [options.fund] Treasury fund paid from
+ * @param {number} [options.shareBps] Share of the fund balance paid each epoch, in basis points
+ * @param {bigint} [options.minAmount] Skip epochs that would pay less than this
+ * @param {number} [options.epochLength] Seconds per epoch
+ * @param {number} [options.genesis] Unix time epoch 0 starts at
+ * @param {number|null} [options.burnRate] Treasury burnRate to hold, set with updateBurnRate (TREASURER_ROLE)
+ * @param {boolean} [options.dryRun] Report what the epoch would pay without sending transactions
+ * @param {number} [options.fromBlock] First block to scan for earlier epochs, usually the Treasury's deployment
+ * @param {number} [options.pollInterval] ms between checks in run()
+ * @param {(message: string) => void} [options.log]
+ */
+function createRewardsKeeper({
+    treasury,
+    staking,
+    store,
+    fund = "staking",
+    shareBps = 10000,
+    minAmount = 0n,
+    epochLength = 7 * DAY,
+    genesis = 0,
+    burnRate = null,
+    dryRun = false,
+    fromBlock = 0,
+    pollInterval = 60000,
+    log = () => {}
+}) {
+    if (!FUNDS.includes(fund)) {
+        throw new Error(`Unknown Treasury fund "${fund}"; expected one of ${FUNDS.join(", ")}`);
+    }
+    if (!Number.isInteger(shareBps) || shareBps <= 0 || shareBps > 10000) {
+        throw new Error("shareBps must be from 1 to 10000");
+    }
+    const provider = treasury.runner.provider || treasury.runner;
+    let keeper = null;
+    let token = null;
+    let last = null;
+    const loop = createPollLoop(tick, { interval: pollInterval, onError: (error) => log(`❌ ${error.message}`) });
+
+    /** Checks the keeper's roles and resolves the LOST token */
+    async function init() {
+        keeper = await treasury.runner.getAddress();
+        token = new ethers.Contract(await treasury.lostTokenAddress(), ERC20_ABI, treasury.runner);
+        const missing = [];
+        if (!(await treasury.hasRole(await treasury.ALLOCATOR_ROLE(), keeper))) {
+            missing.push("Treasury ALLOCATOR_ROLE");
+        }
+        if (!(await staking.hasRole(await staking.REWARDS_DISTRIBUTOR_ROLE(), keeper))) {
+            missing.push("Staking REWARDS_DISTRIBUTOR_ROLE");
+        }
+        if (burnRate !== null && !(await treasury.hasRole(await treasury.TREASURER_ROLE(), keeper))) {
+            missing.push("Treasury TREASURER_ROLE (for burnRate)");
+        }
+        if (missing.length > 0) {
+            const message = `${keeper} is missing ${missing.join(", ")}`;
+            if (!dryRun) {
+                throw new Error(message);
+            }
+            log(`⚠️  ${message}`);
+        }
+        return { keeper, epoch: epochAt((await provider.getBlock("latest")).timestamp) };
+    }
+
+    /** Epoch a timestamp falls in; -1 before genesis */
+    function epochAt(timestamp) {
+        return timestamp < genesis ? -1 : Math.floor((timestamp - genesis) / epochLength);
+    }
+
+    async function readTreasury() {
+        const funds = {};
+        for (const name of FUNDS) {
+            funds[name] = await treasury.fundBalances(name);
+        }
+        const [revenue, distributed, burned, lostBalance] = await treasury.getTreasuryStatistics();
+        return { funds, revenue, distributed, burned, lostBalance, burnRate: await treasury.burnRate() };
+    }
+
+    async function readStaking() {
+        return {
+            totalStaked: await staking.totalStaked(),
+            accRewardPerShare: await staking.accRewardPerShare(),
+            totalRewardsDistributed: await staking.totalRewardsDistributed()
+        };
+    }
+
+    // Revenue and burns since the previous epoch that ran, by RevenueCollected source
+    async function revenueSince(block, toBlock) {
+        const bySource = {};
+        for (const event of await queryEvents(treasury, "RevenueCollected", block, toBlock)) {
+            bySource[event.args.source] = (bySource[event.args.source] || 0n) + event.args.amount;
+        }
+        const burns = await queryEvents(treasury, "TokensBurned", block, toBlock);
+        return { fromBlock: block, toBlock, bySource, burned: burns.reduce((sum, event) => sum + event.args.amount, 0n) };
+    }
+
+    // An epoch's withdrawal can only come after the blocks earlier epochs were recorded at
+    function scanStart(epoch) {
+        const blocks = store.all().filter((record) => record.epoch < epoch).map((record) => record.block || record.withdrawBlock);
+        return Math.max(fromBlock, ...blocks.filter(Boolean));
+    }
+
+    async function findWithdrawal(epoch) {
+        const purpose = epochPurpose(epoch);
+        const events = await queryEvents(treasury, "FundsDistributed", scanStart(epoch));
+        const match = events.find(({ args }) => args.purpose === purpose && args.recipient === keeper);
+        return match ? { amount: match.args.amount, withdrawTx: match.transactionHash, withdrawBlock: match.blockNumber } : null;
+    }
+
+    async function findDistribution(record) {
+        for (const event of await queryEvents(staking, "RewardsDistributed", record.withdrawBlock)) {
+            if (event.args.amount === record.amount && (await provider.getTransaction(event.transactionHash)).from === keeper) {
+                return event.transactionHash;
+            }
+        }
+        return null;
+    }
+
+    // Outcome of a transaction sent before a restart: its receipt, or null when it never made it
+    async function settle(hash) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+            return receipt.status === 1 ? receipt : null;
+        }
+        const tx = await provider.getTransaction(hash);
+        if (!tx) {
+            return null;
+        }
+        log(`⏳ Waiting for ${hash} sent before the restart`);
+        return tx.wait().catch(() => null);
+    }
+
+    // Brings a stored record in line with the chain, so no step is ever sent twice
+    async function recover(epoch) {
+        let record = store.get(epoch) || { epoch, status: "new" };
+        if (record.status === "withdrawing") {
+            const receipt = await settle(record.withdrawTx);
+            record = receipt
+                ? { ...record, status: "withdrawn", withdrawBlock: receipt.blockNumber }
+                : { epoch, status: "new" };
+        }
+        if (record.status === "new" || record.status === "skipped") {
+            const withdrawal = await findWithdrawal(epoch);
+            if (withdrawal) {
+                log(`🔁 Epoch ${epoch} was already withdrawn in ${withdrawal.withdrawTx}`);
+                record = { ...record, status: "withdrawn", reason: undefined, ...withdrawal };
+            }
+        }
+        if (record.status === "distributing") {
+            const receipt = await settle(record.distributeTx);
+            record = receipt ? { ...record, status: "distributed" } : { ...record, status: "withdrawn", distributeTx: undefined };
+        }
+        if (record.status === "withdrawn") {
+            const distributeTx = await findDistribution(record);
+            if (distributeTx) {
+                record = { ...record, status: "distributed", distributeTx };
+            }
+        }
+        return record;
+    }
+
+    async function send(contract, method, args) {
+        try {
+            return await contract[method](...args);
+        } catch (error) {
+            const decoded = decodeError(error, { interfaces: [contract.interface], method });
+            if (decoded instanceof LostProtocolError) {
+                throw new Error(`${method} reverted: ${decoded.reason || decoded.message}`);
+            }
+            throw error;
+        }
+    }
+
+    async function holdBurnRate(before) {
+        if (burnRate === null || before.burnRate === BigInt(burnRate)) {
+            return null;
+        }
+        const change = { from: before.burnRate, to: BigInt(burnRate) };
+        if (dryRun) {
+            log(`📝 Would set the Treasury burn rate from ${change.from} to ${change.to} bps`);
+            return change;
+        }
+        const receipt = await (await send(treasury, "updateBurnRate", [burnRate])).wait();
+        log(`🔥 Treasury burn rate ${change.from} → ${change.to} bps (${receipt.hash})`);
+        return { ...change, txHash: receipt.hash };
+    }
+
+    async function withdraw(record) {
+        const tx = await send(treasury, "distributeFunds", [keeper, record.amount, fund, epochPurpose(record.epoch)]);
+        store.put({ ...record, status: "withdrawing", withdrawTx: tx.hash });
+        const receipt = await tx.wait();
+        log(`🏦 Epoch ${record.epoch}: ${formatLost(record.amount)} LOST from the ${fund} fund (${receipt.hash})`);
+        const withdrawn = { ...record, status: "withdrawn", withdrawTx: receipt.hash, withdrawBlock: receipt.blockNumber };
+        store.put(withdrawn);
+        return withdrawn;
+    }
+
+    async function distribute(record) {
+        if ((await token.allowance(keeper, staking.target)) < record.amount) {
+            await (await token.approve(staking.target, record.amount)).wait();
+        }
+        const tx = await send(staking, "distributeRewards", [record.amount]);
+        store.put({ ...record, status: "distributing", distributeTx: tx.hash });
+        const receipt = await tx.wait();
+        log(`🎁 Epoch ${record.epoch}: ${formatLost(record.amount)} LOST distributed to stakers (${receipt.hash})`);
+        const distributed = { ...record, status: "distributed", distributeTx: receipt.hash };
+        store.put(distributed);
+        return distributed;
+    }
+
+    // Why an epoch pays nothing, or null when it can go ahead
+    function skipReason(amount, treasuryState, stakingState) {
+        if (stakingState.totalStaked === 0n) {
+            return "nothing is staked";
+        }
+        if (amount === 0n || amount < minAmount) {
+            return `the ${fund} fund share is ${formatLost(amount)} LOST, below the ${formatLost(minAmount)} LOST minimum`;
+        }
+        if (treasuryState.lostBalance < amount) {
+            return `Treasury holds ${formatLost(treasuryState.lostBalance)} LOST, less than the ${formatLost(amount)} LOST due`;
+        }
+        return null;
+    }
+
+    /**
+     * Runs an epoch, or finishes it if an earlier run stopped part way. Returns the epoch record;
+     * `already` is set when the epoch had paid out before this call.
+     */
+    async function runEpoch(epoch) {
+        if (!keeper) {
+            await init();
+        }
+        let record = await recover(epoch);
+        if (record.status === "distributed" && record.report) {
+            return { ...record, already: true };
+        }
+
+        const latest = await provider.getBlock("latest");
+        const before = await readTreasury();
+        const stakingBefore = await readStaking();
+        const burnRateChange = await holdBurnRate(before);
+        const resumed = record.status !== "new" && record.status !== "skipped";
+
+        if (!resumed) {
+            const amount = (before.funds[fund] * BigInt(shareBps)) / 10000n;
+            const reason = skipReason(amount, before, stakingBefore);
+            if (reason && record.status === "skipped" && record.reason === reason) {
+                // Checked again every poll; only a new reason is logged and reported
+                return record;
+            }
+            if (reason) {
+                log(`⏭️  Epoch ${epoch} skipped: ${reason}`);
+                record = { epoch, status: "skipped", reason, amount, block: latest.number };
+            } else if (dryRun) {
+                log(`📝 Epoch ${epoch} would move ${formatLost(amount)} LOST from the ${fund} fund to stakers`);
+                return { epoch, status: "planned", amount, dryRun, burnRateChange };
+            } else {
+                record = await withdraw({ epoch, status: "new", amount, block: latest.number });
+            }
+        }
+        if (record.status === "withdrawn") {
+            if (dryRun) {
+                log(`📝 Epoch ${epoch} would pass the ${formatLost(record.amount)} LOST it withdrew on to stakers`);
+                return { ...record, dryRun };
+            }
+            record = await distribute(record);
+        }
+        if (dryRun) {
+            return { ...record, dryRun, burnRateChange };
+        }
+
+        const previous = store.all().filter((entry) => entry.epoch < epoch && entry.block).pop();
+        const report = {
+            epoch,
+            startsAt: genesis + epoch * epochLength,
+            endsAt: genesis + (epoch + 1) * epochLength,
+            status: record.status,
+            reason: record.reason,
+            keeper,
+            fund,
+            shareBps,
+            amount: record.amount,
+            withdrawTx: record.withdrawTx,
+            distributeTx: record.distributeTx,
+            burnRateChange,
+            treasury: { before, after: await readTreasury() },
+            staking: { before: stakingBefore, after: await readStaking() },
+            revenue: await revenueSince(previous ? previous.block + 1 : fromBlock, latest.number)
+        };
+        record = { ...record, block: record.block || latest.number, report: store.writeReport(epoch, report) };
+        store.put(record);
+        last = record;
+        return record;
+    }
+
+    /** Runs the epoch the chain is in now */
+    async function tick() {
+        const epoch = epochAt((await provider.getBlock("latest")).timestamp);
+        return epoch < 0 ? null : runEpoch(epoch);
+    }
+
+    function status() {
+        const epochs = store.all();
+        return {
+            keeper,
+            dryRun,
+            stopped: loop.stopped(),
+            distributed: epochs.filter(({ status: state }) => state === "distributed").length,
+            amountDistributed: epochs
+                .filter(({ status: state }) => state === "distributed")
+                .reduce((sum, { amount }) => sum + amount, 0n),
+            last
+        };
+    }
+
+    // run() checks every pollInterval until stop() is called; failed epochs are logged and retried
+    return { init, epochAt, runEpoch, tick, run: loop.run, stop: loop.stop, status };
+}
+
+module.exports = {
+    FUNDS,
+    epochPurpose,
+    createEpochStore,
+    createRewardsKeeper
+};
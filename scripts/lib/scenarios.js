@@ -0,0 +1,294 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { resolveRef } = require("./deployment-graph");
+const { ACHIEVEMENT_TYPES, RARITIES } = require("../../sdk/constants");
+
+// Player-journey scenarios are JSON files in scenarios/. Each one names its players and lists
+// steps; a step may carry an `expect` block that is checked once the step has run:
+//
+//   { "action": "puzzleReward", "session": "alice-run", "puzzle": "intro", "expect": { "lost": { "alice": "200" } } }
+//
+// See scenarios/README.md for every action and expectation.
+const SCENARIOS_DIR = path.join(__dirname, "..", "..", "scenarios");
+
+const REQUIRED_FIELDS = {
+    play: ["id", "player", "level", "score", "completionTime"],
+    puzzleReward: ["session", "puzzle"],
+    mintAchievement: ["id", "session", "achievement"],
+    submitScore: ["session"],
+    submitEntry: ["session"],
+    list: ["id", "player", "nft", "price"],
+    buy: ["player", "listing"],
+    admin: ["contract", "method"]
+};
+
+const EXPECTATIONS = ["lost", "rank", "owner"];
+
+function validateScenario(scenario, file) {
+    const where = (index) => `${file}: step ${index + 1}`;
+    if (!scenario.name) {
+        throw new Error(`${file}: missing "name"`);
+    }
+    if (!Array.isArray(scenario.players) || scenario.players.length === 0) {
+        throw new Error(`${file}: "players" must list at least one player`);
+    }
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+        throw new Error(`${file}: "steps" must list at least one step`);
+    }
+    scenario.steps.forEach((step, index) => {
+        const required = REQUIRED_FIELDS[step.action];
+        if (!required) {
+            throw new Error(`${where(index)}: unknown action "${step.action}" (available: ${Object.keys(REQUIRED_FIELDS).join(", ")})`);
+        }
+        for (const field of required) {
+            if (step[field] === undefined) {
+                throw new Error(`${where(index)}: ${step.action} needs "${field}"`);
+            }
+        }
+        if (step.player !== undefined && !scenario.players.includes(step.player)) {
+            throw new Error(`${where(index)}: unknown player "${step.player}"`);
+        }
+        if (step.action === "mintAchievement" && !ACHIEVEMENT_TYPES.includes(step.achievement)) {
+            throw new Error(`${where(index)}: unknown achievement "${step.achievement}" (available: ${ACHIEVEMENT_TYPES.join(", ")})`);
+        }
+        if (step.action === "list" && step.rarity !== undefined && !RARITIES.includes(step.rarity)) {
+            throw new Error(`${where(index)}: unknown rarity "${step.rarity}" (available: ${RARITIES.join(", ")})`);
+        }
+        for (const key of Object.keys(step.expect || {})) {
+            if (!EXPECTATIONS.includes(key)) {
+                throw new Error(`${where(index)}: unknown expectation "${key}" (available: ${EXPECTATIONS.join(", ")})`);
+            }
+        }
+    });
+    return scenario;
+}
+
+/**
+ * Load and validate scenario files.
+ * @param {string[]} [selection] Scenario names or file paths; defaults to every file in scenarios/
+ */
+function loadScenarios(selection) {
+    const available = fs.readdirSync(SCENARIOS_DIR).filter((file) => file.endsWith(".json")).sort();
+    const files = selection && selection.length > 0
+        ? selection.map((entry) => (fs.existsSync(entry) ? entry : path.join(SCENARIOS_DIR, `${entry}.json`)))
+        : available.map((file) => path.join(SCENARIOS_DIR, file));
+
+    return files.map((file) => {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Scenario ${file} not found (available: ${available.map((name) => path.basename(name, ".json")).join(", ")})`);
+        }
+        const relative = path.relative(process.cwd(), file);
+        return validateScenario(JSON.parse(fs.readFileSync(file, "utf8")), relative);
+    });
+}
+
+// Same derivation as GameplayVerification.verifyGameplay
+function sessionHashOf(player, level, score, completionTime, gameplayHash) {
+    return ethers.solidityPackedKeccak256(
+        ["address", "uint256", "uint256", "uint256", "bytes32"],
+        [player, level, score, completionTime, gameplayHash]
+    );
+}
+
+function lookup(map, kind, key) {
+    if (!map.has(key)) {
+        throw new Error(`Unknown ${kind} "${key}"`);
+    }
+    return map.get(key);
+}
+
+/**
+ * Run one scenario against a deployment. The game server signer holds the operator roles
+ * (verifying sessions, minting rewards and NFTs, ranking entries); players are separate signers.
+ *
+ * @param {object} scenario Validated scenario (see loadScenarios)
+ * @param {object} context
+ * @param {object} context.contracts Contract instances keyed by name
+ * @param {object} context.addresses Proxy addresses keyed by name
+ * @param {object} context.gameServer Signer for operator calls
+ * @param {object[]} context.signers Signers handed out to the scenario's players in order
+ * @param {function} [context.log]
+ * @returns {Promise<{name: string, passed: boolean, steps: number, failures: object[]}>}
+ */
+async function runScenario(scenario, context) {
+    const { contracts, addresses, gameServer } = context;
+    const log = context.log || (() => {});
+    if (scenario.players.length > context.signers.length) {
+        throw new Error(`${scenario.name} needs ${scenario.players.length} players, only ${context.signers.length} signers available`);
+    }
+
+    const players = new Map(scenario.players.map((name, index) => [name, context.signers[index]]));
+    const sessions = new Map();
+    const nfts = new Map();
+    const listings = new Map();
+    const accounts = Object.fromEntries([...players].map(([name, signer]) => [name, signer.address]));
+    const nameOf = (address) => {
+        for (const [name, signer] of players) {
+            if (signer.address === address) {
+                return name;
+            }
+        }
+        for (const [name, contractAddress] of Object.entries(addresses)) {
+            if (ethers.getAddress(contractAddress) === address) {
+                return name;
+            }
+        }
+        return address;
+    };
+
+    const actions = {
+        async play(step) {
+            const player = players.get(step.player);
+            const gameplayHash = ethers.id(`${scenario.name}:${step.id}`);
+            await (await contracts.GameplayVerification.connect(gameServer)
+                .verifyGameplay(player.address, step.level, step.score, step.completionTime, gameplayHash)).wait();
+            const sessionHash = sessionHashOf(player.address, step.level, step.score, step.completionTime, gameplayHash);
+            if (!(await contracts.GameplayVerification.isSessionVerified(sessionHash))) {
+                throw new Error(`Session ${step.id} was not verified`);
+            }
+            // The token only pays out for sessions it has been told about
+            await (await contracts.LOSTToken.connect(gameServer).verifyGameplaySession(sessionHash)).wait();
+            sessions.set(step.id, { ...step, player, gameplayHash, sessionHash });
+        },
+
+        async puzzleReward(step) {
+            const session = lookup(sessions, "session", step.session);
+            await (await contracts.LOSTToken.connect(gameServer)
+                .mintPuzzleReward(session.player.address, session.sessionHash, ethers.id(step.puzzle), session.completionTime)).wait();
+        },
+
+        async mintAchievement(step) {
+            const session = lookup(sessions, "session", step.session);
+            const nft = contracts.LOSTAchievementNFT;
+            const receipt = await (await nft.connect(gameServer).mintAchievement(
+                session.player.address,
+                ACHIEVEMENT_TYPES.indexOf(step.achievement),
+                session.level,
+                session.completionTime,
+                step.attempts || 1,
+                session.gameplayHash,
+                step.metadata || `ipfs://scenarios/${scenario.name}/${step.id}`
+            )).wait();
+            const minted = receipt.logs
+                .map((entry) => nft.interface.parseLog(entry))
+                .find((parsed) => parsed && parsed.name === "Transfer" && parsed.args.from === ethers.ZeroAddress);
+            nfts.set(step.id, minted.args.tokenId);
+        },
+
+        async submitScore(step) {
+            const session = lookup(sessions, "session", step.session);
+            await (await contracts.DecentralizedLeaderboard.connect(session.player)
+                .submitScore(session.level, session.score, session.completionTime, session.gameplayHash)).wait();
+        },
+
+        async submitEntry(step) {
+            const session = lookup(sessions, "session", step.session);
+            await (await contracts.DecentralizedLeaderboard.connect(gameServer).submitEntry(
+                session.player.address,
+                session.completionTime,
+                step.puzzlesSolved || 0,
+                step.secretsFound || 0,
+                step.deaths || 0,
+                session.gameplayHash
+            )).wait();
+        },
+
+        async list(step) {
+            const seller = players.get(step.player);
+            const tokenId = lookup(nfts, "NFT", step.nft);
+            const nft = contracts.LOSTAchievementNFT.connect(seller);
+            await (await nft.approve(addresses.Marketplace, tokenId)).wait();
+            const rarity = RARITIES.indexOf(step.rarity || "COMMON");
+            await (await contracts.Marketplace.connect(seller).listForSale(
+                addresses.LOSTAchievementNFT,
+                tokenId,
+                ethers.parseEther(String(step.price)),
+                step.metadata || `ipfs://scenarios/${scenario.name}/${step.nft}`,
+                rarity
+            )).wait();
+            listings.set(step.id, (await contracts.Marketplace.nextListingId()) - 1n);
+        },
+
+        async buy(step) {
+            const listingId = lookup(listings, "listing", step.listing);
+            const listing = await contracts.Marketplace.listings(listingId);
+            await (await contracts.Marketplace.connect(players.get(step.player))
+                .buyNFT(listingId, { value: listing.price })).wait();
+        },
+
+        async admin(step) {
+            const args = (step.args || []).map((arg) => resolveRef(arg, { deployer: gameServer.address, addresses, accounts }));
+            const target = contracts[step.contract];
+            if (!target) {
+                throw new Error(`Unknown contract "${step.contract}"`);
+            }
+            await (await target.connect(gameServer)[step.method](...args)).wait();
+        }
+    };
+
+    async function checkExpectations(expect = {}) {
+        const mismatches = [];
+        for (const [name, amount] of Object.entries(expect.lost || {})) {
+            const balance = await contracts.LOSTToken.balanceOf(lookup(players, "player", name).address);
+            if (balance !== ethers.parseEther(String(amount))) {
+                mismatches.push({ check: `LOST balance of ${name}`, expected: `${amount} LOST`, actual: `${ethers.formatEther(balance)} LOST` });
+            }
+        }
+        for (const [name, rank] of Object.entries(expect.rank || {})) {
+            const actual = await contracts.DecentralizedLeaderboard.getPlayerRank(lookup(players, "player", name).address);
+            if (actual !== BigInt(rank)) {
+                mismatches.push({ check: `leaderboard rank of ${name}`, expected: String(rank), actual: String(actual) });
+            }
+        }
+        for (const [nftId, owner] of Object.entries(expect.owner || {})) {
+            const actual = nameOf(await contracts.LOSTAchievementNFT.ownerOf(lookup(nfts, "NFT", nftId)));
+            if (actual !== owner) {
+                mismatches.push({ check: `owner of ${nftId}`, expected: owner, actual });
+            }
+        }
+        return mismatches;
+    }
+
+    const failures = [];
+    for (const [index, step] of scenario.steps.entries()) {
+        const subject = step.id || step.session || step.listing || step.method;
+        const label = `${index + 1}. ${step.action}${subject ? ` ${subject}` : ""}`;
+        let reverted = null;
+        try {
+            await actions[step.action](step);
+        } catch (error) {
+            reverted = error.reason || error.shortMessage || error.message;
+        }
+
+        if (step.reverts !== undefined) {
+            if (reverted === null || !reverted.includes(step.reverts)) {
+                failures.push({ step: label, check: "revert", expected: step.reverts, actual: reverted || "succeeded" });
+                log(`  ❌ ${label}`);
+                break;
+            }
+        } else if (reverted !== null) {
+            failures.push({ step: label, check: "step to succeed", expected: "success", actual: reverted });
+            log(`  ❌ ${label}`);
+            break;
+        }
+
+        const mismatches = await checkExpectations(step.expect);
+        failures.push(...mismatches.map((mismatch) => ({ step: label, ...mismatch })));
+        log(`  ${mismatches.length === 0 ? "✅" : "❌"} ${label}${step.note ? ` (${step.note})` : ""}`);
+        for (const mismatch of mismatches) {
+            log(`     ${mismatch.check}`);
+            log(`     - expected: ${mismatch.expected}`);
+            log(`     + actual:   ${mismatch.actual}`);
+        }
+    }
+
+    return { name: scenario.name, passed: failures.length === 0, steps: scenario.steps.length, failures };
+}
+
+module.exports = {
+    SCENARIOS_DIR,
+    loadScenarios,
+    validateScenario,
+    runScenario
+};
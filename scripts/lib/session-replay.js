@@ -0,0 +1,285 @@
+const { ethers } = require("ethers");
+const { queryEvents } = require("./events");
+const {
+    checkMovement,
+    computeMerkleRoot,
+    hashMovement,
+    readPhysicsConstraints,
+    recoverMovementSigner,
+    toMovementData,
+    verifyMerkleProof
+} = require("../../sdk/gameplay");
+
+// Rebuilds a GameplayVerification session from its events, stored movements and the calldata of
+// the transactions that submitted them. Moves rejected by _validateMovement are not stored; they
+// are recovered from the recordMovement call behind each ViolationDetected event.
+
+function movementJson(movement) {
+    return {
+        timestamp: movement.timestamp.toString(),
+        x: movement.x.toString(),
+        y: movement.y.toString(),
+        z: movement.z.toString(),
+        velocity: movement.velocity.toString(),
+        previousMoveHash: movement.previousMoveHash
+    };
+}
+
+function constraintsJson(constraints) {
+    return Object.fromEntries(Object.entries(constraints).map(([key, value]) => [key, value.toString()]));
+}
+
+// recordMovement/completeSession arguments of the transaction behind a log. Calls made through
+// another contract (a relayer, a multisig) cannot be decoded and yield null.
+async function decodeCall(gameplay, log, method, sessionId) {
+    const tx = await log.getTransaction();
+    if (!tx || !tx.to || tx.to.toLowerCase() !== String(gameplay.target).toLowerCase()) {
+        return null;
+    }
+    const call = gameplay.interface.parseTransaction({ data: tx.data, value: tx.value });
+    return call && call.name === method && call.args.sessionId === sessionId ? call.args : null;
+}
+
+/**
+ * Step-by-step replay of a session, with each move checked against the physicsConstraints in force
+ * at its block (the latest ones when the node cannot serve historical state).
+ *
+ * @param {import("ethers").BaseContract} gameplay GameplayVerification
+ * @param {string} sessionId
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] Where to start looking for the session's SessionStarted event
+ */
+async function replaySession(gameplay, sessionId, { fromBlock = 0 } = {}) {
+    const session = await gameplay.getSessionData(sessionId);
+    if (session.startTime === 0n) {
+        throw new Error(`Session ${sessionId} not found`);
+    }
+    const player = session.player;
+
+    const [started] = await queryEvents(gameplay, gameplay.filters.SessionStarted(sessionId), fromBlock);
+    const startBlock = started ? started.blockNumber : fromBlock;
+    const recordedLogs = await queryEvents(gameplay, gameplay.filters.MovementRecorded(sessionId), startBlock);
+    const violationLogs = await queryEvents(gameplay, gameplay.filters.ViolationDetected(null, sessionId), startBlock);
+    const checkpointLogs = await queryEvents(gameplay, gameplay.filters.CheckpointPassed(sessionId), startBlock);
+    const [completedLog] = await queryEvents(gameplay, gameplay.filters.SessionCompleted(sessionId), startBlock);
+    const banLogs = await queryEvents(gameplay, gameplay.filters.PlayerBanned(player), startBlock);
+
+    const latestConstraints = await readPhysicsConstraints(gameplay);
+    const constraintsByBlock = new Map();
+    async function constraintsAt(blockNumber) {
+        if (!constraintsByBlock.has(blockNumber)) {
+            let constraints = latestConstraints;
+            try {
+                const [maxVelocity, maxJumpHeight, maxAcceleration, minTimeBetweenMoves] = await gameplay.physicsConstraints({ blockTag: blockNumber });
+                constraints = { maxVelocity, maxJumpHeight, maxAcceleration, minTimeBetweenMoves };
+            } catch (error) {
+                // Historical state unavailable; fall back to the current constraints
+            }
+            constraintsByBlock.set(blockNumber, constraints);
+        }
+        return constraintsByBlock.get(blockNumber);
+    }
+
+    const submissions = [];
+    for (const log of recordedLogs) {
+        const movement = toMovementData(await gameplay.movements(log.args.moveHash));
+        const call = await decodeCall(gameplay, log, "recordMovement", sessionId);
+        submissions.push({ log, status: "recorded", moveHash: log.args.moveHash, movement, signature: call ? call.signature : null });
+    }
+    for (const log of violationLogs) {
+        const call = await decodeCall(gameplay, log, "recordMovement", sessionId);
+        submissions.push({
+            log,
+            status: "rejected",
+            moveHash: null,
+            movement: call ? toMovementData(call.moveData) : null,
+            signature: call ? call.signature : null,
+            violationType: log.args.violationType
+        });
+    }
+    submissions.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+    const steps = [];
+    let last = null;
+    let lastHash = ethers.ZeroHash;
+    let submittedHash = ethers.ZeroHash;
+    for (const [index, submission] of submissions.entries()) {
+        const { log, status, movement, signature } = submission;
+        const constraints = await constraintsAt(log.blockNumber);
+        const step = {
+            step: index,
+            status,
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash,
+            moveHash: submission.moveHash,
+            movement: movement ? movementJson(movement) : null,
+            signer: null,
+            signedByPlayer: null,
+            linked: null,
+            timeDelta: null,
+            velocityDelta: null,
+            acceleration: null,
+            jumpHeight: null,
+            distance: null,
+            violations: []
+        };
+        if (submission.violationType) {
+            step.violationType = submission.violationType;
+        }
+
+        if (movement) {
+            const moveHash = submission.moveHash || hashMovement(movement);
+            if (signature) {
+                step.signer = recoverMovementSigner(moveHash, signature);
+                step.signedByPlayer = step.signer === player;
+            }
+            // Servers may chain a rejected move's successor to it or to the last recorded move
+            step.linked = movement.previousMoveHash === lastHash || movement.previousMoveHash === submittedHash;
+            submittedHash = moveHash;
+            if (last && movement.timestamp >= last.timestamp) {
+                const timeDelta = movement.timestamp - last.timestamp;
+                const velocityDelta = movement.velocity > last.velocity ? movement.velocity - last.velocity : last.velocity - movement.velocity;
+                step.timeDelta = timeDelta.toString();
+                step.velocityDelta = velocityDelta.toString();
+                step.acceleration = timeDelta > 0n ? ((velocityDelta * 1000n) / timeDelta).toString() : null;
+                step.jumpHeight = (movement.z - last.z).toString();
+                const [dx, dy, dz] = [movement.x - last.x, movement.y - last.y, movement.z - last.z].map(Number);
+                step.distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            }
+            step.violations = checkMovement(last, movement, constraints).map(({ rule, message }) => ({ rule, message }));
+        } else {
+            submittedHash = null;
+        }
+        if (status === "recorded") {
+            last = movement;
+            lastHash = submission.moveHash;
+        }
+        steps.push(step);
+    }
+
+    const leaves = recordedLogs.map((log) => log.args.moveHash);
+    const computedRoot = computeMerkleRoot(leaves);
+    const merkle = {
+        storedRoot: session.merkleRoot,
+        computedRoot,
+        matches: session.completed ? session.merkleRoot === computedRoot : null,
+        proof: null,
+        proofVerifies: null
+    };
+    if (completedLog && leaves.length > 0) {
+        const call = await decodeCall(gameplay, completedLog, "completeSession", sessionId);
+        if (call) {
+            merkle.proof = [...call.merkleProof];
+            merkle.proofVerifies = verifyMerkleProof(merkle.proof, session.merkleRoot, leaves[0]);
+        }
+    }
+
+    const broken = steps.find((step) => step.violations.length > 0 || (step.status === "rejected" && !step.movement));
+    const firstViolation = broken
+        ? {
+            step: broken.step,
+            blockNumber: broken.blockNumber,
+            txHash: broken.txHash,
+            rule: broken.violations.length > 0 ? broken.violations[0].rule : null,
+            message: broken.violations.length > 0 ? broken.violations[0].message : "Rejected move could not be decoded from its transaction"
+        }
+        : null;
+
+    return {
+        sessionId,
+        player,
+        session: {
+            startTime: session.startTime.toString(),
+            endTime: session.endTime.toString(),
+            nonce: session.nonce.toString(),
+            completed: session.completed,
+            verified: session.verified,
+            totalMoves: Number(session.totalMoves),
+            checkpointsPassed: Number(session.checkpointsPassed),
+            startBlock: started ? started.blockNumber : null,
+            completedBlock: completedLog ? completedLog.blockNumber : null
+        },
+        constraints: constraintsJson(latestConstraints),
+        steps,
+        firstViolation,
+        checkpoints: checkpointLogs.map((log) => ({
+            checkpointId: log.args.checkpointId.toString(),
+            timestamp: log.args.timestamp.toString(),
+            blockNumber: log.blockNumber,
+            txHash: log.transactionHash
+        })),
+        merkle,
+        playerStatus: {
+            violationCount: Number(await gameplay.playerViolationCount(player)),
+            banned: await gameplay.bannedPlayers(player),
+            sessionViolations: violationLogs.length,
+            bans: banLogs.map((log) => ({ totalViolations: Number(log.args.totalViolations), blockNumber: log.blockNumber, txHash: log.transactionHash }))
+        }
+    };
+}
+
+function yesNo(value) {
+    return value === null ? "unknown" : value ? "yes" : "no";
+}
+
+/**
+ * Readable report of a replay, e.g. to attach to an unbanPlayer appeal.
+ * @returns {string[]}
+ */
+function formatReplay(replay) {
+    const lines = [];
+    const { session, merkle, playerStatus: status } = replay;
+    lines.push(`Session ${replay.sessionId}`);
+    lines.push(`Player: ${replay.player}`);
+    lines.push(`Started: ${new Date(Number(session.startTime) * 1000).toISOString()} (block ${session.startBlock ?? "unknown"})`);
+    lines.push(`Completed: ${session.completed ? `yes, verified: ${yesNo(session.verified)}` : "no"}`);
+    lines.push(`Moves recorded: ${session.totalMoves}, checkpoints passed: ${session.checkpointsPassed}`);
+    const c = replay.constraints;
+    lines.push(`Constraints: velocity ≤ ${c.maxVelocity}, acceleration ≤ ${c.maxAcceleration}, jump ≤ ${c.maxJumpHeight}, Δt ≥ ${c.minTimeBetweenMoves}`);
+
+    lines.push("");
+    lines.push("Step  Status    Time        Position (x, y, z)          Vel   ΔT     Accel  Jump   Signed  Linked  Notes");
+    for (const step of replay.steps) {
+        const m = step.movement;
+        const notes = [
+            ...step.violations.map(({ message }) => message),
+            step.violationType && step.violations.length === 0 ? `contract: ${step.violationType}` : null
+        ].filter(Boolean).join("; ");
+        lines.push([
+            String(step.step).padEnd(4),
+            step.status.padEnd(8),
+            (m ? m.timestamp : "?").padEnd(10),
+            (m ? `(${m.x}, ${m.y}, ${m.z})` : "?").padEnd(26),
+            (m ? m.velocity : "?").padStart(5),
+            (step.timeDelta ?? "-").padStart(5),
+            (step.acceleration ?? "-").padStart(6),
+            (step.jumpHeight ?? "-").padStart(5),
+            yesNo(step.signedByPlayer).padStart(7),
+            yesNo(step.linked).padStart(7),
+            notes
+        ].join("  "));
+    }
+    if (replay.steps.length === 0) {
+        lines.push("(no moves submitted)");
+    }
+
+    lines.push("");
+    lines.push(replay.firstViolation
+        ? `First limit broken: step ${replay.firstViolation.step} (${replay.firstViolation.rule || "unknown rule"}) - ${replay.firstViolation.message}, tx ${replay.firstViolation.txHash}`
+        : "First limit broken: none, every move is within the constraints");
+    for (const checkpoint of replay.checkpoints) {
+        lines.push(`Checkpoint ${checkpoint.checkpointId} passed at block ${checkpoint.blockNumber}`);
+    }
+    lines.push(`Merkle root: stored ${merkle.storedRoot}`);
+    lines.push(`             computed ${merkle.computedRoot} (matches: ${yesNo(merkle.matches)}, first-move proof verifies: ${yesNo(merkle.proofVerifies)})`);
+    lines.push(`Violations in this session: ${status.sessionViolations}; player total: ${status.violationCount}, banned: ${yesNo(status.banned)}`);
+    for (const ban of status.bans) {
+        lines.push(`Banned at block ${ban.blockNumber} after ${ban.totalViolations} violations (tx ${ban.txHash})`);
+    }
+    return lines;
+}
+
+module.exports = {
+    replaySession,
+    formatReplay
+};
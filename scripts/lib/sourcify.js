@@ -0,0 +1,153 @@
+// Client for Sourcify-compatible verification servers. Hashscan runs one for Hedera, and
+// scripts/local-verifier.js is a stand-in for local networks.
+
+const DEFAULT_ENDPOINTS = {
+    hedera: "https://server-verify.hashscan.io",
+    mainnet: "https://server-verify.hashscan.io",
+    localhost: "http://127.0.0.1:5555"
+};
+
+const POLL_INTERVAL_MS = Number(process.env.VERIFY_POLL_INTERVAL_MS || 3000);
+const POLL_ATTEMPTS = Number(process.env.VERIFY_POLL_ATTEMPTS || 40);
+
+async function request(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { "Content-Type": "application/json", ...(options.headers || {}) }
+    });
+    const text = await response.text();
+    let body;
+    try {
+        body = text ? JSON.parse(text) : {};
+    } catch (error) {
+        body = { error: text };
+    }
+    return { status: response.status, ok: response.ok, body };
+}
+
+// "perfect"/"exact_match" → "perfect", "partial"/"match" → "partial", anything else → null
+function normalizeMatch(match) {
+    if (match === "perfect" || match === "exact_match") {
+        return "perfect";
+    }
+    if (match === "partial" || match === "match") {
+        return "partial";
+    }
+    return null;
+}
+
+/**
+ * Verifier for one endpoint.
+ * @param {object} options
+ * @param {string} options.url Server base URL
+ * @param {"v1"|"v2"} [options.api] v1: POST /verify/solc-json (Hashscan, legacy Sourcify); v2: POST /v2/verify/{chainId}/{address}
+ */
+function createVerifier({ url, api = "v1" }) {
+    const base = url.replace(/\/$/, "");
+
+    /**
+     * Current verification status of an address: "perfect", "partial" or null.
+     */
+    async function check(chainId, address) {
+        if (api === "v2") {
+            const { status, body } = await request(`${base}/v2/contract/${chainId}/${address}`);
+            return status === 404 ? null : normalizeMatch(body.match);
+        }
+        const { ok, body } = await request(`${base}/check-by-addresses?addresses=${address}&chainIds=${chainId}`);
+        if (!ok || !Array.isArray(body) || body.length === 0) {
+            return null;
+        }
+        return normalizeMatch(body[0].status);
+    }
+
+    /**
+     * Submit a standard JSON input for the contract deployed at `address`.
+     * @param {object} submission
+     * @param {number} submission.chainId
+     * @param {string} submission.address
+     * @param {object} submission.input Solidity standard JSON input
+     * @param {string} submission.compilerVersion Long version, e.g. 0.8.30+commit.73712a01
+     * @param {string} submission.contractIdentifier "path/To.sol:Name"
+     * @param {string} [submission.creationTransactionHash]
+     * @returns {Promise<{status: string|null, message?: string}>}
+     */
+    async function verify(submission) {
+        const { chainId, address, input, compilerVersion, contractIdentifier, creationTransactionHash } = submission;
+
+        if (api === "v2") {
+            const { ok, body } = await request(`${base}/v2/verify/${chainId}/${address}`, {
+                method: "POST",
+                body: JSON.stringify({ stdJsonInput: input, compilerVersion, contractIdentifier, creationTransactionHash })
+            });
+            if (!ok) {
+                return { status: null, message: body.message || body.error || JSON.stringify(body) };
+            }
+            for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt++) {
+                const job = await request(`${base}/v2/verify/${body.verificationId}`);
+                if (job.body.isJobCompleted) {
+                    if (job.body.error) {
+                        return { status: null, message: job.body.error.message || job.body.error.customCode };
+                    }
+                    return { status: normalizeMatch(job.body.contract && job.body.contract.match) };
+                }
+                await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+            }
+            return { status: null, message: `Verification job ${body.verificationId} did not finish` };
+        }
+
+        const contractName = contractIdentifier.split(":").pop();
+        const { ok, body } = await request(`${base}/verify/solc-json`, {
+            method: "POST",
+            body: JSON.stringify({
+                address,
+                chain: String(chainId),
+                compilerVersion,
+                contractName,
+                files: { "SolcJsonInput.json": JSON.stringify(input) }
+            })
+        });
+        if (!ok || body.error) {
+            return { status: null, message: body.error || body.message || JSON.stringify(body) };
+        }
+        const result = Array.isArray(body.result) ? body.result[0] : body;
+        return { status: normalizeMatch(result.status), message: result.message };
+    }
+
+    return { url: base, api, check, verify };
+}
+
+/**
+ * Submit one address unless the endpoint already has it verified.
+ */
+async function submitSource(verifier, chainId, { address, ...submission }) {
+    const existing = await verifier.check(chainId, address);
+    if (existing) {
+        return { address, status: existing, message: "already verified" };
+    }
+    const result = await verifier.verify({ chainId, address, ...submission });
+    return { address, ...result };
+}
+
+/**
+ * Submit a contract's implementation, then its proxy. Each side is `{ address, ...submission }`
+ * as taken by verify(). Network failures are recorded like a rejected submission.
+ * @returns {Promise<{implementation: object, proxy: object}>}
+ */
+async function verifyContract(verifier, chainId, { implementation, proxy }) {
+    const results = {};
+    try {
+        results.implementation = await submitSource(verifier, chainId, implementation);
+        results.proxy = await submitSource(verifier, chainId, proxy);
+    } catch (error) {
+        results.implementation = results.implementation || { address: implementation.address, status: null, message: error.message };
+        results.proxy = { address: proxy.address, status: null, message: error.message };
+    }
+    return results;
+}
+
+module.exports = {
+    DEFAULT_ENDPOINTS,
+    createVerifier,
+    submitSource,
+    verifyContract
+};
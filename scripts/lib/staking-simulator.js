@@ -0,0 +1,765 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { STAKING_TIERS } = require("../../sdk/constants");
+const { formatLost, parseLost } = require("../../sdk/units");
+const { queryEvents } = require("./events");
+const { parseDuration } = require("./units");
+
+// Projects Staking.sol ahead of time: per-tier APY, emergency-unstake penalties and how long the
+// reward pool lasts, for the live configuration or with the tier/reward-rate changes governance is
+// about to make.
+//
+// The model replays the contract's own integer maths rather than approximating it:
+// accRewardPerShare grows by rewardRate per block (lazily, on the next state-changing call) and by
+// every distributeRewards, each stake earns amount * accRewardPerShare / 1e18 minus its reward
+// debt, and the same require() messages are thrown for calls the contract would revert.
+// Per-block emissions are paid out of whatever LOST the contract holds beyond the staked principal;
+// that surplus is the reward pool whose runway is reported.
+
+const PRECISION = 10n ** 18n;
+const BPS = 10000n;
+const YEAR = 365 * 24 * 60 * 60;
+
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+const TIER_FIELDS = ["lockDuration", "votingMultiplier", "rewardMultiplier", "minStakeAmount", "slashingPenalty"];
+
+function tierIndex(tier) {
+    const index = typeof tier === "number" ? tier : STAKING_TIERS.indexOf(tier);
+    if (!STAKING_TIERS[index]) {
+        throw new Error(`Unknown staking tier ${tier}; expected one of ${STAKING_TIERS.join(", ")}`);
+    }
+    return index;
+}
+
+/**
+ * Everything the model needs from a deployed Staking contract, read at a single block. Individual
+ * stakes are found through TokensStaked events and read back with getUserStakeInfo.
+ * @param {import("ethers").BaseContract} staking
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] First block to scan for stakers, usually the deployment block
+ * @param {number} [options.blockTag] Block to read at; defaults to the latest
+ */
+async function readStakingState(staking, { fromBlock = 0, blockTag = "latest" } = {}) {
+    const provider = staking.runner.provider || staking.runner;
+    const block = await provider.getBlock(blockTag);
+    const at = { blockTag: block.number };
+    const token = new ethers.Contract(await staking.lostTokenAddress(at), ERC20_ABI, provider);
+
+    const tiers = await Promise.all(STAKING_TIERS.map(async (name, index) => {
+        const config = await staking.tierConfigs(index, at);
+        return Object.fromEntries(TIER_FIELDS.map((field) => [field, config[field]]));
+    }));
+    const [
+        rewardRate, accRewardPerShare, lastRewardBlock, totalStaked, totalVotingPower,
+        totalStakers, totalSlashed, totalRewardsDistributed, emergencyWithdrawEnabled, balance
+    ] = await Promise.all([
+        staking.rewardRate(at), staking.accRewardPerShare(at), staking.lastRewardBlock(at), staking.totalStaked(at),
+        staking.totalVotingPower(at), staking.totalStakers(at), staking.totalSlashed(at),
+        staking.totalRewardsDistributed(at), staking.emergencyWithdrawEnabled(at), token.balanceOf(staking.target, at)
+    ]);
+
+    const users = {};
+    const stakers = new Set((await queryEvents(staking, "TokensStaked", fromBlock, block.number)).map((log) => log.args.user));
+    for (const address of stakers) {
+        const [userStaked, userVotingPower, stakeCount, pendingRewards] = await staking.getUserStakingStats(address, at);
+        const stakes = [];
+        for (let stakeId = 0n; stakeId < stakeCount; stakeId++) {
+            const info = await staking.getUserStakeInfo(address, stakeId, at);
+            stakes.push({
+                amount: info.amount,
+                startTime: info.startTime,
+                endTime: info.endTime,
+                tier: Number(info.tier),
+                votingPower: info.votingPower,
+                rewardDebt: info.rewardDebt,
+                active: info.active
+            });
+        }
+        users[address] = { totalStaked: userStaked, totalVotingPower: userVotingPower, pendingRewards, stakes };
+    }
+
+    return {
+        block: { number: block.number, timestamp: block.timestamp },
+        tiers,
+        rewardRate,
+        accRewardPerShare,
+        lastRewardBlock,
+        totalStaked,
+        totalVotingPower,
+        totalStakers,
+        totalSlashed,
+        totalRewardsDistributed,
+        emergencyWithdrawEnabled,
+        balance,
+        users
+    };
+}
+
+/**
+ * In-memory Staking contract starting from a readStakingState() snapshot.
+ *
+ * apply() runs one call at the given block, like a transaction mined there, and either returns what
+ * the call moved or throws an Error carrying the contract's revert message (leaving the model
+ * untouched). Actions:
+ *
+ *     { type: "stake", staker, amount, tier }
+ *     { type: "unstake" | "emergencyUnstake", staker, stakeId }
+ *     { type: "claim", staker }
+ *     { type: "distribute", amount }
+ *     { type: "setRewardRate", rate }
+ *     { type: "updateTierConfig", tier, config }
+ *     { type: "setEmergencyWithdraw", enabled }
+ */
+function createStakingModel(snapshot) {
+    const state = structuredClone(snapshot);
+    let emitted = 0n;
+
+    function user(address) {
+        if (!state.users[address]) {
+            state.users[address] = { totalStaked: 0n, totalVotingPower: 0n, pendingRewards: 0n, stakes: [] };
+        }
+        return state.users[address];
+    }
+
+    // _updateRewards() as of the current block, without committing it
+    function accrued() {
+        const block = BigInt(state.block.number);
+        if (block <= state.lastRewardBlock || state.totalStaked === 0n) {
+            return { accRewardPerShare: state.accRewardPerShare, lastRewardBlock: state.lastRewardBlock, rewards: 0n };
+        }
+        const rewards = (block - state.lastRewardBlock) * state.rewardRate;
+        return {
+            accRewardPerShare: rewards > 0n ? state.accRewardPerShare + (rewards * PRECISION) / state.totalStaked : state.accRewardPerShare,
+            lastRewardBlock: block,
+            rewards
+        };
+    }
+
+    function commit(update) {
+        state.accRewardPerShare = update.accRewardPerShare;
+        state.lastRewardBlock = update.lastRewardBlock;
+        emitted += update.rewards;
+    }
+
+    function pending(stake, accRewardPerShare) {
+        return (stake.amount * accRewardPerShare) / PRECISION - stake.rewardDebt;
+    }
+
+    function pay(amount) {
+        if (amount > state.balance) {
+            throw new Error("ERC20InsufficientBalance");
+        }
+        state.balance -= amount;
+    }
+
+    function removeStake(account, stake) {
+        account.totalStaked -= stake.amount;
+        account.totalVotingPower -= stake.votingPower;
+        if (account.totalStaked === 0n) {
+            state.totalStakers -= 1n;
+        }
+        state.totalStaked -= stake.amount;
+        state.totalVotingPower -= stake.votingPower;
+        stake.active = false;
+    }
+
+    const actions = {
+        stake({ staker, amount, tier }) {
+            if (amount <= 0n) {
+                throw new Error("Invalid amount");
+            }
+            const index = tierIndex(tier);
+            const config = state.tiers[index];
+            if (amount < config.minStakeAmount) {
+                throw new Error("Below minimum stake");
+            }
+            const update = accrued();
+            commit(update);
+            const account = user(staker);
+            const votingPower = (amount * config.votingMultiplier) / BPS;
+            const timestamp = BigInt(state.block.timestamp);
+            account.stakes.push({
+                amount,
+                startTime: timestamp,
+                endTime: timestamp + config.lockDuration,
+                tier: index,
+                votingPower,
+                rewardDebt: (amount * update.accRewardPerShare) / PRECISION,
+                active: true
+            });
+            if (account.totalStaked === 0n) {
+                state.totalStakers += 1n;
+            }
+            account.totalStaked += amount;
+            account.totalVotingPower += votingPower;
+            state.totalStaked += amount;
+            state.totalVotingPower += votingPower;
+            state.balance += amount;
+            return { stakeId: account.stakes.length - 1, votingPower };
+        },
+
+        unstake({ staker, stakeId }) {
+            const account = user(staker);
+            const stake = account.stakes[Number(stakeId)];
+            if (!stake || !stake.active) {
+                throw new Error("Stake not active");
+            }
+            if (BigInt(state.block.timestamp) < stake.endTime) {
+                throw new Error("Lock period not ended");
+            }
+            const update = accrued();
+            const reward = pending(stake, update.accRewardPerShare);
+            pay(stake.amount);
+            commit(update);
+            account.pendingRewards += reward;
+            removeStake(account, stake);
+            return { amount: stake.amount, pendingReward: reward };
+        },
+
+        emergencyUnstake({ staker, stakeId }) {
+            if (!state.emergencyWithdrawEnabled) {
+                throw new Error("Emergency withdraw disabled");
+            }
+            const account = user(staker);
+            const stake = account.stakes[Number(stakeId)];
+            if (!stake || !stake.active) {
+                throw new Error("Stake not active");
+            }
+            const update = accrued();
+            const penalty = (stake.amount * state.tiers[stake.tier].slashingPenalty) / BPS;
+            pay(stake.amount);
+            commit(update);
+            state.totalSlashed += penalty;
+            removeStake(account, stake);
+            // Rewards the stake had earned but not claimed stay in the contract
+            return { amount: stake.amount - penalty, penalty, forfeited: pending(stake, update.accRewardPerShare) };
+        },
+
+        claim({ staker }) {
+            const update = accrued();
+            const account = user(staker);
+            let total = account.pendingRewards;
+            for (const stake of account.stakes) {
+                if (stake.active) {
+                    total += pending(stake, update.accRewardPerShare);
+                }
+            }
+            if (total > 0n) {
+                pay(total);
+                account.pendingRewards = 0n;
+            }
+            commit(update);
+            for (const stake of account.stakes) {
+                if (stake.active) {
+                    stake.rewardDebt = (stake.amount * update.accRewardPerShare) / PRECISION;
+                }
+            }
+            return { amount: total };
+        },
+
+        distribute({ amount }) {
+            if (amount <= 0n) {
+                throw new Error("Invalid amount");
+            }
+            if (state.totalStaked === 0n) {
+                throw new Error("No stakes to reward");
+            }
+            state.balance += amount;
+            state.accRewardPerShare += (amount * PRECISION) / state.totalStaked;
+            state.totalRewardsDistributed += amount;
+            return { amount, accRewardPerShare: state.accRewardPerShare };
+        },
+
+        setRewardRate({ rate }) {
+            commit(accrued());
+            state.rewardRate = rate;
+            return { rate };
+        },
+
+        updateTierConfig({ tier, config }) {
+            state.tiers[tierIndex(tier)] = { ...config };
+            return { tier: STAKING_TIERS[tierIndex(tier)] };
+        },
+
+        setEmergencyWithdraw({ enabled }) {
+            state.emergencyWithdrawEnabled = enabled;
+            return { enabled };
+        }
+    };
+
+    function advance({ block, timestamp }) {
+        if (block < state.block.number || timestamp < state.block.timestamp) {
+            throw new Error(`Cannot go back from block ${state.block.number} to ${block}`);
+        }
+        state.block = { number: block, timestamp };
+    }
+
+    function apply(action, at) {
+        if (!actions[action.type]) {
+            throw new Error(`Unknown staking action ${action.type}`);
+        }
+        if (at) {
+            advance(at);
+        }
+        // Checks come before writes in every action except where a payment can still fail, so
+        // restoring the touched records is enough to undo a revert
+        const before = {
+            ...state,
+            users: action.staker && state.users[action.staker] ? { ...state.users, [action.staker]: structuredClone(state.users[action.staker]) } : state.users,
+            tiers: state.tiers.slice()
+        };
+        const emittedBefore = emitted;
+        try {
+            return actions[action.type](action);
+        } catch (error) {
+            Object.assign(state, before);
+            emitted = emittedBefore;
+            throw error;
+        }
+    }
+
+    /** Rewards stakers could claim right now, including emissions not yet rolled into accRewardPerShare */
+    function owed() {
+        const { accRewardPerShare } = accrued();
+        let total = 0n;
+        for (const account of Object.values(state.users)) {
+            total += account.pendingRewards;
+            for (const stake of account.stakes) {
+                if (stake.active) {
+                    total += pending(stake, accRewardPerShare);
+                }
+            }
+        }
+        return total;
+    }
+
+    return {
+        apply,
+        advance,
+        owed,
+        /** LOST held beyond principal and owed rewards; negative once emissions outrun the balance */
+        rewardPool: () => state.balance - state.totalStaked - owed(),
+        emitted: () => emitted,
+        rewardRate: () => state.rewardRate,
+        totalStaked: () => state.totalStaked,
+        state: () => structuredClone(state)
+    };
+}
+
+function seconds(value, field) {
+    if (typeof value === "number" && Number.isInteger(value) && value >= 0) {
+        return value;
+    }
+    try {
+        return parseDuration(value);
+    } catch (error) {
+        throw new Error(`${field}: ${error.message}`);
+    }
+}
+
+/**
+ * Validated simulation scenario from YAML. Every key is optional:
+ *
+ *     horizon: 365d              # how far ahead to project
+ *     blockTime: 2               # seconds per block, for per-block emissions
+ *     rewardRate: "0.5"          # LOST per block, as updateRewardRate would set it
+ *     emergencyWithdraw: true    # as setEmergencyWithdraw would set it
+ *     tiers:                     # updateTierConfig overrides, merged over the live config
+ *       GOLD: { lockDuration: 120d, slashingPenalty: 500, minStakeAmount: "2000" }
+ *     distributions:             # distributeRewards calls
+ *       - amount: "5000"
+ *         every: 7d              # or at: 30d for a single one
+ *     stakers:                   # new stakers, joining at joinAt
+ *       - tier: GOLD
+ *         amount: "2500"
+ *         count: 10
+ *         exitAfter: 60d         # unstake at "unlock", emergencyUnstake before it; omit to hold
+ */
+function parseStakingScenario(text) {
+    const raw = yaml.load(text) || {};
+    const problems = [];
+    const attempt = (fn) => {
+        try {
+            return fn();
+        } catch (error) {
+            problems.push(error.message);
+            return undefined;
+        }
+    };
+    const lost = (value, field) => {
+        if (value === undefined || value === null) {
+            problems.push(`${field} is required`);
+            return undefined;
+        }
+        try {
+            return parseLost(value);
+        } catch (error) {
+            problems.push(`${field} "${value}" is not a LOST amount`);
+            return undefined;
+        }
+    };
+    const amount = (value, field) => {
+        const parsed = lost(value, field);
+        if (parsed !== undefined && parsed <= 0n) {
+            problems.push(`${field} must be more than 0`);
+        }
+        return parsed;
+    };
+    const bps = (value, field) => {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            problems.push(`${field} must be a whole number of basis points`);
+        }
+        return BigInt(Math.max(0, Math.floor(parsed) || 0));
+    };
+
+    const scenario = {
+        horizon: attempt(() => seconds(raw.horizon === undefined ? "365d" : raw.horizon, "horizon")),
+        blockTime: Number(raw.blockTime === undefined ? 2 : raw.blockTime),
+        tiers: {},
+        distributions: [],
+        stakers: []
+    };
+    if (!Number.isInteger(scenario.blockTime) || scenario.blockTime < 1) {
+        problems.push("blockTime must be a whole number of seconds");
+    }
+    if (raw.rewardRate !== undefined) {
+        scenario.rewardRate = lost(raw.rewardRate, "rewardRate");
+    }
+    if (raw.emergencyWithdraw !== undefined) {
+        scenario.emergencyWithdraw = Boolean(raw.emergencyWithdraw);
+    }
+
+    for (const [tier, overrides] of Object.entries(raw.tiers || {})) {
+        if (!STAKING_TIERS.includes(tier)) {
+            problems.push(`tiers.${tier} is not one of ${STAKING_TIERS.join(", ")}`);
+            continue;
+        }
+        const config = {};
+        for (const [field, value] of Object.entries(overrides || {})) {
+            if (field === "lockDuration") {
+                config.lockDuration = BigInt(attempt(() => seconds(value, `tiers.${tier}.lockDuration`)) || 0);
+            } else if (field === "minStakeAmount") {
+                config.minStakeAmount = lost(value, `tiers.${tier}.minStakeAmount`);
+            } else if (TIER_FIELDS.includes(field)) {
+                config[field] = bps(value, `tiers.${tier}.${field}`);
+            } else {
+                problems.push(`tiers.${tier}.${field} is not a tier setting`);
+            }
+        }
+        scenario.tiers[tier] = config;
+    }
+
+    (raw.distributions || []).forEach((entry, index) => {
+        const field = `distributions[${index}]`;
+        const distribution = { amount: amount(entry.amount, `${field}.amount`) };
+        if (entry.every !== undefined) {
+            distribution.every = attempt(() => seconds(entry.every, `${field}.every`));
+            if (distribution.every === 0) {
+                problems.push(`${field}.every must be longer than 0`);
+            }
+        }
+        distribution.at = attempt(() => seconds(entry.at === undefined ? entry.every || 0 : entry.at, `${field}.at`));
+        scenario.distributions.push(distribution);
+    });
+
+    (raw.stakers || []).forEach((entry, index) => {
+        const field = `stakers[${index}]`;
+        if (!STAKING_TIERS.includes(entry.tier)) {
+            problems.push(`${field}.tier must be one of ${STAKING_TIERS.join(", ")}`);
+        }
+        const cohort = {
+            tier: entry.tier,
+            amount: amount(entry.amount, `${field}.amount`),
+            count: Number(entry.count === undefined ? 1 : entry.count),
+            joinAt: attempt(() => seconds(entry.joinAt === undefined ? 0 : entry.joinAt, `${field}.joinAt`))
+        };
+        if (!Number.isInteger(cohort.count) || cohort.count < 1) {
+            problems.push(`${field}.count must be a whole number of stakers`);
+        }
+        if (entry.exitAfter !== undefined) {
+            cohort.exitAfter = entry.exitAfter === "unlock" ? "unlock" : attempt(() => seconds(entry.exitAfter, `${field}.exitAfter`));
+        }
+        scenario.stakers.push(cohort);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid staking scenario:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    }
+    return scenario;
+}
+
+function loadStakingScenario(file) {
+    return parseStakingScenario(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Runs a scenario against a snapshot and reports what it does to stakers and the reward pool.
+ *
+ * Offsets in the scenario are rounded up to whole blocks after the snapshot block, so a stake that
+ * exits at "unlock" is never early. Governance changes go first in block 1; within a block joins
+ * come before distributions and exits. An emergency exit claims first, as a staker would, and
+ * every staker still holding claims at the horizon so their rewards are counted. `actions` lists
+ * every call with the block and timestamp it runs at, which is what replaying the scenario
+ * against a real chain needs.
+ *
+ * @param {object} snapshot From readStakingState()
+ * @param {object} scenario From parseStakingScenario()
+ */
+function simulateStaking(snapshot, scenario) {
+    const model = createStakingModel(snapshot);
+    const { blockTime } = scenario;
+    const start = { block: snapshot.block.number, timestamp: snapshot.block.timestamp };
+    const slotOf = (offset) => Math.ceil(offset / blockTime);
+    const when = (slot) => ({ block: start.block + 1 + slot, timestamp: start.timestamp + (1 + slot) * blockTime });
+    const horizon = slotOf(scenario.horizon);
+
+    const tiers = snapshot.tiers.map((config, index) => ({ ...config, ...scenario.tiers[STAKING_TIERS[index]] }));
+    const rewardRate = scenario.rewardRate === undefined ? snapshot.rewardRate : scenario.rewardRate;
+    const timeline = [];
+    const schedule = (slot, order, action) => timeline.push({ slot, order, seq: timeline.length, action });
+
+    if (scenario.rewardRate !== undefined) {
+        schedule(0, 0, { type: "setRewardRate", rate: scenario.rewardRate });
+    }
+    for (const tier of Object.keys(scenario.tiers)) {
+        schedule(0, 0, { type: "updateTierConfig", tier: STAKING_TIERS.indexOf(tier), config: tiers[STAKING_TIERS.indexOf(tier)] });
+    }
+    if (scenario.emergencyWithdraw !== undefined) {
+        schedule(0, 0, { type: "setEmergencyWithdraw", enabled: scenario.emergencyWithdraw });
+    }
+
+    for (const distribution of scenario.distributions) {
+        for (let offset = distribution.at; offset <= scenario.horizon; offset += distribution.every) {
+            schedule(slotOf(offset), 2, { type: "distribute", amount: distribution.amount });
+            if (!distribution.every) {
+                break;
+            }
+        }
+    }
+
+    const positions = [];
+    scenario.stakers.forEach((cohort, cohortIndex) => {
+        const join = slotOf(cohort.joinAt);
+        if (join > horizon) {
+            return;
+        }
+        const lockDuration = Number(tiers[STAKING_TIERS.indexOf(cohort.tier)].lockDuration);
+        const exitAfter = cohort.exitAfter === "unlock" ? lockDuration : cohort.exitAfter;
+        const exit = exitAfter === undefined ? null : slotOf(join * blockTime + exitAfter);
+        for (let n = 0; n < cohort.count; n++) {
+            const staker = `staker-${cohortIndex + 1}-${n + 1}`;
+            const position = {
+                staker,
+                cohort: cohortIndex,
+                tier: cohort.tier,
+                amount: cohort.amount,
+                joined: when(join),
+                exited: null,
+                exit: "held",
+                rewards: 0n,
+                penalty: 0n
+            };
+            positions.push(position);
+            schedule(join, 1, { type: "stake", staker, amount: cohort.amount, tier: STAKING_TIERS.indexOf(cohort.tier) });
+            if (exit !== null && exit <= horizon) {
+                position.exit = exitAfter < lockDuration ? "emergency" : "unlock";
+                const steps = position.exit === "emergency" ? ["claim", "emergencyUnstake"] : ["unstake", "claim"];
+                for (const type of steps) {
+                    schedule(exit, 3, { type, staker, stakeId: 0 });
+                }
+            } else {
+                schedule(horizon, 4, { type: "claim", staker });
+            }
+        }
+    });
+    timeline.sort((a, b) => a.slot - b.slot || a.order - b.order || a.seq - b.seq);
+
+    const byStaker = new Map(positions.map((position) => [position.staker, position]));
+    const startPool = model.rewardPool();
+    const actions = [];
+    const rejected = [];
+    let exhaustedAt = startPool < 0n ? { ...start } : null;
+    let last = { ...start, pool: startPool, rewardRate: model.rewardRate(), totalStaked: model.totalStaked() };
+
+    // The pool only shrinks with time, at rewardRate per block while anything is staked
+    function checkPool(at) {
+        const pool = model.rewardPool();
+        if (!exhaustedAt && pool < 0n) {
+            const { rewardRate: rate, totalStaked } = last;
+            if (rate > 0n && totalStaked > 0n && at.block > last.block) {
+                const blocks = Math.min(Number(last.pool / rate) + 1, at.block - last.block);
+                exhaustedAt = { block: last.block + blocks, timestamp: last.timestamp + blocks * blockTime };
+            } else {
+                exhaustedAt = { ...at };
+            }
+        }
+        last = { ...at, pool, rewardRate: model.rewardRate(), totalStaked: model.totalStaked() };
+    }
+
+    for (let index = 0; index < timeline.length;) {
+        const slot = timeline[index].slot;
+        const at = when(slot);
+        model.advance(at);
+        checkPool(at);
+        for (; index < timeline.length && timeline[index].slot === slot; index++) {
+            const { action } = timeline[index];
+            actions.push({ ...at, ...action });
+            const position = byStaker.get(action.staker);
+            try {
+                const result = model.apply(action);
+                if (position && action.type === "claim") {
+                    position.rewards += result.amount;
+                }
+                if (position && (action.type === "unstake" || action.type === "emergencyUnstake")) {
+                    position.exited = at;
+                    position.penalty = result.penalty || 0n;
+                }
+            } catch (error) {
+                rejected.push({ ...at, action, reason: error.message });
+                if (position && action.type === "stake") {
+                    position.rejected = error.message;
+                }
+            }
+        }
+        checkPool(at);
+    }
+    const end = when(horizon);
+    model.advance(end);
+    checkPool(end);
+
+    const final = model.state();
+    let remaining = null;
+    if (!exhaustedAt && last.rewardRate > 0n && last.totalStaked > 0n) {
+        remaining = Number(last.pool / last.rewardRate) * blockTime;
+    }
+
+    const summary = STAKING_TIERS.map((tier, index) => {
+        const held = positions.filter((position) => position.tier === tier && !position.rejected);
+        let weight = 0n;
+        const row = { tier, config: tiers[index], stakers: held.length, staked: 0n, rewards: 0n, penalties: 0n, apyBps: null };
+        for (const position of held) {
+            const heldFor = (position.exited || end).timestamp - position.joined.timestamp;
+            weight += position.amount * BigInt(heldFor);
+            row.staked += position.amount;
+            row.rewards += position.rewards;
+            row.penalties += position.penalty;
+        }
+        if (weight > 0n) {
+            row.apyBps = (row.rewards * BPS * BigInt(YEAR)) / weight;
+        }
+        return row;
+    });
+
+    return {
+        start,
+        end,
+        blockTime,
+        rewardRate,
+        tiers: summary,
+        positions,
+        actions,
+        rejected,
+        emitted: model.emitted(),
+        distributed: final.totalRewardsDistributed - snapshot.totalRewardsDistributed,
+        penaltyRevenue: final.totalSlashed - snapshot.totalSlashed,
+        pool: { start: startPool, end: last.pool },
+        runway: { exhaustedAt, remaining },
+        warnings: stakingWarnings(snapshot, scenario, tiers, rewardRate)
+    };
+}
+
+function stakingWarnings(snapshot, scenario, tiers, rewardRate) {
+    const warnings = [];
+    if (new Set(tiers.map((config) => config.rewardMultiplier)).size > 1) {
+        warnings.push("rewardMultiplier is not applied by Staking.sol: rewards are pro rata to the amount staked, so every tier earns the same per LOST");
+    }
+    const behind = BigInt(snapshot.block.number) - snapshot.lastRewardBlock;
+    if (snapshot.totalStaked === 0n && rewardRate > 0n && behind > 1n) {
+        warnings.push(`lastRewardBlock is ${behind} blocks behind with nothing staked; the first update after the next stake pays ${formatLost(behind * rewardRate)} LOST of back-dated emissions`);
+    }
+    for (const [tier, config] of Object.entries(scenario.tiers)) {
+        const index = STAKING_TIERS.indexOf(tier);
+        if (config.slashingPenalty === undefined || config.slashingPenalty === snapshot.tiers[index].slashingPenalty) {
+            continue;
+        }
+        const existing = Object.values(snapshot.users)
+            .flatMap((account) => account.stakes)
+            .filter((stake) => stake.active && stake.tier === index).length;
+        if (existing > 0) {
+            warnings.push(`The ${tier} slashingPenalty change also applies to ${existing} existing stake(s); emergencyUnstake reads the current tier config`);
+        }
+    }
+    return warnings;
+}
+
+// Two decimals are plenty for a projection
+function formatAmount(amount) {
+    const [whole, fraction = "0"] = formatLost(amount).split(".");
+    return `${whole}.${fraction.slice(0, 2).padEnd(2, "0")}`;
+}
+
+function formatPercent(bps) {
+    return bps === null ? "-" : `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+function formatDuration(totalSeconds) {
+    const days = Math.floor(totalSeconds / 86400);
+    return days > 0 ? `${days}d` : `${Math.floor(totalSeconds / 3600)}h`;
+}
+
+/** Report lines for simulateStaking() */
+function formatProjection(result) {
+    const span = result.end.timestamp - result.start.timestamp;
+    const lines = [
+        `📈 Staking projection over ${formatDuration(span)} (blocks ${result.start.block}–${result.end.block}, ${result.blockTime}s per block)`,
+        `   Reward rate:     ${formatLost(result.rewardRate)} LOST per block`,
+        `   Emitted:         ${formatAmount(result.emitted)} LOST`,
+        `   Distributed:     ${formatAmount(result.distributed)} LOST`,
+        `   Penalty revenue: ${formatAmount(result.penaltyRevenue)} LOST (to the treasury)`,
+        "",
+        "   Tier       Lock  Penalty  Stakers    Staked LOST   Rewards LOST       APY"
+    ];
+    for (const row of result.tiers) {
+        lines.push([
+            `   ${row.tier.padEnd(9)}`,
+            formatDuration(Number(row.config.lockDuration)).padStart(5),
+            formatPercent(row.config.slashingPenalty).padStart(8),
+            String(row.stakers).padStart(8),
+            formatAmount(row.staked).padStart(14),
+            formatAmount(row.rewards).padStart(14),
+            formatPercent(row.apyBps).padStart(9)
+        ].join(" "));
+    }
+
+    lines.push("", `   Reward pool:     ${formatAmount(result.pool.start)} → ${formatAmount(result.pool.end)} LOST`);
+    const { exhaustedAt, remaining } = result.runway;
+    if (exhaustedAt) {
+        lines.push(`   ⚠️  Pool runs dry at block ${exhaustedAt.block} (after ${formatDuration(exhaustedAt.timestamp - result.start.timestamp)}); later claims are paid from staked principal`);
+    } else if (remaining === null) {
+        lines.push("   Runway:          indefinite (no per-block emissions)");
+    } else {
+        lines.push(`   Runway:          ${formatDuration(remaining)} after the horizon at the final reward rate`);
+    }
+    if (result.rejected.length > 0) {
+        lines.push("", `   ${result.rejected.length} call(s) would revert:`);
+        for (const { block, action, reason } of result.rejected) {
+            lines.push(`   block ${block}  ${action.type}${action.staker ? ` ${action.staker}` : ""}: ${reason}`);
+        }
+    }
+    for (const warning of result.warnings) {
+        lines.push(`   ⚠️  ${warning}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    readStakingState,
+    createStakingModel,
+    parseStakingScenario,
+    loadStakingScenario,
+    simulateStaking,
+    formatProjection
+};
@@ -0,0 +1,65 @@
+const { Manifest } = require("@openzeppelin/upgrades-core");
+
+/**
+ * Storage layout the OpenZeppelin network file recorded for an implementation address.
+ * @param {import("hardhat/types").EthereumProvider} provider hre.network.provider
+ * @param {string} implementation
+ * @returns {Promise<import("@openzeppelin/upgrades-core").StorageLayout|null>} null when the implementation is unknown
+ */
+async function implementationLayout(provider, implementation) {
+    const manifest = await Manifest.forNetwork(provider);
+    try {
+        const deployment = await manifest.getDeploymentFromAddress(implementation);
+        return deployment.layout;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Flatten top-level and ERC-7201 namespaced variables into "<namespace>.<label>" entries
+function layoutEntries(layout) {
+    const entries = new Map();
+    const typeLabel = (type) => (layout.types[type] ? layout.types[type].label : type);
+    for (const item of layout.storage) {
+        entries.set(item.label, { type: typeLabel(item.type), slot: item.slot, offset: item.offset });
+    }
+    for (const [namespace, items] of Object.entries(layout.namespaces || {})) {
+        for (const item of items) {
+            entries.set(`${namespace}.${item.label}`, { type: typeLabel(item.type), slot: item.slot, offset: item.offset });
+        }
+    }
+    return entries;
+}
+
+function describe(entry) {
+    return `${entry.type} @ slot ${entry.slot}${entry.offset ? `+${entry.offset}` : ""}`;
+}
+
+/**
+ * Human readable differences between two storage layouts, one line per variable.
+ * Layout compatibility itself is checked by upgrades.validateUpgrade; this is for reviewers.
+ * @returns {string[]}
+ */
+function diffLayouts(before, after) {
+    const old = layoutEntries(before);
+    const next = layoutEntries(after);
+    const changes = [];
+    for (const [label, entry] of next) {
+        if (!old.has(label)) {
+            changes.push(`+ ${label}: ${describe(entry)}`);
+        } else if (describe(old.get(label)) !== describe(entry)) {
+            changes.push(`~ ${label}: ${describe(old.get(label))} -> ${describe(entry)}`);
+        }
+    }
+    for (const [label, entry] of old) {
+        if (!next.has(label)) {
+            changes.push(`- ${label}: ${describe(entry)}`);
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    implementationLayout,
+    diffLayouts
+};
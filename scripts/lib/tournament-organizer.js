@@ -0,0 +1,450 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { ethers } = require("ethers");
+const { decodeError } = require("../../sdk/errors");
+const { computeMerkleRoot } = require("../../sdk/gameplay");
+const { TOURNAMENT_TYPES, TOURNAMENT_STATES } = require("../../sdk/constants");
+const { formatNative, parseNative } = require("../../sdk/units");
+const { queryEvents } = require("./events");
+const { parseDuration } = require("./units");
+
+// Organizer side of Tournament.sol: create from a YAML spec, start, submit match results from a
+// CSV, finalize and cancel. Every step can run as a dry run, which simulates the calls with
+// staticCall and works out the payouts from the projected scores without sending anything.
+
+// Percentages finalizeTournament(id, winners, root) pays by number of winners; only 3 places are paid
+const PRIZE_SPLITS = { 1: [100], 2: [70, 30], 3: [50, 30, 20] };
+
+// Tournament.sol constants
+const MIN_PARTICIPANTS = 2;
+const MAX_PARTICIPANTS = 256;
+const REGISTRATION_PERIOD = 60 * 60;
+
+// finalizeTournament is overloaded; this is the organizer's version with explicit winners
+const FINALIZE = "finalizeTournament(uint256,address[],bytes32)";
+
+function sameSplit(a, b) {
+    return a.length === b.length && a.every((value, index) => Number(value) === b[index]);
+}
+
+/**
+ * Validated tournament spec from YAML:
+ *
+ *     name: Weekly Time Attack
+ *     type: TIME_ATTACK          # one of TOURNAMENT_TYPES
+ *     entryFee: "1.5"            # HBAR
+ *     maxPlayers: 16
+ *     prizeSplit: [50, 30, 20]   # must be one of PRIZE_SPLITS
+ *     start: 2026-11-01T18:00:00Z   # or startsIn: 2h
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.now] Unix time `startsIn` counts from
+ */
+function parseTournamentSpec(text, { now = Math.floor(Date.now() / 1000) } = {}) {
+    const raw = yaml.load(text) || {};
+    const problems = [];
+    const spec = { name: raw.name, type: raw.type || "TIME_ATTACK" };
+
+    if (typeof spec.name !== "string" || spec.name.trim() === "") {
+        problems.push("name is required");
+    }
+    if (!TOURNAMENT_TYPES.includes(spec.type)) {
+        problems.push(`type must be one of ${TOURNAMENT_TYPES.join(", ")}`);
+    }
+    try {
+        spec.entryFee = parseNative(raw.entryFee === undefined ? "0" : raw.entryFee);
+    } catch (error) {
+        problems.push(`entryFee "${raw.entryFee}" is not an amount`);
+    }
+    spec.maxPlayers = Number(raw.maxPlayers);
+    if (!Number.isInteger(spec.maxPlayers) || spec.maxPlayers < MIN_PARTICIPANTS || spec.maxPlayers > MAX_PARTICIPANTS) {
+        problems.push(`maxPlayers must be a whole number from ${MIN_PARTICIPANTS} to ${MAX_PARTICIPANTS}`);
+    }
+
+    spec.prizeSplit = (raw.prizeSplit || PRIZE_SPLITS[3]).map(Number);
+    spec.places = spec.prizeSplit.length;
+    if (!PRIZE_SPLITS[spec.places] || !sameSplit(spec.prizeSplit, PRIZE_SPLITS[spec.places])) {
+        const options = Object.values(PRIZE_SPLITS).map((split) => `[${split.join(", ")}]`).join(", ");
+        problems.push(`prizeSplit [${spec.prizeSplit.join(", ")}] is not one Tournament pays; use ${options}`);
+    }
+
+    if (raw.start !== undefined && raw.startsIn !== undefined) {
+        problems.push("give either start or startsIn, not both");
+    } else if (raw.start !== undefined) {
+        const start = raw.start instanceof Date ? raw.start : new Date(raw.start);
+        spec.startTime = Math.floor(start.getTime() / 1000);
+        if (Number.isNaN(spec.startTime)) {
+            problems.push(`start "${raw.start}" is not a date`);
+        }
+    } else if (raw.startsIn !== undefined) {
+        try {
+            spec.startTime = now + parseDuration(raw.startsIn);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    } else {
+        problems.push("start or startsIn is required");
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid tournament spec:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    }
+    return spec;
+}
+
+function loadTournamentSpec(file, options) {
+    return parseTournamentSpec(fs.readFileSync(file, "utf8"), options);
+}
+
+/**
+ * Match results CSV with a header row:
+ *
+ *     match,winner,player1_score,player2_score,gameplay_hash
+ *     0,0xabc…,1200,900,
+ *
+ * gameplay_hash may be left empty. Blank lines and lines starting with # are skipped.
+ */
+function parseMatchResults(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+    if (lines.length === 0) {
+        return [];
+    }
+    const header = lines[0].split(",").map((column) => column.trim().toLowerCase());
+    const required = ["match", "winner", "player1_score", "player2_score"];
+    const missing = required.filter((column) => !header.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Results CSV is missing column(s): ${missing.join(", ")}`);
+    }
+    const seen = new Set();
+    return lines.slice(1).map((line, index) => {
+        const cells = line.split(",").map((cell) => cell.trim());
+        const row = Object.fromEntries(header.map((column, position) => [column, cells[position] || ""]));
+        const where = `Results CSV line ${index + 2}`;
+        if (!/^\d+$/.test(row.match) || !/^\d+$/.test(row.player1_score) || !/^\d+$/.test(row.player2_score)) {
+            throw new Error(`${where}: match and scores must be whole numbers`);
+        }
+        if (!ethers.isAddress(row.winner)) {
+            throw new Error(`${where}: "${row.winner}" is not an address`);
+        }
+        if (seen.has(row.match)) {
+            throw new Error(`${where}: match ${row.match} appears twice`);
+        }
+        seen.add(row.match);
+        const gameplayHash = row.gameplay_hash || ethers.ZeroHash;
+        if (!ethers.isHexString(gameplayHash, 32)) {
+            throw new Error(`${where}: gameplay_hash must be 32 bytes of hex`);
+        }
+        return {
+            matchIndex: BigInt(row.match),
+            winner: ethers.getAddress(row.winner),
+            player1Score: BigInt(row.player1_score),
+            player2Score: BigInt(row.player2_score),
+            gameplayHash
+        };
+    });
+}
+
+/** Leaf of the results root passed to finalizeTournament */
+function matchResultLeaf(tournamentId, { matchIndex, winner }) {
+    return ethers.solidityPackedKeccak256(["uint256", "uint256", "address"], [tournamentId, matchIndex, winner]);
+}
+
+/**
+ * finalizeTournament's payout arithmetic.
+ * @param {object} options
+ * @param {bigint} options.prizePool
+ * @param {bigint} options.protocolFeeBps protocolFeePercentage
+ * @param {string[]} options.winners Ranked; only the first three are paid
+ */
+function computePayouts({ prizePool, protocolFeeBps, winners }) {
+    const protocolFee = (prizePool * protocolFeeBps) / 10000n;
+    const distributable = prizePool - protocolFee;
+    const split = PRIZE_SPLITS[Math.min(winners.length, 3)] || [];
+    const prizes = split.map((percent, index) => ({
+        rank: index + 1,
+        player: winners[index],
+        percent,
+        amount: (distributable * BigInt(percent)) / 100n
+    }));
+    const paid = prizes.reduce((sum, { amount }) => sum + amount, 0n);
+    // Rounding dust is not paid out and stays in the contract
+    return { prizePool, protocolFeeBps, protocolFee, distributable, prizes, remainder: distributable - paid };
+}
+
+// Scores after `results`, the way submitMatchResult adds the higher score to the winner
+function projectScores(players, results) {
+    const scores = new Map(players.map(({ address, score }) => [address, score]));
+    for (const { winner, player1Score, player2Score } of results) {
+        if (scores.has(winner)) {
+            scores.set(winner, scores.get(winner) + (player1Score > player2Score ? player1Score : player2Score));
+        }
+    }
+    return players.map((player) => ({ ...player, score: scores.get(player.address) }));
+}
+
+// Highest score first; ties keep registration order
+function rankPlayers(players) {
+    return [...players].sort((a, b) => (a.score === b.score ? 0 : a.score > b.score ? -1 : 1));
+}
+
+/**
+ * @param {import("ethers").BaseContract} tournament Tournament, connected to an ORGANIZER_ROLE key
+ *   (and VALIDATOR_ROLE for match results)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Simulate with staticCall instead of sending transactions
+ * @param {(message: string) => void} [options.log]
+ */
+function createOrganizer(tournament, { dryRun = false, log = () => {} } = {}) {
+    function describe(error, method) {
+        return decodeError(error, { interfaces: [tournament.interface], contract: "Tournament", method });
+    }
+
+    // Sends the call, or in a dry run simulates it. Resolves with the receipt or the staticCall result.
+    async function execute(method, args) {
+        try {
+            if (dryRun) {
+                return { simulated: true, result: await tournament[method].staticCall(...args) };
+            }
+            return { receipt: await (await tournament[method](...args)).wait() };
+        } catch (error) {
+            throw describe(error, method);
+        }
+    }
+
+    // Dry-run version of execute that reports a revert instead of throwing
+    async function simulate(method, args) {
+        try {
+            await tournament[method].staticCall(...args);
+            return { ok: true };
+        } catch (error) {
+            const decoded = describe(error, method);
+            return { ok: false, reason: decoded.reason || decoded.message };
+        }
+    }
+
+    // createTournament does not store its type argument, so it is read back from the creating call.
+    // Tournaments created through another contract fall back to the stored (default) value.
+    async function createdType(tournamentId, stored) {
+        const [created] = await queryEvents(tournament, tournament.filters.TournamentCreated(tournamentId));
+        const tx = created ? await created.getTransaction() : null;
+        if (!tx || !tx.to || tx.to.toLowerCase() !== String(tournament.target).toLowerCase()) {
+            return stored;
+        }
+        const call = tournament.interface.parseTransaction({ data: tx.data, value: tx.value });
+        return call && call.name === "createTournament" ? call.args.tournamentType : stored;
+    }
+
+    async function show(tournamentId) {
+        const info = await tournament.getTournamentInfo(tournamentId);
+        if (info.startTime === 0n) {
+            throw new Error(`Tournament ${tournamentId} does not exist`);
+        }
+        const players = [];
+        for (const address of await tournament.getTournamentPlayers(tournamentId)) {
+            const data = await tournament.getParticipantData(tournamentId, address);
+            players.push({
+                address,
+                score: data.score,
+                matchesPlayed: Number(data.matchesPlayed),
+                rank: Number(data.rank),
+                registeredAt: Number(data.registrationTime)
+            });
+        }
+        return {
+            id: BigInt(tournamentId),
+            name: info.name,
+            type: TOURNAMENT_TYPES[Number(await createdType(tournamentId, info.tournamentType))],
+            state: TOURNAMENT_STATES[Number(info.state)],
+            entryFee: info.entryFee,
+            prizePool: info.prizePool,
+            maxPlayers: Number(info.maxParticipants),
+            startTime: Number(info.startTime),
+            endTime: Number(info.endTime),
+            organizer: info.organizer,
+            winners: [...info.winners],
+            protocolFeeBps: await tournament.protocolFeePercentage(),
+            treasury: await tournament.treasuryAddress(),
+            players
+        };
+    }
+
+    async function create(spec) {
+        const provider = tournament.runner.provider || tournament.runner;
+        const now = (await provider.getBlock("latest")).timestamp;
+        if (spec.startTime <= now + REGISTRATION_PERIOD) {
+            throw new Error(`Tournament must start more than ${REGISTRATION_PERIOD / 60} minutes from now (chain time ${new Date(now * 1000).toISOString()})`);
+        }
+        const args = [spec.name, spec.entryFee, spec.maxPlayers, spec.startTime, TOURNAMENT_TYPES.indexOf(spec.type)];
+        const { receipt, result } = await execute("createTournament", args);
+        if (dryRun) {
+            log(`📝 Would create "${spec.name}" as tournament ${result}`);
+            return { dryRun, tournamentId: result };
+        }
+        const created = receipt.logs.map((entry) => tournament.interface.parseLog(entry)).find((parsed) => parsed && parsed.name === "TournamentCreated");
+        log(`✅ Created "${spec.name}" as tournament ${created.args.tournamentId} (${receipt.hash})`);
+        return { dryRun, tournamentId: created.args.tournamentId, txHash: receipt.hash };
+    }
+
+    async function start(tournamentId) {
+        const { receipt } = await execute("startTournament", [tournamentId]);
+        log(dryRun ? `📝 Would start tournament ${tournamentId}` : `✅ Started tournament ${tournamentId} (${receipt.hash})`);
+        return { dryRun, txHash: receipt ? receipt.hash : null };
+    }
+
+    async function submittedMatches(tournamentId) {
+        const events = await queryEvents(tournament, tournament.filters.MatchResultSubmitted(tournamentId));
+        return events.map(({ args }) => ({ matchIndex: args.matchIndex, winner: args.winner }));
+    }
+
+    /**
+     * Submits the results not already on chain. submitMatchResult adds to the winner's score every
+     * time it is called, so matches with a MatchResultSubmitted event are skipped.
+     */
+    async function submitResults(tournamentId, results) {
+        const done = new Set((await submittedMatches(tournamentId)).map(({ matchIndex }) => matchIndex));
+        const submitted = [];
+        const skipped = [];
+        for (const result of results) {
+            if (done.has(result.matchIndex)) {
+                skipped.push(result);
+                continue;
+            }
+            const args = [tournamentId, result.matchIndex, result.winner, result.player1Score, result.player2Score, result.gameplayHash];
+            const score = `${result.winner} wins ${result.player1Score}-${result.player2Score}`;
+            if (dryRun) {
+                // The tournament may not have started yet, so a revert is reported rather than thrown
+                const simulation = await simulate("submitMatchResult", args);
+                log(simulation.ok ? `📝 Would submit match ${result.matchIndex}: ${score}` : `⚠️  Match ${result.matchIndex} would revert now: ${simulation.reason}`);
+                submitted.push({ ...result, simulation });
+                continue;
+            }
+            const { receipt } = await execute("submitMatchResult", args);
+            log(`✅ Match ${result.matchIndex}: ${score} (${receipt.hash})`);
+            submitted.push({ ...result, txHash: receipt.hash });
+        }
+        if (skipped.length > 0) {
+            log(`⏭️  ${skipped.length} match(es) already on chain: ${skipped.map(({ matchIndex }) => matchIndex).join(", ")}`);
+        }
+        return { dryRun, submitted, skipped };
+    }
+
+    /**
+     * Winners, results root and payouts finalize() would use. `pending` results (not yet on chain)
+     * are added to the scores first, so a dry run can show payouts before any result is sent.
+     * @param {bigint|number} tournamentId
+     * @param {object} [options]
+     * @param {number} [options.places] Paid places, 1 to 3
+     * @param {Array<object>} [options.pending] Parsed results to project on top of the chain
+     */
+    async function planFinalize(tournamentId, { places = 3, pending = [] } = {}) {
+        if (!PRIZE_SPLITS[places]) {
+            throw new Error(`Tournament pays 1 to 3 places, not ${places}`);
+        }
+        const view = await show(tournamentId);
+        const onChain = await submittedMatches(tournamentId);
+        const known = new Set(onChain.map(({ matchIndex }) => matchIndex));
+        const projected = pending.filter(({ matchIndex }) => !known.has(matchIndex));
+
+        const ranking = rankPlayers(projectScores(view.players, projected));
+        const winners = ranking.slice(0, Math.min(places, ranking.length)).map(({ address }) => address);
+        const leaves = [...onChain, ...projected]
+            .sort((a, b) => (a.matchIndex < b.matchIndex ? -1 : 1))
+            .map((result) => matchResultLeaf(view.id, result));
+        const merkleRoot = computeMerkleRoot(leaves);
+        const payouts = computePayouts({ prizePool: view.prizePool, protocolFeeBps: view.protocolFeeBps, winners });
+        return {
+            tournament: view,
+            ranking,
+            winners,
+            merkleRoot,
+            payouts,
+            projectedResults: projected.length,
+            // Only meaningful once the tournament is in progress; the winners are passed explicitly
+            simulation: winners.length > 0 ? await simulate(FINALIZE, [view.id, winners, merkleRoot]) : { ok: false, reason: "No players" }
+        };
+    }
+
+    async function finalize(tournamentId, { places = 3 } = {}) {
+        const plan = await planFinalize(tournamentId, { places });
+        if (dryRun) {
+            return { dryRun, ...plan };
+        }
+        if (!plan.simulation.ok) {
+            throw new Error(`finalizeTournament would revert: ${plan.simulation.reason}`);
+        }
+        const { receipt } = await execute(FINALIZE, [plan.tournament.id, plan.winners, plan.merkleRoot]);
+        log(`✅ Finalized tournament ${plan.tournament.id} (${receipt.hash})`);
+        return { dryRun, ...plan, txHash: receipt.hash };
+    }
+
+    async function cancel(tournamentId) {
+        const view = await show(tournamentId);
+        // cancelTournament refunds the entry fee, not what each player sent
+        const refunds = view.entryFee > 0n ? view.players.map(({ address }) => ({ player: address, amount: view.entryFee })) : [];
+        const { receipt } = await execute("cancelTournament", [view.id]);
+        log(dryRun ? `📝 Would cancel tournament ${view.id}` : `✅ Cancelled tournament ${view.id} (${receipt.hash})`);
+        return { dryRun, tournament: view, refunds, txHash: receipt ? receipt.hash : null };
+    }
+
+    return { show, create, start, submitResults, planFinalize, finalize, cancel };
+}
+
+function formatTime(seconds) {
+    return new Date(seconds * 1000).toISOString();
+}
+
+/** Report lines for show() */
+function formatTournament(view) {
+    const lines = [
+        `🏆 Tournament ${view.id}: ${view.name} (${view.type})`,
+        `   State:       ${view.state}`,
+        `   Entry fee:   ${formatNative(view.entryFee)} HBAR`,
+        `   Prize pool:  ${formatNative(view.prizePool)} HBAR`,
+        `   Players:     ${view.players.length}/${view.maxPlayers}`,
+        `   Starts:      ${formatTime(view.startTime)}`,
+        `   Ends:        ${formatTime(view.endTime)}`
+    ];
+    if (view.players.length > 0) {
+        lines.push("", "   Registrations:");
+        view.players.forEach((player, index) => {
+            const rank = player.rank ? `  rank ${player.rank}` : "";
+            lines.push(`   ${String(index + 1).padStart(3)}. ${player.address}  score ${player.score}  registered ${formatTime(player.registeredAt)}${rank}`);
+        });
+    }
+    return lines;
+}
+
+/** Payout breakdown for planFinalize()/finalize() */
+function formatPayouts(plan) {
+    const { payouts } = plan;
+    const lines = [
+        `💰 Payouts for tournament ${plan.tournament.id}${plan.projectedResults ? ` (with ${plan.projectedResults} result(s) not yet on chain)` : ""}`,
+        `   Prize pool:      ${formatNative(payouts.prizePool)} HBAR`,
+        `   Protocol fee:    ${formatNative(payouts.protocolFee)} HBAR (${Number(payouts.protocolFeeBps) / 100}% to ${plan.tournament.treasury})`,
+        `   Distributable:   ${formatNative(payouts.distributable)} HBAR`
+    ];
+    for (const prize of payouts.prizes) {
+        lines.push(`   #${prize.rank} ${prize.player}  ${formatNative(prize.amount)} HBAR (${prize.percent}%)`);
+    }
+    if (payouts.remainder > 0n) {
+        lines.push(`   Left in contract: ${formatNative(payouts.remainder)} HBAR (rounding)`);
+    }
+    lines.push(`   Results root:    ${plan.merkleRoot}`);
+    if (!plan.simulation.ok) {
+        lines.push(`   ⚠️  finalizeTournament would revert now: ${plan.simulation.reason}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    PRIZE_SPLITS,
+    parseTournamentSpec,
+    loadTournamentSpec,
+    parseMatchResults,
+    matchResultLeaf,
+    computePayouts,
+    createOrganizer,
+    formatTournament,
+    formatPayouts
+};
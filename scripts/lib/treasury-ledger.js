@@ -0,0 +1,519 @@
+const { ethers } = require("ethers");
+const { queryEvents, compareLogs } = require("./events");
+
+// Double-entry ledger of the Treasury, rebuilt from its events and the LOST and USDC transfers in
+// and out of it.
+//
+// Treasury events do not carry enough to book from on their own. RevenueCollected has the amount
+// after the burn and no token, so the gross amount and the token come from the Transfer into the
+// Treasury in the same transaction. FundsDistributed does not say which fund paid, so that comes
+// from the distributeFunds calldata. Fees the bridge and Staking send straight to the Treasury
+// never go through collectRevenue at all. Every transfer in or out is booked, so the ledger's
+// holdings always add up to the real balances. Whatever a Treasury event does not explain is booked
+// to `assets:unallocated` and the equity transfer accounts.
+//
+// Accounts:
+//   assets:funds:<fund>     LOST (and USDC) earmarked in fundBalances, one per fund
+//   assets:unallocated      held but in no fund: deposits, direct transfers, allocation rounding
+//   income:<stream>         gross collectRevenue per revenue stream, plus direct fee transfers
+//   expenses:burned         the burnRate share of LOST revenue sent to 0xdead
+//   expenses:distributions  distributeFunds payouts
+//   expenses:grants         approved funding proposals, paid from the ecosystem fund
+//   expenses:liquidity      provideLiquidity transfers to the liquidity pool
+//   equity:deposits         depositToTreasury
+//   equity:transfers_in     other transfers in, e.g. bridge liquidity returned
+//   equity:withdrawals      emergencyWithdraw
+//   equity:transfers_out    other transfers out
+//
+// Debits increase assets and expenses, credits increase income and equity.
+
+// fundBalances keys with the share of net revenue _allocateFunds gives each, in basis points
+const FUND_SHARES = {
+    reward_pool: 4000n,
+    development: 1500n,
+    marketing: 1000n,
+    liquidity: 1500n,
+    staking: 1000n,
+    ecosystem: 500n,
+    insurance: 500n
+};
+
+const STREAMS = ["marketplace", "tournaments", "data_sales", "bridge_fees", "staking_fees"];
+
+const BURN_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+// Transfers into the Treasury that bypass collectRevenue, by sender and the call that sent them
+const DIRECT_INFLOWS = [
+    { from: "USDCPaymentBridge", method: "withdrawCollectedFees", account: "income:bridge_fees" },
+    { from: "Staking", method: "emergencyUnstake", account: "income:staking_penalties" }
+];
+
+const ERC20_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "function balanceOf(address) view returns (uint256)",
+    "function decimals() view returns (uint8)",
+    "function symbol() view returns (string)"
+];
+
+function entryLines(...lines) {
+    return lines.filter((line) => line.debit + line.credit > 0n);
+}
+
+function debit(account, token, amount) {
+    return { account, token, debit: amount, credit: 0n };
+}
+
+function credit(account, token, amount) {
+    return { account, token, debit: 0n, credit: amount };
+}
+
+/**
+ * The ledger's tokens: LOST and the USDC the Treasury was initialized with.
+ * @param {import("ethers").BaseContract} treasury
+ * @returns {Promise<Object<string, {contract: import("ethers").Contract, address: string, decimals: number}>>}
+ */
+async function ledgerTokens(treasury) {
+    const runner = treasury.runner;
+    const tokens = {};
+    for (const [symbol, address] of [["LOST", await treasury.lostTokenAddress()], ["USDC", await treasury.usdcTokenAddress()]]) {
+        const contract = new ethers.Contract(address, ERC20_ABI, runner);
+        tokens[symbol] = { contract, address: ethers.getAddress(address), decimals: Number(await contract.decimals()) };
+    }
+    return tokens;
+}
+
+/**
+ * Rebuilds every Treasury journal entry up to `toBlock`.
+ * @param {object} options
+ * @param {Object<string, import("ethers").BaseContract>} options.contracts Protocol contracts by
+ *   manifest name; Treasury is required, the rest name counterparties and direct inflows
+ * @param {number} [options.fromBlock] Treasury deployment block
+ * @param {number|string} [options.toBlock]
+ * @returns {Promise<{tokens: object, entries: object[], warnings: string[]}>}
+ */
+async function buildLedger({ contracts, fromBlock = 0, toBlock = "latest" }) {
+    const treasury = contracts.Treasury;
+    const provider = treasury.runner.provider || treasury.runner;
+    const address = await treasury.getAddress();
+    const lastBlock = toBlock === "latest" ? await provider.getBlockNumber() : Number(toBlock);
+    const tokens = await ledgerTokens(treasury);
+    const symbolOf = Object.fromEntries(Object.entries(tokens).map(([symbol, { address: tokenAddress }]) => [tokenAddress, symbol]));
+    const warnings = [];
+
+    const names = {};
+    for (const [name, contract] of Object.entries(contracts)) {
+        names[ethers.getAddress(await contract.getAddress())] = name;
+    }
+    const label = (account) => names[ethers.getAddress(account)] || ethers.getAddress(account);
+
+    const logs = await queryEvents(treasury, "*", fromBlock, lastBlock);
+    for (const { contract } of Object.values(tokens)) {
+        logs.push(...(await queryEvents(contract, contract.filters.Transfer(address, null), fromBlock, lastBlock)));
+        logs.push(...(await queryEvents(contract, contract.filters.Transfer(null, address), fromBlock, lastBlock)));
+    }
+    logs.sort(compareLogs);
+
+    const byTx = new Map();
+    for (const log of logs) {
+        if (!byTx.has(log.transactionHash)) {
+            byTx.set(log.transactionHash, []);
+        }
+        byTx.get(log.transactionHash).push(log);
+    }
+
+    const blocks = new Map();
+    async function timestampOf(blockNumber) {
+        if (!blocks.has(blockNumber)) {
+            blocks.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+        }
+        return blocks.get(blockNumber);
+    }
+
+    // The top-level call of a transaction, decoded with whichever protocol contract it went to
+    async function topLevelCall(hash) {
+        const tx = await provider.getTransaction(hash);
+        const contract = tx && tx.to && contracts[names[ethers.getAddress(tx.to)]];
+        const parsed = contract ? contract.interface.parseTransaction({ data: tx.data }) : null;
+        return { to: tx && tx.to ? label(tx.to) : null, method: parsed ? parsed.name : null, args: parsed ? parsed.args : null };
+    }
+
+    const liquidityPool = await treasury.liquidityPoolAddress({ blockTag: lastBlock });
+    const entries = [];
+
+    for (const [hash, txLogs] of byTx) {
+        const { blockNumber } = txLogs[0];
+        const timestamp = await timestampOf(blockNumber);
+        const inflows = [];
+        const outflows = [];
+        let call = null;
+        const callOf = async () => (call = call || (await topLevelCall(hash)));
+
+        const book = (log, kind, description, counterparty, lines) => {
+            entries.push({
+                id: entries.length + 1,
+                block: blockNumber,
+                timestamp,
+                tx: hash,
+                logIndex: log.index,
+                kind,
+                description,
+                counterparty,
+                lines
+            });
+        };
+        const takeOutflow = (match) => {
+            const index = outflows.findIndex(match);
+            return index === -1 ? null : outflows.splice(index, 1)[0];
+        };
+
+        for (const log of txLogs) {
+            if (log.address !== address) {
+                const symbol = symbolOf[ethers.getAddress(log.address)];
+                const [from, to, value] = log.args;
+                if (ethers.getAddress(to) === address) {
+                    inflows.push({ log, symbol, from: ethers.getAddress(from), value });
+                } else {
+                    outflows.push({ log, symbol, to: ethers.getAddress(to), value });
+                }
+                continue;
+            }
+
+            switch (log.fragment && log.fragment.name) {
+            case "RevenueCollected": {
+                const { source, amount: net } = log.args;
+                const inflow = inflows.pop();
+                if (!inflow) {
+                    warnings.push(`RevenueCollected in ${hash} has no matching transfer in`);
+                    break;
+                }
+                const gross = inflow.value;
+                const burn = gross - net;
+                if (burn > 0n) {
+                    takeOutflow((out) => out.symbol === inflow.symbol && out.to === BURN_ADDRESS && out.value === burn);
+                }
+                let allocated = 0n;
+                const lines = [];
+                for (const [fund, share] of Object.entries(FUND_SHARES)) {
+                    const amount = (net * share) / 10000n;
+                    allocated += amount;
+                    lines.push(debit(`assets:funds:${fund}`, inflow.symbol, amount));
+                }
+                lines.push(debit("assets:unallocated", inflow.symbol, net - allocated));
+                lines.push(debit("expenses:burned", inflow.symbol, burn));
+                lines.push(credit(`income:${source}`, inflow.symbol, gross));
+                book(log, "revenue", `${source} revenue`, label(inflow.from), entryLines(...lines));
+                break;
+            }
+            case "FundsReceived": {
+                const { source, amount, from } = log.args;
+                const index = inflows.findIndex((inflow) => inflow.value === amount && inflow.from === ethers.getAddress(from));
+                if (index === -1) {
+                    warnings.push(`FundsReceived in ${hash} has no matching transfer in`);
+                    break;
+                }
+                const [inflow] = inflows.splice(index, 1);
+                book(log, "deposit", `${source} from ${label(from)}`, label(from), [
+                    debit("assets:unallocated", inflow.symbol, amount),
+                    credit("equity:deposits", inflow.symbol, amount)
+                ]);
+                break;
+            }
+            case "FundsDistributed": {
+                const { recipient, amount, purpose } = log.args;
+                const outflow = takeOutflow((out) => out.symbol === "LOST" && out.to === ethers.getAddress(recipient) && out.value === amount);
+                if (!outflow) {
+                    warnings.push(`FundsDistributed in ${hash} has no matching transfer out`);
+                    break;
+                }
+                const { to, method, args } = await callOf();
+                let fund = to === "Treasury" && method === "distributeFunds" ? args.fund : null;
+                if (!fund || !FUND_SHARES[fund]) {
+                    warnings.push(`Cannot tell which fund paid the distribution in ${hash}; booked against assets:unallocated`);
+                    fund = null;
+                }
+                book(log, "distribution", purpose, label(recipient), [
+                    debit("expenses:distributions", "LOST", amount),
+                    credit(fund ? `assets:funds:${fund}` : "assets:unallocated", "LOST", amount)
+                ]);
+                break;
+            }
+            case "ProposalExecuted": {
+                if (log.args.length < 2 || !log.args.approved) {
+                    break;
+                }
+                const proposal = await treasury.proposals(log.args.proposalId);
+                const outflow = takeOutflow((out) => out.symbol === "LOST" && out.to === ethers.getAddress(proposal.recipient) && out.value === proposal.amount);
+                if (!outflow) {
+                    warnings.push(`Funding proposal ${log.args.proposalId} in ${hash} has no matching transfer out`);
+                    break;
+                }
+                book(log, "grant", `Funding proposal ${log.args.proposalId}: ${proposal.purpose}`, label(proposal.recipient), [
+                    debit("expenses:grants", "LOST", proposal.amount),
+                    credit("assets:funds:ecosystem", "LOST", proposal.amount)
+                ]);
+                break;
+            }
+            case "EmergencyWithdrawal": {
+                const symbol = symbolOf[ethers.getAddress(log.args.token)];
+                const outflow = symbol && takeOutflow((out) => out.symbol === symbol && out.value === log.args.amount);
+                if (!outflow) {
+                    warnings.push(`EmergencyWithdrawal of ${log.args.token} in ${hash} is not a LOST or USDC transfer out`);
+                    break;
+                }
+                book(log, "withdrawal", "Emergency withdrawal", label(outflow.to), [
+                    debit("equity:withdrawals", symbol, outflow.value),
+                    credit("assets:unallocated", symbol, outflow.value)
+                ]);
+                break;
+            }
+            default:
+                break;
+            }
+        }
+
+        // Transfers no Treasury event accounts for
+        for (const inflow of inflows) {
+            const { to, method } = await callOf();
+            const rule = DIRECT_INFLOWS.find((candidate) => candidate.from === label(inflow.from) && to === candidate.from && method === candidate.method);
+            const account = rule ? rule.account : "equity:transfers_in";
+            book(inflow.log, rule ? "direct revenue" : "transfer in", rule ? `${to}.${method}` : `Transfer from ${label(inflow.from)}`, label(inflow.from), [
+                debit("assets:unallocated", inflow.symbol, inflow.value),
+                credit(account, inflow.symbol, inflow.value)
+            ]);
+        }
+        for (const outflow of outflows) {
+            const { to, method } = await callOf();
+            if (to === "Treasury" && method === "provideLiquidity" && outflow.symbol === "LOST" && outflow.to === ethers.getAddress(liquidityPool)) {
+                book(outflow.log, "liquidity", "Liquidity provided", label(outflow.to), [
+                    debit("expenses:liquidity", "LOST", outflow.value),
+                    credit("assets:funds:liquidity", "LOST", outflow.value)
+                ]);
+                continue;
+            }
+            book(outflow.log, "transfer out", `Transfer to ${label(outflow.to)}`, label(outflow.to), [
+                debit("equity:transfers_out", outflow.symbol, outflow.value),
+                credit("assets:unallocated", outflow.symbol, outflow.value)
+            ]);
+        }
+    }
+
+    return { tokens, entries, warnings, block: lastBlock };
+}
+
+function key(account, token) {
+    return `${account}|${token}`;
+}
+
+/**
+ * Per account and token: balance before the period, movements in it and balance after. Balances
+ * are debit-positive, so income and equity accounts show negative balances.
+ * @param {object[]} entries From buildLedger()
+ * @param {number} startBlock First block of the period
+ */
+function trialBalance(entries, startBlock = 0) {
+    const rows = new Map();
+    for (const entry of entries) {
+        for (const line of entry.lines) {
+            const id = key(line.account, line.token);
+            if (!rows.has(id)) {
+                rows.set(id, { account: line.account, token: line.token, opening: 0n, debit: 0n, credit: 0n, closing: 0n });
+            }
+            const row = rows.get(id);
+            if (entry.block < startBlock) {
+                row.opening += line.debit - line.credit;
+            } else {
+                row.debit += line.debit;
+                row.credit += line.credit;
+            }
+            row.closing += line.debit - line.credit;
+        }
+    }
+    return [...rows.values()].sort((a, b) => a.account.localeCompare(b.account) || a.token.localeCompare(b.token));
+}
+
+function balanceOf(rows, account, token) {
+    const row = rows.find((candidate) => candidate.account === account && candidate.token === token);
+    return row ? row.closing : 0n;
+}
+
+/**
+ * Checks the ledger against the Treasury's own books and the token balances at the ledger's block:
+ * holdings per token, every fundBalances entry, every revenue stream's totalCollected, and the
+ * totalRevenue / totalBurned / totalDistributed counters. Fund balances and stream totals are plain
+ * sums of raw amounts on chain, whatever the token, and are compared that way.
+ * @param {object} ledger From buildLedger()
+ * @param {import("ethers").BaseContract} treasury
+ */
+async function reconcileTreasury(ledger, treasury) {
+    const blockTag = ledger.block;
+    const address = await treasury.getAddress();
+    const rows = trialBalance(ledger.entries);
+    const checks = [];
+    const check = (name, token, onChain, booked, note) => {
+        checks.push({ check: name, token, onChain, ledger: booked, difference: booked - onChain, ok: onChain === booked, note });
+    };
+    const sumRows = (filter) => rows.filter(filter).reduce((total, row) => total + row.closing, 0n);
+    const movements = (filter) => ledger.entries.flatMap(({ kind, lines }) => lines.map((line) => ({ kind, ...line }))).filter(filter);
+    const total = (lines, side) => lines.reduce((sum, line) => sum + line[side], 0n);
+
+    for (const [symbol, { contract }] of Object.entries(ledger.tokens)) {
+        const held = sumRows((row) => row.token === symbol && row.account.startsWith("assets:"));
+        check("holdings", symbol, await contract.balanceOf(address, { blockTag }), held);
+    }
+
+    for (const fund of Object.keys(FUND_SHARES)) {
+        const booked = sumRows((row) => row.account === `assets:funds:${fund}`);
+        const onChain = await treasury.fundBalances(fund, { blockTag });
+        let note;
+        if (fund === "liquidity" && onChain < booked) {
+            note = "provideLiquidity lowers this fund without an event, and without a transfer while no pool is set";
+        } else if (balanceOf(rows, `assets:funds:${fund}`, "USDC") !== 0n) {
+            note = "includes USDC revenue in 6-decimal units, added to LOST amounts as the contract does";
+        }
+        check(`fund ${fund}`, null, onChain, booked, note);
+    }
+
+    for (const stream of STREAMS) {
+        const collected = (await treasury.getRevenueStream(stream, { blockTag })).totalCollected;
+        const booked = total(movements((line) => line.kind === "revenue" && line.account === `income:${stream}`), "credit");
+        check(`stream ${stream}`, null, collected, booked);
+    }
+
+    const revenue = total(movements((line) => (line.kind === "revenue" && line.account.startsWith("income:")) || (line.kind === "deposit" && line.account === "equity:deposits")), "credit");
+    check("totalRevenue", null, await treasury.totalRevenue({ blockTag }), revenue);
+    check("totalBurned", "LOST", await treasury.totalBurned({ blockTag }), total(movements((line) => line.account === "expenses:burned" && line.token === "LOST"), "debit"));
+    check("totalDistributed", "LOST", await treasury.totalDistributed({ blockTag }), total(movements((line) => line.account === "expenses:distributions"), "debit"));
+
+    // Funds promise more than the Treasury holds when unallocated holdings are negative
+    for (const symbol of Object.keys(ledger.tokens)) {
+        const unallocated = balanceOf(rows, "assets:unallocated", symbol);
+        if (unallocated < 0n) {
+            checks.push({ check: "funds backed by holdings", token: symbol, onChain: null, ledger: unallocated, difference: unallocated, ok: false, note: "fund balances exceed what the Treasury holds" });
+        }
+    }
+    return checks;
+}
+
+/**
+ * Finds the first block at or after a unix timestamp, by binary search.
+ */
+async function blockAtTime(provider, timestamp) {
+    let low = 0;
+    let high = await provider.getBlockNumber();
+    if ((await provider.getBlock(high)).timestamp < timestamp) {
+        return high + 1;
+    }
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if ((await provider.getBlock(middle)).timestamp < timestamp) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+function amountText(amount, decimals) {
+    return amount === 0n ? "" : ethers.formatUnits(amount, decimals);
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function csv(header, rows) {
+    return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/** One row per journal line, in the general-journal layout accounting packages import */
+function journalCsv(entries, tokens) {
+    const rows = [];
+    for (const entry of entries) {
+        for (const line of entry.lines) {
+            const { decimals } = tokens[line.token];
+            rows.push([
+                entry.id,
+                new Date(entry.timestamp * 1000).toISOString(),
+                entry.block,
+                entry.tx,
+                line.account,
+                line.token,
+                amountText(line.debit, decimals),
+                amountText(line.credit, decimals),
+                entry.kind,
+                entry.description,
+                entry.counterparty
+            ]);
+        }
+    }
+    return csv(["entry", "date", "block", "tx", "account", "currency", "debit", "credit", "type", "description", "counterparty"], rows);
+}
+
+function trialBalanceCsv(rows, tokens) {
+    const text = (amount, decimals) => ethers.formatUnits(amount, decimals);
+    return csv(
+        ["account", "currency", "opening", "debit", "credit", "closing"],
+        rows.map((row) => {
+            const { decimals } = tokens[row.token];
+            return [row.account, row.token, text(row.opening, decimals), text(row.debit, decimals), text(row.credit, decimals), text(row.closing, decimals)];
+        })
+    );
+}
+
+/**
+ * Period report: the entries in [startBlock, ledger.block], the trial balance, revenue per stream
+ * and token, and the reconciliation.
+ * @param {object} ledger From buildLedger()
+ * @param {import("ethers").BaseContract} treasury
+ * @param {number} startBlock
+ */
+async function treasuryReport(ledger, treasury, startBlock = 0) {
+    const entries = ledger.entries.filter((entry) => entry.block >= startBlock);
+    const rows = trialBalance(ledger.entries, startBlock);
+
+    const streams = {};
+    for (const entry of entries.filter(({ kind }) => kind === "revenue" || kind === "direct revenue")) {
+        const income = entry.lines.find((line) => line.account.startsWith("income:"));
+        const stream = income.account.slice("income:".length);
+        const totals = (streams[stream] = streams[stream] || {});
+        const row = (totals[income.token] = totals[income.token] || { gross: 0n, burned: 0n, net: 0n, collections: 0 });
+        const burned = entry.lines.filter((line) => line.account === "expenses:burned").reduce((sum, line) => sum + line.debit, 0n);
+        row.gross += income.credit;
+        row.burned += burned;
+        row.net += income.credit - burned;
+        row.collections += 1;
+    }
+
+    const funds = {};
+    for (const row of rows.filter(({ account }) => account.startsWith("assets:"))) {
+        const name = row.account.replace(/^assets:(funds:)?/, "");
+        (funds[name] = funds[name] || {})[row.token] = { opening: row.opening, in: row.debit, out: row.credit, closing: row.closing };
+    }
+
+    const reconciliation = await reconcileTreasury(ledger, treasury);
+    return {
+        startBlock,
+        endBlock: ledger.block,
+        entries,
+        trialBalance: rows,
+        streams,
+        funds,
+        reconciliation,
+        warnings: ledger.warnings
+    };
+}
+
+module.exports = {
+    FUND_SHARES,
+    STREAMS,
+    DIRECT_INFLOWS,
+    buildLedger,
+    trialBalance,
+    reconcileTreasury,
+    treasuryReport,
+    blockAtTime,
+    journalCsv,
+    trialBalanceCsv
+};
@@ -0,0 +1,20 @@
+// Durations in the operator scripts' config files and env vars: a whole number and one unit
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * "90m", "2h", "1d" → seconds.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+)\s*([smhd])$/);
+    if (!match) {
+        throw new Error(`Invalid duration "${value}", expected e.g. 90m, 2h or 1d`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+module.exports = {
+    DURATION_UNITS,
+    parseDuration
+};
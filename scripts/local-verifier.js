@@ -0,0 +1,125 @@
+// Stand-in for a Sourcify/Hashscan verification server, for trying verify.js against a local node:
+//
+//   node scripts/local-verifier.js
+//   VERIFY_API_URL=http://127.0.0.1:5555 bun hardhat run scripts/verify.js --network localhost
+//
+// It does not recompile anything. A submission is accepted when the address has code on the
+// RPC node and the standard JSON input contains the named contract, which is enough to
+// exercise the client and the manifest bookkeeping.
+const http = require("http");
+const { ethers } = require("ethers");
+
+const PORT = Number(process.env.LOCAL_VERIFIER_PORT || 5555);
+const RPC_URL = process.env.LOCAL_VERIFIER_RPC || "http://127.0.0.1:8545";
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.on("data", (chunk) => (data += chunk));
+        req.on("end", () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function findContract(input, contractName, sourcePath) {
+    const sources = Object.entries(input.sources || {});
+    const candidates = sourcePath ? sources.filter(([path]) => path === sourcePath) : sources;
+    const pattern = new RegExp(`\\bcontract\\s+${contractName}\\b`);
+    return candidates.some(([, source]) => source.content && pattern.test(source.content));
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.rpcUrl]
+ * @param {import("ethers").Provider} [options.provider] Used instead of rpcUrl
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    const provider = options.provider || new ethers.JsonRpcProvider(options.rpcUrl || RPC_URL);
+    const verified = new Map(); // "<chainId>:<address>" → "perfect"
+    const jobs = new Map();
+
+    async function accept(chainId, address, input, contractName, sourcePath) {
+        if (!ethers.isAddress(address)) {
+            return "Invalid address";
+        }
+        if ((await provider.getCode(address)) === "0x") {
+            return `No contract at ${address}`;
+        }
+        if (!input || !input.sources || !findContract(input, contractName, sourcePath)) {
+            return `Contract ${contractName} not found in the submitted input`;
+        }
+        verified.set(`${chainId}:${ethers.getAddress(address)}`, "perfect");
+        return null;
+    }
+
+    function statusOf(chainId, address) {
+        return ethers.isAddress(address) ? verified.get(`${chainId}:${ethers.getAddress(address)}`) : undefined;
+    }
+
+    return http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        let match;
+
+        try {
+            if (req.method === "GET" && url.pathname === "/check-by-addresses") {
+                const chainId = url.searchParams.get("chainIds");
+                const addresses = (url.searchParams.get("addresses") || "").split(",");
+                return send(200, addresses.map((address) => ({ address, chainIds: [chainId], status: statusOf(chainId, address) || "false" })));
+            }
+
+            if (req.method === "POST" && url.pathname === "/verify/solc-json") {
+                const body = await readBody(req);
+                const input = JSON.parse(Object.values(body.files || {})[0] || "{}");
+                const error = await accept(body.chain, body.address, input, body.contractName);
+                return error
+                    ? send(400, { error })
+                    : send(200, { result: [{ address: body.address, chainId: body.chain, status: "perfect" }] });
+            }
+
+            if (req.method === "POST" && (match = url.pathname.match(/^\/v2\/verify\/(\d+)\/(0x[0-9a-fA-F]{40})$/))) {
+                const body = await readBody(req);
+                const [sourcePath, contractName] = (body.contractIdentifier || "").split(":");
+                const error = await accept(match[1], match[2], body.stdJsonInput, contractName, sourcePath);
+                const verificationId = `${jobs.size + 1}`;
+                jobs.set(verificationId, {
+                    isJobCompleted: true,
+                    error: error ? { customCode: "no_match", message: error } : undefined,
+                    contract: { match: error ? null : "exact_match", chainId: match[1], address: match[2] }
+                });
+                return send(202, { verificationId });
+            }
+
+            if (req.method === "GET" && (match = url.pathname.match(/^\/v2\/verify\/(.+)$/))) {
+                return jobs.has(match[1]) ? send(200, jobs.get(match[1])) : send(404, { message: "Unknown job" });
+            }
+
+            if (req.method === "GET" && (match = url.pathname.match(/^\/v2\/contract\/(\d+)\/(0x[0-9a-fA-F]{40})$/))) {
+                const status = statusOf(match[1], match[2]);
+                return status ? send(200, { match: "exact_match" }) : send(404, { match: null });
+            }
+
+            send(404, { error: `Unknown endpoint ${req.method} ${url.pathname}` });
+        } catch (error) {
+            send(500, { error: error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🧪 Local verifier listening on http://127.0.0.1:${PORT} (RPC ${RPC_URL})`);
+    });
+}
+
+module.exports = { createServer };
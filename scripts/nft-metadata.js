@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const {
+    createDirectoryPinner,
+    createKuboPinner,
+    generateMetadata,
+    parseTokenIds,
+    publishMetadata
+} = require("./lib/nft-metadata");
+require("dotenv").config();
+
+// Generates Achievement NFT metadata, pins it and points each token at it with updateMetadata.
+// NFT_PINNING is a comma-separated list of backends, every file going to each:
+//   directory[:<path>]  one file per CID, by default in deployments/nft-metadata/<network>/ipfs/
+//   kubo:<url>          a Kubo RPC endpoint (NFT_PINNING_AUTH sets its Authorization header)
+//   module:<path>       a module exporting a backend, or a function returning one (see pinFiles)
+// NFT_METADATA_TOKENS picks tokens ("0-9,12", default all) and NFT_METADATA_DRY_RUN=true only
+// reports what changed. See the README for the image and batch settings.
+function parsePinners(spec, dir) {
+    return spec.split(",").map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        if (entry === "directory" || entry.startsWith("directory:")) {
+            return createDirectoryPinner(entry.slice("directory:".length) || path.join(dir, "ipfs"));
+        }
+        if (entry.startsWith("kubo:")) {
+            return createKuboPinner(entry.slice("kubo:".length), { authorization: process.env.NFT_PINNING_AUTH || null });
+        }
+        if (entry.startsWith("module:")) {
+            const backend = require(path.resolve(entry.slice("module:".length)));
+            return typeof backend === "function" ? backend() : backend;
+        }
+        throw new Error(`Unknown pinning backend "${entry}"`);
+    });
+}
+
+async function main() {
+    const dryRun = process.env.NFT_METADATA_DRY_RUN === "true";
+    console.log(`🖼️  LOST Protocol achievement metadata${dryRun ? " (dry run)" : ""}`);
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.LOSTAchievementNFT;
+    if (!record || !record.proxy) {
+        throw new Error(`LOSTAchievementNFT is missing from the ${hre.network.name} manifest`);
+    }
+    const signer = process.env.NFT_METADATA_KEY
+        ? new hre.ethers.Wallet(process.env.NFT_METADATA_KEY, hre.ethers.provider)
+        : (await hre.ethers.getSigners())[0];
+    const nft = await hre.ethers.getContractAt("LOSTAchievementNFT", record.proxy, signer);
+
+    const dir = process.env.NFT_METADATA_DIR || path.join(__dirname, "..", "deployments", "nft-metadata", hre.network.name);
+    const pinners = parsePinners(process.env.NFT_PINNING || "directory", dir);
+    console.log(`📌 Pinning to ${pinners.map(({ name }) => name).join(", ")}`);
+
+    const tokens = await generateMetadata(nft, {
+        tokenIds: process.env.NFT_METADATA_TOKENS ? parseTokenIds(process.env.NFT_METADATA_TOKENS) : null,
+        render: process.env.NFT_METADATA_RENDER !== "false",
+        imageTemplate: process.env.NFT_METADATA_IMAGE || null
+    });
+    const result = await publishMetadata(tokens, {
+        nft,
+        pinners,
+        batchSize: Number(process.env.NFT_METADATA_BATCH || 20),
+        dryRun,
+        log: (message) => console.log(message)
+    });
+
+    console.log(`\n📋 ${tokens.length} token(s): ${result.unchanged} unchanged`);
+    for (const { tokenId, from, to } of result.pending || []) {
+        console.log(`   #${tokenId} ${from || "(none)"} → ${to}`);
+    }
+    for (const { tokenId, to, tx } of result.updated) {
+        console.log(`   ✅ #${tokenId} → ${to} (${tx})`);
+    }
+    for (const { tokenId, error } of result.failed) {
+        console.log(`   ❌ #${tokenId}: ${error}`);
+    }
+
+    if (!dryRun) {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, "tokens.json");
+        const index = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+        const failed = new Set(result.failed.map(({ tokenId }) => tokenId));
+        for (const token of tokens.filter(({ tokenId }) => !failed.has(tokenId))) {
+            index[token.tokenId] = { uri: token.uri, files: token.files.map(({ name, cid }) => ({ name, cid })), metadata: token.metadata };
+        }
+        fs.writeFileSync(file, JSON.stringify(index, null, 2));
+        console.log(`💾 Token index written to ${file}`);
+    }
+    if (result.failed.length > 0) {
+        process.exitCode = 2;
+    }
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ NFT metadata failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const {
+    createFileSource,
+    createHttpSource,
+    createPoolSource,
+    createRateFeeder,
+    formatRate
+} = require("./lib/rate-feeder");
+require("dotenv").config();
+
+// Feeds USDCPaymentBridge.lostToUsdcRate from RATE_SOURCES, a comma-separated list of
+//   file:<path>   JSON file with a "rate" field (USDC per LOST)
+//   http(s)://…   JSON document with a "rate" field
+//   pool:<pair>   Uniswap V2 style LOST/USDC pool
+// RATE_ONCE=true runs a single round. See the README for the thresholds and sign-off variables.
+function parseSources(spec, lostToken) {
+    return spec.split(",").map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+        if (entry.startsWith("file:")) {
+            return createFileSource(entry.slice("file:".length));
+        }
+        if (entry.startsWith("pool:")) {
+            return createPoolSource(hre.ethers.provider, entry.slice("pool:".length), { lostToken });
+        }
+        if (/^https?:\/\//.test(entry)) {
+            return createHttpSource(entry);
+        }
+        throw new Error(`Unknown price source "${entry}"`);
+    });
+}
+
+// On a fork (FORK_URL) the operator key is not available, so BRIDGE_OPERATOR_ADDRESS is impersonated
+async function operatorSigner() {
+    if (process.env.BRIDGE_OPERATOR_KEY) {
+        return new hre.ethers.Wallet(process.env.BRIDGE_OPERATOR_KEY, hre.ethers.provider);
+    }
+    if (hre.network.name === "hardhat" && process.env.FORK_URL && process.env.BRIDGE_OPERATOR_ADDRESS) {
+        const address = process.env.BRIDGE_OPERATOR_ADDRESS;
+        await hre.network.provider.send("hardhat_impersonateAccount", [address]);
+        await hre.network.provider.send("hardhat_setBalance", [address, "0x56bc75e2d63100000"]);
+        return hre.ethers.getSigner(address);
+    }
+    return (await hre.ethers.getSigners())[0];
+}
+
+async function main() {
+    console.log("💱 LOST Protocol exchange-rate feeder");
+    const forked = process.env.FORK_URL && hre.network.name === "hardhat";
+    console.log("Network:", forked ? `hardhat (fork of ${process.env.FORK_URL})` : hre.network.name);
+
+    // A fork has no manifest of its own; FORK_NETWORK names the one describing the forked chain
+    const manifestNetwork = forked ? process.env.FORK_NETWORK || "hedera" : hre.network.name;
+    const manifest = loadManifest(manifestNetwork, { required: true });
+    const record = manifest.contracts.USDCPaymentBridge;
+    if (!record || !record.proxy || !manifest.contracts.LOSTToken) {
+        throw new Error(`USDCPaymentBridge and LOSTToken must be in the ${manifestNetwork} manifest`);
+    }
+    if (!process.env.RATE_SOURCES) {
+        throw new Error("Set RATE_SOURCES to at least one price source");
+    }
+    const bridge = await hre.ethers.getContractAt("USDCPaymentBridge", record.proxy, await operatorSigner());
+    const sources = parseSources(process.env.RATE_SOURCES, manifest.contracts.LOSTToken.proxy);
+    const approvalsFile = process.env.RATE_APPROVALS_FILE;
+
+    const feeder = createRateFeeder({
+        bridge,
+        sources,
+        minSources: Number(process.env.RATE_MIN_SOURCES || 1),
+        deviationBps: Number(process.env.RATE_DEVIATION_BPS || 100),
+        heartbeat: Number(process.env.RATE_HEARTBEAT || 86400),
+        maxChangeBps: Number(process.env.RATE_MAX_CHANGE_BPS || 1000),
+        approvers: process.env.RATE_APPROVERS ? process.env.RATE_APPROVERS.split(",").map((address) => address.trim()) : [],
+        // Re-read every round, so approvals can be added while the feeder runs
+        approvals: async () => (approvalsFile && fs.existsSync(approvalsFile) ? JSON.parse(fs.readFileSync(approvalsFile, "utf8")) : []),
+        fromBlock: await deploymentBlock(hre.ethers.provider, record),
+        pollInterval: Number(process.env.RATE_POLL_INTERVAL || 60000),
+        log: (message) => console.log(message)
+    });
+    const { operator } = await feeder.init();
+    console.log(`🔑 Operator: ${operator}`);
+    console.log(`📡 Sources: ${sources.map(({ name }) => name).join(", ")}`);
+
+    if (process.env.RATE_ONCE === "true") {
+        const result = await feeder.round();
+        console.log(`On-chain ${formatRate(result.current)} USDC, sources ${formatRate(result.proposed)} USDC: ${result.action}`);
+        if (result.action === "needs-approval") {
+            process.exitCode = 2;
+        }
+        return;
+    }
+
+    process.on("SIGINT", () => {
+        console.log("\n🛑 Shutting down");
+        feeder.stop();
+    });
+    await feeder.run();
+    console.log(`📊 ${feeder.status().updates.length} update(s) sent`);
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ Rate feeder failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,62 @@
+const http = require("http");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createRelayer, createRelayerHandler } = require("./lib/relayer");
+require("dotenv").config();
+
+// Relays game-server session operations to GameplayVerification on RELAYER_PORT (default 8090).
+// RELAYER_KEYS is a comma-separated list of GAME_SERVER_ROLE private keys; without it the
+// network's configured accounts are used. See the README for the tuning variables.
+async function main() {
+    console.log("📨 LOST Protocol session relayer");
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.GameplayVerification;
+    if (!record || !record.proxy) {
+        throw new Error(`GameplayVerification is missing from the ${hre.network.name} manifest`);
+    }
+    const gameplay = await hre.ethers.getContractAt("GameplayVerification", record.proxy);
+
+    const signers = process.env.RELAYER_KEYS
+        ? process.env.RELAYER_KEYS.split(",").map((key) => new hre.ethers.Wallet(key.trim(), hre.ethers.provider))
+        : await hre.ethers.getSigners();
+
+    const relayer = createRelayer({
+        gameplay,
+        signers,
+        maxInFlight: Number(process.env.RELAYER_MAX_IN_FLIGHT || 16),
+        maxAttempts: Number(process.env.RELAYER_MAX_ATTEMPTS || 5),
+        replaceAfter: Number(process.env.RELAYER_REPLACE_AFTER || 30000),
+        feeBumpPercent: Number(process.env.RELAYER_FEE_BUMP || 20),
+        maxFeePerGas: process.env.RELAYER_MAX_FEE_GWEI ? hre.ethers.parseUnits(process.env.RELAYER_MAX_FEE_GWEI, "gwei") : null,
+        autoSummary: {
+            maxMoves: Number(process.env.RELAYER_SUMMARY_MAX_MOVES || 200),
+            maxGasPrice: process.env.RELAYER_SUMMARY_GAS_GWEI ? hre.ethers.parseUnits(process.env.RELAYER_SUMMARY_GAS_GWEI, "gwei") : null
+        },
+        log: (message) => console.log(message)
+    });
+    const keys = await relayer.init();
+    console.log(`🔑 ${keys.length} server key(s): ${keys.join(", ")}`);
+
+    const server = http.createServer(createRelayerHandler(relayer));
+    const port = Number(process.env.RELAYER_PORT || 8090);
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`🚀 Listening on http://localhost:${port}`);
+
+    await new Promise((resolve) => process.on("SIGINT", resolve));
+    console.log("\n🛑 Shutting down");
+    await new Promise((resolve) => server.close(resolve));
+    const { queueDepth, inFlight } = relayer.metrics();
+    if (queueDepth > 0 || inFlight > 0) {
+        console.log(`⚠️  ${queueDepth} queued and ${inFlight} pending operation(s) were not confirmed`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Relayer failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
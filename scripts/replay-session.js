@@ -0,0 +1,57 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const { replaySession, formatReplay } = require("./lib/session-replay");
+require("dotenv").config();
+
+// Replays the GameplayVerification session SESSION_ID move by move for moderators.
+// REPLAY_FORMAT=json prints the replay as JSON instead of a report; REPLAY_OUTPUT also writes the JSON to a file.
+const SESSION_ID = process.env.SESSION_ID;
+const FORMAT = process.env.REPLAY_FORMAT || "report";
+const OUTPUT = process.env.REPLAY_OUTPUT;
+
+async function main() {
+    if (!SESSION_ID || !hre.ethers.isHexString(SESSION_ID, 32)) {
+        throw new Error("Set SESSION_ID to the bytes32 session id to replay");
+    }
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.GameplayVerification;
+    if (!record || !record.proxy) {
+        throw new Error(`GameplayVerification is missing from the ${hre.network.name} manifest`);
+    }
+    const gameplay = await hre.ethers.getContractAt("GameplayVerification", record.proxy);
+
+    const replay = await replaySession(gameplay, SESSION_ID, {
+        fromBlock: await deploymentBlock(hre.ethers.provider, record)
+    });
+    const output = {
+        network: hre.network.name,
+        contract: record.proxy,
+        generatedAt: new Date().toISOString(),
+        ...replay
+    };
+
+    if (FORMAT === "json") {
+        console.log(JSON.stringify(output, null, 2));
+    } else {
+        console.log("🎞️  LOST Protocol session replay");
+        console.log("Network:", hre.network.name);
+        console.log("");
+        for (const line of formatReplay(replay)) {
+            console.log(line);
+        }
+    }
+    if (OUTPUT) {
+        fs.writeFileSync(OUTPUT, JSON.stringify(output, null, 2));
+        console.error(`\n💾 Replay written to ${OUTPUT}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Replay failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,87 @@
+const path = require("path");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const { parseDuration } = require("./lib/units");
+const { formatLost, parseLost } = require("../sdk/units");
+const { createEpochStore, createRewardsKeeper } = require("./lib/rewards-keeper");
+require("dotenv").config();
+
+// Pays a share of a Treasury fund into Staking rewards once per epoch. The key needs Treasury
+// ALLOCATOR_ROLE and Staking REWARDS_DISTRIBUTOR_ROLE (the rewardsDistributor account in
+// config/roles.js). ALLOCATOR_ROLE lets the key pay any Treasury fund to any address, so it needs
+// the same care as a treasurer key. Epoch records and reports go to KEEPER_DIR, by default
+// deployments/keeper/<network>. KEEPER_ONCE=true runs the current epoch and exits.
+function genesisTime(value) {
+    if (!value) {
+        return 0;
+    }
+    return /^\d+$/.test(value) ? Number(value) : Math.floor(new Date(value).getTime() / 1000);
+}
+
+async function main() {
+    const dryRun = process.env.KEEPER_DRY_RUN === "true";
+    console.log(`⏰ LOST Protocol rewards keeper${dryRun ? " (dry run)" : ""}`);
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const { Treasury: treasuryRecord, Staking: stakingRecord } = manifest.contracts;
+    if (!treasuryRecord || !treasuryRecord.proxy || !stakingRecord || !stakingRecord.proxy) {
+        throw new Error(`Treasury and Staking must be in the ${hre.network.name} manifest`);
+    }
+    const signer = process.env.REWARDS_DISTRIBUTOR_KEY
+        ? new hre.ethers.Wallet(process.env.REWARDS_DISTRIBUTOR_KEY, hre.ethers.provider)
+        : (await hre.ethers.getSigners())[0];
+
+    const genesis = genesisTime(process.env.KEEPER_GENESIS);
+    if (Number.isNaN(genesis)) {
+        throw new Error(`KEEPER_GENESIS "${process.env.KEEPER_GENESIS}" is not a date or unix time`);
+    }
+    const dir = process.env.KEEPER_DIR || path.join(__dirname, "..", "deployments", "keeper", hre.network.name);
+    const keeper = createRewardsKeeper({
+        treasury: await hre.ethers.getContractAt("Treasury", treasuryRecord.proxy, signer),
+        staking: await hre.ethers.getContractAt("Staking", stakingRecord.proxy, signer),
+        store: createEpochStore(dir),
+        fund: process.env.KEEPER_FUND || "staking",
+        shareBps: Number(process.env.KEEPER_SHARE_BPS || 10000),
+        minAmount: parseLost(process.env.KEEPER_MIN_AMOUNT || "0"),
+        epochLength: parseDuration(process.env.KEEPER_EPOCH || "7d"),
+        genesis,
+        burnRate: process.env.KEEPER_BURN_RATE ? Number(process.env.KEEPER_BURN_RATE) : null,
+        dryRun,
+        fromBlock: await deploymentBlock(hre.ethers.provider, treasuryRecord),
+        pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || 60000),
+        log: (message) => console.log(message)
+    });
+    const { keeper: address, epoch } = await keeper.init();
+    console.log(`🔑 Keeper: ${address}`);
+    console.log(`📅 Current epoch: ${epoch}, records in ${dir}`);
+
+    if (process.env.KEEPER_ONCE === "true") {
+        const record = await keeper.tick();
+        if (!record) {
+            console.log("Before KEEPER_GENESIS; nothing to do");
+        } else if (record.already) {
+            console.log(`Epoch ${record.epoch} already paid ${formatLost(record.amount)} LOST (${record.distributeTx})`);
+        } else if (record.report) {
+            console.log(`📄 Report: ${record.report}`);
+        }
+        return;
+    }
+
+    process.on("SIGINT", () => {
+        console.log("\n🛑 Shutting down");
+        keeper.stop();
+    });
+    await keeper.run();
+    const { distributed, amountDistributed } = keeper.status();
+    console.log(`📊 ${distributed} epoch(s) paid out, ${formatLost(amountDistributed)} LOST in total`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Rewards keeper failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,79 @@
+const hre = require("hardhat");
+const { emptyManifest } = require("./lib/manifest");
+const { deployProtocol } = require("./lib/deploy");
+const { loadScenarios, runScenario } = require("./lib/scenarios");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+
+const { ethers, network } = hre;
+
+// Runs the player-journey scenarios in scenarios/ against a throwaway deployment on a local node.
+// SCENARIOS=player-journey,path/to/other.json picks scenarios; the node is reverted afterwards.
+async function main() {
+    if (!["hardhat", "localhost"].includes(network.name)) {
+        throw new Error(`Scenarios drive unlocked local accounts and snapshots; run them on hardhat or localhost, not ${network.name}`);
+    }
+
+    const scenarios = loadScenarios(process.env.SCENARIOS ? process.env.SCENARIOS.split(",").map((name) => name.trim()) : []);
+    console.log("🎮 LOST Protocol player scenarios");
+    console.log("Network:", network.name);
+    console.log("Scenarios:", scenarios.map((scenario) => scenario.name).join(", "));
+
+    const baseline = await network.provider.send("evm_snapshot");
+    const results = [];
+    try {
+        const [gameServer, ...signers] = await ethers.getSigners();
+
+        console.log("\n🚀 Deploying a fresh protocol for the run...");
+        const usdc = await ethers.deployContract("MockUSDC");
+        await usdc.waitForDeployment();
+        const addresses = await deployProtocol(hre, emptyManifest(network.name), {
+            params: { usdcTokenAddress: await usdc.getAddress() },
+            log: () => {}
+        });
+        const contracts = {};
+        for (const name of Object.keys(contractSpecs)) {
+            contracts[name] = await ethers.getContractAt(name, addresses[name]);
+        }
+
+        // config/roles.js makes the deployer a GAME_CONTROLLER; grant it here rather than running initialize-contracts.js
+        const lostToken = contracts.LOSTToken;
+        await (await lostToken.grantRole(await lostToken.GAME_CONTROLLER_ROLE(), gameServer.address)).wait();
+
+        for (const scenario of scenarios) {
+            console.log(`\n▶️  ${scenario.name}${scenario.description ? ` – ${scenario.description}` : ""}`);
+            const snapshot = await network.provider.send("evm_snapshot");
+            try {
+                results.push(await runScenario(scenario, { contracts, addresses, gameServer, signers, log: console.log }));
+            } finally {
+                await network.provider.send("evm_revert", [snapshot]);
+            }
+        }
+    } finally {
+        await network.provider.send("evm_revert", [baseline]);
+    }
+
+    const failed = results.filter((result) => !result.passed);
+    console.log("\n📋 Scenario Summary:");
+    console.log("=====================================");
+    for (const result of results) {
+        console.log(`${result.passed ? "✅" : "❌"} ${result.name} (${result.steps} steps)`);
+        for (const failure of result.failures) {
+            console.log(`   step ${failure.step}: ${failure.check} – expected ${failure.expected}, got ${failure.actual}`);
+        }
+    }
+    console.log("=====================================");
+
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} of ${results.length} scenario(s) failed`);
+    }
+    console.log("🎉 All scenarios passed");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Scenario run failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
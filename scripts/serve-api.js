@@ -0,0 +1,56 @@
+const http = require("http");
+const hre = require("hardhat");
+const { openNetworkIndex } = require("./lib/indexer");
+const { createApi } = require("./lib/api");
+const { createPollLoop } = require("./lib/poll-loop");
+require("dotenv").config();
+
+// Serves the read-only API on API_PORT (default 8080) and keeps the index it reads from up to
+// date, syncing every API_SYNC_INTERVAL ms. Uses the same database as index-events.js, which
+// should not run against the same file at the same time.
+async function main() {
+    console.log("🌐 LOST Protocol API");
+    console.log("Network:", hre.network.name);
+
+    const { file, store, indexer, contracts } = await openNetworkIndex(hre, {
+        file: process.env.INDEX_DB,
+        log: (message) => console.log(message)
+    });
+    console.log("Database:", file);
+    const initial = await indexer.sync();
+    console.log(`✅ Index at block ${initial.toBlock}`);
+
+    const loop = createPollLoop(
+        async () => {
+            const result = await indexer.sync();
+            if (result.events > 0 || result.reorg !== null) {
+                console.log(`🔄 Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} event(s)`);
+            }
+        },
+        {
+            interval: Number(process.env.API_SYNC_INTERVAL || 5000),
+            onError: (error) => console.error("⚠️  Sync failed:", error.shortMessage || error.message)
+        }
+    );
+    const syncing = loop.run();
+
+    const server = http.createServer(createApi({ store, provider: hre.ethers.provider, contracts }));
+    const port = Number(process.env.API_PORT || 8080);
+    await new Promise((resolve) => server.listen(port, resolve));
+    console.log(`🚀 Listening on http://localhost:${port}`);
+
+    await new Promise((resolve) => process.on("SIGINT", resolve));
+    console.log("\n🛑 Shutting down");
+    loop.stop();
+    await syncing;
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ API failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,64 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const { formatLost, parseLost } = require("../sdk/units");
+const { toJson } = require("./lib/json");
+const { parseDuration } = require("./lib/units");
+const {
+    formatProjection,
+    loadStakingScenario,
+    parseStakingScenario,
+    readStakingState,
+    simulateStaking
+} = require("./lib/staking-simulator");
+require("dotenv").config();
+
+// Read-only projection of Staking: reads the live tier configs, reward rate and stakes, then runs
+// STAKING_SCENARIO (YAML, see parseStakingScenario) on top of them. Without a scenario it projects
+// the current stakers a year ahead. STAKING_REWARD_RATE (LOST per block) and STAKING_HORIZON
+// override the scenario, for a quick look at an updateRewardRate before proposing it.
+// STAKING_REPORT=file.json also writes the full result, including every simulated call.
+async function main() {
+    console.log("🧮 LOST Protocol staking simulator");
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.Staking;
+    if (!record || !record.proxy) {
+        throw new Error(`Staking is missing from the ${hre.network.name} manifest`);
+    }
+    const staking = await hre.ethers.getContractAt("Staking", record.proxy);
+
+    const scenario = process.env.STAKING_SCENARIO
+        ? loadStakingScenario(process.env.STAKING_SCENARIO)
+        : parseStakingScenario("");
+    if (process.env.STAKING_REWARD_RATE) {
+        scenario.rewardRate = parseLost(process.env.STAKING_REWARD_RATE);
+    }
+    if (process.env.STAKING_HORIZON) {
+        scenario.horizon = parseDuration(process.env.STAKING_HORIZON);
+    }
+
+    const snapshot = await readStakingState(staking, { fromBlock: await deploymentBlock(hre.ethers.provider, record) });
+    const stakes = Object.values(snapshot.users).flatMap(({ stakes }) => stakes).filter(({ active }) => active);
+    console.log(`📸 Block ${snapshot.block.number}: ${formatLost(snapshot.totalStaked)} LOST staked in ${stakes.length} stake(s) by ${snapshot.totalStakers} staker(s)`);
+    console.log(`   Contract balance ${formatLost(snapshot.balance)} LOST, reward rate ${formatLost(snapshot.rewardRate)} LOST per block`);
+
+    const result = simulateStaking(snapshot, scenario);
+    console.log(["", ...formatProjection(result)].join("\n"));
+
+    if (process.env.STAKING_REPORT) {
+        const json = JSON.stringify(toJson(result), null, 2);
+        fs.writeFileSync(process.env.STAKING_REPORT, json);
+        console.log(`\n💾 Full report written to ${process.env.STAKING_REPORT}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Staking simulation failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
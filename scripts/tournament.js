@@ -0,0 +1,104 @@
+const fs = require("fs");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { formatNative } = require("../sdk/units");
+const {
+    createOrganizer,
+    formatPayouts,
+    formatTournament,
+    loadTournamentSpec,
+    parseMatchResults
+} = require("./lib/tournament-organizer");
+require("dotenv").config();
+
+// Tournament organizer. TOURNAMENT_ACTION picks the step:
+//   create    TOURNAMENT_SPEC=spec.yaml
+//   show      TOURNAMENT_ID
+//   start     TOURNAMENT_ID
+//   results   TOURNAMENT_ID, TOURNAMENT_RESULTS=results.csv
+//   finalize  TOURNAMENT_ID, paid places from TOURNAMENT_SPEC or TOURNAMENT_PLACES (default 3)
+//   cancel    TOURNAMENT_ID
+// TOURNAMENT_DRY_RUN=true simulates the step and prints the payouts without sending anything.
+const ACTIONS = ["create", "show", "start", "results", "finalize", "cancel"];
+
+function required(name) {
+    if (!process.env[name]) {
+        throw new Error(`${name} is required for TOURNAMENT_ACTION=${process.env.TOURNAMENT_ACTION}`);
+    }
+    return process.env[name];
+}
+
+function paidPlaces() {
+    if (process.env.TOURNAMENT_PLACES) {
+        return Number(process.env.TOURNAMENT_PLACES);
+    }
+    return process.env.TOURNAMENT_SPEC ? loadTournamentSpec(process.env.TOURNAMENT_SPEC, { now: 0 }).places : 3;
+}
+
+function print(lines) {
+    console.log(lines.join("\n"));
+}
+
+async function main() {
+    const action = process.env.TOURNAMENT_ACTION;
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Set TOURNAMENT_ACTION to one of ${ACTIONS.join(", ")}`);
+    }
+    const dryRun = process.env.TOURNAMENT_DRY_RUN === "true";
+    console.log(`🏟️  LOST Protocol tournament organizer: ${action}${dryRun ? " (dry run)" : ""}`);
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.Tournament;
+    if (!record || !record.proxy) {
+        throw new Error(`Tournament is missing from the ${hre.network.name} manifest`);
+    }
+    const tournament = await hre.ethers.getContractAt("Tournament", record.proxy);
+    const organizer = createOrganizer(tournament, { dryRun, log: (message) => console.log(message) });
+
+    if (action === "create") {
+        const chainTime = (await hre.ethers.provider.getBlock("latest")).timestamp;
+        const spec = loadTournamentSpec(required("TOURNAMENT_SPEC"), { now: chainTime });
+        console.log(`\n📝 ${spec.name}: ${spec.type}, ${formatNative(spec.entryFee)} HBAR entry, up to ${spec.maxPlayers} players`);
+        console.log(`   Starts ${new Date(spec.startTime * 1000).toISOString()}, prizes ${spec.prizeSplit.join("/")}%`);
+        await organizer.create(spec);
+        return;
+    }
+
+    const tournamentId = BigInt(required("TOURNAMENT_ID"));
+    if (action === "show") {
+        print(formatTournament(await organizer.show(tournamentId)));
+    } else if (action === "start") {
+        await organizer.start(tournamentId);
+    } else if (action === "results") {
+        const results = parseMatchResults(fs.readFileSync(required("TOURNAMENT_RESULTS"), "utf8"));
+        const { submitted, skipped } = await organizer.submitResults(tournamentId, results);
+        console.log(`\n📊 ${submitted.length} result(s) ${dryRun ? "to submit" : "submitted"}, ${skipped.length} already on chain`);
+        if (dryRun) {
+            print(["", ...formatPayouts(await organizer.planFinalize(tournamentId, { places: paidPlaces(), pending: results }))]);
+        }
+    } else if (action === "finalize") {
+        const pending = dryRun && process.env.TOURNAMENT_RESULTS
+            ? parseMatchResults(fs.readFileSync(process.env.TOURNAMENT_RESULTS, "utf8"))
+            : [];
+        const plan = dryRun
+            ? await organizer.planFinalize(tournamentId, { places: paidPlaces(), pending })
+            : await organizer.finalize(tournamentId, { places: paidPlaces() });
+        print(["", ...formatPayouts(plan)]);
+    } else if (action === "cancel") {
+        const { refunds } = await organizer.cancel(tournamentId);
+        const total = refunds.reduce((sum, { amount }) => sum + amount, 0n);
+        console.log(`\n💸 ${refunds.length} refund(s), ${formatNative(total)} HBAR in total`);
+        for (const { player, amount } of refunds) {
+            console.log(`   ${player}  ${formatNative(amount)} HBAR`);
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Tournament organizer failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
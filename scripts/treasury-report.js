@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { deploymentBlock } = require("./lib/events");
+const { toJson } = require("./lib/json");
+const { blockAtTime, buildLedger, journalCsv, treasuryReport, trialBalanceCsv } = require("./lib/treasury-ledger");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+
+// Treasury accounting for a period: a double-entry journal rebuilt from the Treasury's events and
+// token transfers, a trial balance, revenue per stream and a reconciliation against the chain.
+// TREASURY_REPORT_FROM and TREASURY_REPORT_TO take a block number or a date (default: deployment
+// to the latest block). Files go to TREASURY_REPORT_DIR, by default
+// deployments/accounting/<network>/<from>-<to>/: journal.csv, trial-balance.csv and report.json.
+async function resolveBlock(value, provider, { end }) {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`"${value}" is neither a block number nor a date`);
+    }
+    const block = await blockAtTime(provider, Math.floor(time / 1000));
+    // A period ends before the first block at its end date
+    return end ? block - 1 : block;
+}
+
+async function main() {
+    console.log("📒 LOST Protocol treasury report");
+    console.log("Network:", hre.network.name);
+
+    const manifest = loadManifest(hre.network.name, { required: true });
+    const record = manifest.contracts.Treasury;
+    if (!record || !record.proxy) {
+        throw new Error(`Treasury is missing from the ${hre.network.name} manifest`);
+    }
+    const contracts = {};
+    for (const name of Object.keys(contractSpecs)) {
+        if (manifest.contracts[name] && manifest.contracts[name].proxy) {
+            contracts[name] = await hre.ethers.getContractAt(name, manifest.contracts[name].proxy);
+        }
+    }
+
+    const provider = hre.ethers.provider;
+    const deployed = await deploymentBlock(provider, record);
+    const latest = await provider.getBlockNumber();
+    const startBlock = process.env.TREASURY_REPORT_FROM ? await resolveBlock(process.env.TREASURY_REPORT_FROM, provider, { end: false }) : deployed;
+    const endBlock = process.env.TREASURY_REPORT_TO ? await resolveBlock(process.env.TREASURY_REPORT_TO, provider, { end: true }) : latest;
+    if (endBlock > latest || startBlock > endBlock) {
+        throw new Error(`Period ${startBlock}–${endBlock} is not within blocks ${deployed}–${latest}`);
+    }
+
+    // Opening balances need everything since deployment, so the ledger always starts there
+    const ledger = await buildLedger({ contracts, fromBlock: deployed, toBlock: endBlock });
+    const report = await treasuryReport(ledger, contracts.Treasury, startBlock);
+    const [start, end] = await Promise.all([provider.getBlock(startBlock), provider.getBlock(endBlock)]);
+    console.log(`📅 Blocks ${startBlock}–${endBlock} (${new Date(start.timestamp * 1000).toISOString()} to ${new Date(end.timestamp * 1000).toISOString()}): ${report.entries.length} entries`);
+
+    const format = (amount, token) => hre.ethers.formatUnits(amount, ledger.tokens[token].decimals);
+    console.log("\n💰 Revenue");
+    for (const [stream, byToken] of Object.entries(report.streams)) {
+        for (const [token, { gross, burned, collections }] of Object.entries(byToken)) {
+            console.log(`   ${stream.padEnd(18)} ${format(gross, token).padStart(20)} ${token}  (${collections} collection(s), ${format(burned, token)} burned)`);
+        }
+    }
+    console.log("\n🏦 Funds at the end of the period");
+    for (const [fund, byToken] of Object.entries(report.funds)) {
+        for (const [token, { closing }] of Object.entries(byToken)) {
+            console.log(`   ${fund.padEnd(18)} ${format(closing, token).padStart(20)} ${token}`);
+        }
+    }
+    console.log("\n🔍 Reconciliation");
+    for (const check of report.reconciliation) {
+        const label = `${check.check}${check.token ? ` (${check.token})` : ""}`;
+        const detail = check.ok ? "" : `: ledger ${check.ledger}, chain ${check.onChain === null ? "-" : check.onChain}`;
+        console.log(`   ${check.ok ? "✅" : "❌"} ${label}${detail}${check.note ? ` – ${check.note}` : ""}`);
+    }
+    for (const warning of report.warnings) {
+        console.log(`   ⚠️  ${warning}`);
+    }
+
+    const dir = process.env.TREASURY_REPORT_DIR || path.join(__dirname, "..", "deployments", "accounting", hre.network.name, `${startBlock}-${endBlock}`);
+    fs.mkdirSync(dir, { recursive: true });
+    const tokens = Object.fromEntries(Object.entries(ledger.tokens).map(([symbol, { address, decimals }]) => [symbol, { address, decimals }]));
+    fs.writeFileSync(path.join(dir, "journal.csv"), journalCsv(report.entries, ledger.tokens));
+    fs.writeFileSync(path.join(dir, "trial-balance.csv"), trialBalanceCsv(report.trialBalance, ledger.tokens));
+    fs.writeFileSync(path.join(dir, "report.json"), JSON.stringify(toJson({ network: hre.network.name, treasury: record.proxy, tokens, ...report }), null, 2));
+    console.log(`\n💾 Journal, trial balance and report written to ${dir}`);
+
+    if (report.reconciliation.some(({ ok }) => !ok)) {
+        process.exitCode = 2;
+    }
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+        console.error("❌ Treasury report failed:");
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -1,118 +1,229 @@
-const { ethers, upgrades } = require("hardhat");
+const path = require("path");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadManifest, saveManifest, recordUpgrade } = require("./lib/manifest");
+const { deploymentOrder } = require("./lib/deployment-graph");
+const { saveProposal, timelockCalls, safeBatch, TIMELOCK_ABI } = require("./lib/proposals");
+const { implementationLayout, diffLayouts } = require("./lib/storage-layout");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+
+// UPGRADE_CONTRACTS=LOSTToken,Staking limits the run to those contracts (default: all).
+// DRY_RUN=true validates and prepares the new implementations but leaves every proxy untouched.
+// UPGRADE_MODE=propose deploys the implementations and writes an upgradeToAndCall proposal for
+// SAFE_ADDRESS / TIMELOCK_ADDRESS to execute instead of upgrading from this key.
+const DRY_RUN = process.env.DRY_RUN === "true";
+const PROPOSE = process.env.UPGRADE_MODE === "propose";
+
+function selectedContracts() {
+    const order = deploymentOrder(contractSpecs);
+    if (!process.env.UPGRADE_CONTRACTS) {
+        return order;
+    }
+    const requested = process.env.UPGRADE_CONTRACTS.split(",").map((name) => name.trim()).filter(Boolean);
+    for (const name of requested) {
+        if (!contractSpecs[name]) {
+            throw new Error(`Unknown contract "${name}" in UPGRADE_CONTRACTS (expected one of: ${order.join(", ")})`);
+        }
+    }
+    return order.filter((name) => requested.includes(name));
+}
+
+async function bytecodeHash(address) {
+    return ethers.keccak256(await ethers.provider.getCode(address));
+}
+
+async function storageDiff(current, next) {
+    const before = await implementationLayout(network.provider, current);
+    const after = await implementationLayout(network.provider, next);
+    if (!before || !after) {
+        return null;
+    }
+    return diffLayouts(before, after);
+}
+
+async function writeProposal(deploymentInfo, planned, factories, proposer) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const safeAddress = process.env.SAFE_ADDRESS;
+    const timelockAddress = process.env.TIMELOCK_ADDRESS;
+    const executor = timelockAddress || safeAddress;
+
+    const upgradesList = [];
+    const lines = [`Upgrade LOST Protocol contracts on ${network.name} (chainId ${chainId})`];
+    for (const { name, current, next } of planned) {
+        const proxy = deploymentInfo.contracts[name].proxy;
+        const diff = await storageDiff(current, next);
+        const entry = {
+            contract: name,
+            proxy,
+            currentImplementation: current,
+            newImplementation: next,
+            bytecodeHash: await bytecodeHash(next),
+            calldata: factories[name].interface.encodeFunctionData("upgradeToAndCall", [next, "0x"]),
+            storageDiff: diff
+        };
+        upgradesList.push(entry);
+
+        lines.push("", `${contractSpecs[name].label} (${proxy})`);
+        lines.push(`  implementation ${current} -> ${next}`);
+        lines.push(`  bytecode hash ${entry.bytecodeHash}`);
+        if (diff === null) {
+            lines.push("  storage: layout not available for comparison");
+        } else if (diff.length === 0) {
+            lines.push("  storage: unchanged");
+        } else {
+            lines.push("  storage:", ...diff.map((change) => `    ${change}`));
+        }
+
+        if (executor) {
+            const instance = await ethers.getContractAt(name, proxy);
+            if (!(await instance.hasRole(await instance.UPGRADER_ROLE(), executor))) {
+                console.log(`⚠️  ${executor} does not hold UPGRADER_ROLE on ${name}; the proposal will revert until it does`);
+            }
+        }
+    }
+
+    const description = lines.join("\n");
+    const createdAt = new Date().toISOString();
+    const calls = upgradesList.map((entry) => ({ to: entry.proxy, data: entry.calldata }));
+    const proposal = {
+        network: network.name,
+        chainId: Number(chainId),
+        createdAt,
+        proposer,
+        executor: { safe: safeAddress || null, timelock: timelockAddress || null },
+        description,
+        upgrades: upgradesList
+    };
+
+    if (timelockAddress) {
+        const timelock = new ethers.Contract(timelockAddress, TIMELOCK_ABI, ethers.provider);
+        const minDelay = await timelock.getMinDelay();
+        proposal.timelock = timelockCalls(timelockAddress, calls, minDelay, ethers.id(createdAt));
+        // The Safe schedules through the timelock; executeBatch is sent once the delay has passed
+        proposal.safe = safeBatch(chainId, "Schedule LOST upgrades", description, safeAddress, [
+            { to: timelockAddress, data: proposal.timelock.schedule }
+        ]);
+    } else {
+        proposal.safe = safeBatch(chainId, "LOST upgrades", description, safeAddress, calls);
+    }
+
+    const file = saveProposal(proposal);
+    for (const entry of upgradesList) {
+        deploymentInfo.contracts[entry.contract].pendingUpgrade = {
+            proposal: path.relative(process.cwd(), file),
+            newImplementation: entry.newImplementation,
+            bytecodeHash: entry.bytecodeHash,
+            proposedAt: createdAt
+        };
+    }
+    saveManifest(deploymentInfo);
+
+    console.log(`\n${description}`);
+    console.log(`\n📨 Proposal written to ${file}`);
+    console.log("Run check-upgrade.js once it has been executed.");
+}
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Upgrading contracts with the account:", deployer.address);
+    if (DRY_RUN) {
+        console.log("🧪 Dry run - proxies will not be upgraded");
+    }
 
     // Load deployment info
-    const fs = require("fs");
     let deploymentInfo;
     try {
-        deploymentInfo = JSON.parse(fs.readFileSync("./deployment-info.json", "utf8"));
+        deploymentInfo = loadManifest(network.name, { required: true });
     } catch (error) {
-        console.error("❌ Could not load deployment-info.json");
+        console.error("❌ Could not load deployment manifest:", error.message);
         console.error("Please run deploy.js first");
         process.exit(1);
     }
 
     const contracts = deploymentInfo.contracts;
-
-    // Validate that all contract addresses exist
-    const requiredContracts = [
-        'LOST_TOKEN_CONTRACT_ID',
-        'TREASURY_CONTRACT_ID',
-        'ACHIEVEMENT_NFT_CONTRACT_ID',
-        'GAMEPLAY_VERIFICATION_CONTRACT_ID',
-        'LEADERBOARD_CONTRACT_ID',
-        'TOURNAMENT_CONTRACT_ID',
-        'MARKETPLACE_CONTRACT_ID',
-        'PAYMENT_BRIDGE_CONTRACT_ID',
-        'DATA_MONETIZATION_CONTRACT_ID',
-        'STAKING_CONTRACT_ID'
-    ];
+    const selected = selectedContracts();
 
     console.log("\n📋 Validating contract addresses...");
-    for (const contractName of requiredContracts) {
-        if (!contracts[contractName]) {
-            console.error(`❌ Missing contract address: ${contractName}`);
+    for (const name of selected) {
+        if (!contracts[name] || !contracts[name].proxy) {
+            console.error(`❌ Missing contract address: ${contractSpecs[name].id}`);
             process.exit(1);
         }
-        console.log(`✅ ${contractName}: ${contracts[contractName]}`);
+        console.log(`✅ ${contractSpecs[name].id}: ${contracts[name].proxy}`);
+    }
+
+    // Nothing is sent until every selected contract passes the storage-layout and safety checks
+    console.log("\n🔍 Validating upgrades...");
+    const factories = {};
+    const failures = [];
+    for (const name of selected) {
+        const { label } = contractSpecs[name];
+        factories[name] = await ethers.getContractFactory(name);
+        try {
+            await upgrades.validateUpgrade(contracts[name].proxy, factories[name], { kind: "uups" });
+            console.log(`✅ ${label}: storage layout compatible`);
+        } catch (error) {
+            console.log(`❌ ${label}: upgrade is not safe`);
+            console.log(error.message.split("\n").map((line) => `     ${line}`).join("\n"));
+            failures.push(name);
+        }
+    }
+    if (failures.length > 0) {
+        throw new Error(`Upgrade validation failed for ${failures.join(", ")}; no transactions were sent`);
+    }
+
+    console.log("\n📦 Preparing implementations...");
+    const planned = [];
+    for (const name of selected) {
+        const { label } = contractSpecs[name];
+        const current = await upgrades.erc1967.getImplementationAddress(contracts[name].proxy);
+        // Reuses an already deployed implementation when the bytecode has not changed
+        const next = await upgrades.prepareUpgrade(contracts[name].proxy, factories[name], { kind: "uups" });
+        if (ethers.getAddress(next) === ethers.getAddress(current)) {
+            console.log(`⏭️  ${label}: implementation unchanged (${current})`);
+            continue;
+        }
+        console.log(`🆕 ${label}: ${current} → ${next}`);
+        planned.push({ name, current, next });
+    }
+
+    if (DRY_RUN || planned.length === 0) {
+        console.log(`\n📝 ${planned.length} contract(s) would be upgraded`);
+        return;
+    }
+
+    if (PROPOSE) {
+        await writeProposal(deploymentInfo, planned, factories, deployer.address);
+        return;
     }
 
     console.log("\n🔄 Starting contract upgrades...");
 
-    // Upgrade LOST Token
-    console.log("\n⬆️ Upgrading LOST Token...");
-    const LOSTTokenV2 = await ethers.getContractFactory("LOSTToken");
-    const lostTokenV2 = await upgrades.upgradeProxy(contracts.LOST_TOKEN_CONTRACT_ID, LOSTTokenV2);
-    console.log("✅ LOST Token upgraded successfully");
-
-    // Upgrade Treasury
-    console.log("\n⬆️ Upgrading Treasury...");
-    const TreasuryV2 = await ethers.getContractFactory("Treasury");
-    const treasuryV2 = await upgrades.upgradeProxy(contracts.TREASURY_CONTRACT_ID, TreasuryV2);
-    console.log("✅ Treasury upgraded successfully");
-
-    // Upgrade Achievement NFT
-    console.log("\n⬆️ Upgrading Achievement NFT...");
-    const LOSTAchievementNFTV2 = await ethers.getContractFactory("LOSTAchievementNFT");
-    const achievementNFTV2 = await upgrades.upgradeProxy(contracts.ACHIEVEMENT_NFT_CONTRACT_ID, LOSTAchievementNFTV2);
-    console.log("✅ Achievement NFT upgraded successfully");
-
-    // Upgrade Gameplay Verification
-    console.log("\n⬆️ Upgrading Gameplay Verification...");
-    const GameplayVerificationV2 = await ethers.getContractFactory("GameplayVerification");
-    const gameplayVerificationV2 = await upgrades.upgradeProxy(contracts.GAMEPLAY_VERIFICATION_CONTRACT_ID, GameplayVerificationV2);
-    console.log("✅ Gameplay Verification upgraded successfully");
-
-    // Upgrade Decentralized Leaderboard
-    console.log("\n⬆️ Upgrading Decentralized Leaderboard...");
-    const DecentralizedLeaderboardV2 = await ethers.getContractFactory("DecentralizedLeaderboard");
-    const leaderboardV2 = await upgrades.upgradeProxy(contracts.LEADERBOARD_CONTRACT_ID, DecentralizedLeaderboardV2);
-    console.log("✅ Decentralized Leaderboard upgraded successfully");
-
-    // Upgrade Tournament
-    console.log("\n⬆️ Upgrading Tournament...");
-    const TournamentV2 = await ethers.getContractFactory("Tournament");
-    const tournamentV2 = await upgrades.upgradeProxy(contracts.TOURNAMENT_CONTRACT_ID, TournamentV2);
-    console.log("✅ Tournament upgraded successfully");
-
-    // Upgrade Marketplace
-    console.log("\n⬆️ Upgrading Marketplace...");
-    const MarketplaceV2 = await ethers.getContractFactory("Marketplace");
-    const marketplaceV2 = await upgrades.upgradeProxy(contracts.MARKETPLACE_CONTRACT_ID, MarketplaceV2);
-    console.log("✅ Marketplace upgraded successfully");
-
-    // Upgrade USDC Payment Bridge
-    console.log("\n⬆️ Upgrading USDC Payment Bridge...");
-    const USDCPaymentBridgeV2 = await ethers.getContractFactory("USDCPaymentBridge");
-    const paymentBridgeV2 = await upgrades.upgradeProxy(contracts.PAYMENT_BRIDGE_CONTRACT_ID, USDCPaymentBridgeV2);
-    console.log("✅ USDC Payment Bridge upgraded successfully");
-
-    // Upgrade Data Monetization
-    console.log("\n⬆️ Upgrading Data Monetization...");
-    const DataMonetizationV2 = await ethers.getContractFactory("DataMonetization");
-    const dataMonetizationV2 = await upgrades.upgradeProxy(contracts.DATA_MONETIZATION_CONTRACT_ID, DataMonetizationV2);
-    console.log("✅ Data Monetization upgraded successfully");
-
-    // Upgrade Staking
-    console.log("\n⬆️ Upgrading Staking...");
-    const StakingV2 = await ethers.getContractFactory("Staking");
-    const stakingV2 = await upgrades.upgradeProxy(contracts.STAKING_CONTRACT_ID, StakingV2);
-    console.log("✅ Staking upgraded successfully");
-
-    // Update deployment info with new version
-    deploymentInfo.lastUpgrade = new Date().toISOString();
-    deploymentInfo.version = "2.0.0";
-    
-    fs.writeFileSync(
-        "./deployment-info.json",
-        JSON.stringify(deploymentInfo, null, 2)
-    );
-
-    console.log("\n🎉 All contracts upgraded successfully!");
-    console.log("📝 Deployment info updated with upgrade timestamp");
+    for (const { name, current } of planned) {
+        const { label } = contractSpecs[name];
+        console.log(`\n⬆️ Upgrading ${label}...`);
+        const upgraded = await upgrades.upgradeProxy(contracts[name].proxy, factories[name], { kind: "uups" });
+        // hardhat-upgrades exposes the upgradeToAndCall transaction as deployTransaction
+        const upgradeTx = upgraded.deployTransaction;
+        if (upgradeTx) {
+            await upgradeTx.wait();
+        }
+        const implementation = await upgrades.erc1967.getImplementationAddress(contracts[name].proxy);
+
+        // Saved per contract so a failure later in the run keeps the history accurate
+        recordUpgrade(deploymentInfo, name, {
+            from: current,
+            to: implementation,
+            bytecodeHash: await bytecodeHash(implementation),
+            txHash: upgradeTx ? upgradeTx.hash : undefined,
+            account: deployer.address
+        });
+        saveManifest(deploymentInfo);
+        console.log(`✅ ${label} upgraded successfully (${implementation})`);
+    }
+
+    console.log("\n🎉 Selected contracts upgraded successfully!");
+    console.log("📝 Implementation history updated in the manifest");
 }
 
 main()
@@ -121,4 +232,4 @@ main()
         console.error("❌ Upgrade failed:");
         console.error(error);
         process.exit(1);
-    });
\ No newline at end of file
+    });
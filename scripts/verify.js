@@ -1,209 +1,156 @@
-const { ethers } = require("hardhat");
+const { ethers, upgrades, network, artifacts } = require("hardhat");
+const { Manifest } = require("@openzeppelin/upgrades-core");
+const proxyBuildInfo = require("@openzeppelin/upgrades-core/artifacts/build-info-v5.json");
+const { loadManifest, saveManifest, contractAddresses } = require("./lib/manifest");
+const { deploymentOrder } = require("./lib/deployment-graph");
+const { DEFAULT_ENDPOINTS, createVerifier, verifyContract } = require("./lib/sourcify");
+require("dotenv").config();
+const { contracts: contractSpecs } = require("../config/contracts");
+
+// VERIFY_API_URL overrides the Sourcify-compatible endpoint (Hashscan on Hedera networks),
+// VERIFY_API=v2 switches to Sourcify's v2 API, VERIFY_SOURCE=false skips source submission.
+const VERIFY_API_URL = process.env.VERIFY_API_URL || DEFAULT_ENDPOINTS[network.name];
+const VERIFY_API = process.env.VERIFY_API || "v1";
+const VERIFY_SOURCE = process.env.VERIFY_SOURCE !== "false";
+
+// hardhat-upgrades deploys this proxy from its own prebuilt artifacts
+const PROXY_CONTRACT = "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy";
+
+function formatView(value, format) {
+    switch (format) {
+        case "LOST":
+            return `${ethers.formatUnits(value, 18)} LOST`;
+        case "bps":
+            return `${Number(value) / 100}%`;
+        case "hours":
+            return `${Number(value) / 3600} hours`;
+        default:
+            return value.toString();
+    }
+}
+
+/**
+ * Verify the implementation and the ERC1967 proxy of every contract, recording the
+ * outcome on each contract in the manifest.
+ * @returns {Promise<boolean>} Whether everything verified
+ */
+async function verifySources(deploymentInfo, order) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const verifier = createVerifier({ url: VERIFY_API_URL, api: VERIFY_API });
+    const ozManifest = await Manifest.forNetwork(network.provider);
+    console.log(`\n📤 Submitting sources to ${verifier.url} (${verifier.api})...`);
+
+    let allVerified = true;
+    for (const name of order) {
+        const record = deploymentInfo.contracts[name];
+        const { label } = contractSpecs[name];
+        const implementation = await upgrades.erc1967.getImplementationAddress(record.proxy);
+
+        const { sourceName } = await artifacts.readArtifact(name);
+        const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${name}`);
+        let implementationTx;
+        try {
+            implementationTx = (await ozManifest.getDeploymentFromAddress(implementation)).txHash;
+        } catch (error) {
+            implementationTx = undefined;
+        }
+
+        const results = await verifyContract(verifier, chainId, {
+            implementation: {
+                address: implementation,
+                input: buildInfo.input,
+                compilerVersion: buildInfo.solcLongVersion,
+                contractIdentifier: `${sourceName}:${name}`,
+                creationTransactionHash: implementationTx
+            },
+            proxy: {
+                address: record.proxy,
+                input: proxyBuildInfo.input,
+                compilerVersion: proxyBuildInfo.solcLongVersion,
+                contractIdentifier: PROXY_CONTRACT,
+                creationTransactionHash: record.txHash
+            }
+        });
+
+        for (const [kind, result] of Object.entries(results)) {
+            const icon = result.status === "perfect" ? "✅" : result.status === "partial" ? "🟡" : "❌";
+            const detail = result.message ? ` - ${result.message}` : "";
+            console.log(`${icon} ${label} ${kind} ${result.address}: ${result.status || "not verified"}${detail}`);
+            if (!result.status) {
+                allVerified = false;
+            }
+        }
+
+        record.verification = {
+            endpoint: verifier.url,
+            api: verifier.api,
+            checkedAt: new Date().toISOString(),
+            ...results
+        };
+        saveManifest(deploymentInfo);
+    }
+    return allVerified;
+}
 
 async function main() {
     console.log("🔍 Starting contract verification...");
 
     // Load deployment info
-    const fs = require("fs");
     let deploymentInfo;
     try {
-        deploymentInfo = JSON.parse(fs.readFileSync("./deployment-info.json", "utf8"));
+        deploymentInfo = loadManifest(network.name, { required: true });
     } catch (error) {
-        console.error("❌ Could not load deployment-info.json");
+        console.error("❌ Could not load deployment manifest:", error.message);
         console.error("Please run deploy.js first");
         process.exit(1);
     }
 
-    const contracts = deploymentInfo.contracts;
+    const contracts = contractAddresses(deploymentInfo);
     const [deployer] = await ethers.getSigners();
 
     console.log("Verifying contracts deployed by:", deployer.address);
     console.log("Network:", deploymentInfo.network);
 
-    // Validate that all contract addresses exist
-    const requiredContracts = [
-        'LOST_TOKEN_CONTRACT_ID',
-        'TREASURY_CONTRACT_ID',
-        'ACHIEVEMENT_NFT_CONTRACT_ID',
-        'GAMEPLAY_VERIFICATION_CONTRACT_ID',
-        'LEADERBOARD_CONTRACT_ID',
-        'TOURNAMENT_CONTRACT_ID',
-        'MARKETPLACE_CONTRACT_ID',
-        'PAYMENT_BRIDGE_CONTRACT_ID',
-        'DATA_MONETIZATION_CONTRACT_ID',
-        'STAKING_CONTRACT_ID'
-    ];
+    const order = deploymentOrder(contractSpecs);
 
+    // Validate that all contract addresses exist
     console.log("\n📋 Validating contract addresses...");
-    for (const contractName of requiredContracts) {
-        if (!contracts[contractName]) {
-            console.error(`❌ Missing contract address: ${contractName}`);
+    for (const name of order) {
+        if (!contracts[contractSpecs[name].id]) {
+            console.error(`❌ Missing contract address: ${contractSpecs[name].id}`);
             process.exit(1);
         }
     }
 
     let allVerified = true;
 
-    // Verify LOST Token
-    console.log("\n🔍 Verifying LOST Token...");
-    try {
-        const lostToken = await ethers.getContractAt("LOSTToken", contracts.LOST_TOKEN_CONTRACT_ID);
-        const name = await lostToken.name();
-        const symbol = await lostToken.symbol();
-        const totalSupply = await lostToken.totalSupply();
-        
-        console.log("✅ LOST Token verified:");
-        console.log(`   Address: ${contracts.LOST_TOKEN_CONTRACT_ID}`);
-        console.log(`   Name: ${name}`);
-        console.log(`   Symbol: ${symbol}`);
-        console.log(`   Total Supply: ${ethers.formatUnits(totalSupply, 18)} LOST`);
-    } catch (error) {
-        console.error("❌ LOST Token verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Treasury
-    console.log("\n🔍 Verifying Treasury...");
-    try {
-        const treasury = await ethers.getContractAt("Treasury", contracts.TREASURY_CONTRACT_ID);
-        const lostTokenAddress = await treasury.lostTokenAddress();
-        const usdcTokenAddress = await treasury.usdcTokenAddress();
-        
-        console.log("✅ Treasury verified:");
-        console.log(`   Address: ${contracts.TREASURY_CONTRACT_ID}`);
-        console.log(`   LOST Token: ${lostTokenAddress}`);
-        console.log(`   USDC Token: ${usdcTokenAddress}`);
-    } catch (error) {
-        console.error("❌ Treasury verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Achievement NFT
-    console.log("\n🔍 Verifying Achievement NFT...");
-    try {
-        const achievementNFT = await ethers.getContractAt("LOSTAchievementNFT", contracts.ACHIEVEMENT_NFT_CONTRACT_ID);
-        const name = await achievementNFT.name();
-        const symbol = await achievementNFT.symbol();
-        
-        console.log("✅ Achievement NFT verified:");
-        console.log(`   Address: ${contracts.ACHIEVEMENT_NFT_CONTRACT_ID}`);
-        console.log(`   Name: ${name}`);
-        console.log(`   Symbol: ${symbol}`);
-    } catch (error) {
-        console.error("❌ Achievement NFT verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Gameplay Verification
-    console.log("\n🔍 Verifying Gameplay Verification...");
-    try {
-        const gameplayVerification = await ethers.getContractAt("GameplayVerification", contracts.GAMEPLAY_VERIFICATION_CONTRACT_ID);
-        const maxViolations = await gameplayVerification.MAX_VIOLATIONS();
-        const sessionTimeout = await gameplayVerification.SESSION_TIMEOUT();
-        
-        console.log("✅ Gameplay Verification verified:");
-        console.log(`   Address: ${contracts.GAMEPLAY_VERIFICATION_CONTRACT_ID}`);
-        console.log(`   Max Violations: ${maxViolations}`);
-        console.log(`   Session Timeout: ${Number(sessionTimeout) / 3600} hours`);
-    } catch (error) {
-        console.error("❌ Gameplay Verification verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Decentralized Leaderboard
-    console.log("\n🔍 Verifying Decentralized Leaderboard...");
-    try {
-        const leaderboard = await ethers.getContractAt("DecentralizedLeaderboard", contracts.LEADERBOARD_CONTRACT_ID);
-        const currentSeason = await leaderboard.currentSeason();
-        const totalPlayers = await leaderboard.totalPlayers();
-        
-        console.log("✅ Decentralized Leaderboard verified:");
-        console.log(`   Address: ${contracts.LEADERBOARD_CONTRACT_ID}`);
-        console.log(`   Current Season: ${currentSeason}`);
-        console.log(`   Total Players: ${totalPlayers}`);
-    } catch (error) {
-        console.error("❌ Decentralized Leaderboard verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Tournament
-    console.log("\n🔍 Verifying Tournament...");
-    try {
-        const tournament = await ethers.getContractAt("Tournament", contracts.TOURNAMENT_CONTRACT_ID);
-        const nextTournamentId = await tournament.nextTournamentId();
-        const protocolFeePercentage = await tournament.protocolFeePercentage();
-        
-        console.log("✅ Tournament verified:");
-        console.log(`   Address: ${contracts.TOURNAMENT_CONTRACT_ID}`);
-        console.log(`   Next Tournament ID: ${nextTournamentId}`);
-        console.log(`   Protocol Fee: ${Number(protocolFeePercentage) / 100}%`);
-    } catch (error) {
-        console.error("❌ Tournament verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Marketplace
-    console.log("\n🔍 Verifying Marketplace...");
-    try {
-        const marketplace = await ethers.getContractAt("Marketplace", contracts.MARKETPLACE_CONTRACT_ID);
-        const nextListingId = await marketplace.nextListingId();
-        const marketplaceFeePercentage = await marketplace.marketplaceFeePercentage();
-        
-        console.log("✅ Marketplace verified:");
-        console.log(`   Address: ${contracts.MARKETPLACE_CONTRACT_ID}`);
-        console.log(`   Next Listing ID: ${nextListingId}`);
-        console.log(`   Marketplace Fee: ${Number(marketplaceFeePercentage) / 100}%`);
-    } catch (error) {
-        console.error("❌ Marketplace verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify USDC Payment Bridge
-    console.log("\n🔍 Verifying USDC Payment Bridge...");
-    try {
-        const paymentBridge = await ethers.getContractAt("USDCPaymentBridge", contracts.PAYMENT_BRIDGE_CONTRACT_ID);
-        const nextWithdrawalId = await paymentBridge.nextWithdrawalId();
-        const lostToUsdcRate = await paymentBridge.lostToUsdcRate();
-        
-        console.log("✅ USDC Payment Bridge verified:");
-        console.log(`   Address: ${contracts.PAYMENT_BRIDGE_CONTRACT_ID}`);
-        console.log(`   Next Withdrawal ID: ${nextWithdrawalId}`);
-        console.log(`   LOST to USDC Rate: ${lostToUsdcRate}`);
-    } catch (error) {
-        console.error("❌ USDC Payment Bridge verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Data Monetization
-    console.log("\n🔍 Verifying Data Monetization...");
-    try {
-        const dataMonetization = await ethers.getContractAt("DataMonetization", contracts.DATA_MONETIZATION_CONTRACT_ID);
-        const nextPackageId = await dataMonetization.nextPackageId();
-        const revenueSharePercentage = await dataMonetization.revenueSharePercentage();
-        
-        console.log("✅ Data Monetization verified:");
-        console.log(`   Address: ${contracts.DATA_MONETIZATION_CONTRACT_ID}`);
-        console.log(`   Next Package ID: ${nextPackageId}`);
-        console.log(`   Revenue Share: ${Number(revenueSharePercentage) / 100}%`);
-    } catch (error) {
-        console.error("❌ Data Monetization verification failed:", error.message);
-        allVerified = false;
-    }
-
-    // Verify Staking
-    console.log("\n🔍 Verifying Staking...");
-    try {
-        const staking = await ethers.getContractAt("Staking", contracts.STAKING_CONTRACT_ID);
-        const nextProposalId = await staking.nextProposalId();
-        const totalStaked = await staking.totalStaked();
-        
-        console.log("✅ Staking verified:");
-        console.log(`   Address: ${contracts.STAKING_CONTRACT_ID}`);
-        console.log(`   Next Proposal ID: ${nextProposalId}`);
-        console.log(`   Total Staked: ${ethers.formatUnits(totalStaked, 18)} LOST`);
-    } catch (error) {
-        console.error("❌ Staking verification failed:", error.message);
-        allVerified = false;
+    if (VERIFY_SOURCE) {
+        if (!VERIFY_API_URL) {
+            console.error(`❌ No verification endpoint for network "${network.name}"; set VERIFY_API_URL`);
+            process.exit(1);
+        }
+        allVerified = await verifySources(deploymentInfo, order);
+    }
+
+    console.log("\n🔍 Checking contracts respond...");
+    for (const name of order) {
+        const { id, label, views = [] } = contractSpecs[name];
+        console.log(`\n🔍 Checking ${label}...`);
+        try {
+            const instance = await ethers.getContractAt(name, contracts[id]);
+            const lines = [];
+            for (const view of views) {
+                const value = await instance[view.fn]();
+                lines.push(`   ${view.fn}: ${formatView(value, view.format)}`);
+            }
+
+            console.log(`✅ ${label} responds:`);
+            console.log(`   Address: ${contracts[id]}`);
+            lines.forEach((line) => console.log(line));
+        } catch (error) {
+            console.error(`❌ ${label} check failed:`, error.message);
+            allVerified = false;
+        }
     }
 
     // Test basic role configurations (optional)
@@ -258,10 +205,7 @@ async function main() {
     deploymentInfo.lastVerification = new Date().toISOString();
     deploymentInfo.verificationStatus = allVerified ? "PASSED" : "FAILED";
     
-    fs.writeFileSync(
-        "./deployment-info.json",
-        JSON.stringify(deploymentInfo, null, 2)
-    );
+    saveManifest(deploymentInfo);
 
     if (!allVerified) {
         process.exit(1);
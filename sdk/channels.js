@@ -0,0 +1,460 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseUsdc, formatUsdc } = require("./units");
+
+// Off-chain payment channels over USDCPaymentBridge. Both participants sign every state
+// (keccak256(channelId, balance1, balance2, nonce), as an EIP-191 personal message); the latest
+// co-signed state is kept in a store and submitted with updateChannel before closeChannel.
+//
+// closeChannel pays out whatever state is on-chain at that moment and there is no dispute window,
+// so a participant holding a newer co-signed state must submit it before the other side closes.
+
+const ACCEPT_TIMEOUT = 30000;
+
+// Off-chain failures: a refused or conflicting payment, a missing countersignature. Contract
+// reverts still surface as LostProtocolError.
+class ChannelError extends Error {
+    constructor(message, { reason } = {}) {
+        super(message);
+        this.name = "ChannelError";
+        this.reason = reason;
+    }
+}
+
+/** Hash both participants sign for updateChannel */
+function channelStateHash(channelId, balance1, balance2, nonce) {
+    return ethers.solidityPackedKeccak256(["bytes32", "uint256", "uint256", "uint256"], [channelId, balance1, balance2, nonce]);
+}
+
+function signChannelState(signer, { channelId, balance1, balance2, nonce }) {
+    return signer.signMessage(ethers.getBytes(channelStateHash(channelId, balance1, balance2, nonce)));
+}
+
+function recoverChannelSigner({ channelId, balance1, balance2, nonce }, signature) {
+    return ethers.verifyMessage(ethers.getBytes(channelStateHash(channelId, balance1, balance2, nonce)), signature);
+}
+
+// States travel and are stored as JSON, with amounts and nonces as decimal strings
+function stateToJson(state) {
+    return {
+        balance1: state.balance1.toString(),
+        balance2: state.balance2.toString(),
+        nonce: state.nonce.toString(),
+        signature1: state.signature1 || null,
+        signature2: state.signature2 || null
+    };
+}
+
+function stateFromJson(json) {
+    return {
+        balance1: BigInt(json.balance1),
+        balance2: BigInt(json.balance2),
+        nonce: BigInt(json.nonce),
+        signature1: json.signature1 || null,
+        signature2: json.signature2 || null
+    };
+}
+
+/** Channel records kept in memory only, for tests */
+function createMemoryChannelStore() {
+    const records = new Map();
+    return {
+        async load(channelId) {
+            return records.has(channelId) ? JSON.parse(records.get(channelId)) : null;
+        },
+        async save(channelId, record) {
+            records.set(channelId, JSON.stringify(record));
+        }
+    };
+}
+
+/**
+ * One JSON file per channel in `dir`, replaced atomically so a crash never leaves a half-written
+ * state behind.
+ */
+function createFileChannelStore(dir) {
+    const fileOf = (channelId) => path.join(dir, `${channelId.toLowerCase()}.json`);
+    return {
+        async load(channelId) {
+            try {
+                return JSON.parse(await fs.promises.readFile(fileOf(channelId), "utf8"));
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async save(channelId, record) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = fileOf(channelId);
+            const tmp = `${file}.tmp`;
+            const handle = await fs.promises.open(tmp, "w");
+            try {
+                await handle.writeFile(JSON.stringify(record, null, 2));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tmp, file);
+        }
+    };
+}
+
+/**
+ * Two connected transports that deliver to each other asynchronously, for tests and for two
+ * parties in the same process. Messages are JSON round-tripped like they would be on the wire.
+ */
+function createMemoryTransportPair() {
+    const make = () => ({ handlers: new Set(), peer: null, closed: false });
+    const ends = [make(), make()];
+    ends[0].peer = ends[1];
+    ends[1].peer = ends[0];
+    return ends.map((end) => ({
+        send(message) {
+            if (end.closed || end.peer.closed) {
+                throw new Error("Transport closed");
+            }
+            const wire = JSON.stringify(message);
+            setImmediate(() => end.peer.handlers.forEach((handler) => handler(JSON.parse(wire))));
+        },
+        onMessage(handler) {
+            end.handlers.add(handler);
+            return () => end.handlers.delete(handler);
+        },
+        close() {
+            end.closed = true;
+        }
+    }));
+}
+
+/**
+ * Transport over a WebSocket: a browser WebSocket or one from the `ws` package. Messages sent
+ * while the socket is still connecting go out once it opens.
+ */
+function createWebSocketTransport(socket) {
+    const opened = socket.readyState === 0
+        ? new Promise((resolve) => (socket.addEventListener ? socket.addEventListener("open", resolve) : socket.once("open", resolve)))
+        : Promise.resolve();
+    return {
+        send(message) {
+            const data = JSON.stringify(message);
+            if (socket.readyState === 0) {
+                opened.then(() => socket.send(data));
+            } else {
+                socket.send(data);
+            }
+        },
+        onMessage(handler) {
+            const listener = (event) => {
+                const data = event && event.data !== undefined ? event.data : event;
+                try {
+                    handler(JSON.parse(data.toString()));
+                } catch (error) {
+                    // Not one of ours; ignore
+                }
+            };
+            if (socket.addEventListener) {
+                socket.addEventListener("message", listener);
+                return () => socket.removeEventListener("message", listener);
+            }
+            socket.on("message", listener);
+            return () => socket.off("message", listener);
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
+
+/**
+ * Attach to an open channel as either participant, resuming from `store` when it has a record
+ * and starting from the on-chain state otherwise.
+ *
+ * @param {import("./client").LostClient} client Client whose runner is this participant's signer
+ * @param {object} options
+ * @param {string} options.channelId
+ * @param {{ send: Function, onMessage: Function }} options.transport Connection to the other participant
+ * @param {{ load: Function, save: Function }} options.store
+ * @param {(payment: { amount: bigint, state: object }) => boolean|Promise<boolean>} [options.acceptPayment]
+ *        Policy for incoming payments; all are accepted by default
+ * @param {number} [options.timeout] ms to wait for the other side to countersign
+ */
+async function joinChannel(client, { channelId, transport, store, acceptPayment = () => true, timeout = ACCEPT_TIMEOUT }) {
+    const bridge = client.bridge;
+    const signer = bridge.contract.runner;
+    const me = await signer.getAddress();
+
+    let record = await store.load(channelId);
+    if (!record) {
+        const onChain = await bridge.contract.paymentChannels(channelId);
+        if (onChain.participant1 === ethers.ZeroAddress) {
+            throw new ChannelError(`Channel ${channelId} does not exist`);
+        }
+        record = {
+            channelId,
+            participant1: onChain.participant1,
+            participant2: onChain.participant2,
+            latest: stateToJson({ balance1: onChain.balance1, balance2: onChain.balance2, nonce: onChain.nonce }),
+            pending: null
+        };
+        await store.save(channelId, record);
+    }
+    const { participant1, participant2 } = record;
+    if (me !== participant1 && me !== participant2) {
+        throw new ChannelError(`${me} is not a participant of channel ${channelId}`);
+    }
+    const position = me === participant1 ? 1 : 2;
+    const counterparty = position === 1 ? participant2 : participant1;
+
+    let latest = stateFromJson(record.latest);
+    let pending = record.pending ? stateFromJson(record.pending) : null;
+    let waiter = null;
+    let queue = Promise.resolve();
+    const paymentHandlers = new Set();
+
+    const mine = (state) => (position === 1 ? state.balance1 : state.balance2);
+    const hashable = (state) => ({ channelId, ...state });
+
+    async function persist() {
+        await store.save(channelId, {
+            channelId,
+            participant1,
+            participant2,
+            latest: stateToJson(latest),
+            pending: pending ? stateToJson(pending) : null
+        });
+    }
+
+    function coSigned(state) {
+        return state.signature1
+            && state.signature2
+            && recoverChannelSigner(hashable(state), state.signature1) === participant1
+            && recoverChannelSigner(hashable(state), state.signature2) === participant2;
+    }
+
+    function reply(message) {
+        transport.send({ channelId, from: me, ...message });
+    }
+
+    async function handleProposal(message) {
+        const state = stateFromJson(message.state);
+        const reject = (reason) => reply({ type: "reject", nonce: state.nonce.toString(), reason, latest: stateToJson(latest) });
+
+        if (state.nonce !== latest.nonce + 1n) {
+            return reject(`Expected nonce ${latest.nonce + 1n}`);
+        }
+        if (pending && pending.nonce === state.nonce && position === 1) {
+            // Both sides proposed the same nonce; participant1's proposal goes first
+            return reject("Conflicting proposal");
+        }
+        if (state.balance1 + state.balance2 !== latest.balance1 + latest.balance2) {
+            return reject("Balance mismatch");
+        }
+        const amount = mine(state) - mine(latest);
+        if (amount <= 0n) {
+            return reject("Only payments to the receiver are countersigned");
+        }
+        const theirs = position === 1 ? state.signature2 : state.signature1;
+        if (!theirs || recoverChannelSigner(hashable(state), theirs) !== counterparty) {
+            return reject("Invalid signature");
+        }
+        if (!(await acceptPayment({ amount, state }))) {
+            return reject("Payment refused");
+        }
+
+        const signature = await signChannelState(signer, hashable(state));
+        latest = position === 1 ? { ...state, signature1: signature } : { ...state, signature2: signature };
+        if (pending && pending.nonce <= latest.nonce) {
+            pending = null;
+            if (waiter) {
+                waiter.reject(new ChannelError("Conflicting proposal from the other participant", { reason: "Conflict" }));
+            }
+        }
+        await persist();
+        reply({ type: "accept", nonce: state.nonce.toString(), signature });
+        for (const handler of paymentHandlers) {
+            handler({ amount, state: { ...latest } });
+        }
+    }
+
+    async function handleResponse(message) {
+        if (!pending || BigInt(message.nonce) !== pending.nonce || !waiter) {
+            return;
+        }
+        if (message.type === "accept") {
+            const state = position === 1 ? { ...pending, signature2: message.signature } : { ...pending, signature1: message.signature };
+            if (!coSigned(state)) {
+                waiter.reject(new ChannelError("Countersignature does not match the proposed state", { reason: "Invalid signature" }));
+                return;
+            }
+            latest = state;
+            pending = null;
+            await persist();
+            waiter.resolve(state);
+            return;
+        }
+        // A rejection carries the other side's latest state; adopt it if it is newer and co-signed
+        const theirs = message.latest ? stateFromJson(message.latest) : null;
+        if (theirs && theirs.nonce > latest.nonce && coSigned(theirs)) {
+            latest = theirs;
+        }
+        pending = null;
+        await persist();
+        waiter.reject(new ChannelError(`Payment rejected: ${message.reason}`, { reason: message.reason }));
+    }
+
+    const unsubscribe = transport.onMessage((message) => {
+        if (!message || message.channelId !== channelId || message.from !== counterparty) {
+            return;
+        }
+        // Handle messages one at a time so state changes never interleave
+        queue = queue
+            .then(() => (message.type === "propose" ? handleProposal(message) : handleResponse(message)))
+            .catch(() => {});
+    });
+
+    async function propose(value) {
+        if (mine(latest) < value) {
+            throw new ChannelError(`Channel balance ${formatUsdc(mine(latest))} USDC is below ${formatUsdc(value)}`, { reason: "Insufficient balance" });
+        }
+        const next = {
+            balance1: position === 1 ? latest.balance1 - value : latest.balance1 + value,
+            balance2: position === 1 ? latest.balance2 + value : latest.balance2 - value,
+            nonce: latest.nonce + 1n
+        };
+        const signature = await signChannelState(signer, hashable(next));
+        pending = position === 1 ? { ...next, signature1: signature } : { ...next, signature2: signature };
+        // Recorded before sending: once the other side has it, they can countersign and submit it
+        await persist();
+
+        const settled = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new ChannelError("Timed out waiting for the countersignature", { reason: "Timeout" })), timeout);
+            waiter = {
+                resolve: (state) => { clearTimeout(timer); waiter = null; resolve(state); },
+                reject: (error) => { clearTimeout(timer); waiter = null; reject(error); }
+            };
+        });
+        reply({ type: "propose", state: stateToJson(pending) });
+        return settled;
+    }
+
+    let paying = Promise.resolve();
+
+    const channel = {
+        channelId,
+        participant1,
+        participant2,
+        counterparty,
+
+        /** Latest co-signed state (nonce 0 is the opening deposit and carries no signatures) */
+        state: () => ({ ...latest }),
+        /** This participant's side of the latest state, in USDC */
+        balance: () => formatUsdc(mine(latest)),
+        /** Proposal sent but not countersigned yet, if any */
+        pendingState: () => (pending ? { ...pending } : null),
+
+        /**
+         * Pay the other participant. Resolves with the co-signed state. A conflicting proposal
+         * from the other side is countersigned first and the payment retried on top of it.
+         * @param {string|number|bigint} amount USDC
+         */
+        pay(amount) {
+            const value = parseUsdc(amount);
+            const run = paying.then(async () => {
+                for (let attempt = 0; ; attempt++) {
+                    try {
+                        return await propose(value);
+                    } catch (error) {
+                        const retry = error.reason === "Conflict" || error.reason === "Conflicting proposal" || /^Expected nonce/.test(error.reason || "");
+                        if (!retry || attempt >= 2) {
+                            throw error;
+                        }
+                        await queue;
+                    }
+                }
+            });
+            paying = run.catch(() => {});
+            return run;
+        },
+
+        /** Called with { amount, state } for every payment received */
+        onPayment(handler) {
+            paymentHandlers.add(handler);
+            return () => paymentHandlers.delete(handler);
+        },
+
+        /**
+         * Submit the latest co-signed state with updateChannel unless the chain already has it.
+         * @returns {Promise<import("ethers").TransactionReceipt|null>}
+         */
+        async submitLatest() {
+            const onChain = await bridge.contract.paymentChannels(channelId);
+            if (!onChain.isOpen) {
+                throw new ChannelError(`Channel ${channelId} is closed`, { reason: "Channel closed" });
+            }
+            if (latest.nonce <= onChain.nonce) {
+                return null;
+            }
+            return bridge.call("updateChannel", channelId, latest.balance1, latest.balance2, latest.nonce, latest.signature1, latest.signature2);
+        },
+
+        /** Submit the latest state, then close the channel and pay both sides out. */
+        async close() {
+            await paying;
+            await queue;
+            await channel.submitLatest();
+            const receipt = await bridge.call("closeChannel", channelId);
+            unsubscribe();
+            return receipt;
+        },
+
+        /** Stop listening to the transport without closing the channel */
+        detach: () => unsubscribe()
+    };
+    return channel;
+}
+
+/**
+ * Open a channel to `counterparty` with a USDC deposit (approving it first if needed) and attach
+ * to it. Both participants must be KYC verified; the counterparty joins with the returned
+ * channelId.
+ *
+ * @param {import("./client").LostClient} client
+ * @param {object} options Same as joinChannel, plus:
+ * @param {string} options.counterparty
+ * @param {string|number|bigint} options.deposit USDC
+ */
+async function openChannel(client, { counterparty, deposit, ...options }) {
+    const bridge = client.bridge;
+    const value = parseUsdc(deposit);
+    await client.ensureAllowance(await bridge.contract.usdcTokenAddress(), bridge.address, value);
+    const receipt = await bridge.call("openPaymentChannel", counterparty, value);
+    const opened = receipt.logs
+        .map((log) => {
+            try {
+                return bridge.contract.interface.parseLog(log);
+            } catch (error) {
+                return null;
+            }
+        })
+        .find((event) => event && event.name === "PaymentChannelOpened");
+    if (!opened) {
+        throw new ChannelError("openPaymentChannel emitted no PaymentChannelOpened event");
+    }
+    return joinChannel(client, { ...options, channelId: opened.args.channelId });
+}
+
+module.exports = {
+    ChannelError,
+    channelStateHash,
+    signChannelState,
+    recoverChannelSigner,
+    createMemoryChannelStore,
+    createFileChannelStore,
+    createMemoryTransportPair,
+    createWebSocketTransport,
+    joinChannel,
+    openChannel
+};
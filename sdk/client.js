@@ -0,0 +1,398 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { STAKING_TIERS, TOURNAMENT_TYPES, TOURNAMENT_STATES, LISTING_TYPES, RARITIES } = require("./constants");
+const { decodeError } = require("./errors");
+const { parseLost, formatLost, parseUsdc, formatUsdc, parseNative, formatNative } = require("./units");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts");
+
+// Client property → contract name in the manifest and artifacts
+const CONTRACTS = {
+    token: "LOSTToken",
+    treasury: "Treasury",
+    achievements: "LOSTAchievementNFT",
+    gameplay: "GameplayVerification",
+    leaderboard: "DecentralizedLeaderboard",
+    tournament: "Tournament",
+    marketplace: "Marketplace",
+    bridge: "USDCPaymentBridge",
+    data: "DataMonetization",
+    staking: "Staking"
+};
+
+const ERC20_ABI = [
+    "function balanceOf(address) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+function loadAbi(artifactsDir, name) {
+    const file = path.join(artifactsDir, "src", `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No artifact for ${name} at ${file}; run \`hardhat compile\` first`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+// The package does not ship deployments/, so a network name is only looked up in a directory the
+// caller names
+function loadDeployment(manifest, deploymentsDir) {
+    if (typeof manifest === "object" && manifest !== null) {
+        return manifest;
+    }
+    if (typeof manifest !== "string") {
+        throw new Error("createClient needs a manifest: an object, a .json path, or a network name with deploymentsDir");
+    }
+    if (!manifest.endsWith(".json") && !deploymentsDir) {
+        throw new Error(`createClient got network "${manifest}" without deploymentsDir; pass the manifest or its path instead`);
+    }
+    const file = manifest.endsWith(".json") ? manifest : path.join(deploymentsDir, `${manifest}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment manifest at ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function enumIndex(values, value, kind) {
+    if (typeof value === "number" || typeof value === "bigint") {
+        return Number(value);
+    }
+    const index = values.indexOf(value);
+    if (index === -1) {
+        throw new Error(`Unknown ${kind} "${value}" (expected one of ${values.join(", ")})`);
+    }
+    return index;
+}
+
+function eventArg(contract, receipt, eventName, argName) {
+    for (const log of receipt.logs) {
+        let parsed = null;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch (error) {
+            continue;
+        }
+        if (parsed && parsed.name === eventName) {
+            return parsed.args[argName];
+        }
+    }
+    throw new Error(`${eventName} was not emitted`);
+}
+
+/**
+ * @typedef {object} ContractHandle
+ * @property {string} name Contract name
+ * @property {string} address Proxy address
+ * @property {import("ethers").Contract} contract Raw contract (typechain type of the same name)
+ * @property {(method: string, ...args: any[]) => Promise<any>} call Read or write any method; reverts become typed errors
+ */
+
+/**
+ * Handles are typed with the typechain bindings generated by `hardhat compile`.
+ * @typedef {object} LostClient
+ * @property {object} deployment The loaded manifest
+ * @property {(tokenAddress: string, spender: string, amount: bigint) => Promise<void>} ensureAllowance
+ * @property {ContractHandle & { contract: import("../typechain-types").LOSTToken }} token
+ * @property {ContractHandle & { contract: import("../typechain-types").Treasury }} treasury
+ * @property {ContractHandle & { contract: import("../typechain-types").LOSTAchievementNFT }} achievements
+ * @property {ContractHandle & { contract: import("../typechain-types").GameplayVerification }} gameplay
+ * @property {ContractHandle & { contract: import("../typechain-types").DecentralizedLeaderboard }} leaderboard
+ * @property {ContractHandle & { contract: import("../typechain-types").Tournament }} tournament
+ * @property {ContractHandle & { contract: import("../typechain-types").Marketplace }} marketplace
+ * @property {ContractHandle & { contract: import("../typechain-types").USDCPaymentBridge }} bridge
+ * @property {ContractHandle & { contract: import("../typechain-types").DataMonetization }} data
+ * @property {ContractHandle & { contract: import("../typechain-types").Staking }} staking
+ */
+
+/**
+ * Client for a deployed LOST Protocol.
+ *
+ * @param {object} options
+ * @param {object|string} options.manifest Deployment manifest: an object, a path to a .json file, or a
+ *   network name read from `deploymentsDir`
+ * @param {string} [options.deploymentsDir] Directory holding `<network>.json` manifests, e.g. a
+ *   checkout's deployments/
+ * @param {import("ethers").Signer|import("ethers").Provider} options.runner Signer for transactions, or a provider for reads only
+ * @param {string} [options.artifacts] Hardhat artifacts directory
+ * @returns {LostClient}
+ */
+function createClient({ manifest, deploymentsDir = null, runner, artifacts = ARTIFACTS_DIR }) {
+    if (!runner) {
+        throw new Error("createClient needs a runner (signer or provider)");
+    }
+    const deployment = loadDeployment(manifest, deploymentsDir);
+    const interfaces = [];
+    const handles = {};
+
+    for (const [key, name] of Object.entries(CONTRACTS)) {
+        const record = deployment.contracts && deployment.contracts[name];
+        if (!record || !record.proxy) {
+            continue;
+        }
+        const contract = new ethers.Contract(record.proxy, loadAbi(artifacts, name), runner);
+        interfaces.push(contract.interface);
+        handles[key] = { name, address: record.proxy, contract };
+    }
+
+    async function signerAddress() {
+        if (typeof runner.getAddress !== "function") {
+            throw new Error("This call needs a signer; the client was created with a provider");
+        }
+        return runner.getAddress();
+    }
+
+    async function invoke(handle, method, args) {
+        try {
+            const result = await handle.contract[method](...args);
+            return result && typeof result.wait === "function" ? await result.wait() : result;
+        } catch (error) {
+            throw decodeError(error, { interfaces, contract: handle.name, method });
+        }
+    }
+
+    // Approve `spender` for `amount` of an ERC20 unless the current allowance already covers it
+    async function ensureAllowance(tokenAddress, spender, amount) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+        const owner = await signerAddress();
+        if ((await token.allowance(owner, spender)) < amount) {
+            await invoke({ name: "ERC20", contract: token }, "approve", [spender, amount]);
+        }
+    }
+
+    const client = { deployment, contracts: handles, ensureAllowance };
+    for (const [key, handle] of Object.entries(handles)) {
+        client[key] = { ...handle, call: (method, ...args) => invoke(handle, method, args) };
+    }
+
+    if (handles.token) {
+        const { token } = handles;
+        Object.assign(client.token, {
+            async balanceOf(address) {
+                return formatLost(await token.contract.balanceOf(address || (await signerAddress())));
+            },
+            transfer: (to, amount) => invoke(token, "transfer", [to, parseLost(amount)]),
+            approve: (spender, amount) => invoke(token, "approve", [spender, parseLost(amount)]),
+            async getTokenomics() {
+                const [currentSupply, maxSupply, minted, burned, circulating] = await token.contract.getTokenomics();
+                return {
+                    currentSupply: formatLost(currentSupply),
+                    maxSupply: formatLost(maxSupply),
+                    minted: formatLost(minted),
+                    burned: formatLost(burned),
+                    circulating: formatLost(circulating)
+                };
+            }
+        });
+    }
+
+    if (handles.staking) {
+        const { staking } = handles;
+        const lostAddress = () => staking.contract.lostTokenAddress();
+        Object.assign(client.staking, {
+            TIERS: STAKING_TIERS,
+            /** Stake LOST in a tier ("BRONZE" … "DIAMOND"), approving the transfer first if needed. */
+            async stake(amount, tier = "BRONZE") {
+                const value = parseLost(amount);
+                await ensureAllowance(await lostAddress(), staking.address, value);
+                return invoke(staking, "stake(uint256,uint256)", [value, enumIndex(STAKING_TIERS, tier, "staking tier")]);
+            },
+            unstake: (stakeId) => invoke(staking, "unstake", [stakeId]),
+            claimRewards: () => invoke(staking, "claimRewards", []),
+            async distributeRewards(amount) {
+                const value = parseLost(amount);
+                await ensureAllowance(await lostAddress(), staking.address, value);
+                return invoke(staking, "distributeRewards", [value]);
+            },
+            async getStats(address) {
+                const [totalStaked, votingPower, stakeCount, pendingRewards] =
+                    await staking.contract.getUserStakingStats(address || (await signerAddress()));
+                return {
+                    totalStaked: formatLost(totalStaked),
+                    votingPower: formatLost(votingPower),
+                    stakeCount: Number(stakeCount),
+                    pendingRewards: formatLost(pendingRewards)
+                };
+            }
+        });
+    }
+
+    if (handles.tournament) {
+        const { tournament } = handles;
+        Object.assign(client.tournament, {
+            TYPES: TOURNAMENT_TYPES,
+            STATES: TOURNAMENT_STATES,
+            /** @returns {Promise<bigint>} id of the new tournament */
+            async createTournament({ name, entryFee, maxParticipants, startTime, type = "TIME_ATTACK" }) {
+                const receipt = await invoke(tournament, "createTournament", [
+                    name,
+                    parseNative(entryFee),
+                    maxParticipants,
+                    Math.floor(startTime instanceof Date ? startTime.getTime() / 1000 : startTime),
+                    enumIndex(TOURNAMENT_TYPES, type, "tournament type")
+                ]);
+                return eventArg(tournament.contract, receipt, "TournamentCreated", "tournamentId");
+            },
+            /** Join a tournament, paying its entry fee. */
+            async joinTournament(tournamentId) {
+                const info = await tournament.contract.getTournamentInfo(tournamentId);
+                return invoke(tournament, "joinTournament", [tournamentId, { value: info.entryFee }]);
+            },
+            claimPrize: (tournamentId) => invoke(tournament, "claimPrize", [tournamentId]),
+            async getTournament(tournamentId) {
+                const info = await tournament.contract.getTournamentInfo(tournamentId);
+                return {
+                    id: BigInt(tournamentId),
+                    name: info.name,
+                    entryFee: formatNative(info.entryFee),
+                    prizePool: formatNative(info.prizePool),
+                    participants: Number(info.currentParticipants),
+                    maxParticipants: Number(info.maxParticipants),
+                    startTime: Number(info.startTime),
+                    endTime: Number(info.endTime),
+                    state: TOURNAMENT_STATES[Number(info.state)],
+                    organizer: info.organizer
+                };
+            },
+            async getPrize(tournamentId, address) {
+                return formatNative(await tournament.contract.claimablePrizes(tournamentId, address || (await signerAddress())));
+            }
+        });
+    }
+
+    if (handles.marketplace) {
+        const { marketplace } = handles;
+        const nftAddress = () => marketplace.contract.achievementNFTAddress();
+
+        async function approveNft(tokenId) {
+            const nft = new ethers.Contract(await nftAddress(), [
+                "function getApproved(uint256) view returns (address)",
+                "function isApprovedForAll(address, address) view returns (bool)",
+                "function approve(address, uint256)"
+            ], runner);
+            const owner = await signerAddress();
+            const approved = await nft.getApproved(tokenId);
+            if (approved !== marketplace.address && !(await nft.isApprovedForAll(owner, marketplace.address))) {
+                await invoke({ name: "LOSTAchievementNFT", contract: nft }, "approve", [marketplace.address, tokenId]);
+            }
+        }
+
+        async function list(method, tokenId, args, options = {}) {
+            await approveNft(tokenId);
+            const receipt = await invoke(marketplace, method, [
+                await nftAddress(),
+                tokenId,
+                ...args,
+                options.ipfsHash || "",
+                enumIndex(RARITIES, options.rarity || "COMMON", "rarity")
+            ]);
+            return eventArg(marketplace.contract, receipt, "ListingCreated", "listingId");
+        }
+
+        Object.assign(client.marketplace, {
+            LISTING_TYPES,
+            RARITIES,
+            /** @returns {Promise<bigint>} listing id */
+            listForSale: (tokenId, price, options) => list("listForSale", tokenId, [parseNative(price)], options),
+            listForAuction: (tokenId, startingPrice, durationSeconds, options) =>
+                list("listForAuction", tokenId, [parseNative(startingPrice), durationSeconds], options),
+            listForRental: (tokenId, dailyPrice, options) => list("listForRental", tokenId, [parseNative(dailyPrice)], options),
+            async buy(listingId) {
+                const listing = await marketplace.contract.listings(listingId);
+                return invoke(marketplace, "buyNFT", [listingId, { value: listing.price }]);
+            },
+            bid: (listingId, amount) => invoke(marketplace, "placeBid(uint256)", [listingId, { value: parseNative(amount) }]),
+            endAuction: (listingId) => invoke(marketplace, "endAuction", [listingId]),
+            /** Rent for `days`, paying the rent plus the refundable collateral. */
+            async rent(listingId, days) {
+                const terms = await marketplace.contract.rentalTerms(listingId);
+                const value = terms.dailyPrice * BigInt(days) + terms.collateral;
+                return invoke(marketplace, "rentNFT", [listingId, days, { value }]);
+            },
+            endRental: (tokenId) => invoke(marketplace, "endRental", [tokenId]),
+            cancelListing: (listingId) => invoke(marketplace, "cancelListing", [listingId]),
+            async getListing(listingId) {
+                const listing = await marketplace.contract.listings(listingId);
+                return {
+                    id: BigInt(listingId),
+                    seller: listing.seller,
+                    nftContract: listing.nftContract,
+                    tokenId: listing.tokenId,
+                    price: formatNative(listing.price),
+                    listingType: LISTING_TYPES[Number(listing.listingType)],
+                    active: Number(listing.status) === 0,
+                    rarity: RARITIES[Number(listing.rarity)],
+                    ipfsHash: listing.ipfsHash
+                };
+            }
+        });
+    }
+
+    if (handles.bridge) {
+        const { bridge } = handles;
+        const tokenAddress = async (token) => (token === "LOST" ? bridge.contract.lostTokenAddress() : bridge.contract.usdcTokenAddress());
+        Object.assign(client.bridge, {
+            /**
+             * Request a withdrawal to USDC, approving the deposit first if needed.
+             * @param {string|number|bigint} amount In units of `token`
+             * @param {"USDC"|"LOST"} [token]
+             * @returns {Promise<bigint>} request id
+             */
+            async requestWithdrawal(amount, token = "USDC") {
+                const value = token === "LOST" ? parseLost(amount) : parseUsdc(amount);
+                const address = await tokenAddress(token);
+                await ensureAllowance(address, bridge.address, value);
+                const receipt = await invoke(bridge, "requestWithdrawal", [value, address]);
+                return eventArg(bridge.contract, receipt, "WithdrawalRequested", "requestId");
+            },
+            processWithdrawal: (requestId) => invoke(bridge, "processWithdrawal", [requestId]),
+            async addLiquidity(amount) {
+                const value = parseUsdc(amount);
+                await ensureAllowance(await tokenAddress("USDC"), bridge.address, value);
+                return invoke(bridge, "addLiquidity", [value]);
+            },
+            async getPendingWithdrawals(address) {
+                const ids = await bridge.contract.getPendingWithdrawals(address || (await signerAddress()));
+                const requests = [];
+                for (const requestId of ids) {
+                    const request = await bridge.contract.withdrawalRequests(requestId);
+                    requests.push({ requestId, player: request.player, amount: formatUsdc(request.amount), timestamp: Number(request.timestamp) });
+                }
+                return requests;
+            },
+            async getLiquidity() {
+                const usdc = new ethers.Contract(await tokenAddress("USDC"), ERC20_ABI, runner);
+                return formatUsdc(await usdc.balanceOf(bridge.address));
+            }
+        });
+    }
+
+    if (handles.data) {
+        const { data } = handles;
+        Object.assign(client.data, {
+            grantConsent: ({ movement = false, performance = false, puzzles = false, social = false, aiTraining = false } = {}) =>
+                invoke(data, "grantDataConsent", [movement, performance, puzzles, social, aiTraining]),
+            revokeConsent: () => invoke(data, "revokeDataConsent", []),
+            claimRewards: () => invoke(data, "claimDataRewards", []),
+            async pendingRewards(address) {
+                return formatLost(await data.contract.pendingRewards(address || (await signerAddress())));
+            }
+        });
+    }
+
+    if (handles.leaderboard) {
+        const { leaderboard } = handles;
+        Object.assign(client.leaderboard, {
+            async getPlayerRank(address) {
+                return Number(await leaderboard.contract.getPlayerRank(address || (await signerAddress())));
+            }
+        });
+    }
+
+    return client;
+}
+
+module.exports = {
+    CONTRACTS,
+    createClient
+};
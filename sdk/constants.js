@@ -0,0 +1,23 @@
+// Solidity enums as the contracts declare them: a value's name is at its index
+
+// ILOSTAchievementNFT.AchievementType
+const ACHIEVEMENT_TYPES = ["PUZZLE_MASTER", "SPEED_DEMON", "FIRST_BLOOD", "COLLECTOR", "STRATEGIST", "WORLD_FIRST", "FLAWLESS_VICTORY"];
+// Staking.StakingTier
+const STAKING_TIERS = ["BRONZE", "SILVER", "GOLD", "PLATINUM", "DIAMOND"];
+// ITournament.TournamentType and TournamentState
+const TOURNAMENT_TYPES = ["SINGLE_ELIMINATION", "DOUBLE_ELIMINATION", "ROUND_ROBIN", "TIME_ATTACK", "SURVIVAL"];
+const TOURNAMENT_STATES = ["REGISTRATION", "IN_PROGRESS", "FINALIZING", "COMPLETED", "CANCELLED"];
+// IMarketplace.ListingType, ListingStatus and AchievementRarity
+const LISTING_TYPES = ["DIRECT_SALE", "AUCTION", "RENTAL", "FRACTIONAL"];
+const LISTING_STATUSES = ["ACTIVE", "SOLD", "CANCELLED", "EXPIRED"];
+const RARITIES = ["COMMON", "RARE", "EPIC", "LEGENDARY", "MYTHIC"];
+
+module.exports = {
+    ACHIEVEMENT_TYPES,
+    STAKING_TIERS,
+    TOURNAMENT_TYPES,
+    TOURNAMENT_STATES,
+    LISTING_TYPES,
+    LISTING_STATUSES,
+    RARITIES
+};
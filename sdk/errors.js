@@ -0,0 +1,138 @@
+// Typed errors for contract reverts. Every error the client throws for a revert is a
+// LostProtocolError; the subclasses below cover the reasons callers usually branch on.
+
+class LostProtocolError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {string} [details.reason] Revert string or custom error name
+     * @param {object} [details.args] Custom error arguments, by name
+     * @param {string} [details.contract] Contract the call went to
+     * @param {string} [details.method]
+     * @param {Error} [details.cause] Original ethers error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.reason = details.reason;
+        this.args = details.args || {};
+        this.contract = details.contract;
+        this.method = details.method;
+        this.cause = details.cause;
+    }
+}
+
+class PlayerBannedError extends LostProtocolError {}
+class KycRequiredError extends LostProtocolError {}
+class BlacklistedError extends LostProtocolError {}
+class UnauthorizedError extends LostProtocolError {}
+class PausedError extends LostProtocolError {}
+class InsufficientPaymentError extends LostProtocolError {}
+class InsufficientBalanceError extends LostProtocolError {}
+class LimitExceededError extends LostProtocolError {}
+class UnverifiedGameplayError extends LostProtocolError {}
+
+// Revert strings (require messages) and custom error names → error class
+const REVERT_REASONS = {
+    "Player is banned": PlayerBannedError,
+    "KYC required": KycRequiredError,
+    "KYC not verified": KycRequiredError,
+    "User blacklisted": BlacklistedError,
+    "Recipient blacklisted": BlacklistedError,
+    "Not authorized": UnauthorizedError,
+    "Insufficient payment": InsufficientPaymentError,
+    "Insufficient payment for bid": InsufficientPaymentError,
+    "Insufficient entry fee": InsufficientPaymentError,
+    "Below minimum withdrawal": LimitExceededError,
+    "Exceeds maximum withdrawal": LimitExceededError,
+    "Exceeds daily limit": LimitExceededError,
+    "Below minimum stake": LimitExceededError,
+    "Unverified gameplay": UnverifiedGameplayError,
+    "Unverified gameplay session": UnverifiedGameplayError,
+    AccessControlUnauthorizedAccount: UnauthorizedError,
+    EnforcedPause: PausedError,
+    ERC20InsufficientBalance: InsufficientBalanceError
+};
+
+function namedArgs(fragment, args) {
+    const named = {};
+    fragment.inputs.forEach((input, index) => {
+        named[input.name || index] = args[index];
+    });
+    return named;
+}
+
+/**
+ * Turn an ethers error from a contract call into a LostProtocolError.
+ * Errors that are not reverts (network, signer, ...) are returned unchanged.
+ * @param {Error} error
+ * @param {object} [context]
+ * @param {import("ethers").Interface[]} [context.interfaces] ABIs to decode custom errors with
+ * @param {string} [context.contract]
+ * @param {string} [context.method]
+ */
+function decodeError(error, context = {}) {
+    if (error instanceof LostProtocolError) {
+        return error;
+    }
+
+    let reason = error.reason || null;
+    let args = {};
+    let revert = error.revert || null;
+    // Hardhat and some RPC errors carry only the raw revert data; Hardhat's HTTP provider nests it
+    // as { message, data }
+    const data = typeof error.data === "string" ? error.data : error.data && typeof error.data.data === "string" ? error.data.data : null;
+    if (!revert && data && data.length > 10) {
+        for (const iface of context.interfaces || []) {
+            const parsed = iface.parseError(data);
+            if (parsed) {
+                revert = parsed;
+                break;
+            }
+        }
+    }
+    if (revert && revert.name === "Error") {
+        reason = revert.args[0];
+    } else if (revert && revert.name === "Panic") {
+        reason = `Panic(${revert.args[0]})`;
+    } else if (revert) {
+        reason = revert.name;
+        for (const iface of context.interfaces || []) {
+            const fragment = iface.getError(revert.name);
+            if (fragment) {
+                args = namedArgs(fragment, revert.args);
+                break;
+            }
+        }
+    }
+
+    const reverted = error.code === "CALL_EXCEPTION" || data !== null;
+    if (reason === null && !reverted) {
+        return error;
+    }
+
+    const ErrorClass = REVERT_REASONS[reason] || LostProtocolError;
+    const where = context.contract ? `${context.contract}.${context.method}` : "Call";
+    return new ErrorClass(`${where} reverted: ${reason || "without a reason"}`, {
+        reason: reason || undefined,
+        args,
+        contract: context.contract,
+        method: context.method,
+        cause: error
+    });
+}
+
+module.exports = {
+    REVERT_REASONS,
+    LostProtocolError,
+    PlayerBannedError,
+    KycRequiredError,
+    BlacklistedError,
+    UnauthorizedError,
+    PausedError,
+    InsufficientPaymentError,
+    InsufficientBalanceError,
+    LimitExceededError,
+    UnverifiedGameplayError,
+    decodeError
+};
@@ -0,0 +1,291 @@
+const { ethers } = require("ethers");
+
+// Off-chain counterparts of GameplayVerification's hashing. Everything here must stay
+// byte-for-byte in line with the contract: a mismatch does not revert, it just leaves the
+// session unverified.
+
+const MIN_CHECKPOINTS = 3;
+
+/**
+ * Movement as the contract's MovementData struct, with every numeric field as a bigint.
+ * @param {{ timestamp: any, x: any, y: any, z: any, velocity: any, previousMoveHash?: string }} move
+ */
+function toMovementData(move) {
+    return {
+        timestamp: BigInt(move.timestamp),
+        x: BigInt(move.x),
+        y: BigInt(move.y),
+        z: BigInt(move.z),
+        velocity: BigInt(move.velocity),
+        previousMoveHash: move.previousMoveHash || ethers.ZeroHash
+    };
+}
+
+/** _hashMovement: keccak256(abi.encodePacked(timestamp, x, y, z, velocity, previousMoveHash)) */
+function hashMovement(move) {
+    const data = toMovementData(move);
+    return ethers.solidityPackedKeccak256(
+        ["uint256", "int256", "int256", "int256", "uint256", "bytes32"],
+        [data.timestamp, data.x, data.y, data.z, data.velocity, data.previousMoveHash]
+    );
+}
+
+/**
+ * Link moves through previousMoveHash, starting from `previousMoveHash` (zero for a new session).
+ * The contract stores the link but does not check it; replays rely on it to detect gaps.
+ * @returns {{ movement: ReturnType<typeof toMovementData>, hash: string }[]}
+ */
+function buildMovementChain(moves, previousMoveHash = ethers.ZeroHash) {
+    let previous = previousMoveHash;
+    return moves.map((move) => {
+        const movement = toMovementData({ ...move, previousMoveHash: previous });
+        const hash = hashMovement(movement);
+        previous = hash;
+        return { movement, hash };
+    });
+}
+
+/** Player signature recordMovement expects: an EIP-191 personal signature over the raw move hash */
+function signMovement(signer, moveHash) {
+    return signer.signMessage(ethers.getBytes(moveHash));
+}
+
+function recoverMovementSigner(moveHash, signature) {
+    return ethers.verifyMessage(ethers.getBytes(moveHash), signature);
+}
+
+/** sessionId startSession derives from the player, nonce and the block timestamp it runs in */
+function sessionIdOf(player, nonce, timestamp) {
+    return ethers.solidityPackedKeccak256(["address", "uint256", "uint256"], [player, nonce, timestamp]);
+}
+
+/** Message a player signs for submitGameSession: keccak256(abi.encodePacked(player, sessionHash, startTime, endTime)) */
+function sessionSummaryHash(player, sessionHash, startTime, endTime) {
+    return ethers.solidityPackedKeccak256(["address", "bytes32", "uint256", "uint256"], [player, sessionHash, startTime, endTime]);
+}
+
+/** Player signature for submitGameSession, signed like a move hash */
+async function signSessionSummary(signer, { sessionHash, startTime, endTime }) {
+    return signer.signMessage(ethers.getBytes(sessionSummaryHash(await signer.getAddress(), sessionHash, startTime, endTime)));
+}
+
+/** Id of the session verifyGameplay creates for a result */
+function verifiedSessionIdOf(player, level, score, completionTime, gameplayHash) {
+    return ethers.solidityPackedKeccak256(
+        ["address", "uint256", "uint256", "uint256", "bytes32"],
+        [player, level, score, completionTime, gameplayHash]
+    );
+}
+
+/** passCheckpoint proof: keccak256(abi.encodePacked(sessionId, checkpointId, player)) */
+function checkpointProof(sessionId, checkpointId, player) {
+    return ethers.solidityPackedKeccak256(["bytes32", "uint256", "address"], [sessionId, checkpointId, player]);
+}
+
+function hashPair(a, b) {
+    return ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [a, b]);
+}
+
+// Tree levels as _computeMerkleRoot builds them: pairs hashed in order, an odd last node promoted
+function merkleLevels(leaves) {
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+/** _computeMerkleRoot over the recorded move hashes; zero for an empty session */
+function computeMerkleRoot(leaves) {
+    if (leaves.length === 0) {
+        return ethers.ZeroHash;
+    }
+    const levels = merkleLevels(leaves);
+    return levels[levels.length - 1][0];
+}
+
+/** Sibling path from leaf `index` to the root of the _computeMerkleRoot tree */
+function merkleProof(leaves, index = 0) {
+    if (index < 0 || index >= leaves.length) {
+        throw new Error(`No leaf ${index} in a tree of ${leaves.length}`);
+    }
+    const proof = [];
+    let position = index;
+    for (const level of merkleLevels(leaves).slice(0, -1)) {
+        const sibling = position % 2 === 0 ? position + 1 : position - 1;
+        if (sibling < level.length) {
+            proof.push(level[sibling]);
+        }
+        position = Math.floor(position / 2);
+    }
+    return proof;
+}
+
+/**
+ * OpenZeppelin MerkleProof.verify, which completeSession runs on the first move. It hashes sorted
+ * pairs while _computeMerkleRoot hashes them in order, so a proof only verifies when every node on
+ * the path sorts before its sibling.
+ */
+function verifyMerkleProof(proof, root, leaf) {
+    let computed = leaf;
+    for (const node of proof) {
+        computed = BigInt(computed) < BigInt(node) ? hashPair(computed, node) : hashPair(node, computed);
+    }
+    return computed === root;
+}
+
+/**
+ * PhysicsConstraints currently set on the contract
+ * @param {import("ethers").BaseContract} gameplay GameplayVerification
+ */
+async function readPhysicsConstraints(gameplay) {
+    const [maxVelocity, maxJumpHeight, maxAcceleration, minTimeBetweenMoves] = await gameplay.physicsConstraints();
+    return { maxVelocity, maxJumpHeight, maxAcceleration, minTimeBetweenMoves };
+}
+
+/**
+ * _validateMovement for `move` following `previous`, the last move the contract recorded (null
+ * for the first). Returns the rules broken; a violation is recorded on-chain instead of the move.
+ * Rules marked `reverts` make recordMovement revert rather than record a violation.
+ * @returns {{ rule: string, message: string, reverts?: boolean }[]}
+ */
+function checkMovement(previous, move, constraints) {
+    const data = toMovementData(move);
+    const violations = [];
+    if (data.velocity > constraints.maxVelocity) {
+        violations.push({ rule: "maxVelocity", message: `velocity ${data.velocity} exceeds ${constraints.maxVelocity}` });
+        return violations;
+    }
+    if (!previous) {
+        return violations;
+    }
+    const last = toMovementData(previous);
+    if (data.timestamp < last.timestamp) {
+        violations.push({ rule: "timestampOrder", message: `timestamp ${data.timestamp} is before ${last.timestamp}`, reverts: true });
+        return violations;
+    }
+    const timeDelta = data.timestamp - last.timestamp;
+    if (timeDelta < constraints.minTimeBetweenMoves) {
+        violations.push({ rule: "minTimeBetweenMoves", message: `${timeDelta} since the last move, minimum is ${constraints.minTimeBetweenMoves}` });
+        return violations;
+    }
+    if (timeDelta === 0n) {
+        violations.push({ rule: "timestampOrder", message: "same timestamp as the last move (division by zero)", reverts: true });
+        return violations;
+    }
+    const velocityDelta = data.velocity > last.velocity ? data.velocity - last.velocity : last.velocity - data.velocity;
+    const acceleration = (velocityDelta * 1000n) / timeDelta;
+    if (acceleration > constraints.maxAcceleration) {
+        violations.push({ rule: "maxAcceleration", message: `acceleration ${acceleration} exceeds ${constraints.maxAcceleration}` });
+        return violations;
+    }
+    if (data.z - last.z > constraints.maxJumpHeight) {
+        violations.push({ rule: "maxJumpHeight", message: `jump of ${data.z - last.z} exceeds ${constraints.maxJumpHeight}` });
+    }
+    return violations;
+}
+
+/**
+ * Run checkMovement over a whole session. A move that fails is not recorded, so the next one is
+ * checked against the last accepted move, as the contract does.
+ * @returns {{ index: number, violations: ReturnType<typeof checkMovement>, recorded: boolean }[]}
+ */
+function checkMovements(moves, constraints, previous = null) {
+    let last = previous;
+    return moves.map((move, index) => {
+        const violations = checkMovement(last, move, constraints);
+        const recorded = violations.length === 0;
+        if (recorded) {
+            last = move;
+        }
+        return { index, violations, recorded };
+    });
+}
+
+/**
+ * Everything a game server submits for a session, checked against the contract's current rules.
+ *
+ * Moves are chained and signed by `player`; those that would fail _validateMovement are reported
+ * in `problems` and left out of the Merkle tree, because the contract will not record them.
+ *
+ * @param {import("ethers").BaseContract} gameplay GameplayVerification
+ * @param {import("ethers").Signer} player
+ * @param {object[]} moves { timestamp, x, y, z, velocity } in submission order
+ * @param {object} [options]
+ * @param {string} [options.sessionId] Needed for checkpoint proofs
+ * @param {Array<number|bigint>} [options.checkpointIds]
+ * @param {string} [options.previousMoveHash] Hash of the last move already recorded
+ * @param {object} [options.previousMove] That move, for the physics checks
+ * @param {object} [options.constraints] Defaults to the contract's physicsConstraints
+ */
+async function buildSessionProof(gameplay, player, moves, options = {}) {
+    const { sessionId, checkpointIds = [], previousMoveHash = ethers.ZeroHash, previousMove = null } = options;
+    const constraints = options.constraints || (await readPhysicsConstraints(gameplay));
+    const playerAddress = await player.getAddress();
+    const problems = [];
+
+    const chain = buildMovementChain(moves, previousMoveHash);
+    const checks = checkMovements(chain.map(({ movement }) => movement), constraints, previousMove);
+    const movements = [];
+    for (const [index, { movement, hash }] of chain.entries()) {
+        const { violations, recorded } = checks[index];
+        for (const violation of violations) {
+            problems.push(`Move ${index}: ${violation.message}${violation.reverts ? " (recordMovement reverts)" : ""}`);
+        }
+        movements.push({ movement, hash, signature: await signMovement(player, hash), violations, recorded });
+    }
+
+    const leaves = movements.filter(({ recorded }) => recorded).map(({ hash }) => hash);
+    const merkleRoot = computeMerkleRoot(leaves);
+    const proof = leaves.length > 0 ? merkleProof(leaves, 0) : [];
+    const proofVerifies = leaves.length > 0 && verifyMerkleProof(proof, merkleRoot, leaves[0]);
+    if (leaves.length === 0) {
+        problems.push("No move would be recorded; completeSession reverts on an empty session");
+    } else if (!proofVerifies) {
+        problems.push("The first move's proof does not verify with sorted-pair hashing; completeSession will not verify this session");
+    }
+
+    const checkpoints = [];
+    for (const checkpointId of checkpointIds) {
+        const registered = (await gameplay.checkpointHashes(checkpointId)) !== ethers.ZeroHash;
+        if (!registered) {
+            problems.push(`Checkpoint ${checkpointId} is not registered; passCheckpoint reverts`);
+        }
+        checkpoints.push({
+            checkpointId: BigInt(checkpointId),
+            proof: sessionId ? checkpointProof(sessionId, checkpointId, playerAddress) : null,
+            registered
+        });
+    }
+    if (checkpoints.filter(({ registered }) => registered).length < MIN_CHECKPOINTS) {
+        problems.push(`Fewer than ${MIN_CHECKPOINTS} registered checkpoints; completeSession will not verify this session`);
+    }
+
+    return { player: playerAddress, sessionId: sessionId || null, constraints, movements, leaves, merkleRoot, merkleProof: proof, proofVerifies, checkpoints, problems };
+}
+
+module.exports = {
+    MIN_CHECKPOINTS,
+    toMovementData,
+    hashMovement,
+    buildMovementChain,
+    signMovement,
+    recoverMovementSigner,
+    sessionIdOf,
+    sessionSummaryHash,
+    signSessionSummary,
+    verifiedSessionIdOf,
+    checkpointProof,
+    computeMerkleRoot,
+    merkleProof,
+    verifyMerkleProof,
+    readPhysicsConstraints,
+    checkMovement,
+    checkMovements,
+    buildSessionProof
+};
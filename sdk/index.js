@@ -0,0 +1,15 @@
+const channels = require("./channels");
+const client = require("./client");
+const constants = require("./constants");
+const errors = require("./errors");
+const gameplay = require("./gameplay");
+const units = require("./units");
+
+module.exports = {
+    ...channels,
+    ...client,
+    ...constants,
+    ...errors,
+    ...gameplay,
+    ...units
+};
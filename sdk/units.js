@@ -0,0 +1,22 @@
+const { ethers } = require("ethers");
+
+const LOST_DECIMALS = 18;
+const USDC_DECIMALS = 6;
+
+// Amounts going in may be human-readable ("12.5", 12.5) or already in base units (bigint)
+function toUnits(amount, decimals) {
+    return typeof amount === "bigint" ? amount : ethers.parseUnits(String(amount), decimals);
+}
+
+module.exports = {
+    LOST_DECIMALS,
+    USDC_DECIMALS,
+    toUnits,
+    parseLost: (amount) => toUnits(amount, LOST_DECIMALS),
+    formatLost: (amount) => ethers.formatUnits(amount, LOST_DECIMALS),
+    parseUsdc: (amount) => toUnits(amount, USDC_DECIMALS),
+    formatUsdc: (amount) => ethers.formatUnits(amount, USDC_DECIMALS),
+    // HBAR is exposed with 18 decimals through the JSON-RPC relay, like ether
+    parseNative: (amount) => toUnits(amount, 18),
+    formatNative: (amount) => ethers.formatEther(amount)
+};
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockUSDC
+ * @dev 6-decimal stand-in for USDC on local networks and in tests
+ * @notice Anyone can mint; never deploy this to a public network
+ */
+contract MockUSDC is ERC20 {
+    constructor() ERC20("USD Coin (Mock)", "USDC") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
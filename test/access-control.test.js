@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { auditContract, getRoleMembers, resolveHolders } = require("../scripts/lib/access-control");
+const { account, deployer: deployerRef } = require("../scripts/lib/deployment-graph");
+const { roles } = require("../config/roles");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("Access-control audit", function () {
+    const rules = (findings) => findings.map(({ severity, rule, role, account: holder }) => `${severity} ${rule} ${role} ${holder}`);
+
+    it("rebuilds role holders from events and flags EOAs and unlisted holders", async function () {
+        const { contracts, deployer, players, addresses } = await loadFixture(deployProtocolFixture);
+        const [keeper, manager, former] = players;
+        const staking = contracts.Staking;
+
+        await staking.grantRole(await staking.REWARDS_DISTRIBUTOR_ROLE(), keeper.address);
+        await staking.grantRole(await staking.REWARDS_DISTRIBUTOR_ROLE(), addresses.Treasury);
+        await staking.grantRole(await staking.STAKING_MANAGER_ROLE(), manager.address);
+        await staking.grantRole(await staking.STAKING_MANAGER_ROLE(), former.address);
+        await staking.revokeRole(await staking.STAKING_MANAGER_ROLE(), former.address);
+
+        const members = await getRoleMembers(staking);
+        expect([...members.get(await staking.STAKING_MANAGER_ROLE())]).to.deep.equal([deployer.address, manager.address]);
+
+        const context = { deployer: deployer.address, addresses, accounts: { rewardsDistributor: keeper.address } };
+        const { report, findings } = await auditContract(staking, { name: "Staking", listed: roles.Staking, context });
+        expect(report.address).to.equal(addresses.Staking);
+        expect(report.roles.REWARDS_DISTRIBUTOR_ROLE).to.deep.equal([
+            { address: deployer.address, type: "EOA", listed: true },
+            { address: keeper.address, type: "EOA", listed: true },
+            { address: addresses.Treasury, type: "contract", listed: false }
+        ]);
+        expect(rules(findings)).to.deep.equal([
+            `medium admin-eoa DEFAULT_ADMIN_ROLE ${deployer.address}`,
+            `low not-in-roles-file REWARDS_DISTRIBUTOR_ROLE ${addresses.Treasury}`,
+            `low not-in-roles-file STAKING_MANAGER_ROLE ${manager.address}`,
+            `high upgrader-eoa UPGRADER_ROLE ${deployer.address}`
+        ]);
+    });
+
+    it("flags contracts left without an admin or upgrader and leaves unset accounts undecided", async function () {
+        const { contracts, deployer, players, addresses } = await loadFixture(deployProtocolFixture);
+        const treasury = contracts.Treasury;
+        await treasury.grantRole(await treasury.ALLOCATOR_ROLE(), players[0].address);
+        await treasury.revokeRole(await treasury.UPGRADER_ROLE(), deployer.address);
+        await treasury.renounceRole(await treasury.DEFAULT_ADMIN_ROLE(), deployer.address);
+
+        // rewardsDistributor is not configured: the deployer is listed, the extra allocator is undecided
+        const context = { deployer: deployer.address, addresses, accounts: {} };
+        const { report, findings } = await auditContract(treasury, { name: "Treasury", listed: roles.Treasury, context });
+        expect(report.roles.ALLOCATOR_ROLE.map(({ listed }) => listed)).to.deep.equal([true, null]);
+        expect(report.roles.UPGRADER_ROLE).to.be.empty;
+        expect(rules(findings)).to.deep.equal([
+            "high no-admin DEFAULT_ADMIN_ROLE null",
+            "medium no-upgrader UPGRADER_ROLE null"
+        ]);
+
+        expect(resolveHolders([deployerRef(), account("rewardsDistributor")], context)).to.deep.equal({
+            resolved: [deployer.address],
+            missing: ['account("rewardsDistributor")']
+        });
+    });
+});
@@ -0,0 +1,145 @@
+const http = require("http");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { openStore } = require("../scripts/lib/index-store");
+const { createIndexer } = require("../scripts/lib/indexer");
+const { createApi } = require("../scripts/lib/api");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const TIME_ATTACK = 3;
+const SILVER = 1;
+const PUZZLE_MASTER = 0;
+const SPEED_DEMON = 1;
+const COMMON = 0;
+const EPIC = 2;
+
+describe("Read-only API", function () {
+    async function apiFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, deployer } = fixture;
+        const [alice, bob, carol] = players;
+        const { Tournament: tournament, Marketplace: marketplace, LOSTAchievementNFT: nft } = contracts;
+
+        await tournament.updateProtocolFee(0);
+        await marketplace.updateMarketplaceFee(0);
+        await marketplace.updateStakingRewardRate(0);
+        await contracts.Staking.updateRewardRate(0);
+
+        // Ranked runs, slowest first
+        for (const [player, completionTime] of [[alice, 300], [bob, 120], [carol, 60]]) {
+            await contracts.DecentralizedLeaderboard.submitEntry(player.address, completionTime, 2, 1, 0, ethers.id(`${player.address}-run`));
+        }
+
+        await tournament.createTournament("Weekly Time Attack", ethers.parseEther("1"), 4, (await time.latest()) + 7200, TIME_ATTACK);
+        const tournamentId = (await tournament.nextTournamentId()) - 1n;
+        for (const player of [alice, bob]) {
+            await tournament.connect(player).registerForTournament(tournamentId, { value: ethers.parseEther("1") });
+        }
+
+        await contracts.LOSTToken.transfer(alice.address, ethers.parseEther("1000"));
+        await contracts.LOSTToken.connect(alice).approve(await contracts.Staking.getAddress(), ethers.MaxUint256);
+        await contracts.Staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("600"), SILVER);
+
+        await nft.connect(deployer).setApprovalForAll(await marketplace.getAddress(), true);
+        for (const [type, rarity, price] of [[SPEED_DEMON, EPIC, "3"], [SPEED_DEMON, COMMON, "1"], [PUZZLE_MASTER, EPIC, "2"]]) {
+            await nft.mintAchievement(deployer.address, type, 1, 45, 1, ethers.id(`nft-${price}`), `ipfs://nft-${price}`);
+            const tokenId = await nft.tokenOfOwnerByIndex(deployer.address, (await nft.balanceOf(deployer.address)) - 1n);
+            await marketplace.listForSale(await nft.getAddress(), tokenId, ethers.parseEther(price), `ipfs://nft-${price}`, rarity);
+        }
+
+        return { ...fixture, alice, bob, carol, tournamentId };
+    }
+
+    // Index the fixture's chain and serve the API on a free port for the duration of `fn`
+    async function withApi(fixture, fn) {
+        const store = await openStore();
+        await createIndexer({ provider: ethers.provider, contracts: fixture.contracts, store }).sync();
+        const server = http.createServer(createApi({ store, provider: ethers.provider, contracts: fixture.contracts }));
+        await new Promise((resolve) => server.listen(0, resolve));
+        const get = async (path) => {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+            return { status: response.status, body: await response.json() };
+        };
+        try {
+            await fn(get);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    }
+
+    it("pages the leaderboard with full LeaderboardEntry fields", async function () {
+        const fixture = await loadFixture(apiFixture);
+        const { alice, bob, carol } = fixture;
+
+        await withApi(fixture, async (get) => {
+            const first = await get("/leaderboard?limit=2");
+            expect(first.status).to.equal(200);
+            expect(first.body).to.include({ total: 3, offset: 0, limit: 2 });
+            expect(first.body.items.map(({ rank, player }) => [rank, player])).to.deep.equal([[1, carol.address], [2, bob.address]]);
+            expect(first.body.items[0]).to.include({ completionTime: "60", puzzlesSolved: "2", secretsFound: "1", deaths: "0" });
+
+            const second = await get("/leaderboard?limit=2&offset=2");
+            expect(second.body.items.map(({ rank, player }) => [rank, player])).to.deep.equal([[3, alice.address]]);
+        });
+    });
+
+    it("filters listings by achievement type and rarity", async function () {
+        const fixture = await loadFixture(apiFixture);
+
+        await withApi(fixture, async (get) => {
+            const { body } = await get("/listings?achievementType=SPEED_DEMON&rarity=EPIC");
+            expect(body.total).to.equal(1);
+            expect(body.items[0]).to.include({
+                price: ethers.parseEther("3").toString(),
+                achievementType: "SPEED_DEMON",
+                rarity: "EPIC",
+                listingType: "DIRECT_SALE",
+                status: "ACTIVE",
+                isActive: true,
+                ipfsHash: "ipfs://nft-3",
+                nftContract: await fixture.contracts.LOSTAchievementNFT.getAddress()
+            });
+
+            expect((await get("/listings?rarity=EPIC")).body.total).to.equal(2);
+            expect((await get("/listings?rarity=SHINY")).status).to.equal(400);
+        });
+    });
+
+    it("serves tournament brackets and staking positions with live values", async function () {
+        const fixture = await loadFixture(apiFixture);
+        const { alice, bob, tournamentId } = fixture;
+
+        await withApi(fixture, async (get) => {
+            const { body: bracket } = await get(`/tournaments/${tournamentId}/bracket`);
+            expect(bracket.tournament).to.include({
+                id: tournamentId.toString(),
+                name: "Weekly Time Attack",
+                prizePool: ethers.parseEther("2").toString(),
+                currentParticipants: "2",
+                state: "REGISTRATION"
+            });
+            expect(bracket.participants.map(({ player, isRegistered }) => [player, isRegistered]))
+                .to.have.deep.members([[alice.address, true], [bob.address, true]]);
+
+            const { body: staking } = await get(`/staking/${alice.address}`);
+            expect(staking).to.include({ user: alice.address, totalStaked: ethers.parseEther("600").toString(), stakeCount: "1" });
+            expect(staking.stakes).to.have.length(1);
+            expect(staking.stakes[0]).to.include({ stakeId: "0", tier: "SILVER", active: true, amount: ethers.parseEther("600").toString() });
+
+            const { body: treasury } = await get("/treasury");
+            expect(treasury.statistics).to.have.all.keys("revenue", "distributed", "burned", "lostBalance", "usdcBalance");
+            expect(treasury.allocations).to.have.property("rewardPool");
+        });
+    });
+
+    it("answers unknown routes and bad pagination with JSON errors", async function () {
+        const fixture = await loadFixture(apiFixture);
+
+        await withApi(fixture, async (get) => {
+            expect(await get("/nope")).to.deep.equal({ status: 404, body: { error: "No route for /nope" } });
+            expect((await get("/leaderboard?limit=1000")).status).to.equal(400);
+            expect((await get("/tournaments/999")).status).to.equal(404);
+        });
+    });
+});
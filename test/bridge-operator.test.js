@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createBridgeOperator } = require("../scripts/lib/bridge-operator");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const Status = { PENDING: 0n, COMPLETED: 2n };
+const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+describe("Bridge operator", function () {
+    async function operatorFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, deployer } = fixture;
+        const bridge = contracts.USDCPaymentBridge;
+        const bridgeAddress = await bridge.getAddress();
+        const [alice, bob, carol] = players;
+
+        for (const player of [alice, bob, carol]) {
+            await fixture.usdc.mint(player.address, usdc("5000"));
+            await fixture.usdc.connect(player).approve(bridgeAddress, ethers.MaxUint256);
+            await bridge.updateKYCStatus(player.address, true);
+        }
+        await fixture.usdc.mint(deployer.address, usdc("10000"));
+        await fixture.usdc.approve(bridgeAddress, ethers.MaxUint256);
+
+        return { ...fixture, bridge, alice, bob, carol };
+    }
+
+    async function request(bridge, token, player, amount) {
+        await bridge.connect(player).requestWithdrawal(usdc(amount), await token.getAddress());
+        return (await bridge.nextWithdrawalId()) - 1n;
+    }
+
+    function startOperator(bridge, options = {}) {
+        const alerts = [];
+        const operator = createBridgeOperator({ bridge, pollInterval: 20, onAlert: (alert) => alerts.push(alert), ...options });
+        return { operator, alerts };
+    }
+
+    it("processes eligible requests in order and holds the rest", async function () {
+        const { bridge, usdc: token, alice, bob, carol } = await loadFixture(operatorFixture);
+        const first = await request(bridge, token, alice, "100");
+        const blacklisted = await request(bridge, token, bob, "200");
+        const revoked = await request(bridge, token, carol, "50");
+        const overLimit = await request(bridge, token, alice, "900");
+        await bridge.blacklistUser(bob.address, "chargeback");
+        await bridge.updateKYCStatus(carol.address, false);
+        // Lowered after alice's requests went in; the bridge itself would not notice
+        await bridge.updateWithdrawalLimits(usdc("10"), usdc("10000"), usdc("500"));
+
+        const { operator } = startOperator(bridge);
+        await operator.init();
+        const result = await operator.poll();
+
+        expect(result.processed).to.deep.equal([first]);
+        expect(result.held).to.deep.equal([
+            { requestId: blacklisted, reason: "User blacklisted" },
+            { requestId: revoked, reason: "KYC not verified" },
+            { requestId: overLimit, reason: "Exceeds daily limit" }
+        ]);
+        expect(await bridge.getWithdrawalStatus(first)).to.equal(Status.COMPLETED);
+        expect(await bridge.getWithdrawalStatus(overLimit)).to.equal(Status.PENDING);
+
+        await bridge.updateKYCStatus(carol.address, true);
+        const later = await request(bridge, token, carol, "10");
+        expect((await operator.poll()).processed).to.deep.equal([revoked, later]);
+        expect(operator.status()).to.include({ seen: 5, processed: 3 });
+        expect(operator.status().held.map(({ requestId }) => requestId)).to.deep.equal([blacklisted, overLimit]);
+    });
+
+    it("only reports what it would process in dry-run mode", async function () {
+        const { bridge, usdc: token, alice, bob, players } = await loadFixture(operatorFixture);
+        await request(bridge, token, alice, "100");
+        await request(bridge, token, bob, "250");
+        const logs = [];
+        // Dry runs do not need the role
+        const { operator } = startOperator(bridge.connect(players[5]), { dryRun: true, log: (line) => logs.push(line) });
+        await operator.init();
+
+        const result = await operator.poll();
+        await operator.poll();
+
+        expect(result.processed).to.deep.equal([1n, 2n]);
+        expect(await bridge.getPendingWithdrawals(alice.address)).to.deep.equal([1n]);
+        expect(await bridge.getPendingWithdrawals(bob.address)).to.deep.equal([2n]);
+        expect(logs.filter((line) => line.includes("Would process"))).to.have.length(2);
+        expect(operator.status().processed).to.equal(0);
+    });
+
+    it("stops at the first request it cannot cover and alerts once", async function () {
+        const { bridge, usdc: token, alice, bob, carol } = await loadFixture(operatorFixture);
+        await request(bridge, token, alice, "300");
+        await request(bridge, token, bob, "400");
+        await request(bridge, token, carol, "20");
+        // Drain the bridge down to less than alice's request
+        const drain = (await token.balanceOf(await bridge.getAddress())) - (await bridge.totalFeesCollected()) - usdc("250");
+        await bridge.removeLiquidity(drain);
+
+        const { operator, alerts } = startOperator(bridge, { lowLiquidityThreshold: usdc("500") });
+        await operator.init();
+        const blocked = await operator.poll();
+        await operator.poll();
+
+        expect(blocked.processed).to.be.empty;
+        expect(blocked.blocked.requestId).to.equal(1n);
+        expect(blocked.available).to.equal(usdc("250"));
+        expect(alerts).to.have.length(1);
+        expect(alerts[0]).to.include({ kind: "low-liquidity" });
+        expect(alerts[0].message).to.include("withdrawal #1");
+
+        await bridge.addLiquidity(usdc("2000"));
+        const resumed = await operator.poll();
+        expect(resumed.processed).to.deep.equal([1n, 2n, 3n]);
+        expect(resumed.blocked).to.equal(null);
+        expect(operator.status().lowLiquidity).to.equal(false);
+    });
+
+    it("stops itself when the bridge is paused", async function () {
+        const { bridge, usdc: token, alice } = await loadFixture(operatorFixture);
+        const { operator, alerts } = startOperator(bridge);
+        await operator.init();
+        const running = operator.run();
+
+        await request(bridge, token, alice, "100");
+        while (operator.status().processed === 0) {
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        await bridge.pause();
+
+        expect(await running).to.equal("paused");
+        expect(alerts.map(({ kind }) => kind)).to.deep.equal(["paused"]);
+        expect((await operator.poll()).stopped).to.equal("paused");
+    });
+});
@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("DataMonetization", function () {
+    async function dataFixture() {
+        const fixture = await deployProtocolFixture();
+        const dataMonetization = fixture.contracts.DataMonetization;
+
+        // Data rewards are paid from the contract's LOST balance
+        await fixture.contracts.LOSTToken.transfer(await dataMonetization.getAddress(), ethers.parseEther("10000"));
+        return { ...fixture, dataMonetization, player: fixture.players[0] };
+    }
+
+    it("rewards consented telemetry and pays it out on claim", async function () {
+        const { dataMonetization, contracts, player } = await loadFixture(dataFixture);
+        const dataPoints = 150n;
+
+        await expect(dataMonetization.connect(player).grantDataConsent(true, true, false, false, false))
+            .to.emit(dataMonetization, "DataConsentGranted");
+        await expect(dataMonetization.recordTelemetry(player.address, "movement", ethers.id("session-1"), dataPoints))
+            .to.emit(dataMonetization, "TelemetryRecorded")
+            .withArgs(player.address, "movement", dataPoints);
+
+        const reward = dataPoints * (await dataMonetization.dataRewardRate());
+        expect(await dataMonetization.pendingRewards(player.address)).to.equal(reward);
+
+        await expect(dataMonetization.connect(player).claimDataRewards())
+            .to.changeTokenBalance(contracts.LOSTToken, player, reward);
+        expect(await dataMonetization.pendingRewards(player.address)).to.equal(0n);
+        await expect(dataMonetization.connect(player).claimDataRewards()).to.be.revertedWith("No rewards to claim");
+    });
+
+    it("rejects telemetry for data types the player has not consented to", async function () {
+        const { dataMonetization, player } = await loadFixture(dataFixture);
+
+        await dataMonetization.connect(player).grantDataConsent(true, false, false, false, false);
+        await expect(dataMonetization.recordTelemetry(player.address, "puzzle", ethers.id("session-1"), 10))
+            .to.be.revertedWith("No consent for data type");
+
+        await dataMonetization.connect(player).revokeDataConsent();
+        await expect(dataMonetization.recordTelemetry(player.address, "movement", ethers.id("session-2"), 10))
+            .to.be.revertedWith("Player opted out");
+    });
+});
@@ -0,0 +1,62 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployProtocol } = require("../scripts/lib/deploy");
+const { checks } = require("../scripts/lib/health-checks");
+const { contracts: contractSpecs } = require("../config/contracts");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("Deployment", function () {
+    it("records every contract in the manifest", async function () {
+        const { manifest, addresses } = await loadFixture(deployProtocolFixture);
+
+        expect(Object.keys(manifest.contracts)).to.have.members(Object.keys(contractSpecs));
+        for (const [name, record] of Object.entries(manifest.contracts)) {
+            expect(record.proxy).to.equal(addresses[name]);
+            expect(record.id).to.equal(contractSpecs[name].id);
+            expect(record.blockNumber).to.be.a("number");
+            expect(await hre.upgrades.erc1967.getImplementationAddress(record.proxy)).to.equal(record.implementation);
+        }
+    });
+
+    it("wires the contracts to each other", async function () {
+        const { manifest, addresses, contracts, usdc } = await loadFixture(deployProtocolFixture);
+        const params = { usdcTokenAddress: await usdc.getAddress() };
+
+        const results = [
+            ...(await checks.wiring({ contracts, addresses, params })),
+            ...(await checks.implementations({ manifest, upgrades: hre.upgrades })),
+            ...(await checks.feeBounds({ contracts })),
+            ...(await checks.tokenSupply({ contracts }))
+        ];
+        expect(results.filter((entry) => entry.status !== "pass")).to.deep.equal([]);
+    });
+
+    it("skips contracts already in the manifest when re-run", async function () {
+        const { manifest, addresses, usdc } = await loadFixture(deployProtocolFixture);
+        const saved = [];
+
+        const again = await deployProtocol(hre, manifest, {
+            params: { usdcTokenAddress: await usdc.getAddress() },
+            save: (updated) => saved.push(updated),
+            log: () => {}
+        });
+
+        expect(again).to.deep.equal(addresses);
+        expect(saved).to.be.empty;
+    });
+
+    it("refuses to resume with parameters other than the recorded ones", async function () {
+        const { manifest, usdc } = await loadFixture(deployProtocolFixture);
+        const recorded = { ...manifest.params };
+
+        await expect(deployProtocol(hre, manifest, { params: { usdcTokenAddress: hre.ethers.ZeroAddress }, log: () => {} }))
+            .to.be.rejectedWith("The hardhat manifest was deployed with different usdcTokenAddress");
+        expect(manifest.params).to.deep.equal(recorded);
+
+        // Older manifests without params stay without them rather than recording this run's values
+        const { params, ...older } = manifest;
+        await deployProtocol(hre, older, { params: { usdcTokenAddress: await usdc.getAddress() }, log: () => {} });
+        expect(older.params).to.equal(undefined);
+    });
+});
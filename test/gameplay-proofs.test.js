@@ -0,0 +1,153 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    buildSessionProof,
+    checkMovements,
+    checkpointProof,
+    computeMerkleRoot,
+    readPhysicsConstraints,
+    recoverMovementSigner,
+    sessionIdOf
+} = require("../sdk");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const { ethers } = hre;
+
+// Within the default constraints: velocity ≤ 100, |Δv|·1000/Δt ≤ 20, jumps ≤ 50, Δt ≥ 10
+function walk(count, { start = 1000, step = 100, x = 0 } = {}) {
+    return Array.from({ length: count }, (unused, i) => ({
+        timestamp: start + i * step,
+        x: x + i * 3,
+        y: -i,
+        z: i * 10,
+        velocity: 10 + i
+    }));
+}
+
+describe("Gameplay proofs", function () {
+    async function gameplayFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, deployer, players } = fixture;
+        const gameplay = contracts.GameplayVerification;
+        await gameplay.grantRole(await gameplay.GAME_SERVER_ROLE(), deployer.address);
+        return { ...fixture, gameplay, server: deployer, player: players[0] };
+    }
+
+    async function startSession(gameplay, player, nonce) {
+        const receipt = await (await gameplay.startSession(player.address, nonce)).wait();
+        const { args } = receipt.logs.map((log) => gameplay.interface.parseLog(log)).find((event) => event.name === "SessionStarted");
+        return { sessionId: args.sessionId, timestamp: args.timestamp };
+    }
+
+    async function submit(gameplay, sessionId, proof) {
+        for (const { movement, signature } of proof.movements) {
+            await gameplay.recordMovement(sessionId, movement, signature);
+        }
+    }
+
+    // No function sets checkpointHashes, so register checkpoints straight in storage
+    async function registerCheckpoints(gameplay, ids) {
+        const fqn = "src/GameplayVerification.sol:GameplayVerification";
+        const buildInfo = await hre.artifacts.getBuildInfo(fqn);
+        const { storage } = buildInfo.output.contracts["src/GameplayVerification.sol"].GameplayVerification.storageLayout;
+        const { slot } = storage.find(({ label }) => label === "checkpointHashes");
+        for (const id of ids) {
+            const key = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [id, slot]));
+            await hre.network.provider.send("hardhat_setStorageAt", [gameplay.target, key, ethers.id(`checkpoint-${id}`)]);
+        }
+    }
+
+    // Move hashes are fixed by their contents, so shift the walk until the first move's proof
+    // does (or does not) verify under OpenZeppelin's sorted-pair hashing
+    async function walkWithProof(gameplay, player, sessionId, verifies) {
+        for (let x = 0; ; x++) {
+            const proof = await buildSessionProof(gameplay, player, walk(5, { x }), { sessionId, checkpointIds: [1, 2, 3] });
+            if (proof.proofVerifies === verifies) {
+                return proof;
+            }
+        }
+    }
+
+    it("hashes, chains and signs moves the way recordMovement does", async function () {
+        const { gameplay, player } = await loadFixture(gameplayFixture);
+        const { sessionId, timestamp } = await startSession(gameplay, player, 7);
+        expect(sessionId).to.equal(sessionIdOf(player.address, 7, timestamp));
+
+        const proof = await buildSessionProof(gameplay, player, walk(4), { sessionId });
+        for (const { movement, signature, hash } of proof.movements) {
+            expect(recoverMovementSigner(hash, signature)).to.equal(player.address);
+            await expect(gameplay.recordMovement(sessionId, movement, signature))
+                .to.emit(gameplay, "MovementRecorded")
+                .withArgs(sessionId, hash, movement.timestamp);
+        }
+
+        for (const [index, { hash }] of proof.movements.entries()) {
+            expect(await gameplay.sessionMovementHashes(sessionId, index)).to.equal(hash);
+            const stored = await gameplay.movements(hash);
+            expect(stored.previousMoveHash).to.equal(index === 0 ? ethers.ZeroHash : proof.movements[index - 1].hash);
+        }
+        expect(proof.merkleRoot).to.equal(computeMerkleRoot(proof.leaves));
+        expect((await gameplay.getSessionData(sessionId)).totalMoves).to.equal(4n);
+    });
+
+    it("flags physics violations before they are recorded on-chain", async function () {
+        const { gameplay, player } = await loadFixture(gameplayFixture);
+        const { sessionId } = await startSession(gameplay, player, 8);
+        const moves = walk(4);
+        moves[1].velocity = 150;
+        moves[3].z = moves[2].z + 80;
+
+        const constraints = await readPhysicsConstraints(gameplay);
+        expect(checkMovements(moves, constraints).map(({ violations }) => violations.map(({ rule }) => rule)))
+            .to.deep.equal([[], ["maxVelocity"], [], ["maxJumpHeight"]]);
+
+        const proof = await buildSessionProof(gameplay, player, moves, { sessionId, constraints });
+        expect(proof.problems).to.include("Move 1: velocity 150 exceeds 100");
+        expect(proof.leaves).to.have.length(2);
+
+        await submit(gameplay, sessionId, proof);
+        expect(await gameplay.playerViolationCount(player.address)).to.equal(2n);
+        expect(await gameplay.sessionMovementHashes(sessionId, 0)).to.equal(proof.leaves[0]);
+        expect(await gameplay.sessionMovementHashes(sessionId, 1)).to.equal(proof.leaves[1]);
+    });
+
+    it("produces checkpoint and Merkle proofs that verify a session", async function () {
+        const { gameplay, player } = await loadFixture(gameplayFixture);
+        await registerCheckpoints(gameplay, [1, 2, 3]);
+        const { sessionId } = await startSession(gameplay, player, 9);
+
+        const proof = await walkWithProof(gameplay, player, sessionId, true);
+        expect(proof.problems).to.deep.equal([]);
+        await submit(gameplay, sessionId, proof);
+        for (const checkpoint of proof.checkpoints) {
+            expect(checkpoint.proof).to.equal(checkpointProof(sessionId, checkpoint.checkpointId, player.address));
+            await gameplay.passCheckpoint(sessionId, checkpoint.checkpointId, checkpoint.proof);
+        }
+        await time.increase(60);
+
+        await expect(gameplay.completeSession(sessionId, proof.merkleRoot, proof.merkleProof))
+            .to.emit(gameplay, "SessionCompleted");
+        const session = await gameplay.getSessionData(sessionId);
+        expect(session.merkleRoot).to.equal(proof.merkleRoot);
+        expect(session.verified).to.equal(true);
+    });
+
+    it("warns when the contract's Merkle check cannot pass", async function () {
+        const { gameplay, player } = await loadFixture(gameplayFixture);
+        const { sessionId } = await startSession(gameplay, player, 10);
+
+        const proof = await walkWithProof(gameplay, player, sessionId, false);
+        expect(proof.problems).to.include("The first move's proof does not verify with sorted-pair hashing; completeSession will not verify this session");
+        expect(proof.problems).to.include("Checkpoint 1 is not registered; passCheckpoint reverts");
+        await expect(gameplay.passCheckpoint(sessionId, 1, proof.checkpoints[0].proof)).to.be.revertedWith("Invalid checkpoint");
+
+        await registerCheckpoints(gameplay, [1, 2, 3]);
+        await submit(gameplay, sessionId, proof);
+        for (const checkpoint of proof.checkpoints) {
+            await gameplay.passCheckpoint(sessionId, checkpoint.checkpointId, checkpoint.proof);
+        }
+        await gameplay.completeSession(sessionId, proof.merkleRoot, proof.merkleProof);
+        expect((await gameplay.getSessionData(sessionId)).verified).to.equal(false);
+    });
+});
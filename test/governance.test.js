@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    auditProposal,
+    checkDescription,
+    draftProposal,
+    formatTally,
+    parseGovernanceSpec,
+    runExecution,
+    simulateExecution,
+    submitProposal,
+    tallyProposal
+} = require("../scripts/lib/governance");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+const [BRONZE, , GOLD] = [0, 1, 2];
+
+const STAKING_SPEC = `
+kind: staking
+title: Halve emissions and lengthen the GOLD lock
+summary: Emissions are draining the reward pool faster than revenue refills it.
+snapshot: new
+actions:
+  - contract: Staking
+    method: updateRewardRate
+    args: ["0.5 LOST"]
+  - contract: Staking
+    method: updateTierConfig
+    args:
+      tier: 2
+      lockDuration: 240d
+      votingMultiplier: 15000
+      rewardMultiplier: 15000
+      minStakeAmount: "1000 LOST"
+      slashingPenalty: 600
+`;
+
+describe("Governance tooling", function () {
+    async function governanceFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players } = fixture;
+        const token = contracts.LOSTToken;
+        const staking = contracts.Staking;
+        const [alice, bob, carol, dave] = players;
+
+        const stakes = [[alice, "30000", "10000", BRONZE], [bob, "6000", "6000", GOLD], [dave, "5000", "1000", BRONZE]];
+        for (const [player, balance, staked, tier] of stakes) {
+            await token.transfer(player.address, ethers.parseEther(balance));
+            await token.connect(player).approve(await staking.getAddress(), ethers.MaxUint256);
+            await staking.connect(player)["stake(uint256,uint256)"](ethers.parseEther(staked), tier);
+        }
+        const { chainId } = await ethers.provider.getNetwork();
+        return { ...fixture, token, staking, treasury: contracts.Treasury, alice, bob, carol, dave, chainId };
+    }
+
+    function connected(contracts, signer, names) {
+        return { ...contracts, ...Object.fromEntries(names.map((name) => [name, contracts[name].connect(signer)])) };
+    }
+
+    it("drafts a staking proposal, tallies it by voting power and snapshot, and audits its execution", async function () {
+        const { contracts, token, staking, deployer, alice, bob, carol, dave, chainId } = await loadFixture(governanceFixture);
+        const record = await draftProposal(parseGovernanceSpec(STAKING_SPEC), { contracts, chainId, network: "hardhat" });
+
+        expect(record.actions.map(({ data }) => data)).to.deep.equal([
+            staking.interface.encodeFunctionData("updateRewardRate", [ethers.parseEther("0.5")]),
+            staking.interface.encodeFunctionData("updateTierConfig", [GOLD, 240 * DAY, 15000, 15000, ethers.parseEther("1000"), 600])
+        ]);
+        expect(record.description).to.include("1. Staking.updateRewardRate(newRate: 0.5 LOST) at");
+        expect(record.description).to.match(/lost-governance: 0x[0-9a-f]{64}$/);
+
+        // Alice proposes; the deployer's key takes the snapshot
+        await submitProposal(record, { contracts: connected(contracts, alice, ["Staking"]) });
+        expect(record.proposal).to.include({ id: "1", snapshotId: "1", proposer: alice.address });
+        expect(checkDescription(record, (await staking.proposals(1)).description)).to.be.empty;
+
+        await token.connect(alice).transfer(carol.address, ethers.parseEther("5000"));
+        await staking.connect(alice).vote(1, true);
+        await staking.connect(bob).vote(1, false);
+        await staking.connect(dave).vote(1, true);
+        // A newer snapshot makes balanceOfAt(dave, 1) return Dave's current balance once he moves
+        await token.snapshot();
+        await token.connect(dave).transfer(carol.address, ethers.parseEther("4000"));
+        expect(await token.balanceOfAt(dave.address, 1)).to.equal(0n);
+        // Voting power is not snapshotted, so this stake does not change Alice's counted vote
+        await staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("1000"), BRONZE);
+
+        const tally = await tallyProposal(record, { contracts });
+        expect(tally).to.include({ status: "open", passing: true, votesFor: ethers.parseEther("11000"), votesAgainst: ethers.parseEther("9000") });
+        expect(tally.quorum).to.include({ totalVotingPower: ethers.parseEther("21000"), required: ethers.parseEther("4200"), reached: true });
+        const [aliceVote, bobVote, daveVote] = tally.votes;
+        expect(aliceVote).to.include({ weight: ethers.parseEther("10000"), power: ethers.parseEther("11000") });
+        expect(aliceVote.snapshot).to.deep.equal({ balance: ethers.parseEther("20000"), source: "recorded" });
+        expect(bobVote.snapshot).to.deep.equal({ balance: 0n, source: "archive" });
+        expect(daveVote.snapshot).to.deep.equal({ balance: ethers.parseEther("4000"), source: "archive" });
+        expect(tally.totals.for.snapshot).to.equal(ethers.parseEther("24000"));
+        expect(tally.snapshot.totalSupply).to.equal(await token.totalSupply());
+        expect(tally.warnings).to.deep.equal(["1 voter(s) hold different voting power than they voted with; votes are not snapshotted"]);
+        expect(formatTally(tally).join("\n")).to.include("Quorum:  4200.0 of 21000.0 total, reached");
+
+        // The dry run jumps past the vote and leaves the chain as it was
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const simulation = await simulateExecution(record, { contracts, provider: ethers.provider, executor: deployer.address });
+        expect(simulation.ok).to.equal(true);
+        expect(simulation.steps.map(({ label }) => label)).to.deep.equal([
+            "Staking.executeProposal(1)",
+            "Staking.updateRewardRate(newRate: 0.5 LOST)",
+            "Staking.updateTierConfig(tier: 2, lockDuration: 240d, votingMultiplier: 15000, rewardMultiplier: 15000, minStakeAmount: 1000 LOST, slashingPenalty: 600)"
+        ]);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(await staking.rewardRate()).to.equal(ethers.parseEther("1"));
+
+        const withoutRole = await simulateExecution(record, { contracts, provider: ethers.provider, executor: alice.address });
+        expect(withoutRole.ok).to.equal(false);
+        expect(withoutRole.steps).to.deep.equal([{ label: "Staking.executeProposal(1)", ok: false, reason: "AccessControlUnauthorizedAccount" }]);
+
+        const executor = connected(contracts, deployer, ["Staking"]);
+        await expect(runExecution(record, { contracts: executor })).to.be.rejectedWith("Voting on staking proposal 1 is still open");
+        await time.increase(7 * DAY);
+        const saved = [];
+        await runExecution(record, { contracts: executor, save: (copy) => saved.push(copy.execution.steps.length) });
+        expect(saved.length).to.equal(6);
+        expect(await staking.rewardRate()).to.equal(ethers.parseEther("0.5"));
+        expect((await staking.tierConfigs(GOLD)).lockDuration).to.equal(BigInt(240 * DAY));
+
+        const audit = await auditProposal(record, { contracts });
+        expect(audit).to.include({ verdict: "executed as drafted", approved: true, actionsHash: record.actionsHash });
+        expect(audit.problems).to.be.empty;
+        expect(audit.execution.map(({ status }) => status)).to.deep.equal(["executed", "executed", "executed"]);
+        expect(audit.tally.status).to.equal("executed");
+
+        // Running it again sends nothing new
+        const blockAfter = await ethers.provider.getBlockNumber();
+        await runExecution(record, { contracts: executor });
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockAfter);
+    });
+
+    it("tallies treasurer votes and token-holder signals and audits executions made elsewhere", async function () {
+        const { contracts, token, treasury, deployer, bob, carol, chainId } = await loadFixture(governanceFixture);
+        await treasury.updateProtocolContract(deployer.address, true);
+        await token.approve(await treasury.getAddress(), ethers.MaxUint256);
+        // 5% of the 95,000 LOST left after the burn goes to the ecosystem fund
+        await treasury.collectRevenue("marketplace", ethers.parseEther("100000"), await token.getAddress());
+        await treasury.grantRole(await treasury.TREASURER_ROLE(), bob.address);
+
+        async function propose(title, amount) {
+            const spec = parseGovernanceSpec(`
+kind: treasury
+title: ${title}
+summary: Community tournament prize pool
+amount: "${amount}"
+recipient: "${carol.address}"
+actions:
+  - contract: Treasury
+    method: updateBurnRate
+    args: [300]
+`);
+            const record = await draftProposal(spec, { contracts, chainId, network: "hardhat" });
+            await submitProposal(record, { contracts });
+            return record;
+        }
+
+        const rejected = await propose("Season one prizes", "2000");
+        expect(rejected.proposal.snapshotId).to.equal(null);
+        await treasury.voteOnProposal(1, true);
+        await treasury.connect(bob).voteOnProposal(1, false);
+        await treasury.connect(carol).castVote(1, false);
+        await treasury.connect(carol).castVote(1, true);
+
+        const tally = await tallyProposal(rejected, { contracts });
+        expect(tally).to.include({ passing: false, votesFor: 1n, votesAgainst: 1n });
+        expect(tally.treasurers).to.deep.equal([{ address: deployer.address, voted: true }, { address: bob.address, voted: true }]);
+        expect(tally.votes.map(({ voter, support, weight }) => ({ voter, support, weight }))).to.deep.equal([{ voter: carol.address, support: true, weight: null }]);
+        expect(tally.payment).to.include({ amount: ethers.parseEther("2000"), ecosystemFund: ethers.parseEther("4750") });
+
+        await time.increase(3 * DAY);
+        await expect(runExecution(rejected, { contracts })).to.be.rejectedWith("treasury proposal 1 did not pass");
+        await treasury.executeProposal(1);
+        expect(await token.balanceOf(carol.address)).to.equal(0n);
+        expect((await auditProposal(rejected, { contracts })).verdict).to.equal("rejected");
+
+        // Too big for the ecosystem fund: passing votes, but executeProposal would revert
+        const tooBig = await propose("Season two prizes", "5000");
+        await treasury.voteOnProposal(2, true);
+        const unfunded = await tallyProposal(tooBig, { contracts });
+        expect(unfunded.passing).to.equal(false);
+        expect(unfunded.warnings[0]).to.include("less than the 5000.0 LOST it pays");
+
+        const passed = await propose("Season three prizes", "3000");
+        await treasury.voteOnProposal(3, true);
+        await time.increase(3 * DAY);
+        const execute = await treasury.executeProposal(3);
+        expect(await token.balanceOf(carol.address)).to.equal(ethers.parseEther("3000"));
+        const pending = await auditProposal(passed, { contracts });
+        expect(pending.verdict).to.equal("passed, actions not executed");
+        expect(pending.execution.map(({ status }) => status)).to.deep.equal(["executed", "missing"]);
+
+        // The burn rate change goes through a multisig; the audit is given its hash, and a stray one
+        const burn = await treasury.updateBurnRate(300);
+        const stray = await treasury.updateBurnRate(400);
+        const audit = await auditProposal(passed, { contracts, txs: [execute.hash, burn.hash, stray.hash] });
+        expect(audit.verdict).to.equal("executed as drafted");
+        expect(audit.execution.map(({ tx }) => tx)).to.deep.equal([execute.hash, burn.hash]);
+        expect(audit.problems).to.deep.equal([`Transaction ${stray.hash} to ${await treasury.getAddress()} is not one of the drafted calls`]);
+
+        // An edited record no longer matches what was voted on
+        const edited = { ...passed, actions: [{ ...passed.actions[0], data: treasury.interface.encodeFunctionData("updateBurnRate", [0]) }] };
+        expect(checkDescription(edited, passed.description)[0]).to.include("the record's actions hash to");
+    });
+
+    it("rejects specs and actions that do not fit the contracts", async function () {
+        const { contracts, chainId } = await loadFixture(governanceFixture);
+
+        expect(() => parseGovernanceSpec("kind: dao\nsnapshot: latest\namount: \"10\"\nactions:\n  - method: pause"))
+            .to.throw(/kind must be one of staking, treasury\n.*title is required\n.*snapshot must be current, new or a snapshot id\n.*actions\[0\] needs a contract and a method/);
+        expect(() => parseGovernanceSpec("kind: treasury\ntitle: Tiny\namount: \"10\""))
+            .to.throw(/amount must be at least 1000 LOST[\s\S]*recipient is required/);
+
+        const spec = parseGovernanceSpec(`
+kind: treasury
+title: Broken
+amount: "1000"
+recipient: Marketplace
+actions:
+  - contract: Vault
+    method: pause
+  - contract: Staking
+    method: updateRewardRate
+    args: [1, 2]
+  - contract: Staking
+    method: getUserVotingPower
+    args: ["${ethers.ZeroAddress}"]
+  - contract: Staking
+    method: updateTierConfig
+    args: { tier: 1, lockDuration: soon, votingMultiplier: 1, rewardMultiplier: 1, minStakeAmount: 1, slashingPenalty: 1 }
+`);
+        await expect(draftProposal(spec, { contracts, chainId, network: "hardhat" })).to.be.rejectedWith(new RegExp([
+            "actions\\[0\\]: unknown contract Vault",
+            "actions\\[1\\]: Staking.updateRewardRate takes \\(uint256 newRate\\)",
+            "actions\\[2\\]: Staking.getUserVotingPower is a view function",
+            "actions\\[3\\]: Staking.updateTierConfig lockDuration: .*soon"
+        ].join("\\n.*"), "s"));
+    });
+});
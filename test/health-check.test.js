@@ -0,0 +1,65 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { healthContext, runChecks } = require("../scripts/lib/health-checks");
+const { protocolContracts } = require("../config/roles");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const { ethers } = hre;
+
+describe("Health check", function () {
+    // A deployment after initialize-contracts.js has approved the revenue sources
+    async function initializedFixture() {
+        const fixture = await deployProtocolFixture();
+        for (const ref of protocolContracts) {
+            await fixture.contracts.Treasury.updateProtocolContract(fixture.addresses[ref.name], true);
+        }
+        return fixture;
+    }
+
+    const failures = (results) => results.filter(({ status }) => status !== "pass").map(({ name }) => name);
+
+    it("passes every check on a fresh deployment", async function () {
+        const { manifest, usdc } = await loadFixture(initializedFixture);
+        expect(manifest.params.usdcTokenAddress).to.equal(await usdc.getAddress());
+
+        const seen = [];
+        const results = await runChecks(await healthContext(manifest, hre), undefined, (name) => seen.push(name));
+        expect(seen).to.deep.equal(["wiring", "implementations", "treasuryAllocations", "feeBounds", "tokenSupply", "bridgeLiquidity", "protocolContracts"]);
+        expect(failures(results)).to.deep.equal([]);
+        expect(results.find(({ name }) => name === "USDCPaymentBridge.usdcTokenAddress is params.usdcTokenAddress"))
+            .to.include({ status: "pass", check: "wiring", actual: await usdc.getAddress() });
+    });
+
+    it("falls back to the local MockUSDC for manifests without params", async function () {
+        const { manifest, usdc } = await loadFixture(initializedFixture);
+        const { params, ...older } = manifest;
+        expect(params).to.not.equal(undefined);
+
+        const withoutMock = await runChecks(await healthContext(older, hre), ["wiring"]);
+        expect(failures(withoutMock)).to.deep.equal([
+            "Treasury.usdcTokenAddress is params.usdcTokenAddress",
+            "USDCPaymentBridge.usdcTokenAddress is params.usdcTokenAddress"
+        ]);
+        const withMock = await runChecks(await healthContext({ ...older, mocks: { MockUSDC: await usdc.getAddress() } }, hre), ["wiring"]);
+        expect(failures(withMock)).to.deep.equal([]);
+    });
+
+    it("reports broken invariants as failures", async function () {
+        const { manifest, contracts, addresses } = await loadFixture(initializedFixture);
+        await contracts.Treasury.updateProtocolContract(addresses.Staking, false);
+        const stale = { ...manifest, contracts: { ...manifest.contracts, Staking: { ...manifest.contracts.Staking, implementation: ethers.ZeroAddress } } };
+
+        const context = await healthContext(stale, hre);
+        const results = await runChecks(context, ["implementations", "protocolContracts"]);
+        expect(failures(results)).to.deep.equal(["Staking implementation matches the manifest", "Treasury accepts revenue from Staking"]);
+
+        const broken = await runChecks({ ...context, contracts: { ...context.contracts, Treasury: null } }, ["treasuryAllocations"]);
+        expect(broken).to.have.length(1);
+        expect(broken[0]).to.include({ check: "treasuryAllocations", status: "fail", expected: "check to run" });
+
+        await expect(runChecks(context, ["wiring", "uptime"])).to.be.rejectedWith('Unknown health check "uptime"');
+        const { Staking, ...partial } = manifest.contracts;
+        await expect(healthContext({ ...manifest, contracts: partial }, hre)).to.be.rejectedWith("Staking is missing from the hardhat manifest");
+    });
+});
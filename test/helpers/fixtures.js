@@ -0,0 +1,35 @@
+const hre = require("hardhat");
+const { emptyManifest } = require("../../scripts/lib/manifest");
+const { deployProtocol } = require("../../scripts/lib/deploy");
+const { contracts: contractSpecs } = require("../../config/contracts");
+
+const { ethers } = hre;
+
+/**
+ * Full protocol deployed through the same code path as scripts/deploy.js, with a mock
+ * USDC in place of the Hedera token. Use with loadFixture() so each test starts from a snapshot.
+ */
+async function deployProtocolFixture() {
+    const [deployer, ...players] = await ethers.getSigners();
+    const { chainId } = await ethers.provider.getNetwork();
+
+    const usdc = await ethers.deployContract("MockUSDC");
+    await usdc.waitForDeployment();
+
+    const manifest = emptyManifest(hre.network.name, chainId);
+    const addresses = await deployProtocol(hre, manifest, {
+        params: { usdcTokenAddress: await usdc.getAddress() },
+        log: () => {}
+    });
+
+    const contracts = {};
+    for (const name of Object.keys(contractSpecs)) {
+        contracts[name] = await ethers.getContractAt(name, addresses[name]);
+    }
+
+    return { deployer, players, usdc, manifest, addresses, contracts };
+}
+
+module.exports = {
+    deployProtocolFixture
+};
@@ -0,0 +1,151 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { openStore } = require("../scripts/lib/index-store");
+const { createIndexer, accountHistory } = require("../scripts/lib/indexer");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const TIME_ATTACK = 3;
+const BRONZE = 0;
+const SPEED_DEMON = 1;
+const COMMON = 0;
+
+describe("Event indexer", function () {
+    async function indexerFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players } = fixture;
+        const [alice, bob] = players;
+
+        // Same workarounds as the contract tests: no native fees to the Treasury, no per-block emissions
+        await contracts.Tournament.updateProtocolFee(0);
+        await contracts.Marketplace.updateMarketplaceFee(0);
+        await contracts.Marketplace.updateStakingRewardRate(0);
+        await contracts.Staking.updateRewardRate(0);
+        for (const player of [alice, bob]) {
+            await contracts.LOSTToken.transfer(player.address, ethers.parseEther("1000"));
+            await contracts.LOSTToken.connect(player).approve(await contracts.Staking.getAddress(), ethers.MaxUint256);
+        }
+        return { ...fixture, alice, bob };
+    }
+
+    async function indexerFor({ contracts }, file = null) {
+        const store = await openStore(file);
+        return { store, indexer: createIndexer({ provider: ethers.provider, contracts, store }) };
+    }
+
+    async function mintAndList(nft, marketplace, owner, price) {
+        await nft.mintAchievement(owner.address, SPEED_DEMON, 1, 45, 1, ethers.id(`run-${price}`), "ipfs://speed");
+        const tokenId = await nft.tokenOfOwnerByIndex(owner.address, (await nft.balanceOf(owner.address)) - 1n);
+        await nft.connect(owner).approve(await marketplace.getAddress(), tokenId);
+        await marketplace.connect(owner).listForSale(await nft.getAddress(), tokenId, ethers.parseEther(price), "ipfs://speed", COMMON);
+        return { tokenId, listingId: (await marketplace.nextListingId()) - 1n };
+    }
+
+    it("materializes tournaments, stakes, listings and achievements", async function () {
+        const fixture = await loadFixture(indexerFixture);
+        const { contracts, alice, bob } = fixture;
+        const { Tournament: tournament, Marketplace: marketplace, LOSTAchievementNFT: nft } = contracts;
+
+        await tournament.createTournament("Weekly Time Attack", ethers.parseEther("1"), 4, (await time.latest()) + 7200, TIME_ATTACK);
+        const tournamentId = (await tournament.nextTournamentId()) - 1n;
+        await tournament.connect(alice).registerForTournament(tournamentId, { value: ethers.parseEther("1") });
+        await contracts.Staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("200"), BRONZE);
+        const sold = await mintAndList(nft, marketplace, bob, "2");
+        await marketplace.connect(alice).buyNFT(sold.listingId, { value: ethers.parseEther("2") });
+        const cancelled = await mintAndList(nft, marketplace, bob, "3");
+        await marketplace.connect(bob).cancelListing(cancelled.listingId);
+
+        const { store, indexer } = await indexerFor(fixture);
+        await indexer.sync();
+
+        expect(store.get("SELECT name, participants, state FROM tournaments WHERE id = ?", [tournamentId.toString()]))
+            .to.deep.equal({ name: "Weekly Time Attack", participants: 1, state: "REGISTRATION" });
+        expect(store.all("SELECT player FROM tournament_players")).to.deep.equal([{ player: alice.address.toLowerCase() }]);
+        expect(store.get("SELECT amount, tier, unstaked_block FROM stakes WHERE user = ?", [alice.address.toLowerCase()]))
+            .to.deep.equal({ amount: ethers.parseEther("200").toString(), tier: "BRONZE", unstaked_block: null });
+        expect(store.all("SELECT id, status, buyer FROM listings ORDER BY id")).to.deep.equal([
+            { id: sold.listingId.toString(), status: "SOLD", buyer: alice.address.toLowerCase() },
+            { id: cancelled.listingId.toString(), status: "CANCELLED", buyer: null }
+        ]);
+        expect(store.get("SELECT achievement_type, owner FROM achievements WHERE token_id = ?", [sold.tokenId.toString()]))
+            .to.deep.equal({ achievement_type: "SPEED_DEMON", owner: alice.address.toLowerCase() });
+
+        const history = accountHistory(store, alice.address).map(({ contract, event }) => `${contract}.${event}`);
+        expect(history).to.include.members([
+            "Tournament.PlayerRegistered",
+            "Staking.TokensStaked",
+            "Marketplace.ListingSold",
+            "LOSTToken.Transfer"
+        ]);
+    });
+
+    it("closes emergency unstakes with their penalty", async function () {
+        const fixture = await loadFixture(indexerFixture);
+        const { contracts, alice } = fixture;
+        const staking = contracts.Staking;
+        const amount = ethers.parseEther("200");
+        await staking.connect(alice)["stake(uint256,uint256)"](amount, BRONZE);
+        await staking.connect(alice)["stake(uint256,uint256)"](amount, BRONZE);
+        await staking.setEmergencyWithdraw(true);
+        await staking.connect(alice).emergencyUnstake(1);
+
+        const { store, indexer } = await indexerFor(fixture);
+        await indexer.sync();
+
+        const [unstaked] = await staking.queryFilter(staking.filters.EmergencyUnstaked());
+        const stakes = store.all("SELECT stake_id, unstaked_block, penalty FROM stakes WHERE user = ? ORDER BY stake_id", [alice.address.toLowerCase()]);
+        expect(unstaked.args.amount + unstaked.args.penalty).to.equal(amount);
+        expect(stakes).to.deep.equal([
+            { stake_id: "0", unstaked_block: null, penalty: null },
+            { stake_id: "1", unstaked_block: unstaked.blockNumber, penalty: unstaked.args.penalty.toString() }
+        ]);
+    });
+
+    it("resumes from the last indexed block after a restart", async function () {
+        const fixture = await loadFixture(indexerFixture);
+        const { contracts, alice } = fixture;
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lost-index-"));
+        const file = path.join(dir, "index.sqlite");
+
+        const first = await indexerFor(fixture, file);
+        const initial = await first.indexer.sync();
+        first.store.close();
+
+        await contracts.Staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("150"), BRONZE);
+
+        const second = await indexerFor(fixture, file);
+        const resumed = await second.indexer.sync();
+        expect(resumed.fromBlock).to.equal(initial.toBlock + 1);
+        expect(second.store.all("SELECT event FROM events WHERE block_number >= ? AND contract = 'Staking'", [resumed.fromBlock]))
+            .to.deep.equal([{ event: "TokensStaked" }]);
+        expect(second.store.get("SELECT COUNT(*) AS count FROM stakes").count).to.equal(1);
+        second.store.close();
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it("drops events from blocks that were reorganized away", async function () {
+        const fixture = await loadFixture(indexerFixture);
+        const { contracts, alice, bob } = fixture;
+        const { store, indexer } = await indexerFor(fixture);
+        await indexer.sync();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await contracts.Staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("300"), BRONZE);
+        await indexer.sync();
+        expect(store.all("SELECT user FROM stakes")).to.deep.equal([{ user: alice.address.toLowerCase() }]);
+
+        // Replace alice's block with one where bob stakes instead
+        await network.provider.send("evm_revert", [snapshot]);
+        await contracts.Staking.connect(bob)["stake(uint256,uint256)"](ethers.parseEther("120"), BRONZE);
+        const result = await indexer.sync();
+
+        expect(result.reorg).to.not.equal(null);
+        expect(store.all("SELECT user, amount FROM stakes")).to.deep.equal([
+            { user: bob.address.toLowerCase(), amount: ethers.parseEther("120").toString() }
+        ]);
+        expect(accountHistory(store, alice.address).map(({ event }) => event)).to.not.include("TokensStaked");
+    });
+});
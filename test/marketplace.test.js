@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const PUZZLE_MASTER = 0;
+const COMMON = 0;
+
+describe("Marketplace", function () {
+    async function marketplaceFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players } = fixture;
+        const [seller, alice, bob] = players;
+        const marketplace = contracts.Marketplace;
+        const nft = contracts.LOSTAchievementNFT;
+        const marketplaceAddress = await marketplace.getAddress();
+
+        // Fees are forwarded to the Treasury in the native currency, which it cannot receive
+        await marketplace.updateMarketplaceFee(0);
+        // Listed NFTs earn LOST from the marketplace's own balance
+        await contracts.LOSTToken.transfer(marketplaceAddress, ethers.parseEther("1000"));
+
+        await nft.mintAchievement(seller.address, PUZZLE_MASTER, 1, 300, 1, ethers.id("run-1"), "ipfs://achievement-1");
+        const tokenId = await nft.tokenOfOwnerByIndex(seller.address, 0);
+        await nft.connect(seller).setApprovalForAll(marketplaceAddress, true);
+
+        return { ...fixture, marketplace, nft, tokenId, seller, alice, bob };
+    }
+
+    async function lastListingId(marketplace) {
+        return (await marketplace.nextListingId()) - 1n;
+    }
+
+    it("sells an NFT at the listed price", async function () {
+        const { marketplace, nft, tokenId, seller, alice } = await loadFixture(marketplaceFixture);
+        const price = ethers.parseEther("2");
+
+        await marketplace.connect(seller).listForSale(await nft.getAddress(), tokenId, price, "ipfs://achievement-1", COMMON);
+        const listingId = await lastListingId(marketplace);
+        expect(await nft.ownerOf(tokenId)).to.equal(await marketplace.getAddress());
+
+        await expect(marketplace.connect(alice).buyNFT(listingId, { value: price }))
+            .to.changeEtherBalances([alice, seller], [-price, price]);
+        expect(await nft.ownerOf(tokenId)).to.equal(alice.address);
+        await expect(marketplace.connect(alice).buyNFT(listingId, { value: price })).to.be.revertedWith("Listing not active");
+    });
+
+    it("auctions an NFT to the highest bidder and refunds the outbid one", async function () {
+        const { marketplace, nft, tokenId, seller, alice, bob } = await loadFixture(marketplaceFixture);
+        const startingPrice = ethers.parseEther("1");
+
+        await marketplace.connect(seller).listForAuction(await nft.getAddress(), tokenId, startingPrice, 60 * 60, "ipfs://achievement-1", COMMON);
+        const listingId = await lastListingId(marketplace);
+
+        await marketplace.connect(alice)["placeBid(uint256)"](listingId, { value: startingPrice });
+        const topBid = ethers.parseEther("1.1");
+        await expect(marketplace.connect(bob)["placeBid(uint256)"](listingId, { value: topBid }))
+            .to.changeEtherBalance(alice, startingPrice);
+
+        await expect(marketplace.endAuction(listingId)).to.be.revertedWith("Auction not ended");
+        await time.increase(60 * 60);
+        await expect(marketplace.endAuction(listingId)).to.changeEtherBalance(seller, topBid);
+        expect(await nft.ownerOf(tokenId)).to.equal(bob.address);
+    });
+
+    it("rents an NFT and returns the collateral when the renter ends the rental", async function () {
+        const { marketplace, nft, tokenId, seller, alice } = await loadFixture(marketplaceFixture);
+        const dailyPrice = ethers.parseUnits("1", "gwei");
+
+        await marketplace.connect(seller).listForRental(await nft.getAddress(), tokenId, dailyPrice, "ipfs://achievement-1", COMMON);
+        const listingId = await lastListingId(marketplace);
+        const terms = await marketplace.rentalTerms(listingId);
+
+        // The rental bounds are stored in seconds but compared with a number of days,
+        // so the shortest accepted rental is MIN_RENTAL_DURATION days
+        const rentalDays = terms.minDuration;
+        const rent = dailyPrice * rentalDays;
+        await expect(marketplace.connect(alice).rentNFT(listingId, rentalDays, { value: rent + terms.collateral }))
+            .to.changeEtherBalances([alice, seller], [-(rent + terms.collateral), rent]);
+        expect(await marketplace.currentRenter(tokenId)).to.equal(alice.address);
+
+        await expect(marketplace.connect(alice).endRental(tokenId)).to.changeEtherBalance(alice, terms.collateral);
+        expect(await marketplace.currentRenter(tokenId)).to.equal(ethers.ZeroAddress);
+    });
+});
@@ -0,0 +1,108 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    computeCid,
+    createDirectoryPinner,
+    generateMetadata,
+    parseTokenIds,
+    publishMetadata
+} = require("../scripts/lib/nft-metadata");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const PUZZLE_MASTER = 0;
+const SPEED_DEMON = 1;
+
+describe("NFT metadata", function () {
+    async function metadataFixture() {
+        const fixture = await deployProtocolFixture();
+        const nft = fixture.contracts.LOSTAchievementNFT;
+        const [alice, bob] = fixture.players;
+        await nft.mintAchievement(alice.address, SPEED_DEMON, 3, 45, 1, ethers.id("run-0"), "ipfs://pending");
+        await nft.mintAchievement(bob.address, PUZZLE_MASTER, 5, 300, 4, ethers.id("run-1"), "ipfs://pending");
+        await nft.mintAchievement(bob.address, SPEED_DEMON, 2, 130, 2, ethers.id("run-2"), "ipfs://pending");
+        return { ...fixture, nft, alice, bob };
+    }
+
+    let dirs = [];
+    const tmpDir = () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lost-nft-"));
+        dirs.push(dir);
+        return dir;
+    };
+
+    afterEach(function () {
+        for (const dir of dirs) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+        dirs = [];
+    });
+
+    it("pins content-addressed metadata and only updates tokens whose traits changed", async function () {
+        const { nft, alice } = await loadFixture(metadataFixture);
+        const pinner = createDirectoryPinner(tmpDir());
+        const tokens = await generateMetadata(nft);
+        expect(tokens.map(({ achievement }) => [achievement.rarity, achievement.worldRecord])).to.deep.equal([
+            ["MYTHIC", "Current"], ["LEGENDARY", "Current"], ["COMMON", "None"]
+        ]);
+
+        const first = await publishMetadata(tokens, { nft, pinners: [pinner], batchSize: 2 });
+        expect(first.updated.map(({ tokenId }) => tokenId)).to.deep.equal([0, 1, 2]);
+        expect(first.failed).to.be.empty;
+        for (const token of tokens) {
+            expect(await nft.tokenURI(token.tokenId)).to.equal(`ipfs://${token.cid}`);
+            for (const file of token.files) {
+                const pinned = fs.readFileSync(path.join(pinner.name.slice("directory:".length), file.cid));
+                expect(computeCid(pinned)).to.equal(file.cid);
+            }
+        }
+
+        const [record] = tokens;
+        expect(record.metadata).to.include({ name: "Speed Demon #0", image: `ipfs://${record.files[0].cid}` });
+        expect(record.metadata.description).to.include("in 45s").and.include("holds the Speed Demon world record");
+        const traits = Object.fromEntries(record.metadata.attributes.map(({ trait_type: trait, value }) => [trait, value]));
+        expect(traits).to.include({ "Achievement Type": "Speed Demon", Rarity: "MYTHIC", "Rarity Score": 3000, "Completion Time": 45, "World Record": "Current" });
+        expect(record.files[0].content.toString()).to.include("WORLD RECORD").and.include("LOST #0");
+
+        // Nothing changed, nothing to send
+        const again = await publishMetadata(await generateMetadata(nft), { nft, pinners: [pinner] });
+        expect(again).to.include({ unchanged: 3 });
+        expect(again.updated).to.be.empty;
+
+        // A faster run takes the record, so token 0 becomes a former record holder
+        await nft.mintAchievement(alice.address, SPEED_DEMON, 4, 30, 1, ethers.id("run-3"), "ipfs://pending");
+        const after = await publishMetadata(await generateMetadata(nft), { nft, pinners: [pinner] });
+        expect(after.updated.map(({ tokenId }) => tokenId)).to.deep.equal([0, 3]);
+        expect(after.unchanged).to.equal(2);
+        const [former] = await generateMetadata(nft, { tokenIds: [0], render: false, imageTemplate: "https://cdn.example/{type}/{rarity}.png" });
+        expect(former.achievement.worldRecord).to.equal("Former");
+        expect(former.metadata.image).to.equal("https://cdn.example/speed_demon/mythic.png");
+        expect(former.files).to.have.length(1);
+    });
+
+    it("checks the key, the pinned CIDs and the token selection before sending", async function () {
+        const { nft, bob } = await loadFixture(metadataFixture);
+        const tokens = await generateMetadata(nft, { tokenIds: parseTokenIds("1-2") });
+        expect(tokens.map(({ tokenId }) => tokenId)).to.deep.equal([1, 2]);
+
+        const dryRun = await publishMetadata(tokens, { nft, pinners: [], dryRun: true });
+        expect(dryRun.pending).to.deep.equal([
+            { tokenId: 1, from: "ipfs://pending", to: tokens[0].uri },
+            { tokenId: 2, from: "ipfs://pending", to: tokens[1].uri }
+        ]);
+
+        const pinner = createDirectoryPinner(tmpDir());
+        await expect(publishMetadata(tokens, { nft: nft.connect(bob), pinners: [pinner] }))
+            .to.be.rejectedWith(`${bob.address} does not have MINTER_ROLE`);
+
+        const wrong = { name: "wrong", pin: async () => computeCid("something else") };
+        await expect(publishMetadata(tokens, { nft, pinners: [wrong] })).to.be.rejectedWith(/wrong stored 1\.svg as bafkrei\w+, expected/);
+        expect(await nft.tokenURI(1)).to.equal("ipfs://pending");
+
+        expect(() => parseTokenIds("5-2")).to.throw('Invalid token id or range "5-2"');
+        expect(() => computeCid(Buffer.alloc(256 * 1024 + 1))).to.throw("do not fit in one IPFS block");
+    });
+});
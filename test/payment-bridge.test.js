@@ -0,0 +1,51 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const Status = { PENDING: 0n, COMPLETED: 2n };
+const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+describe("USDCPaymentBridge", function () {
+    async function bridgeFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, deployer } = fixture;
+        const [player] = players;
+        const bridge = contracts.USDCPaymentBridge;
+        const bridgeAddress = await bridge.getAddress();
+
+        await fixture.usdc.mint(player.address, usdc("500"));
+        await fixture.usdc.connect(player).approve(bridgeAddress, ethers.MaxUint256);
+        await fixture.usdc.mint(deployer.address, usdc("10000"));
+        await fixture.usdc.approve(bridgeAddress, ethers.MaxUint256);
+
+        return { ...fixture, bridge, player };
+    }
+
+    it("pays out a withdrawal request minus the fee once processed", async function () {
+        const { bridge, usdc: token, player } = await loadFixture(bridgeFixture);
+        const amount = usdc("100");
+        const fee = (amount * (await bridge.withdrawalFeePercentage())) / 10000n;
+
+        await bridge.updateKYCStatus(player.address, true);
+        await expect(bridge.connect(player).requestWithdrawal(amount, await token.getAddress()))
+            .to.emit(bridge, "WithdrawalRequested");
+        const [requestId] = await bridge.getPendingWithdrawals(player.address);
+        const request = await bridge.withdrawalRequests(requestId);
+        expect(request.amount).to.equal(amount - fee);
+        expect(request.status).to.equal(Status.PENDING);
+
+        await bridge.addLiquidity(usdc("1000"));
+        await expect(bridge.processWithdrawal(requestId))
+            .to.changeTokenBalance(token, player, amount - fee);
+        expect(await bridge.getWithdrawalStatus(requestId)).to.equal(Status.COMPLETED);
+        expect(await bridge.getPendingWithdrawals(player.address)).to.be.empty;
+    });
+
+    it("requires KYC before accepting a withdrawal", async function () {
+        const { bridge, usdc: token, player } = await loadFixture(bridgeFixture);
+
+        await expect(bridge.connect(player).requestWithdrawal(usdc("100"), await token.getAddress()))
+            .to.be.revertedWith("KYC not verified");
+    });
+});
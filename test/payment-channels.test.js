@@ -0,0 +1,144 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    ChannelError,
+    createClient,
+    createFileChannelStore,
+    createMemoryChannelStore,
+    createMemoryTransportPair,
+    joinChannel,
+    openChannel
+} = require("../sdk");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+describe("Payment channels", function () {
+    async function channelFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, manifest } = fixture;
+        const [alice, bob] = players;
+        const bridge = contracts.USDCPaymentBridge;
+        await bridge.updateKYCStatus(alice.address, true);
+        await bridge.updateKYCStatus(bob.address, true);
+        await fixture.usdc.mint(alice.address, usdc("100"));
+        return {
+            ...fixture,
+            bridge,
+            alice,
+            bob,
+            aliceClient: createClient({ manifest, runner: alice }),
+            bobClient: createClient({ manifest, runner: bob })
+        };
+    }
+
+    async function connect({ aliceClient, bobClient }, bobOptions = {}) {
+        const [aliceEnd, bobEnd] = createMemoryTransportPair();
+        const aliceChannel = await openChannel(aliceClient, {
+            counterparty: await bobClient.bridge.contract.runner.getAddress(),
+            deposit: "100",
+            transport: aliceEnd,
+            store: createMemoryChannelStore()
+        });
+        const bobChannel = await joinChannel(bobClient, {
+            channelId: aliceChannel.channelId,
+            transport: bobEnd,
+            store: createMemoryChannelStore(),
+            ...bobOptions
+        });
+        return { aliceChannel, bobChannel };
+    }
+
+    // closeChannel keeps channelFeePercentage of each side
+    async function payout(bridge, amount) {
+        return amount - (amount * (await bridge.channelFeePercentage())) / 10000n;
+    }
+
+    it("exchanges co-signed payments and settles the latest state on close", async function () {
+        const fixture = await loadFixture(channelFixture);
+        const { bridge, usdc: token, alice, bob } = fixture;
+        const { aliceChannel, bobChannel } = await connect(fixture);
+        const received = [];
+        bobChannel.onPayment(({ amount }) => received.push(amount));
+
+        await aliceChannel.pay("10");
+        await aliceChannel.pay("5.5");
+        const state = await bobChannel.pay("2");
+
+        expect(state).to.include({ balance1: usdc("86.5"), balance2: usdc("13.5"), nonce: 3n });
+        expect(aliceChannel.state()).to.deep.equal(bobChannel.state());
+        expect(received).to.deep.equal([usdc("10"), usdc("5.5")]);
+        expect(aliceChannel.balance()).to.equal("86.5");
+        expect((await bridge.paymentChannels(aliceChannel.channelId)).nonce).to.equal(0n);
+
+        // close() returns a receipt, which changeTokenBalances cannot take
+        const before = [await token.balanceOf(alice.address), await token.balanceOf(bob.address)];
+        await bobChannel.close();
+        expect(await token.balanceOf(alice.address) - before[0]).to.equal(await payout(bridge, usdc("86.5")));
+        expect(await token.balanceOf(bob.address) - before[1]).to.equal(await payout(bridge, usdc("13.5")));
+        const closed = await bridge.paymentChannels(aliceChannel.channelId);
+        expect(closed.isOpen).to.equal(false);
+        expect(closed.nonce).to.equal(3n);
+    });
+
+    it("rejects payments the receiver refuses or the payer cannot cover", async function () {
+        const fixture = await loadFixture(channelFixture);
+        const { aliceChannel, bobChannel } = await connect(fixture, { acceptPayment: ({ amount }) => amount <= usdc("50") });
+
+        const refused = await aliceChannel.pay("60").catch((error) => error);
+        expect(refused).to.be.instanceOf(ChannelError);
+        expect(refused.reason).to.equal("Payment refused");
+        const uncovered = await bobChannel.pay("1").catch((error) => error);
+        expect(uncovered.reason).to.equal("Insufficient balance");
+
+        expect(aliceChannel.state().nonce).to.equal(0n);
+        expect(aliceChannel.pendingState()).to.equal(null);
+        expect((await aliceChannel.pay("50")).nonce).to.equal(1n);
+    });
+
+    it("countersigns a conflicting proposal before retrying its own", async function () {
+        const fixture = await loadFixture(channelFixture);
+        const { aliceChannel, bobChannel } = await connect(fixture);
+        await aliceChannel.pay("20");
+
+        await Promise.all([aliceChannel.pay("5"), bobChannel.pay("3")]);
+
+        expect(aliceChannel.state()).to.deep.equal(bobChannel.state());
+        expect(aliceChannel.state()).to.include({ balance1: usdc("78"), balance2: usdc("22"), nonce: 3n });
+    });
+
+    it("resumes from a file store and submits the highest nonce before closing", async function () {
+        const fixture = await loadFixture(channelFixture);
+        const { bridge, usdc: token, bobClient, aliceClient, bob } = fixture;
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lost-channels-"));
+        const [aliceEnd, bobEnd] = createMemoryTransportPair();
+        const aliceChannel = await openChannel(aliceClient, {
+            counterparty: bob.address,
+            deposit: "100",
+            transport: aliceEnd,
+            store: createMemoryChannelStore()
+        });
+        const bobChannel = await joinChannel(bobClient, { channelId: aliceChannel.channelId, transport: bobEnd, store: createFileChannelStore(dir) });
+
+        await aliceChannel.pay("30");
+        // Alice puts the first state on-chain, then keeps paying off-chain
+        await aliceChannel.submitLatest();
+        await aliceChannel.pay("10");
+        bobChannel.detach();
+
+        const restored = await joinChannel(bobClient, {
+            channelId: aliceChannel.channelId,
+            transport: createMemoryTransportPair()[0],
+            store: createFileChannelStore(dir)
+        });
+        expect(restored.state()).to.deep.equal(aliceChannel.state());
+        await restored.close();
+        expect(await token.balanceOf(bob.address)).to.equal(await payout(bridge, usdc("40")));
+        expect((await bridge.paymentChannels(aliceChannel.channelId)).nonce).to.equal(2n);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    aggregateRate,
+    createFileSource,
+    createHttpSource,
+    createPoolSource,
+    createRateFeeder,
+    parseRate,
+    signRateApproval
+} = require("../scripts/lib/rate-feeder");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+
+describe("Exchange-rate feeder", function () {
+    async function feederFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players } = fixture;
+        return { ...fixture, bridge: contracts.USDCPaymentBridge, approver: players[0] };
+    }
+
+    // Source whose price the test moves by hand
+    function manualSource(price) {
+        const source = { name: "manual", price, read: async () => parseRate(source.price) };
+        return source;
+    }
+
+    async function startFeeder(bridge, source, options = {}) {
+        const logs = [];
+        const feeder = createRateFeeder({ bridge, sources: [source], log: (line) => logs.push(line), ...options });
+        await feeder.init();
+        return { feeder, logs };
+    }
+
+    it("takes the median of file, HTTP and pool sources", async function () {
+        const { contracts, usdc } = await loadFixture(feederFixture);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lost-rate-"));
+        const file = path.join(dir, "price.json");
+        fs.writeFileSync(file, JSON.stringify({ rate: "0.11" }));
+        const server = http.createServer((req, res) => res.end(JSON.stringify({ price: 0.125 })));
+        await new Promise((resolve) => server.listen(0, resolve));
+        const pair = await ethers.deployContract("MockUniswapV2Pair", [await usdc.getAddress(), await contracts.LOSTToken.getAddress()]);
+        // 120,000 USDC against 1,000,000 LOST
+        await pair.setReserves(ethers.parseUnits("120000", 6), ethers.parseUnits("1000000", 18));
+
+        try {
+            const sources = [
+                createFileSource(file),
+                createHttpSource(`http://127.0.0.1:${server.address().port}/`, { key: "price" }),
+                createPoolSource(ethers.provider, await pair.getAddress(), { lostToken: await contracts.LOSTToken.getAddress() })
+            ];
+            const { rate, quotes } = await aggregateRate(sources);
+            expect(quotes.map(({ rate: quote }) => quote)).to.deep.equal([110000n, 125000n, 120000n]);
+            expect(rate).to.equal(120000n);
+
+            fs.writeFileSync(file, "{}");
+            const partial = await aggregateRate(sources, { minSources: 2 });
+            expect(partial.rate).to.equal(122500n);
+            expect(partial.errors).to.deep.equal([{ source: "file:price.json", error: "Price source returned no rate" }]);
+            await expect(aggregateRate(sources.slice(0, 2), { minSources: 2 })).to.be.rejectedWith("1 of 2 price source(s) answered");
+        } finally {
+            server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("updates on deviation and on the heartbeat, and ignores small moves", async function () {
+        const { bridge } = await loadFixture(feederFixture);
+        const source = manualSource("0.1005");
+        const updates = [];
+        const { feeder, logs } = await startFeeder(bridge, source, { deviationBps: 100, heartbeat: DAY, onUpdate: (update) => updates.push(update) });
+
+        // No update has ever been sent, so the first round is a heartbeat at the current rate
+        expect(await feeder.round()).to.include({ action: "update", rate: 100000n });
+        expect((await feeder.round()).action).to.equal("none");
+
+        source.price = "0.104";
+        const moved = await feeder.round();
+        expect(moved).to.include({ action: "update", rate: 104000n, deviation: 400 });
+        expect(await bridge.lostToUsdcRate()).to.equal(104000n);
+
+        await time.increase(DAY);
+        expect(await feeder.round()).to.include({ action: "update", rate: 104000n });
+
+        expect(updates.map(({ oldRate, newRate, reason }) => [oldRate, newRate, reason])).to.deep.equal([
+            [100000n, 100000n, "heartbeat"],
+            [100000n, 104000n, "deviation"],
+            [104000n, 104000n, "heartbeat"]
+        ]);
+        expect(updates[1].txHash).to.equal(moved.txHash);
+        expect(logs.filter((line) => line.startsWith("📈 ExchangeRateUpdated"))).to.have.length(3);
+    });
+
+    it("holds back large moves until an approver signs them off", async function () {
+        const { bridge, deployer, approver } = await loadFixture(feederFixture);
+        const source = manualSource("0.15");
+        const approvals = [];
+        const { feeder, logs } = await startFeeder(bridge, source, { maxChangeBps: 1000, approvers: [approver.address, deployer.address], approvals: async () => approvals });
+        const { chainId } = await ethers.provider.getNetwork();
+        const change = { chainId, bridge: bridge.target, oldRate: 100000n, newRate: 150000n };
+
+        expect((await feeder.round()).action).to.equal("needs-approval");
+        await feeder.round();
+        expect(logs.filter((line) => line.startsWith("✋"))).to.have.length(1);
+
+        // The feeder's own key cannot approve its change, nor can an approval for another starting rate
+        approvals.push({ ...change, signature: await signRateApproval(deployer, change) });
+        approvals.push({ ...change, oldRate: 90000n, signature: await signRateApproval(approver, { ...change, oldRate: 90000n }) });
+        expect((await feeder.round()).action).to.equal("needs-approval");
+        expect(await bridge.lostToUsdcRate()).to.equal(100000n);
+
+        approvals.push({ ...change, signature: await signRateApproval(approver, change) });
+        // The price has drifted a little since the sign-off; the approved rate is what gets sent
+        source.price = "0.1505";
+        const result = await feeder.round();
+        expect(result).to.include({ action: "update", rate: 150000n, approvedBy: approver.address });
+        expect(await bridge.lostToUsdcRate()).to.equal(150000n);
+        expect(feeder.status().updates[0].approvedBy).to.equal(approver.address);
+    });
+});
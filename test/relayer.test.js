@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildSessionProof, computeMerkleRoot, signSessionSummary } = require("../sdk");
+const { createRelayer, formatMetrics } = require("../scripts/lib/relayer");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+function walk(count, x = 0) {
+    return Array.from({ length: count }, (unused, i) => ({ timestamp: 1000 + i * 100, x: x + i, y: 0, z: i * 5, velocity: 10 + i }));
+}
+
+describe("Session relayer", function () {
+    async function relayerFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players } = fixture;
+        const gameplay = contracts.GameplayVerification;
+        const [keyA, keyB, outsider, alice, bob] = players;
+        const role = await gameplay.GAME_SERVER_ROLE();
+        await gameplay.grantRole(role, keyA.address);
+        await gameplay.grantRole(role, keyB.address);
+        return { ...fixture, gameplay, keys: [keyA, keyB, outsider], alice, bob };
+    }
+
+    async function startRelayer(gameplay, keys, options = {}) {
+        const relayer = createRelayer({ gameplay, signers: keys, pollInterval: 20, ...options });
+        await relayer.init();
+        return relayer;
+    }
+
+    async function signedMoves(gameplay, player, moves) {
+        const proof = await buildSessionProof(gameplay, player, moves);
+        return proof.movements.map(({ movement, signature }) => ({ movement, signature }));
+    }
+
+    it("records sessions move by move, spreading them over the server keys", async function () {
+        const { gameplay, keys, alice, bob } = await loadFixture(relayerFixture);
+        const relayer = await startRelayer(gameplay, keys);
+        expect(relayer.metrics().keys.map(({ address }) => address)).to.deep.equal([keys[0].address, keys[1].address]);
+
+        const first = relayer.submitSession({ player: alice.address, nonce: 1, moves: await signedMoves(gameplay, alice, walk(5)) });
+        const second = relayer.submitSession({ player: bob.address, nonce: 2, moves: await signedMoves(gameplay, bob, walk(3, 50)) });
+        const [aliceSession, bobSession] = await Promise.all([first.done, second.done]);
+
+        expect(aliceSession.status).to.equal("completed");
+        expect(bobSession.status).to.equal("completed");
+        expect(aliceSession.relayer).to.not.equal(bobSession.relayer);
+        expect(aliceSession.operations.map(({ method }) => method)).to.deep.equal([
+            "startSession", "recordMovement", "recordMovement", "recordMovement", "recordMovement", "recordMovement", "completeSession"
+        ]);
+
+        const session = await gameplay.getSessionData(aliceSession.sessionId);
+        expect(session.totalMoves).to.equal(5n);
+        expect(session.completed).to.equal(true);
+        const hashes = [];
+        for (let i = 0; i < 5; i++) {
+            hashes.push(await gameplay.sessionMovementHashes(aliceSession.sessionId, i));
+        }
+        expect(session.merkleRoot).to.equal(computeMerkleRoot(hashes));
+
+        const metrics = relayer.metrics();
+        expect(metrics).to.include({ queueDepth: 0, inFlight: 0 });
+        expect(metrics.transactions).to.include({ sent: 12, confirmed: 12, failed: 0 });
+        expect(formatMetrics(metrics)).to.include('lost_relayer_transactions_total{result="confirmed"} 12');
+    });
+
+    it("keeps going when one operation reverts", async function () {
+        const { gameplay, keys, alice, bob } = await loadFixture(relayerFixture);
+        const relayer = await startRelayer(gameplay, keys);
+        const moves = await signedMoves(gameplay, alice, walk(3));
+        moves[1].signature = (await signedMoves(gameplay, bob, walk(3)))[1].signature;
+
+        const result = await relayer.submitSession({ player: alice.address, nonce: 3, moves }).done;
+
+        expect(result.status).to.equal("partial");
+        const failed = result.operations.filter(({ status }) => status !== "confirmed");
+        expect(failed).to.have.length(1);
+        expect(failed[0]).to.include({ method: "recordMovement", error: "Invalid signature" });
+        expect((await gameplay.getSessionData(result.sessionId)).totalMoves).to.equal(2n);
+        expect(relayer.metrics().transactions.failed).to.equal(1);
+    });
+
+    it("takes the submitGameSession path for long sessions in auto mode", async function () {
+        const { gameplay, keys, alice } = await loadFixture(relayerFixture);
+        const relayer = await startRelayer(gameplay, keys, { autoSummary: { maxMoves: 3 } });
+        const summary = { sessionHash: ethers.id("alice-long-run"), startTime: 1000, endTime: 1900 };
+        const gameplayHash = ethers.id("alice-long-run-gameplay");
+
+        const result = await relayer.submitSession({
+            player: alice.address,
+            mode: "auto",
+            nonce: 4,
+            moves: await signedMoves(gameplay, alice, walk(10)),
+            summary: { ...summary, signature: await signSessionSummary(alice, summary), level: 3, score: 4200, gameplayHash }
+        }).done;
+
+        expect(result).to.include({ mode: "summary", status: "completed", sessionId: summary.sessionHash });
+        expect(result.operations.map(({ method }) => method)).to.deep.equal(["submitGameSession", "verifyGameplay"]);
+        expect((await gameplay.getSessionData(summary.sessionHash)).player).to.equal(alice.address);
+        expect(await gameplay.verifiedGameplayHashes(gameplayHash)).to.equal(true);
+        expect((await gameplay.getSessionData(result.verifiedSessionId)).verified).to.equal(true);
+        expect(relayer.metrics().sessions.byMode).to.deep.equal({ summary: 1 });
+
+        // Without a nonce there is nothing to fall back to when auto picks the per-move path
+        expect(() => relayer.submitSession({ player: alice.address, mode: "auto", summary: { ...summary, signature: "0x" } }))
+            .to.throw("Auto sessions need plan.nonce");
+        expect(() => relayer.submitSession({ player: alice.address, mode: "auto" })).to.throw("Auto sessions need plan.nonce");
+    });
+
+    it("replaces transactions that are not mined with higher fees", async function () {
+        const { gameplay, keys, alice } = await loadFixture(relayerFixture);
+        const relayer = await startRelayer(gameplay, keys.slice(0, 1), { replaceAfter: 100 });
+        const summary = { sessionHash: ethers.id("stuck"), startTime: 1000, endTime: 1100 };
+
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            const { key, done } = relayer.submitSession({
+                player: alice.address,
+                mode: "summary",
+                summary: { ...summary, signature: await signSessionSummary(alice, summary) }
+            });
+            while (relayer.metrics().transactions.replacements < 2) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+            expect(relayer.sessionStatus(key).operations[0]).to.include({ status: "pending", attempts: 3 });
+            await network.provider.send("evm_mine");
+
+            const result = await done;
+            expect(result.status).to.equal("completed");
+            const [op] = result.operations;
+            const tx = await ethers.provider.getTransaction(op.txHash);
+            expect(tx.nonce).to.equal(op.nonce);
+            expect(tx.maxFeePerGas).to.be.greaterThan((await ethers.provider.getFeeData()).maxFeePerGas);
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+    });
+
+    it("fails operations that are still not mined after the last attempt", async function () {
+        const { gameplay, keys, alice } = await loadFixture(relayerFixture);
+        const relayer = await startRelayer(gameplay, keys.slice(0, 1), { replaceAfter: 50, maxAttempts: 2 });
+        const summary = { sessionHash: ethers.id("dropped"), startTime: 1000, endTime: 1100 };
+
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            const { done } = relayer.submitSession({
+                player: alice.address,
+                mode: "summary",
+                summary: { ...summary, signature: await signSessionSummary(alice, summary) }
+            });
+            const result = await done;
+            expect(result.status).to.equal("partial");
+            expect(result.operations[0]).to.include({ status: "failed", attempts: 2 });
+            expect(result.operations[0].error).to.match(/^submitGameSession at nonce \d+ was not mined after 2 attempt\(s\)$/);
+            expect(relayer.metrics().transactions).to.include({ failed: 1, replacements: 1 });
+            expect(relayer.metrics().keys[0].inFlight).to.equal(0);
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+            await network.provider.send("evm_mine");
+        }
+    });
+});
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createEpochStore, createRewardsKeeper, epochPurpose } = require("../scripts/lib/rewards-keeper");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+const BRONZE = 0;
+
+describe("Rewards keeper", function () {
+    async function keeperFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, deployer } = fixture;
+        const treasury = contracts.Treasury;
+        const staking = contracts.Staking;
+        const token = contracts.LOSTToken;
+        const [alice, keeperAccount] = players;
+        await staking.updateRewardRate(0);
+
+        // 10,000 LOST of marketplace revenue: 5% is burned and the staking fund gets 10% of the rest
+        await treasury.updateProtocolContract(deployer.address, true);
+        await token.approve(await treasury.getAddress(), ethers.MaxUint256);
+        await treasury.collectRevenue("marketplace", ethers.parseEther("10000"), await token.getAddress());
+
+        await token.transfer(alice.address, ethers.parseEther("1000"));
+        await token.connect(alice).approve(await staking.getAddress(), ethers.MaxUint256);
+        await staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("1000"), BRONZE);
+
+        await treasury.grantRole(await treasury.ALLOCATOR_ROLE(), keeperAccount.address);
+        await staking.grantRole(await staking.REWARDS_DISTRIBUTOR_ROLE(), keeperAccount.address);
+        return { ...fixture, treasury, staking, token, keeperAccount, genesis: await time.latest() };
+    }
+
+    function startKeeper({ treasury, staking, keeperAccount, genesis }, options = {}) {
+        const logs = [];
+        const dir = options.dir || fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+        const keeper = createRewardsKeeper({
+            treasury: treasury.connect(keeperAccount),
+            staking: staking.connect(keeperAccount),
+            store: createEpochStore(dir),
+            genesis,
+            log: (line) => logs.push(line),
+            ...options
+        });
+        return { keeper, logs, dir };
+    }
+
+    it("pays each epoch once and writes its report, even after losing its records", async function () {
+        const fixture = await loadFixture(keeperFixture);
+        const { treasury, staking } = fixture;
+        const { keeper, dir } = startKeeper(fixture, { shareBps: 5000 });
+        expect((await keeper.init()).epoch).to.equal(0);
+
+        const first = await keeper.tick();
+        expect(first).to.include({ epoch: 0, status: "distributed", amount: ethers.parseEther("475") });
+        expect(await treasury.fundBalances("staking")).to.equal(ethers.parseEther("475"));
+        expect(await staking.totalRewardsDistributed()).to.equal(ethers.parseEther("475"));
+
+        const report = JSON.parse(fs.readFileSync(path.join(dir, "epoch-0.json"), "utf8"));
+        expect(report.treasury.before.funds.staking).to.equal(ethers.parseEther("950").toString());
+        expect(report.treasury.after.funds.staking).to.equal(ethers.parseEther("475").toString());
+        expect(report.revenue.bySource).to.deep.equal({ marketplace: ethers.parseEther("9500").toString() });
+        expect(report.revenue.burned).to.equal(ethers.parseEther("500").toString());
+        expect(report.staking.after.totalRewardsDistributed).to.equal(ethers.parseEther("475").toString());
+
+        // A second run of the same epoch, and a keeper that lost its records, both see it as paid
+        expect(await keeper.tick()).to.include({ already: true, distributeTx: first.distributeTx });
+        const { keeper: fresh, logs } = startKeeper(fixture, { shareBps: 5000 });
+        expect(await fresh.tick()).to.include({ status: "distributed", withdrawTx: first.withdrawTx, distributeTx: first.distributeTx });
+        expect(logs[0]).to.include("already withdrawn");
+        expect(await staking.totalRewardsDistributed()).to.equal(ethers.parseEther("475"));
+
+        await time.increase(7 * DAY);
+        expect(await keeper.tick()).to.include({ epoch: 1, status: "distributed", amount: ethers.parseEther("237.5") });
+        expect(keeper.status()).to.include({ distributed: 2, amountDistributed: ethers.parseEther("712.5") });
+    });
+
+    it("finishes an epoch that stopped between the withdrawal and the distribution", async function () {
+        const fixture = await loadFixture(keeperFixture);
+        const { treasury, staking, token, keeperAccount } = fixture;
+        const { keeper, dir } = startKeeper(fixture);
+        await keeper.init();
+
+        // The distributor role goes away after the withdrawal's checks have passed
+        await staking.revokeRole(await staking.REWARDS_DISTRIBUTOR_ROLE(), keeperAccount.address);
+        await expect(keeper.tick()).to.be.rejectedWith("distributeRewards reverted: AccessControlUnauthorizedAccount");
+        const [record] = createEpochStore(dir).all();
+        expect(record).to.include({ epoch: 0, status: "withdrawn", amount: ethers.parseEther("950") });
+        expect(await token.balanceOf(keeperAccount.address)).to.equal(ethers.parseEther("950"));
+
+        await staking.grantRole(await staking.REWARDS_DISTRIBUTOR_ROLE(), keeperAccount.address);
+        const { keeper: restarted } = startKeeper(fixture, { dir });
+        expect(await restarted.tick()).to.include({ status: "distributed", withdrawTx: record.withdrawTx });
+        expect(await treasury.fundBalances("staking")).to.equal(0n);
+        expect(await token.balanceOf(keeperAccount.address)).to.equal(0n);
+        expect(await staking.totalRewardsDistributed()).to.equal(ethers.parseEther("950"));
+        const withdrawals = await treasury.queryFilter(treasury.filters.FundsDistributed());
+        expect(withdrawals.map(({ args }) => args.purpose)).to.deep.equal([epochPurpose(0)]);
+    });
+
+    it("skips small epochs, holds the burn rate and sends nothing in a dry run", async function () {
+        const fixture = await loadFixture(keeperFixture);
+        const { treasury, staking, keeperAccount } = fixture;
+
+        const { keeper: unauthorized } = startKeeper({ ...fixture, keeperAccount: fixture.players[2] });
+        await expect(unauthorized.init()).to.be.rejectedWith("is missing Treasury ALLOCATOR_ROLE, Staking REWARDS_DISTRIBUTOR_ROLE");
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        const { keeper: dryRun } = startKeeper(fixture, { dryRun: true, burnRate: 1000 });
+        expect(await dryRun.tick()).to.deep.include({ status: "planned", amount: ethers.parseEther("950"), burnRateChange: { from: 500n, to: 1000n } });
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+        const { keeper, logs } = startKeeper(fixture, { minAmount: ethers.parseEther("1000") });
+        expect(await keeper.tick()).to.include({ status: "skipped" });
+        await keeper.tick();
+        expect(logs).to.deep.equal(["⏭️  Epoch 0 skipped: the staking fund share is 950.0 LOST, below the 1000.0 LOST minimum"]);
+
+        await treasury.grantRole(await treasury.TREASURER_ROLE(), keeperAccount.address);
+        const { keeper: burning } = startKeeper(fixture, { burnRate: 1000 });
+        const paid = await burning.tick();
+        expect(await treasury.burnRate()).to.equal(1000n);
+        expect(paid.status).to.equal("distributed");
+        expect(JSON.parse(fs.readFileSync(paid.report, "utf8")).burnRateChange).to.include({ from: "500", to: "1000" });
+        expect(await staking.totalRewardsDistributed()).to.equal(ethers.parseEther("950"));
+    });
+});
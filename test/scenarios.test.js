@@ -0,0 +1,48 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadScenarios, validateScenario, runScenario } = require("../scripts/lib/scenarios");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("Player scenarios", function () {
+    async function scenarioFixture() {
+        const fixture = await deployProtocolFixture();
+        const lostToken = fixture.contracts.LOSTToken;
+        await lostToken.grantRole(await lostToken.GAME_CONTROLLER_ROLE(), fixture.deployer.address);
+        return { ...fixture, gameServer: fixture.deployer, signers: fixture.players };
+    }
+
+    for (const scenario of loadScenarios()) {
+        it(`passes ${scenario.name}`, async function () {
+            const context = await loadFixture(scenarioFixture);
+            const result = await runScenario(scenario, context);
+            expect(result.failures).to.deep.equal([]);
+        });
+    }
+
+    it("reports expectations that do not hold", async function () {
+        const context = await loadFixture(scenarioFixture);
+        const scenario = validateScenario({
+            name: "wrong-balance",
+            players: ["alice"],
+            steps: [
+                { action: "play", id: "run", player: "alice", level: 1, score: 100, completionTime: 300 },
+                { action: "puzzleReward", session: "run", puzzle: "p1", expect: { lost: { alice: "150" } } }
+            ]
+        }, "inline");
+
+        const result = await runScenario(scenario, context);
+        expect(result.passed).to.equal(false);
+        expect(result.failures).to.deep.equal([
+            { step: "2. puzzleReward run", check: "LOST balance of alice", expected: "150 LOST", actual: "100.0 LOST" }
+        ]);
+    });
+
+    it("rejects unknown actions and rarities when loading", function () {
+        expect(() => validateScenario({ name: "bad", players: ["alice"], steps: [{ action: "fly" }] }, "bad.json"))
+            .to.throw('bad.json: step 1: unknown action "fly"');
+        const listing = { action: "list", id: "sale", player: "alice", nft: "badge", price: "1" };
+        expect(() => validateScenario({ name: "bad", players: ["alice"], steps: [{ ...listing, rarity: "ULTRA" }] }, "bad.json"))
+            .to.throw('bad.json: step 1: unknown rarity "ULTRA" (available: COMMON, RARE, EPIC, LEGENDARY, MYTHIC)');
+        expect(() => validateScenario({ name: "ok", players: ["alice"], steps: [{ ...listing, rarity: "EPIC" }] }, "ok.json")).to.not.throw();
+    });
+});
@@ -0,0 +1,101 @@
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createClient, KycRequiredError, LostProtocolError, UnauthorizedError } = require("../sdk");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("Client SDK", function () {
+    async function clientFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, manifest } = fixture;
+        const [alice] = players;
+
+        await contracts.Staking.updateRewardRate(0);
+        await contracts.Tournament.updateProtocolFee(0);
+        await contracts.LOSTToken.transfer(alice.address, ethers.parseEther("1000"));
+        await fixture.usdc.mint(alice.address, ethers.parseUnits("500", 6));
+
+        return {
+            ...fixture,
+            alice,
+            admin: createClient({ manifest, runner: fixture.deployer }),
+            client: createClient({ manifest, runner: alice })
+        };
+    }
+
+    it("loads manifests from objects, files and a deployments directory", async function () {
+        const { manifest, alice } = await loadFixture(clientFixture);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lost-sdk-"));
+        try {
+            fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify(manifest));
+            const fromFile = createClient({ manifest: path.join(dir, "hardhat.json"), runner: alice });
+            const fromDir = createClient({ manifest: "hardhat", deploymentsDir: dir, runner: alice });
+            expect(fromFile.staking.address).to.equal(manifest.contracts.Staking.proxy);
+            expect(fromDir.staking.address).to.equal(manifest.contracts.Staking.proxy);
+
+            expect(() => createClient({ manifest: "hardhat", runner: alice })).to.throw('createClient got network "hardhat" without deploymentsDir');
+            expect(() => createClient({ manifest: "hedera", deploymentsDir: dir, runner: alice })).to.throw("No deployment manifest at");
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it("approves LOST before staking", async function () {
+        const { client, contracts } = await loadFixture(clientFixture);
+
+        await client.staking.stake("600", "SILVER");
+
+        expect(await contracts.Staking.totalStaked()).to.equal(ethers.parseEther("600"));
+        expect(await client.staking.getStats()).to.include({ totalStaked: "600.0", stakeCount: 1 });
+        expect(await client.token.balanceOf()).to.equal("400.0");
+    });
+
+    it("pays the entry fee when joining a tournament", async function () {
+        const { admin, client, alice, contracts } = await loadFixture(clientFixture);
+        const tournamentId = await admin.tournament.createTournament({
+            name: "Friday Sprint",
+            entryFee: "0.5",
+            maxParticipants: 4,
+            startTime: (await time.latest()) + 2 * 60 * 60
+        });
+
+        const before = await ethers.provider.getBalance(alice.address);
+        const receipt = await client.tournament.joinTournament(tournamentId);
+        const after = await ethers.provider.getBalance(alice.address);
+        expect(before - after - receipt.fee).to.equal(ethers.parseEther("0.5"));
+
+        const tournament = await client.tournament.getTournament(tournamentId);
+        expect(tournament).to.include({ name: "Friday Sprint", prizePool: "0.5", participants: 1, state: "REGISTRATION" });
+        expect((await contracts.Tournament.getParticipantData(tournamentId, alice.address)).isRegistered).to.equal(true);
+    });
+
+    it("requests a USDC withdrawal and reads it back in USDC units", async function () {
+        const { admin, client, alice } = await loadFixture(clientFixture);
+        await admin.bridge.call("updateKYCStatus", alice.address, true);
+
+        const requestId = await client.bridge.requestWithdrawal("100");
+
+        const [request] = await client.bridge.getPendingWithdrawals();
+        expect(request.requestId).to.equal(requestId);
+        expect(request.amount).to.equal("99.0");
+    });
+
+    it("turns revert reasons into typed errors", async function () {
+        const { client, alice } = await loadFixture(clientFixture);
+
+        const kycError = await client.bridge.requestWithdrawal("100").catch((error) => error);
+        expect(kycError).to.be.instanceOf(KycRequiredError);
+        expect(kycError).to.be.instanceOf(LostProtocolError);
+        expect(kycError).to.include({ reason: "KYC not verified", contract: "USDCPaymentBridge", method: "requestWithdrawal" });
+
+        const roleError = await client.tournament
+            .createTournament({ name: "Nope", entryFee: "1", maxParticipants: 4, startTime: (await time.latest()) + 7200 })
+            .catch((error) => error);
+        expect(roleError).to.be.instanceOf(UnauthorizedError);
+        expect(roleError.reason).to.equal("AccessControlUnauthorizedAccount");
+        expect(roleError.args.account).to.equal(alice.address);
+    });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildSessionProof } = require("../sdk");
+const { replaySession, formatReplay } = require("../scripts/lib/session-replay");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("Session replay", function () {
+    async function replayFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, deployer, players } = fixture;
+        const gameplay = contracts.GameplayVerification;
+        await gameplay.grantRole(await gameplay.GAME_SERVER_ROLE(), deployer.address);
+        return { ...fixture, gameplay, player: players[0] };
+    }
+
+    async function playSession(gameplay, player, nonce, moves) {
+        const receipt = await (await gameplay.startSession(player.address, nonce)).wait();
+        const sessionId = receipt.logs.map((log) => gameplay.interface.parseLog(log)).find((event) => event.name === "SessionStarted").args.sessionId;
+        const proof = await buildSessionProof(gameplay, player, moves, { sessionId });
+        for (const { movement, signature } of proof.movements) {
+            await gameplay.recordMovement(sessionId, movement, signature);
+        }
+        await gameplay.completeSession(sessionId, proof.merkleRoot, proof.merkleProof);
+        return { sessionId, proof };
+    }
+
+    const moves = [
+        { timestamp: 1000, x: 0, y: 0, z: 0, velocity: 10 },
+        { timestamp: 1100, x: 5, y: 0, z: 10, velocity: 11 },
+        { timestamp: 1200, x: 10, y: 0, z: 20, velocity: 40 },
+        { timestamp: 1300, x: 15, y: 0, z: 30, velocity: 12 }
+    ];
+
+    it("replays recorded and rejected moves against the constraints", async function () {
+        const { gameplay, player } = await loadFixture(replayFixture);
+        const { sessionId, proof } = await playSession(gameplay, player, 1, moves);
+
+        const replay = await replaySession(gameplay, sessionId);
+
+        expect(replay.steps.map(({ status }) => status)).to.deep.equal(["recorded", "recorded", "rejected", "recorded"]);
+        expect(replay.steps.every(({ signedByPlayer }) => signedByPlayer)).to.equal(true);
+        expect(replay.steps.every(({ linked }) => linked)).to.equal(true);
+        expect(replay.steps[1]).to.include({ timeDelta: "100", velocityDelta: "1", acceleration: "10", jumpHeight: "10" });
+        expect(replay.steps[2]).to.include({ acceleration: "290", violationType: "Invalid movement physics" });
+        expect(replay.steps[2].movement.velocity).to.equal("40");
+        expect(replay.firstViolation).to.include({ step: 2, rule: "maxAcceleration" });
+
+        expect(replay.merkle).to.include({ storedRoot: proof.merkleRoot, computedRoot: proof.merkleRoot, matches: true });
+        expect(replay.merkle.proof).to.deep.equal(proof.merkleProof);
+        expect(replay.playerStatus).to.include({ violationCount: 1, banned: false, sessionViolations: 1 });
+    });
+
+    it("checks moves against the constraints in force when they were submitted", async function () {
+        const { gameplay, player } = await loadFixture(replayFixture);
+        const { sessionId } = await playSession(gameplay, player, 2, moves.slice(0, 2));
+        await gameplay.updatePhysicsConstraints(5, 50, 20, 10);
+
+        const replay = await replaySession(gameplay, sessionId);
+
+        expect(replay.constraints.maxVelocity).to.equal("5");
+        expect(replay.firstViolation).to.equal(null);
+        const report = formatReplay(replay).join("\n");
+        expect(report).to.include(`Player: ${player.address}`);
+        expect(report).to.include("First limit broken: none");
+        expect(report).to.include("matches: yes");
+    });
+
+    it("rejects unknown sessions", async function () {
+        const { gameplay } = await loadFixture(replayFixture);
+        await expect(replaySession(gameplay, ethers.ZeroHash)).to.be.rejectedWith("not found");
+    });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    createStakingModel,
+    formatProjection,
+    parseStakingScenario,
+    readStakingState,
+    simulateStaking
+} = require("../scripts/lib/staking-simulator");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+const [BRONZE, SILVER, GOLD, , DIAMOND] = [0, 1, 2, 3, 4];
+
+const SCENARIO = `
+horizon: 40d
+blockTime: 60
+rewardRate: "0.3"
+emergencyWithdraw: true
+tiers:
+  BRONZE: { lockDuration: 10d, slashingPenalty: 1500 }
+distributions:
+  - amount: "700"
+    every: 7d
+stakers:
+  - tier: BRONZE
+    amount: "400"
+    count: 2
+    exitAfter: unlock
+  - tier: SILVER
+    amount: "900"
+    exitAfter: 5d
+  - tier: GOLD
+    amount: "1500"
+    joinAt: 3d
+`;
+
+describe("Staking simulator", function () {
+    async function simulatorFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players, deployer } = fixture;
+        const staking = contracts.Staking;
+        const stakers = players.slice(0, 4);
+        for (const player of stakers) {
+            await contracts.LOSTToken.transfer(player.address, ethers.parseEther("25000"));
+            await contracts.LOSTToken.connect(player).approve(await staking.getAddress(), ethers.MaxUint256);
+        }
+        await contracts.LOSTToken.approve(await staking.getAddress(), ethers.MaxUint256);
+        // Reward pool for per-block emissions
+        await contracts.LOSTToken.transfer(await staking.getAddress(), ethers.parseEther("20000"));
+        return { ...fixture, staking, token: contracts.LOSTToken, stakers, admin: deployer };
+    }
+
+    function send(staking, signer, action, overrides = {}) {
+        const contract = staking.connect(signer);
+        switch (action.type) {
+        case "stake":
+            return contract["stake(uint256,uint256)"](action.amount, action.tier, overrides);
+        case "unstake":
+            return contract.unstake(action.stakeId, overrides);
+        case "emergencyUnstake":
+            return contract.emergencyUnstake(action.stakeId, overrides);
+        case "claim":
+            return contract.claimRewards(overrides);
+        case "distribute":
+            return contract.distributeRewards(action.amount, overrides);
+        case "setRewardRate":
+            return contract.updateRewardRate(action.rate, overrides);
+        case "setEmergencyWithdraw":
+            return contract.setEmergencyWithdraw(action.enabled, overrides);
+        case "updateTierConfig": {
+            const { lockDuration, votingMultiplier, rewardMultiplier, minStakeAmount, slashingPenalty } = action.config;
+            return contract.updateTierConfig(action.tier, lockDuration, votingMultiplier, rewardMultiplier, minStakeAmount, slashingPenalty, overrides);
+        }
+        default:
+            throw new Error(`No call for ${action.type}`);
+        }
+    }
+
+    async function chainState(staking) {
+        const { block, ...state } = await readStakingState(staking);
+        return state;
+    }
+
+    function modelState(model) {
+        const { block, ...state } = model.state();
+        return state;
+    }
+
+    it("follows the contract call by call, reverts included", async function () {
+        const { staking, token, stakers, admin } = await loadFixture(simulatorFixture);
+        const [alice, bob, carol] = stakers;
+        const model = createStakingModel(await readStakingState(staking));
+        const signers = { [alice.address]: alice, [bob.address]: bob, [carol.address]: carol };
+
+        async function run(action, signer = signers[action.staker] || admin) {
+            const receipt = await (await send(staking, signer, action)).wait();
+            const block = await ethers.provider.getBlock(receipt.blockNumber);
+            return model.apply(action, { block: block.number, timestamp: block.timestamp });
+        }
+
+        async function reverts(action, reason) {
+            await expect(send(staking, signers[action.staker], action)).to.be.revertedWith(reason);
+            const before = modelState(model);
+            expect(() => model.apply(action)).to.throw(reason);
+            expect(modelState(model)).to.deep.equal(before);
+        }
+
+        // Per-block emissions stay on (1 LOST per block) so the lazy accrual is exercised too
+        await run({ type: "stake", staker: alice.address, amount: ethers.parseEther("5000"), tier: GOLD });
+        await run({ type: "stake", staker: bob.address, amount: ethers.parseEther("300"), tier: BRONZE });
+        await mine(50);
+        await run({ type: "distribute", amount: ethers.parseEther("1000") });
+        await run({ type: "stake", staker: carol.address, amount: ethers.parseEther("20000"), tier: DIAMOND });
+        await reverts({ type: "stake", staker: bob.address, amount: ethers.parseEther("50"), tier: BRONZE }, "Below minimum stake");
+        expect(await chainState(staking)).to.deep.equal(modelState(model));
+
+        await time.increase(30 * DAY);
+        const unstaked = await run({ type: "unstake", staker: bob.address, stakeId: 0 });
+        expect(unstaked.pendingReward).to.be.greaterThan(0n);
+        await reverts({ type: "unstake", staker: alice.address, stakeId: 0 }, "Lock period not ended");
+        await reverts({ type: "emergencyUnstake", staker: alice.address, stakeId: 0 }, "Emergency withdraw disabled");
+
+        await run({ type: "setEmergencyWithdraw", enabled: true });
+        const gold = await staking.tierConfigs(GOLD);
+        await run({ type: "updateTierConfig", tier: GOLD, config: { ...gold.toObject(), slashingPenalty: 900n } });
+        await run({ type: "setRewardRate", rate: ethers.parseEther("2") });
+
+        const before = await token.balanceOf(alice.address);
+        const claimed = await run({ type: "claim", staker: alice.address });
+        expect((await token.balanceOf(alice.address)) - before).to.equal(claimed.amount);
+        const exited = await run({ type: "emergencyUnstake", staker: alice.address, stakeId: 0 });
+        expect(exited.penalty).to.equal(ethers.parseEther("450"));
+        await run({ type: "claim", staker: bob.address });
+        await run({ type: "claim", staker: carol.address });
+        await reverts({ type: "unstake", staker: bob.address, stakeId: 0 }, "Stake not active");
+
+        expect(await chainState(staking)).to.deep.equal(modelState(model));
+        expect(await token.balanceOf(await staking.treasuryAddress())).to.equal(model.state().totalSlashed);
+    });
+
+    it("projects a scenario that the contract then plays out to the same numbers", async function () {
+        const { staking, token, stakers, admin } = await loadFixture(simulatorFixture);
+        const scenario = parseStakingScenario(SCENARIO);
+        const snapshot = await readStakingState(staking);
+        const result = simulateStaking(snapshot, scenario);
+
+        expect(result.rejected).to.be.empty;
+        expect(result.positions.map(({ exit }) => exit)).to.deep.equal(["unlock", "unlock", "emergency", "held"]);
+        expect(result.positions[2].penalty).to.equal(ethers.parseEther("72"));
+        expect(result.penaltyRevenue).to.equal(ethers.parseEther("72"));
+        expect(result.distributed).to.equal(ethers.parseEther("3500"));
+        expect(result.runway.exhaustedAt).to.equal(null);
+        expect(result.runway.remaining).to.be.greaterThan(0);
+        expect(result.warnings.join("\n")).to.match(/rewardMultiplier is not applied[\s\S]*blocks behind with nothing staked/);
+
+        // Play the same calls on Hardhat, at the blocks and timestamps the simulator used
+        const signers = Object.fromEntries(result.positions.map(({ staker }, index) => [staker, stakers[index]]));
+        const balances = await Promise.all(stakers.map(({ address }) => token.balanceOf(address)));
+        const treasury = await staking.treasuryAddress();
+        const treasuryBefore = await token.balanceOf(treasury);
+        const groups = [];
+        for (const action of result.actions) {
+            if (groups.length === 0 || groups[groups.length - 1][0].block !== action.block) {
+                groups.push([]);
+            }
+            groups[groups.length - 1].push(action);
+        }
+        for (const group of groups) {
+            const { block, timestamp } = group[0];
+            const latest = await ethers.provider.getBlock("latest");
+            if (block - 1 > latest.number) {
+                await mine(block - 1 - latest.number, { interval: result.blockTime });
+            }
+            // Several calls can share a block; without automine each one would be sent with the
+            // whole block gas limit, so give them a limit that lets the group fit
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                const sent = [];
+                for (const action of group) {
+                    sent.push(await send(staking, signers[action.staker] || admin, action, { gasLimit: 1000000 }));
+                }
+                await network.provider.send("evm_mine", [timestamp]);
+                for (const tx of sent) {
+                    expect((await tx.wait()).blockNumber).to.equal(block);
+                }
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+        }
+
+        for (const [index, position] of result.positions.entries()) {
+            const returned = position.exit === "held" ? 0n : position.amount - position.penalty;
+            const expected = balances[index] - position.amount + returned + position.rewards;
+            expect(await token.balanceOf(stakers[index].address)).to.equal(expected);
+        }
+        expect((await token.balanceOf(treasury)) - treasuryBefore).to.equal(result.penaltyRevenue);
+        const [totalStaked, , , totalRewardsDistributed, totalSlashed] = await staking.getGlobalStats();
+        expect(totalRewardsDistributed - snapshot.totalRewardsDistributed).to.equal(result.distributed);
+        expect(totalSlashed).to.equal(result.penaltyRevenue);
+        // Everyone claimed at the horizon, so nothing is owed and the pool is the surplus balance
+        expect((await token.balanceOf(await staking.getAddress())) - totalStaked).to.equal(result.pool.end);
+
+        const tiers = Object.fromEntries(result.tiers.map((row) => [row.tier, row]));
+        expect(tiers.BRONZE).to.include({ stakers: 2, staked: ethers.parseEther("800") });
+        expect(tiers.GOLD.apyBps).to.be.greaterThan(0n);
+        expect(tiers.DIAMOND.apyBps).to.equal(null);
+    });
+
+    it("reports when emissions would drain the reward pool", async function () {
+        const { staking } = await loadFixture(simulatorFixture);
+        const snapshot = await readStakingState(staking);
+        const scenario = parseStakingScenario(SCENARIO);
+
+        const result = simulateStaking(snapshot, { ...scenario, rewardRate: ethers.parseEther("0.6") });
+        expect(result.runway.exhaustedAt).to.not.equal(null);
+        expect(result.runway.exhaustedAt.block).to.be.lessThan(result.end.block);
+        expect(formatProjection(result).join("\n")).to.include("Pool runs dry at block");
+
+        expect(() => parseStakingScenario("blockTime: 0\ntiers:\n  COPPER: {}\nstakers:\n  - tier: GOLD\n    amount: lots\n    exitAfter: soon"))
+            .to.throw(/blockTime must be.*\n.*tiers\.COPPER is not one of.*\n.*stakers\[0\]\.amount "lots" is not a LOST amount.*\n.*stakers\[0\]\.exitAfter: Invalid duration "soon"/);
+    });
+});
@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const BRONZE = 0;
+
+describe("Staking", function () {
+    async function stakingFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, players } = fixture;
+        const [alice, bob] = players;
+        const staking = contracts.Staking;
+
+        // Per-block emissions are paid from the contract's own balance; keep them off so
+        // rewards come only from distributeRewards()
+        await staking.updateRewardRate(0);
+
+        for (const player of [alice, bob]) {
+            await contracts.LOSTToken.transfer(player.address, ethers.parseEther("1000"));
+            await contracts.LOSTToken.connect(player).approve(await staking.getAddress(), ethers.MaxUint256);
+        }
+        return { ...fixture, staking, alice, bob };
+    }
+
+    it("stakes, distributes rewards pro rata and pays them out on claim", async function () {
+        const { staking, contracts, deployer, alice, bob } = await loadFixture(stakingFixture);
+
+        await staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("300"), BRONZE);
+        await staking.connect(bob)["stake(uint256,uint256)"](ethers.parseEther("100"), BRONZE);
+        expect(await staking.totalStaked()).to.equal(ethers.parseEther("400"));
+
+        await contracts.LOSTToken.approve(await staking.getAddress(), ethers.parseEther("40"));
+        await expect(staking.connect(deployer).distributeRewards(ethers.parseEther("40")))
+            .to.emit(staking, "RewardsDistributed");
+
+        await expect(staking.connect(alice).claimRewards())
+            .to.changeTokenBalance(contracts.LOSTToken, alice, ethers.parseEther("30"));
+        await expect(staking.connect(bob).claimRewards())
+            .to.changeTokenBalance(contracts.LOSTToken, bob, ethers.parseEther("10"));
+    });
+
+    it("keeps stakes locked until the tier's lock period ends", async function () {
+        const { staking, contracts, alice } = await loadFixture(stakingFixture);
+        const amount = ethers.parseEther("100");
+
+        await staking.connect(alice)["stake(uint256,uint256)"](amount, BRONZE);
+        await expect(staking.connect(alice).unstake(0)).to.be.revertedWith("Lock period not ended");
+
+        await time.increase(30 * 24 * 60 * 60);
+        await expect(staking.connect(alice).unstake(0))
+            .to.changeTokenBalance(contracts.LOSTToken, alice, amount);
+
+        const [totalStaked, , stakeCount] = await staking.getUserStakingStats(alice.address);
+        expect(totalStaked).to.equal(0n);
+        expect(stakeCount).to.equal(1n);
+    });
+
+    it("rejects stakes below the tier minimum", async function () {
+        const { staking, alice } = await loadFixture(stakingFixture);
+
+        await expect(staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("99"), BRONZE))
+            .to.be.revertedWith("Below minimum stake");
+    });
+});
@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    computePayouts,
+    createOrganizer,
+    formatPayouts,
+    parseMatchResults,
+    parseTournamentSpec
+} = require("../scripts/lib/tournament-organizer");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const SPEC = `
+name: Friday Time Attack
+type: TIME_ATTACK
+entryFee: "2"
+maxPlayers: 8
+prizeSplit: [50, 30, 20]
+startsIn: 2h
+`;
+
+describe("Tournament organizer", function () {
+    async function organizerFixture() {
+        const fixture = await deployProtocolFixture();
+        const tournament = fixture.contracts.Tournament;
+        const [alice, bob, carol, dave, feeCollector] = fixture.players;
+        const spec = parseTournamentSpec(SPEC, { now: await time.latest() });
+        const { tournamentId } = await createOrganizer(tournament).create(spec);
+        for (const player of [alice, bob, carol, dave]) {
+            await tournament.connect(player).registerForTournament(tournamentId, { value: spec.entryFee });
+        }
+        return { ...fixture, tournament, tournamentId, spec, entrants: [alice, bob, carol, dave], feeCollector };
+    }
+
+    function resultsCsv([alice, bob, carol, dave]) {
+        return [
+            "match,winner,player1_score,player2_score,gameplay_hash",
+            `0,${alice.address},1200,900,`,
+            `1,${carol.address},700,1500,${ethers.id("match-1")}`,
+            "# finals",
+            `2,${carol.address},1100,1000,`,
+            `3,${dave.address},400,300,`
+        ].join("\n");
+    }
+
+    it("validates specs and results against what Tournament accepts", function () {
+        const spec = parseTournamentSpec(SPEC, { now: 1000 });
+        expect(spec).to.include({ name: "Friday Time Attack", maxPlayers: 8, places: 3, startTime: 1000 + 7200 });
+        expect(spec.entryFee).to.equal(ethers.parseEther("2"));
+
+        expect(() => parseTournamentSpec("name: x\nmaxPlayers: 300\nprizeSplit: [60, 40]\nstartsIn: soon"))
+            .to.throw(/maxPlayers must be.*\n.*prizeSplit \[60, 40\] is not one Tournament pays.*\n.*Invalid duration "soon"/);
+
+        const results = parseMatchResults(`match,winner,player1_score,player2_score\n5,${ethers.ZeroAddress},10,20`);
+        expect(results).to.deep.equal([{ matchIndex: 5n, winner: ethers.ZeroAddress, player1Score: 10n, player2Score: 20n, gameplayHash: ethers.ZeroHash }]);
+        expect(() => parseMatchResults("match,winner\n1,0x1")).to.throw("missing column(s): player1_score, player2_score");
+    });
+
+    it("shows payouts in a dry run before anything is sent, then runs them", async function () {
+        const { tournament, tournamentId, entrants, feeCollector, spec } = await loadFixture(organizerFixture);
+        // Treasury cannot receive the native fee, so collect it with an account for this run
+        await tournament.updateTreasuryAddress(feeCollector.address);
+        const [alice, , carol, dave] = entrants;
+        const organizer = createOrganizer(tournament);
+        const dryRun = createOrganizer(tournament, { dryRun: true });
+        const results = parseMatchResults(resultsCsv(entrants));
+
+        const view = await organizer.show(tournamentId);
+        expect(view.players.map(({ address }) => address)).to.deep.equal(entrants.map(({ address }) => address));
+        expect(view).to.include({ state: "REGISTRATION", type: "TIME_ATTACK" });
+
+        // Simulated before the tournament has even started
+        const before = await ethers.provider.getBlockNumber();
+        const simulated = await dryRun.submitResults(tournamentId, results);
+        expect(simulated.submitted[0].simulation).to.deep.equal({ ok: false, reason: "Tournament not in progress" });
+        const plan = await dryRun.planFinalize(tournamentId, { places: spec.places, pending: results });
+        expect(await ethers.provider.getBlockNumber()).to.equal(before);
+
+        const pool = spec.entryFee * 4n;
+        const fee = (pool * 250n) / 10000n;
+        expect(plan.winners).to.deep.equal([carol.address, alice.address, dave.address]);
+        expect(plan.payouts).to.include({ prizePool: pool, protocolFee: fee, distributable: pool - fee });
+        expect(plan.payouts.prizes.map(({ amount }) => amount)).to.deep.equal([(pool - fee) / 2n, ((pool - fee) * 3n) / 10n, (pool - fee) / 5n]);
+        expect(formatPayouts(plan).join("\n")).to.include("Protocol fee:    0.2 HBAR (2.5%");
+
+        await organizer.start(tournamentId);
+        expect((await organizer.submitResults(tournamentId, results)).submitted).to.have.length(4);
+        // A second run of the same CSV must not add the scores again
+        const rerun = await organizer.submitResults(tournamentId, results);
+        expect(rerun.submitted).to.be.empty;
+        expect(rerun.skipped).to.have.length(4);
+
+        const balances = await Promise.all([carol, alice, dave, feeCollector].map(({ address }) => ethers.provider.getBalance(address)));
+        const finalized = await organizer.finalize(tournamentId, { places: spec.places });
+        expect(finalized.merkleRoot).to.equal(plan.merkleRoot);
+        expect(finalized.payouts).to.deep.equal(plan.payouts);
+
+        const info = await tournament.getTournamentInfo(tournamentId);
+        expect(info.state).to.equal(3n);
+        expect(info.merkleRoot).to.equal(plan.merkleRoot);
+        const paid = [...plan.payouts.prizes.map(({ amount }) => amount), fee];
+        for (const [index, account] of [carol, alice, dave, feeCollector].entries()) {
+            expect((await ethers.provider.getBalance(account.address)) - balances[index]).to.equal(paid[index]);
+        }
+    });
+
+    it("reports a finalize that would revert and the refunds of a cancellation", async function () {
+        const { tournament, tournamentId, entrants, spec } = await loadFixture(organizerFixture);
+        const organizer = createOrganizer(tournament);
+        await organizer.start(tournamentId);
+
+        const plan = await createOrganizer(tournament, { dryRun: true }).planFinalize(tournamentId, { places: 2 });
+        expect(plan.simulation).to.deep.equal({ ok: false, reason: "Protocol fee transfer failed" });
+        await expect(organizer.finalize(tournamentId, { places: 2 })).to.be.rejectedWith("would revert: Protocol fee transfer failed");
+        expect(computePayouts({ prizePool: 1000n, protocolFeeBps: 250n, winners: ["a", "b"] }).prizes.map(({ amount }) => amount)).to.deep.equal([682n, 292n]);
+
+        const preview = await createOrganizer(tournament, { dryRun: true }).cancel(tournamentId);
+        expect(preview.refunds).to.deep.equal(entrants.map(({ address }) => ({ player: address, amount: spec.entryFee })));
+        expect((await tournament.getTournamentInfo(tournamentId)).state).to.equal(1n);
+
+        await organizer.cancel(tournamentId);
+        expect((await organizer.show(tournamentId)).state).to.equal("CANCELLED");
+    });
+});
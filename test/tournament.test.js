@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const TIME_ATTACK = 3;
+const State = { REGISTRATION: 0n, IN_PROGRESS: 1n, COMPLETED: 3n };
+const ENTRY_FEE = ethers.parseEther("1");
+
+describe("Tournament", function () {
+    async function tournamentFixture() {
+        const fixture = await deployProtocolFixture();
+        const tournament = fixture.contracts.Tournament;
+
+        // The protocol fee is sent to the Treasury in the native currency, which it cannot receive
+        // (it has no receive function), so these flows run without a fee
+        await tournament.updateProtocolFee(0);
+
+        const startTime = (await time.latest()) + 2 * 60 * 60;
+        await tournament.createTournament("Weekly Time Attack", ENTRY_FEE, 3, startTime, TIME_ATTACK);
+        const tournamentId = (await tournament.nextTournamentId()) - 1n;
+        return { ...fixture, tournament, tournamentId, entrants: fixture.players.slice(0, 3) };
+    }
+
+    async function playTournament({ tournament, tournamentId, entrants }, scores) {
+        for (const player of entrants) {
+            await tournament.connect(player).registerForTournament(tournamentId, { value: ENTRY_FEE });
+        }
+        await tournament.startTournament(tournamentId);
+
+        for (const [index, player] of entrants.entries()) {
+            const gameplayHash = ethers.solidityPackedKeccak256(["uint256", "address"], [tournamentId, player.address]);
+            await tournament.verifyGameplayHash(gameplayHash);
+            await tournament.submitScore(tournamentId, player.address, scores[index], gameplayHash);
+        }
+    }
+
+    it("collects entry fees into the prize pool", async function () {
+        const fixture = await loadFixture(tournamentFixture);
+        const { tournament, tournamentId, entrants } = fixture;
+
+        for (const player of entrants) {
+            await expect(tournament.connect(player).registerForTournament(tournamentId, { value: ENTRY_FEE }))
+                .to.emit(tournament, "PlayerRegistered");
+        }
+
+        const info = await tournament.getTournamentInfo(tournamentId);
+        expect(info.prizePool).to.equal(ENTRY_FEE * 3n);
+        expect(info.currentParticipants).to.equal(3n);
+        expect(info.state).to.equal(State.REGISTRATION);
+    });
+
+    it("finalizes once every score is in and pays prizes by rank", async function () {
+        const fixture = await loadFixture(tournamentFixture);
+        const { tournament, tournamentId, entrants } = fixture;
+        const [first, second, third] = [entrants[1], entrants[2], entrants[0]];
+
+        await playTournament(fixture, [100, 300, 200]);
+        expect((await tournament.getTournamentInfo(tournamentId)).state).to.equal(State.COMPLETED);
+
+        const pool = ENTRY_FEE * 3n;
+        await expect(tournament.connect(first).claimPrize(tournamentId))
+            .to.changeEtherBalance(first, (pool * 50n) / 100n);
+        await expect(tournament.connect(second).claimPrize(tournamentId))
+            .to.changeEtherBalance(second, (pool * 30n) / 100n);
+        await expect(tournament.connect(third).claimPrize(tournamentId))
+            .to.changeEtherBalance(third, (pool * 20n) / 100n);
+
+        expect((await tournament.getParticipantData(tournamentId, first.address)).rank).to.equal(1n);
+        await expect(tournament.connect(first).claimPrize(tournamentId)).to.be.revertedWith("Prize already claimed");
+    });
+
+    it("only accepts scores backed by a verified gameplay hash", async function () {
+        const { tournament, tournamentId, entrants } = await loadFixture(tournamentFixture);
+
+        for (const player of entrants) {
+            await tournament.connect(player).registerForTournament(tournamentId, { value: ENTRY_FEE });
+        }
+        await tournament.startTournament(tournamentId);
+        expect((await tournament.getTournamentInfo(tournamentId)).state).to.equal(State.IN_PROGRESS);
+
+        await expect(tournament.submitScore(tournamentId, entrants[0].address, 100, ethers.id("unverified")))
+            .to.be.revertedWith("Unverified gameplay");
+    });
+});
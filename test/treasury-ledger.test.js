@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    blockAtTime,
+    buildLedger,
+    journalCsv,
+    treasuryReport,
+    trialBalanceCsv
+} = require("../scripts/lib/treasury-ledger");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const DAY = 24 * 60 * 60;
+const BRONZE = 0;
+const usdc = (amount) => ethers.parseUnits(amount, 6);
+
+describe("Treasury ledger", function () {
+    async function ledgerFixture() {
+        const fixture = await deployProtocolFixture();
+        const { contracts, deployer, players, usdc: mockUsdc } = fixture;
+        const treasury = contracts.Treasury;
+        const token = contracts.LOSTToken;
+        const [alice, bob] = players;
+
+        await treasury.updateProtocolContract(deployer.address, true);
+        await token.approve(await treasury.getAddress(), ethers.MaxUint256);
+        await mockUsdc.mint(deployer.address, usdc("10000"));
+        await mockUsdc.approve(await treasury.getAddress(), ethers.MaxUint256);
+
+        // 5% of LOST revenue is burned; the rest is split between the seven funds
+        await treasury.collectRevenue("marketplace", ethers.parseEther("100000"), await token.getAddress());
+        const periodStart = (await ethers.provider.getBlockNumber()) + 1;
+        // An odd wei amount leaves allocation rounding in the unallocated account
+        await treasury.collectRevenue("tournaments", ethers.parseEther("3333") + 7n, await token.getAddress());
+        await treasury.collectRevenue("bridge_fees", usdc("250"), await mockUsdc.getAddress());
+        await treasury.depositToTreasury(ethers.parseEther("1000"));
+        await treasury.distributeFunds(alice.address, ethers.parseEther("100"), "marketing", "Q3 campaign");
+        await mockUsdc.transfer(await treasury.getAddress(), usdc("40"));
+
+        // An emergency exit pays its penalty straight to the Treasury
+        await token.transfer(alice.address, ethers.parseEther("1000"));
+        await token.connect(alice).approve(await contracts.Staking.getAddress(), ethers.MaxUint256);
+        await contracts.Staking.connect(alice)["stake(uint256,uint256)"](ethers.parseEther("1000"), BRONZE);
+        await contracts.Staking.setEmergencyWithdraw(true);
+        await contracts.Staking.connect(alice).emergencyUnstake(0);
+
+        await treasury.createProposal("Grant", "Community tools", 0, ethers.parseEther("1500"), bob.address);
+        await treasury.voteOnProposal(1, true);
+        await time.increase(3 * DAY);
+        await treasury.executeProposal(1);
+
+        return { ...fixture, treasury, token, mockUsdc, alice, bob, periodStart };
+    }
+
+    it("books every Treasury movement in balanced entries that reconcile with the chain", async function () {
+        const { contracts, treasury, alice, bob, periodStart } = await loadFixture(ledgerFixture);
+        const ledger = await buildLedger({ contracts });
+        expect(ledger.warnings).to.be.empty;
+
+        for (const entry of ledger.entries) {
+            for (const symbol of ["LOST", "USDC"]) {
+                const lines = entry.lines.filter(({ token }) => token === symbol);
+                const debits = lines.reduce((sum, line) => sum + line.debit, 0n);
+                const credits = lines.reduce((sum, line) => sum + line.credit, 0n);
+                expect(debits, `entry ${entry.id} ${symbol}`).to.equal(credits);
+            }
+        }
+        expect(ledger.entries.map(({ kind }) => kind)).to.deep.equal([
+            "revenue", "revenue", "revenue", "deposit", "distribution", "transfer in", "direct revenue", "grant"
+        ]);
+
+        const [marketplace] = ledger.entries;
+        const lines = Object.fromEntries(marketplace.lines.map((line) => [line.account, line.debit || line.credit]));
+        expect(lines).to.deep.equal({
+            "assets:funds:reward_pool": ethers.parseEther("38000"),
+            "assets:funds:development": ethers.parseEther("14250"),
+            "assets:funds:marketing": ethers.parseEther("9500"),
+            "assets:funds:liquidity": ethers.parseEther("14250"),
+            "assets:funds:staking": ethers.parseEther("9500"),
+            "assets:funds:ecosystem": ethers.parseEther("4750"),
+            "assets:funds:insurance": ethers.parseEther("4750"),
+            "expenses:burned": ethers.parseEther("5000"),
+            "income:marketplace": ethers.parseEther("100000")
+        });
+        expect(ledger.entries[4]).to.include({ description: "Q3 campaign", counterparty: alice.address });
+        expect(ledger.entries[4].lines[1]).to.include({ account: "assets:funds:marketing", credit: ethers.parseEther("100") });
+        expect(ledger.entries[6]).to.include({ description: "Staking.emergencyUnstake", counterparty: "Staking" });
+        expect(ledger.entries[6].lines[1]).to.include({ account: "income:staking_penalties", credit: ethers.parseEther("100") });
+        expect(ledger.entries[7]).to.include({ counterparty: bob.address });
+        expect(ledger.entries[7].lines[1]).to.include({ account: "assets:funds:ecosystem", credit: ethers.parseEther("1500") });
+
+        const report = await treasuryReport(ledger, treasury, periodStart);
+        expect(report.reconciliation.filter(({ ok }) => !ok)).to.be.empty;
+        const fundChecks = Object.fromEntries(report.reconciliation.map((check) => [check.check, check]));
+        expect(fundChecks["fund reward_pool"].note).to.include("6-decimal units");
+        const holdings = report.reconciliation.find(({ check, token }) => check === "holdings" && token === "LOST");
+        expect(holdings.onChain).to.equal(await contracts.LOSTToken.balanceOf(await treasury.getAddress()));
+
+        // The period starts after the first collection, which becomes the opening balance
+        expect(report.entries[0].kind).to.equal("revenue");
+        expect(report.entries).to.have.length(7);
+        const reward = report.trialBalance.find((row) => row.account === "assets:funds:reward_pool" && row.token === "LOST");
+        expect(reward.opening).to.equal(ethers.parseEther("38000"));
+        expect(reward.closing).to.equal(await treasury.fundBalances("reward_pool") - usdc("100"));
+        const unallocated = report.funds.unallocated.LOST;
+        expect(unallocated.in).to.equal(ethers.parseEther("1100") + 3n);
+        expect(report.streams.tournaments.LOST).to.include({ gross: ethers.parseEther("3333") + 7n, collections: 1 });
+        expect(report.streams.bridge_fees.USDC).to.include({ gross: usdc("250"), burned: 0n });
+        expect(report.streams.staking_penalties.LOST.gross).to.equal(ethers.parseEther("100"));
+
+        const journal = journalCsv(report.entries, ledger.tokens).split("\n");
+        expect(journal[0]).to.equal("entry,date,block,tx,account,currency,debit,credit,type,description,counterparty");
+        expect(journal.find((row) => row.includes("income:bridge_fees"))).to.match(/,income:bridge_fees,USDC,,250\.0,revenue,bridge_fees revenue,/);
+        expect(journal.some((row) => row.includes(",assets:funds:marketing,LOST,,100.0,distribution,Q3 campaign,"))).to.equal(true);
+        const balance = trialBalanceCsv(report.trialBalance, ledger.tokens);
+        expect(balance).to.include("income:marketplace,LOST,-100000.0,0.0,0.0,-100000.0\n");
+    });
+
+    it("reports what the ledger cannot see and funds the Treasury cannot cover", async function () {
+        const { contracts, treasury, mockUsdc } = await loadFixture(ledgerFixture);
+        // No pool is set, so the liquidity fund shrinks without an event or a transfer
+        await treasury.provideLiquidity(ethers.parseEther("1000"));
+        // More USDC than the Treasury holds outside its funds
+        await treasury.emergencyWithdraw(await mockUsdc.getAddress(), usdc("100"));
+
+        const ledger = await buildLedger({ contracts });
+        const report = await treasuryReport(ledger, treasury);
+        const failed = report.reconciliation.filter(({ ok }) => !ok);
+        expect(failed.map(({ check, token }) => `${check} ${token}`)).to.deep.equal(["fund liquidity null", "funds backed by holdings USDC"]);
+        expect(failed[0]).to.include({ difference: ethers.parseEther("1000") });
+        expect(failed[0].note).to.include("provideLiquidity");
+        expect(failed[1].ledger).to.equal(-usdc("60"));
+        expect(ledger.entries.at(-1)).to.include({ kind: "withdrawal" });
+
+        // A ledger that stops early reconciles against that block
+        const before = await buildLedger({ contracts, toBlock: (await ethers.provider.getBlockNumber()) - 2 });
+        expect((await treasuryReport(before, treasury)).reconciliation.every(({ ok }) => ok)).to.equal(true);
+
+        const latest = await ethers.provider.getBlock("latest");
+        expect(await blockAtTime(ethers.provider, latest.timestamp)).to.equal(latest.number);
+        expect(await blockAtTime(ethers.provider, latest.timestamp + 1)).to.equal(latest.number + 1);
+    });
+});
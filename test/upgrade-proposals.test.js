@@ -0,0 +1,99 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    PROPOSALS_DIR,
+    TIMELOCK_ABI,
+    latestProposal,
+    loadProposal,
+    proposalPath,
+    safeBatch,
+    saveProposal,
+    timelockCalls
+} = require("../scripts/lib/proposals");
+const { diffLayouts, implementationLayout } = require("../scripts/lib/storage-layout");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+describe("Upgrade proposals", function () {
+    const proposalNetwork = `proposal-test-${process.pid}`;
+
+    afterEach(function () {
+        fs.rmSync(path.join(PROPOSALS_DIR, proposalNetwork), { recursive: true, force: true });
+    });
+
+    it("encodes Safe and timelock batches that upgrade the proxies", async function () {
+        const { contracts, addresses } = await loadFixture(deployProtocolFixture);
+        const token = contracts.LOSTToken;
+        const next = await ethers.deployContract("LOSTToken");
+        const calls = [{ to: addresses.LOSTToken, data: token.interface.encodeFunctionData("upgradeToAndCall", [await next.getAddress(), "0x"]) }];
+
+        const timelockAddress = ethers.Wallet.createRandom().address;
+        const salt = ethers.id("2026-10-19T00:00:00.000Z");
+        const timelock = timelockCalls(timelockAddress, calls, 172800n, salt);
+        expect(timelock).to.include({ address: timelockAddress, minDelay: "172800", predecessor: ethers.ZeroHash, salt });
+        const abi = new ethers.Interface(TIMELOCK_ABI);
+        const scheduled = abi.decodeFunctionData("scheduleBatch", timelock.schedule);
+        expect(scheduled.targets).to.deep.equal([addresses.LOSTToken]);
+        expect(scheduled.payloads).to.deep.equal([calls[0].data]);
+        expect(scheduled.delay).to.equal(172800n);
+        const executed = abi.decodeFunctionData("executeBatch", timelock.execute);
+        expect(executed.salt).to.equal(salt);
+
+        const batch = safeBatch(1337n, "LOST upgrades", "Upgrade LOSTToken", null, calls);
+        expect(batch).to.include({ version: "1.0", chainId: "1337" });
+        expect(batch.meta).to.deep.equal({ name: "LOST upgrades", description: "Upgrade LOSTToken", createdFromSafeAddress: "" });
+        expect(batch.transactions).to.deep.equal([{ to: addresses.LOSTToken, value: "0", data: calls[0].data, contractMethod: null, contractInputsValues: null }]);
+
+        // The deployer holds UPGRADER_ROLE, so it can stand in for the Safe executing the batch
+        const [executor] = await ethers.getSigners();
+        await executor.sendTransaction({ to: batch.transactions[0].to, data: batch.transactions[0].data });
+        expect(await upgrades.erc1967.getImplementationAddress(addresses.LOSTToken)).to.equal(await next.getAddress());
+        expect(await token.symbol()).to.equal("LOST");
+    });
+
+    it("saves proposals per network and finds the newest", async function () {
+        expect(latestProposal(proposalNetwork)).to.equal(null);
+        const older = { network: proposalNetwork, createdAt: "2026-10-18T09:00:00.000Z", upgrades: [] };
+        const newer = { network: proposalNetwork, createdAt: "2026-10-19T09:30:00.000Z", upgrades: [{ contract: "Staking" }] };
+        expect(saveProposal(newer)).to.equal(proposalPath(proposalNetwork, newer.createdAt));
+        saveProposal(older);
+
+        const file = latestProposal(proposalNetwork);
+        expect(path.basename(file)).to.equal("2026-10-19T09-30-00-000Z.json");
+        expect(loadProposal(file)).to.deep.equal(newer);
+    });
+
+    it("lists storage layout changes between implementations", async function () {
+        const { addresses } = await loadFixture(deployProtocolFixture);
+        const implementation = await upgrades.erc1967.getImplementationAddress(addresses.Staking);
+        const layout = await implementationLayout(network.provider, implementation);
+        expect(layout.storage.length).to.be.greaterThan(0);
+        expect(diffLayouts(layout, layout)).to.deep.equal([]);
+        expect(await implementationLayout(network.provider, ethers.Wallet.createRandom().address)).to.equal(null);
+
+        const types = { t_uint256: { label: "uint256" }, t_address: { label: "address" } };
+        const before = {
+            types,
+            storage: [
+                { label: "rate", type: "t_uint256", slot: "0", offset: 0 },
+                { label: "owner", type: "t_address", slot: "1", offset: 0 }
+            ],
+            namespaces: { "erc7201:lost.staking": [{ label: "paused", type: "t_uint256", slot: "0", offset: 0 }] }
+        };
+        const after = {
+            types,
+            storage: [
+                { label: "rate", type: "t_address", slot: "0", offset: 0 },
+                { label: "fee", type: "t_uint256", slot: "2", offset: 0 }
+            ],
+            namespaces: { "erc7201:lost.staking": [{ label: "paused", type: "t_uint256", slot: "0", offset: 0 }] }
+        };
+        expect(diffLayouts(before, after)).to.deep.equal([
+            "~ rate: uint256 @ slot 0 -> address @ slot 0",
+            "+ fee: uint256 @ slot 2",
+            "- owner: address @ slot 1"
+        ]);
+    });
+});
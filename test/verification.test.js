@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createVerifier, verifyContract } = require("../scripts/lib/sourcify");
+const { createServer } = require("../scripts/local-verifier");
+const { deployProtocolFixture } = require("./helpers/fixtures");
+
+const CHAIN_ID = 1337;
+
+describe("Source verification", function () {
+    const implementation = { address: "0x00000000000000000000000000000000000000a1", contractIdentifier: "src/LOSTToken.sol:LOSTToken" };
+    const proxy = { address: "0x00000000000000000000000000000000000000b2", contractIdentifier: "ERC1967Proxy.sol:ERC1967Proxy" };
+
+    // Answers check() from `verified` and verify() from `results`, recording what was submitted
+    function stubVerifier({ verified = {}, results = {}, failOn = null }) {
+        const submitted = [];
+        return {
+            submitted,
+            async check(chainId, address) {
+                if (address === failOn) {
+                    throw new Error("fetch failed");
+                }
+                return verified[address] || null;
+            },
+            async verify(submission) {
+                submitted.push(submission);
+                return results[submission.address] || { status: "perfect" };
+            }
+        };
+    }
+
+    it("skips addresses the endpoint already verified and submits the rest", async function () {
+        const verifier = stubVerifier({ verified: { [implementation.address]: "partial" } });
+        const results = await verifyContract(verifier, CHAIN_ID, { implementation, proxy });
+        expect(results).to.deep.equal({
+            implementation: { address: implementation.address, status: "partial", message: "already verified" },
+            proxy: { address: proxy.address, status: "perfect" }
+        });
+        expect(verifier.submitted).to.deep.equal([{ chainId: CHAIN_ID, ...proxy }]);
+    });
+
+    it("records rejected submissions and unreachable endpoints as failures", async function () {
+        const rejected = stubVerifier({ results: { [proxy.address]: { status: null, message: "no match" } } });
+        expect((await verifyContract(rejected, CHAIN_ID, { implementation, proxy })).proxy).to.deep.equal({
+            address: proxy.address,
+            status: null,
+            message: "no match"
+        });
+
+        // The implementation went through before the endpoint dropped out
+        const dropped = await verifyContract(stubVerifier({ failOn: proxy.address }), CHAIN_ID, { implementation, proxy });
+        expect(dropped.implementation.status).to.equal("perfect");
+        expect(dropped.proxy).to.deep.equal({ address: proxy.address, status: null, message: "fetch failed" });
+
+        const down = await verifyContract(stubVerifier({ failOn: implementation.address }), CHAIN_ID, { implementation, proxy });
+        expect([down.implementation.status, down.proxy.status]).to.deep.equal([null, null]);
+        expect(down.implementation.message).to.equal("fetch failed");
+    });
+
+    it("verifies against the local verifier through both APIs", async function () {
+        const { addresses } = await loadFixture(deployProtocolFixture);
+        const server = createServer({ provider: ethers.provider });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        try {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            const input = { language: "Solidity", sources: { "src/LOSTToken.sol": { content: "contract LOSTToken is Initializable {}" } } };
+            const token = { address: addresses.LOSTToken, input, compilerVersion: "0.8.30+commit.73712a01", contractIdentifier: "src/LOSTToken.sol:LOSTToken" };
+
+            const v1 = createVerifier({ url });
+            expect(await v1.check(CHAIN_ID, addresses.LOSTToken)).to.equal(null);
+            const first = await verifyContract(v1, CHAIN_ID, {
+                implementation: token,
+                proxy: { ...token, address: ethers.Wallet.createRandom().address }
+            });
+            expect(first.implementation).to.deep.equal({ address: addresses.LOSTToken, status: "perfect", message: undefined });
+            expect(first.proxy.status).to.equal(null);
+            expect(first.proxy.message).to.match(/^No contract at/);
+
+            const v2 = createVerifier({ url, api: "v2" });
+            expect(await v2.check(CHAIN_ID, addresses.LOSTToken)).to.equal("perfect");
+            const wrongSource = await v2.verify({ chainId: CHAIN_ID, ...token, address: addresses.Staking, contractIdentifier: "src/LOSTToken.sol:Staking" });
+            expect(wrongSource).to.deep.equal({ status: null, message: "Contract Staking not found in the submitted input" });
+            expect(await v2.verify({ chainId: CHAIN_ID, ...token, address: addresses.Staking })).to.deep.equal({ status: "perfect" });
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});